@@ -0,0 +1,21 @@
+import FleetbaseAuthenticator from '@fleetbase/ember-core/authenticators/fleetbase';
+
+/**
+ * Authenticates kiosk displays with a display token. The session it creates is read-only and limited to the
+ * dashboards the token was issued for, the server enforces both.
+ *
+ * @class DisplayAuthenticator
+ * @extends FleetbaseAuthenticator
+ */
+export default class DisplayAuthenticator extends FleetbaseAuthenticator {
+    /**
+     * Exchange a display token for a session.
+     *
+     * @param {String} token
+     * @return {Promise}
+     * @memberof DisplayAuthenticator
+     */
+    authenticate(token) {
+        return super.authenticate({ token }, true, 'auth/display-session');
+    }
+}
@@ -0,0 +1,121 @@
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { guidFor } from '@ember/object/internals';
+import { isConditionGroup, createConditionGroup, updateConditionsAt, getConditionsAt, setGroupOperator } from '../../utils/query-conditions';
+import { ALERT_RULE_OPERATORS, createRuleCondition } from '../../utils/alert-rule-engine';
+
+const OPERATOR_KEYS = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte', '==': 'eq', '!=': 'neq', between: 'between', outside: 'outside' };
+
+export default class AlertRuleConditionGroupComponent extends Component {
+    /**
+     * Operators a metric can be compared with, `key` is used for the translated label.
+     *
+     * @memberof AlertRuleConditionGroupComponent
+     */
+    operators = ALERT_RULE_OPERATORS.map((value) => ({ value, key: OPERATOR_KEYS[value] }));
+
+    /**
+     * Id of the datalist suggesting metrics.
+     *
+     * @memberof AlertRuleConditionGroupComponent
+     */
+    metricsListId = `${guidFor(this)}-metrics`;
+
+    get path() {
+        return this.args.path ?? [];
+    }
+
+    get conditions() {
+        return getConditionsAt(this.args.conditions ?? [], this.path);
+    }
+
+    /**
+     * How the conditions of this group are joined, the root list keeps it on its conditions.
+     *
+     * @readonly
+     * @memberof AlertRuleConditionGroupComponent
+     */
+    get operator() {
+        if (this.path.length === 0) {
+            return this.conditions[this.conditions.length - 1]?.logicalOperator ?? 'and';
+        }
+
+        const parent = getConditionsAt(this.args.conditions ?? [], this.path.slice(0, -1));
+        return parent[this.path[this.path.length - 1]]?.operator ?? 'and';
+    }
+
+    get depth() {
+        return this.path.length;
+    }
+
+    get canNest() {
+        return this.depth < (this.args.maxDepth ?? 2);
+    }
+
+    @action isGroup(node) {
+        return isConditionGroup(node);
+    }
+
+    @action isRange(node) {
+        return ['between', 'outside'].includes(node.operator);
+    }
+
+    @action childPath(index) {
+        return [...this.path, index];
+    }
+
+    @action addCondition() {
+        this.update((list) => [...list, createRuleCondition(this.operator)]);
+    }
+
+    @action addGroup() {
+        this.update((list) => [...list, { ...createConditionGroup(this.operator), conditions: [createRuleCondition()] }]);
+    }
+
+    @action removeNode(index) {
+        this.update((list) => list.filter((_, i) => i !== index));
+    }
+
+    @action setOperator(operator) {
+        this.notify(setGroupOperator(this.args.conditions ?? [], this.path, operator));
+    }
+
+    @action setMetric(index, event) {
+        this.updateNode(index, { metric: event.target.value.trim() || null });
+    }
+
+    @action setConditionOperator(index, operator) {
+        const wasRange = this.isRange(this.conditions[index]);
+        const isRange = ['between', 'outside'].includes(operator);
+        const threshold = wasRange === isRange ? this.conditions[index].threshold : isRange ? [null, null] : null;
+
+        this.updateNode(index, { operator, threshold });
+    }
+
+    @action setThreshold(index, event) {
+        this.updateNode(index, { threshold: event.target.value === '' ? null : Number(event.target.value) });
+    }
+
+    @action setRangeThreshold(index, rangeIndex, event) {
+        const threshold = [...(this.conditions[index]?.threshold ?? [null, null])];
+        threshold[rangeIndex] = event.target.value === '' ? null : Number(event.target.value);
+        this.updateNode(index, { threshold });
+    }
+
+    updateNode(index, attributes = {}) {
+        this.update((list) => {
+            list[index] = { ...list[index], ...attributes };
+            return list;
+        });
+    }
+
+    update(callback) {
+        this.notify(updateConditionsAt(this.args.conditions ?? [], this.path, callback));
+    }
+
+    notify(conditions) {
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(conditions);
+        }
+    }
+}
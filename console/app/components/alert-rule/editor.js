@@ -0,0 +1,122 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { guidFor } from '@ember/object/internals';
+import { debug } from '@ember/debug';
+import { task } from 'ember-concurrency';
+import { ALERT_RULE_AGGREGATES, ALERT_RULE_METRICS, ALERT_RULE_OPERATORS } from '../../utils/alert-rule-engine';
+import { ALERT_SEVERITIES, ALERT_TYPES } from '../../utils/alert-types';
+
+export default class AlertRuleEditorComponent extends Component {
+    @service store;
+
+    /**
+     * Options offered by the editor.
+     *
+     * @memberof AlertRuleEditorComponent
+     */
+    subjectTypes = Object.keys(ALERT_RULE_METRICS);
+    alertTypes = Object.keys(ALERT_TYPES);
+    severities = ALERT_SEVERITIES;
+    aggregates = ALERT_RULE_AGGREGATES;
+    operators = ALERT_RULE_OPERATORS.filter((operator) => !['between', 'outside'].includes(operator));
+
+    /**
+     * Id of the datalist suggesting alert types.
+     *
+     * @memberof AlertRuleEditorComponent
+     */
+    typesListId = `${guidFor(this)}-types`;
+
+    /**
+     * Records the rule is scoped to.
+     *
+     * @memberof AlertRuleEditorComponent
+     */
+    @tracked scopedSubjects = [];
+    @tracked scopedFleets = [];
+
+    constructor() {
+        super(...arguments);
+        this.loadScope.perform();
+    }
+
+    get metrics() {
+        return ALERT_RULE_METRICS[this.args.rule.subject_type] ?? [];
+    }
+
+    get severityMapping() {
+        return this.args.rule.severity_mapping ?? [];
+    }
+
+    @action setAttribute(key, event) {
+        this.args.rule.set(key, event?.target ? event.target.value : event);
+    }
+
+    @action setNumber(key, event) {
+        this.args.rule.set(key, event.target.value === '' ? null : Number(event.target.value));
+    }
+
+    @action setSubjectType(subjectType) {
+        this.scopedSubjects = [];
+        this.args.rule.setProperties({ subject_type: subjectType, subject_scope: { ...this.args.rule.subject_scope, subjects: [] } });
+    }
+
+    @action setScopedSubjects(subjects) {
+        this.scopedSubjects = subjects;
+        this.updateScope({ subjects: subjects.map((subject) => subject.id) });
+    }
+
+    @action setScopedFleets(fleets) {
+        this.scopedFleets = fleets;
+        this.updateScope({ fleets: fleets.map((fleet) => fleet.id) });
+    }
+
+    @action setConditions(conditions) {
+        this.args.rule.set('conditions', conditions);
+    }
+
+    @action setWindow(key, event) {
+        const value = event?.target ? Number(event.target.value) : event;
+        this.args.rule.set('window', { ...this.args.rule.evaluationWindow, [key]: value });
+    }
+
+    @action addSeverityMapping() {
+        this.args.rule.set('severity_mapping', [...this.severityMapping, { metric: this.args.rule.metrics[0] ?? null, operator: '>', threshold: null, severity: 'high' }]);
+    }
+
+    @action setSeverityMapping(index, key, event) {
+        let value = event?.target ? event.target.value : event;
+        if (key === 'threshold') {
+            value = value === '' ? null : Number(value);
+        }
+
+        this.args.rule.set(
+            'severity_mapping',
+            this.severityMapping.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry))
+        );
+    }
+
+    @action removeSeverityMapping(index) {
+        this.args.rule.set(
+            'severity_mapping',
+            this.severityMapping.filter((_, i) => i !== index)
+        );
+    }
+
+    updateScope(changes = {}) {
+        this.args.rule.set('subject_scope', { ...(this.args.rule.subject_scope ?? {}), ...changes });
+    }
+
+    @task *loadScope() {
+        const { subjects = [], fleets = [] } = this.args.rule.subject_scope ?? {};
+
+        try {
+            this.scopedSubjects = yield Promise.all(subjects.map((id) => this.store.findRecord(this.args.rule.subject_type, id)));
+            this.scopedFleets = yield Promise.all(fleets.map((id) => this.store.findRecord('fleet', id)));
+        } catch (error) {
+            debug(`Unable to load alert rule scope : ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,34 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { debug } from '@ember/debug';
+import { task } from 'ember-concurrency';
+
+export default class AlertRuleRecentAlertsComponent extends Component {
+    @service store;
+
+    /**
+     * Alerts raised by the rule, most recent first.
+     *
+     * @memberof AlertRuleRecentAlertsComponent
+     */
+    @tracked alerts = [];
+
+    constructor() {
+        super(...arguments);
+        this.loadAlerts.perform();
+    }
+
+    @task *loadAlerts() {
+        const { rule } = this.args;
+        if (!rule?.id || rule.isNew) {
+            return;
+        }
+
+        try {
+            this.alerts = yield this.store.query('alert', { alert_rule_uuid: rule.id, sort: '-triggered_at', limit: this.args.limit ?? 10 });
+        } catch (error) {
+            debug(`Unable to load alerts raised by rule : ${error.message}`);
+        }
+    }
+}
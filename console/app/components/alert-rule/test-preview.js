@@ -0,0 +1,68 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { format } from 'date-fns';
+import { task } from 'ember-concurrency';
+import { countTriggersByHour } from '../../utils/alert-rule-engine';
+import { ALERT_SEVERITIES } from '../../utils/alert-types';
+
+export default class AlertRuleTestPreviewComponent extends Component {
+    @service notifications;
+
+    /**
+     * Hours of telemetry the rule is replayed over.
+     *
+     * @memberof AlertRuleTestPreviewComponent
+     */
+    hours = 24;
+
+    /**
+     * Result of the last test.
+     *
+     * @memberof AlertRuleTestPreviewComponent
+     */
+    @tracked result = null;
+
+    get severityCounts() {
+        const triggers = this.result?.triggers ?? [];
+
+        return [...ALERT_SEVERITIES]
+            .reverse()
+            .map((severity) => ({ severity, count: triggers.filter((trigger) => trigger.severity === severity).length }))
+            .filter(({ count }) => count > 0);
+    }
+
+    /**
+     * Triggers per hour, wrapped in a list keyed by the test so the chart is drawn again for every run.
+     *
+     * @readonly
+     * @memberof AlertRuleTestPreviewComponent
+     */
+    get charts() {
+        if (!this.result) {
+            return [];
+        }
+
+        const buckets = countTriggersByHour(this.result.triggers, this.result.from, this.hours);
+        return [
+            {
+                key: this.result.to.getTime(),
+                labels: buckets.map(({ hour }) => format(hour, 'HH:mm')),
+                datasets: [{ label: 'Alerts', data: buckets.map(({ count }) => count), backgroundColor: '#ef4444' }],
+                options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } },
+            },
+        ];
+    }
+
+    get recentTriggers() {
+        return (this.result?.triggers ?? []).slice(-25).reverse();
+    }
+
+    @task *runTest() {
+        try {
+            this.result = yield this.args.rule.test({ hours: this.hours });
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+}
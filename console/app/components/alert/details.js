@@ -0,0 +1,33 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+
+export default class AlertDetailsComponent extends Component {
+    @service theme;
+
+    /**
+     * Zoom of the map centered on the alert location.
+     *
+     * @memberof AlertDetailsComponent
+     */
+    zoom = 14;
+
+    get tileSourceUrl() {
+        if (this.theme.activeTheme === 'dark') {
+            return 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
+        }
+
+        return 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png';
+    }
+
+    /**
+     * Context entries other than the location, which is shown on the map.
+     *
+     * @readonly
+     * @memberof AlertDetailsComponent
+     */
+    get context() {
+        // eslint-disable-next-line no-unused-vars
+        const { location, ...context } = this.args.alert?.context ?? {};
+        return Object.keys(context).length ? context : null;
+    }
+}
@@ -0,0 +1,17 @@
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { SNOOZE_DURATIONS } from '../../utils/alert-inbox';
+
+export default class AlertSnoozeButtonComponent extends Component {
+    durations = SNOOZE_DURATIONS;
+
+    @action snooze(minutes, dd) {
+        if (typeof dd?.actions?.close === 'function') {
+            dd.actions.close();
+        }
+
+        if (typeof this.args.onSnooze === 'function') {
+            this.args.onSnooze(minutes);
+        }
+    }
+}
@@ -0,0 +1,31 @@
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { format } from 'date-fns';
+
+/**
+ * Format used by `datetime-local` inputs.
+ */
+const INPUT_DATE_FORMAT = "yyyy-MM-dd'T'HH:mm";
+
+export default class AnnouncementEditorComponent extends Component {
+    get publishedAt() {
+        return this.toInputDate(this.args.announcement.published_at);
+    }
+
+    get expiresAt() {
+        return this.toInputDate(this.args.announcement.expires_at);
+    }
+
+    toInputDate(date) {
+        return date ? format(date, INPUT_DATE_FORMAT) : '';
+    }
+
+    @action setAttribute(key, event) {
+        this.args.announcement.set(key, event?.target ? event.target.value : event);
+    }
+
+    @action setDate(key, event) {
+        const { value } = event.target;
+        this.args.announcement.set(key, value ? new Date(value) : null);
+    }
+}
@@ -0,0 +1,54 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class DashboardAddKpiComponent extends Component {
+    @service currentUser;
+    @service dashboard;
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+
+    /**
+     * Whether widgets can be added to the current dashboard, the system dashboard is never saved.
+     *
+     * @readonly
+     * @memberof DashboardAddKpiComponent
+     */
+    get canAdd() {
+        const dashboard = this.dashboard.currentDashboard;
+        return Boolean(dashboard && !dashboard.isNew && !dashboard.isSystem && dashboard.canEdit(this.currentUser.user));
+    }
+
+    @action open() {
+        const dashboard = this.dashboard.currentDashboard;
+
+        this.modalsManager.show('modals/dashboard-kpi-builder', {
+            title: this.intl.t('component.dashboard.add-kpi.title', { dashboardName: dashboard.name }),
+            acceptButtonText: this.intl.t('component.dashboard.add-kpi.add'),
+            acceptButtonIcon: 'plus',
+            modalClass: 'modal-lg',
+            kpi: null,
+            setKpi: (kpi) => {
+                this.modalsManager.setOption('kpi', kpi);
+            },
+            confirm: async (modal) => {
+                const kpi = modal.getOption('kpi');
+                if (!kpi?.valid) {
+                    return this.notifications.warning(this.intl.t('component.dashboard.add-kpi.incomplete'));
+                }
+
+                modal.startLoading();
+
+                try {
+                    await dashboard.addWidget(kpi.widget);
+                    this.notifications.success(this.intl.t('component.dashboard.add-kpi.added', { widgetName: kpi.widget.name, dashboardName: dashboard.name }));
+                    modal.done();
+                } catch (error) {
+                    modal.stopLoading();
+                    this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+}
@@ -0,0 +1,119 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+import { DEFAULT_SLA_DAYS, formatDurationMinutes, getAlertFilterParams, getSlaPeriod, getSlaSummary, getSlaTrend } from '../../utils/alert-sla';
+import { DASHBOARD_FILTERS_CHANGED_EVENT } from '../../utils/dashboard-filters';
+
+export default class DashboardAlertSlaTrendComponent extends Component {
+    @service dashboard;
+    @service intl;
+    @service store;
+    @service universe;
+    @service widgetRefresh;
+
+    /**
+     * Alerts triggered over the period.
+     *
+     * @memberof DashboardAlertSlaTrendComponent
+     */
+    @tracked alerts = [];
+    @tracked error;
+
+    /**
+     * Refreshes the widget on an interval or on alert events when live, failed refreshes keep the last loaded alerts.
+     *
+     * @memberof DashboardAlertSlaTrendComponent
+     */
+    refresher;
+
+    constructor() {
+        super(...arguments);
+        this.refresher = this.widgetRefresh.register({
+            widget: this.args.widget,
+            options: { live_events: ['alert.'], ...this.args.options },
+            reload: () => this.loadAlerts.perform(),
+            onError: this.args.onError,
+        });
+        this.refresher.refresh();
+        this.universe.on(DASHBOARD_FILTERS_CHANGED_EVENT, this.reload);
+    }
+
+    willDestroy() {
+        super.willDestroy(...arguments);
+        this.widgetRefresh.unregister(this.refresher);
+        this.universe.off(DASHBOARD_FILTERS_CHANGED_EVENT, this.reload);
+    }
+
+    /**
+     * The dashboard filters this widget supports.
+     *
+     * @readonly
+     * @memberof DashboardAlertSlaTrendComponent
+     */
+    get filters() {
+        return this.dashboard.getWidgetFilters(this.args.widget ?? { options: this.args.options });
+    }
+
+    get period() {
+        return getSlaPeriod(this.filters, this.args.options?.days ?? DEFAULT_SLA_DAYS);
+    }
+
+    get title() {
+        const { from, to, days, isRange } = this.period;
+        if (isRange) {
+            const format = (date) => this.intl.formatDate(date, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+            return this.intl.t('component.dashboard.alert-sla-trend.title-range', { start: format(from), end: format(to) });
+        }
+
+        return this.intl.t('component.dashboard.alert-sla-trend.title', { days });
+    }
+
+    get trend() {
+        const { to, days } = this.period;
+        return getSlaTrend(this.alerts, { to, days });
+    }
+
+    get summary() {
+        const { count, mtta, mttr } = getSlaSummary(this.alerts);
+        return { count, mtta: formatDurationMinutes(mtta), mttr: formatDurationMinutes(mttr) };
+    }
+
+    /**
+     * The MTTA and MTTR chart, keyed by the loaded alerts as the chart component only renders once. Days are UTC days.
+     *
+     * @readonly
+     * @memberof DashboardAlertSlaTrendComponent
+     */
+    get charts() {
+        const trend = this.trend;
+
+        return [
+            {
+                key: `${this.loadAlerts.performCount}:${this.alerts.length}`,
+                type: 'line',
+                labels: trend.map(({ date }) => this.intl.formatDate(date, { month: 'short', day: 'numeric', timeZone: 'UTC' })),
+                datasets: [
+                    { label: this.intl.t('component.dashboard.alert-sla-trend.mtta'), data: trend.map(({ mtta }) => mtta), borderColor: '#0ea5e9', backgroundColor: '#0ea5e9' },
+                    { label: this.intl.t('component.dashboard.alert-sla-trend.mttr'), data: trend.map(({ mttr }) => mttr), borderColor: '#f97316', backgroundColor: '#f97316' },
+                ],
+                options: { responsive: true, maintainAspectRatio: false, spanGaps: true, scales: { y: { beginAtZero: true } } },
+            },
+        ];
+    }
+
+    @action reload() {
+        return this.refresher.refresh();
+    }
+
+    @task({ restartable: true }) *loadAlerts() {
+        try {
+            this.alerts = yield this.store.query('alert', { ...getAlertFilterParams(this.filters, this.period), sort: '-triggered_at', limit: 1000 });
+            this.error = null;
+        } catch (error) {
+            this.error = error;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,29 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { task } from 'ember-concurrency';
+
+export default class DashboardAnnouncementsComponent extends Component {
+    @service newsFeed;
+    @tracked announcements = [];
+    @tracked error = null;
+
+    constructor() {
+        super(...arguments);
+        this.loadAnnouncements.perform();
+    }
+
+    get options() {
+        return this.args.options ?? {};
+    }
+
+    @task *loadAnnouncements() {
+        this.error = null;
+
+        try {
+            this.announcements = yield this.newsFeed.loadAnnouncements({ limit: this.options.limit });
+        } catch (error) {
+            this.error = error;
+        }
+    }
+}
@@ -1,77 +1,107 @@
 import Component from '@glimmer/component';
-import { tracked } from '@glimmer/tracking';
-import formatCurrency from '@fleetbase/ember-ui/utils/format-currency';
-import formatMeters from '@fleetbase/ember-ui/utils/format-meters';
-import formatBytes from '@fleetbase/ember-ui/utils/format-bytes';
-import formatDuration from '@fleetbase/ember-ui/utils/format-duration';
-import formatDate from '@fleetbase/ember-ui/utils/format-date';
+import { inject as service } from '@ember/service';
+import { buildSparklinePath, formatMetricValue, getMetricTrend, getThresholdStatus } from '../../utils/metric-format';
+
+/**
+ * Classes coloring the value for each threshold status.
+ */
+const STATUS_CLASSES = {
+    success: 'text-green-600 dark:text-green-400',
+    info: 'text-blue-600 dark:text-blue-400',
+    warning: 'text-yellow-600 dark:text-yellow-400',
+    danger: 'text-red-600 dark:text-red-400',
+};
 
 export default class DashboardCountComponent extends Component {
+    @service intl;
+
     /**
-     * The title of the metric count.
+     * Size of the sparkline drawn below the value.
      *
-     * @memberof WidgetKeyMetricsCountComponent
+     * @memberof DashboardCountComponent
      */
-    @tracked title;
+    sparklineWidth = 100;
+    sparklineHeight = 24;
 
     /**
-     * The value to render
+     * The count options, see `formatMetricValue` for the formatting options. Trends compare `value` with
+     * `previousValue`, `history` draws a sparkline and `thresholds` color the value.
      *
-     * @memberof WidgetKeyMetricsCountComponent
+     * @readonly
+     * @memberof DashboardCountComponent
      */
-    @tracked value;
+    get options() {
+        return this.args.options ?? {};
+    }
 
-    /**
-     * Creates an instance of WidgetKeyMetricsCountComponent.
-     * @param {EngineInstance} owner
-     * @param {Object} { options }
-     * @memberof WidgetKeyMetricsCountComponent
-     */
-    constructor(owner, { options, title, value = null }) {
-        super(...arguments);
-        this.title = title;
-        this.value = value;
-        this.createRenderValueFromOptions(options);
+    get title() {
+        return this.args.title ?? this.options.title;
+    }
+
+    get rawValue() {
+        return this.args.value ?? this.options.value ?? null;
+    }
+
+    get formatOptions() {
+        return { ...this.options, locale: this.intl.primaryLocale };
+    }
+
+    get value() {
+        return formatMetricValue(this.rawValue, this.formatOptions);
+    }
+
+    get trend() {
+        return getMetricTrend(this.rawValue, this.options.previousValue, { higherIsBetter: this.options.higherIsBetter ?? true });
     }
 
     /**
-     * Creates the value to render using the options provided.
+     * The change versus the comparison period, as a percentage unless the previous value was zero.
      *
-     * @param {Object} [options={}]
-     * @memberof WidgetKeyMetricsCountComponent
+     * @readonly
+     * @memberof DashboardCountComponent
      */
-    createRenderValueFromOptions(options = {}) {
-        if (value !== null) {
-            return;
+    get trendText() {
+        const { trend } = this;
+        if (!trend) {
+            return null;
         }
 
-        let { format, currency, dateFormat, value } = options;
+        if (trend.percent === null) {
+            return formatMetricValue(Math.abs(trend.delta), this.formatOptions);
+        }
+
+        return formatMetricValue(Math.abs(trend.percent), { format: 'percent', locale: this.intl.primaryLocale });
+    }
 
-        switch (format) {
-            case 'money':
-                value = formatCurrency([value, currency]);
-                break;
+    get trendIcon() {
+        return { up: 'arrow-up', down: 'arrow-down' }[this.trend?.direction] ?? 'minus';
+    }
+
+    get trendClass() {
+        if (this.trend?.isPositive === true) {
+            return 'text-green-600 dark:text-green-400';
+        }
 
-            case 'meters':
-                value = formatMeters([value]);
-                break;
+        if (this.trend?.isPositive === false) {
+            return 'text-red-600 dark:text-red-400';
+        }
 
-            case 'bytes':
-                value = formatBytes([value]);
-                break;
+        return 'text-gray-500 dark:text-gray-400';
+    }
 
-            case 'duration':
-                value = formatDuration([value]);
-                break;
+    get comparisonLabel() {
+        return this.options.comparisonLabel ?? this.intl.t('component.dashboard.count.vs-previous');
+    }
 
-            case 'date':
-                value = formatDate([value, dateFormat]);
-                break;
+    get status() {
+        return getThresholdStatus(this.rawValue, this.options.thresholds, this.options.thresholdDirection);
+    }
 
-            default:
-                break;
-        }
+    get valueClass() {
+        return STATUS_CLASSES[this.status] ?? 'dark:text-gray-100 text-black';
+    }
 
-        this.value = value;
+    get sparklinePath() {
+        return buildSparklinePath(this.options.history, { width: this.sparklineWidth, height: this.sparklineHeight });
     }
 }
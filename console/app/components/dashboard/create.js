@@ -0,0 +1,103 @@
+import DashboardCreateComponent from '@fleetbase/ember-ui/components/dashboard/create';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action, computed } from '@ember/object';
+import { DASHBOARD_DENSITIES, getBreakpoint, getWidgetLayout, setWidgetLayout } from '../../utils/widget-preferences';
+
+/**
+ * Height of a collapsed widget, in grid rows.
+ */
+const COLLAPSED_HEIGHT = 2;
+
+/**
+ * The dashboard grid, each widget is rendered inside `Dashboard::WidgetBoundary` which shows a failure card for widgets
+ * that are missing or fail to load. Widgets are laid out for the breakpoint of the viewport and with the preferences of
+ * the user.
+ *
+ * @extends DashboardCreateComponent
+ */
+export default class ConsoleDashboardCreateComponent extends DashboardCreateComponent {
+    @service widgetPreferences;
+    @tracked breakpoint = getBreakpoint(window.innerWidth);
+
+    constructor() {
+        super(...arguments);
+        window.addEventListener('resize', this.updateBreakpoint);
+
+        if (!this.widgetPreferences.isLoaded) {
+            this.widgetPreferences.load.perform();
+        }
+    }
+
+    willDestroy() {
+        super.willDestroy(...arguments);
+        window.removeEventListener('resize', this.updateBreakpoint);
+    }
+
+    @action updateBreakpoint() {
+        const breakpoint = getBreakpoint(window.innerWidth);
+        if (breakpoint !== this.breakpoint) {
+            this.breakpoint = breakpoint;
+        }
+    }
+
+    /**
+     * How a widget is shown to the user: its options, its grid options at the current breakpoint and whether it is
+     * collapsed or hidden.
+     *
+     * @param {DashboardWidgetModel} widget
+     * @return {Object} `{ preference, options, gridOptions }`
+     * @memberof ConsoleDashboardCreateComponent
+     */
+    @action getWidgetState(widget) {
+        const preference = this.widgetPreferences.getPreference(widget);
+        const gridOptions = getWidgetLayout(widget.grid_options, this.breakpoint);
+
+        return {
+            preference,
+            options: this.widgetPreferences.getOptions(widget),
+            gridOptions: preference.collapsed ? { ...gridOptions, h: COLLAPSED_HEIGHT, minH: COLLAPSED_HEIGHT } : gridOptions,
+        };
+    }
+
+    /**
+     * Save layout changes to the profile of the current breakpoint. The height of a collapsed widget is not saved, the
+     * widget keeps its height for when it is expanded.
+     *
+     * @param {Event} event
+     * @memberof ConsoleDashboardCreateComponent
+     */
+    @action onChangeGrid(event) {
+        const { dashboard } = this.args;
+        if (!dashboard || !this.args.isEdit) {
+            return;
+        }
+
+        event.detail.forEach(({ id, x, y, w, h }) => {
+            const widget = dashboard.widgets.find((widget) => widget.id === id);
+            if (!widget) {
+                return;
+            }
+
+            const layout = this.widgetPreferences.getPreference(widget).collapsed ? { x, y, w } : { x, y, w, h };
+            widget.updateProperties({ grid_options: setWidgetLayout(widget.grid_options, this.breakpoint, layout) }).catch((error) => {
+                this.notifications.serverError(error);
+            });
+        });
+    }
+
+    @computed('args.isEdit', 'widgetPreferences.density') get gridOptions() {
+        const density = DASHBOARD_DENSITIES[this.widgetPreferences.density];
+
+        return {
+            float: true,
+            animate: true,
+            acceptWidgets: true,
+            alwaysShowResizeHandle: this.args.isEdit,
+            disableDrag: !this.args.isEdit,
+            disableResize: !this.args.isEdit,
+            resizable: { handles: 'all' },
+            ...density,
+        };
+    }
+}
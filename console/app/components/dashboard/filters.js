@@ -0,0 +1,119 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+import { DASHBOARD_FILTERS, normalizeDashboardFilters } from '../../utils/dashboard-filters';
+
+const MODEL_FILTER_PLACEHOLDERS = {
+    org_unit: 'component.dashboard.filters.all-org-units',
+    driver: 'component.dashboard.filters.all-drivers',
+    vehicle: 'component.dashboard.filters.all-vehicles',
+};
+
+export default class DashboardFiltersComponent extends Component {
+    @service dashboard;
+    @service intl;
+    @service store;
+
+    /**
+     * Records selected in the model filters, keyed by filter.
+     *
+     * @memberof DashboardFiltersComponent
+     */
+    @tracked records = {};
+
+    /**
+     * Bumped when the filters are cleared, the date and tag inputs only read their value once so they are rendered again.
+     *
+     * @memberof DashboardFiltersComponent
+     */
+    @tracked clearCount = 0;
+
+    constructor() {
+        super(...arguments);
+        this.loadRecords.perform();
+    }
+
+    get filters() {
+        return this.dashboard.filters;
+    }
+
+    get hasFilters() {
+        return Object.keys(this.filters).length > 0;
+    }
+
+    get inputs() {
+        return [{ key: this.clearCount, tags: this.filters.tags, dateRange: (this.filters.date_range ?? []).map((date) => new Date(`${date}T00:00:00`)) }];
+    }
+
+    /**
+     * The model filters with the selected record, read from the store when it was selected elsewhere.
+     *
+     * @readonly
+     * @memberof DashboardFiltersComponent
+     */
+    get modelFilters() {
+        return Object.entries(DASHBOARD_FILTERS)
+            .filter(([, { type }]) => type === 'model')
+            .map(([key, { modelName }]) => {
+                const id = this.filters[key];
+                const record = id ? (this.records[key]?.id === id ? this.records[key] : this.store.peekRecord(modelName, id)) : null;
+
+                return { key, modelName, record, placeholder: this.intl.t(MODEL_FILTER_PLACEHOLDERS[key]) };
+            });
+    }
+
+    @task *loadRecords() {
+        for (const { key, modelName, record } of this.modelFilters) {
+            const id = this.filters[key];
+            if (!id || record) {
+                continue;
+            }
+
+            try {
+                this.records = { ...this.records, [key]: yield this.store.findRecord(modelName, id) };
+            } catch {
+                continue;
+            }
+        }
+    }
+
+    @action setDateRange({ formattedDate }) {
+        const dates = Array.isArray(formattedDate) ? formattedDate : [formattedDate].filter(Boolean);
+
+        // wait for the end of the range
+        if (dates.length === 1) {
+            return;
+        }
+
+        this.update({ date_range: dates.length ? dates : null });
+    }
+
+    @action setRecord(key, record) {
+        this.records = { ...this.records, [key]: record };
+        this.update({ [key]: record?.id ?? null });
+    }
+
+    @action setTags(filter, value) {
+        this.update({ tags: value });
+    }
+
+    @action clearTags() {
+        this.update({ tags: null });
+    }
+
+    @action clear() {
+        this.records = {};
+        this.clearCount++;
+        this.update(null);
+    }
+
+    update(changes) {
+        const filters = changes ? normalizeDashboardFilters({ ...this.filters, ...changes }) : {};
+
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(filters);
+        }
+    }
+}
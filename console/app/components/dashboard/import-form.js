@@ -0,0 +1,70 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { debug } from '@ember/debug';
+import { getWidgetComponentName } from '../../utils/dashboard-templates';
+import { matchImportedWidgets, parseDashboardExport } from '../../utils/dashboard-transfer';
+
+export default class DashboardImportFormComponent extends Component {
+    @service dashboard;
+
+    /**
+     * The parsed export, its widget matches and the choices made for missing widgets.
+     *
+     * @memberof DashboardImportFormComponent
+     */
+    @tracked fileName = null;
+    @tracked parsed = null;
+    @tracked resolutions = {};
+
+    get registry() {
+        return this.dashboard.getImportRegistry().map((widget) => ({ ...widget, component: getWidgetComponentName(widget.component) }));
+    }
+
+    get registryOptions() {
+        return this.registry.map((widget) => widget.component);
+    }
+
+    get matches() {
+        return this.parsed?.valid ? matchImportedWidgets(this.parsed.dashboard.widgets, this.registry) : [];
+    }
+
+    get missing() {
+        return this.matches.filter(({ missing }) => missing);
+    }
+
+    @action async loadFile(file) {
+        try {
+            const text = await file.readAsText();
+            this.fileName = file.name;
+            this.parsed = parseDashboardExport(text);
+            this.resolutions = {};
+            this.update();
+        } catch (error) {
+            debug(`Unable to read dashboard export : ${error.message}`);
+        } finally {
+            file.queue?.remove(file);
+        }
+    }
+
+    @action toggleSkip(index, skipped) {
+        this.resolve(index, skipped ? { action: 'skip' } : undefined);
+    }
+
+    @action remap(index, component) {
+        const widget = this.registry.find((registered) => registered.component === component);
+        this.resolve(index, widget ? { action: 'remap', widget } : undefined);
+    }
+
+    resolve(index, resolution) {
+        this.resolutions = { ...this.resolutions, [index]: resolution };
+        this.update();
+    }
+
+    update() {
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange({ dashboard: this.parsed?.valid ? this.parsed.dashboard : null, resolutions: this.resolutions });
+        }
+    }
+}
@@ -0,0 +1,77 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { rawTimeout, task } from 'ember-concurrency';
+import { format, formatDistance } from 'date-fns';
+import { getPlaylistPosition } from '../../utils/kiosk-playlist';
+
+export default class DashboardKioskComponent extends Component {
+    @service dashboard;
+    @service widgetRefresh;
+
+    /**
+     * When the playlist started, the dashboard shown is worked out from it.
+     *
+     * @memberof DashboardKioskComponent
+     */
+    @tracked startedAt = new Date();
+    @tracked now = new Date();
+
+    constructor() {
+        super(...arguments);
+        this.showCurrent();
+        this.cycle.perform();
+    }
+
+    get position() {
+        return getPlaylistPosition(this.args.playlist ?? [], this.startedAt, this.now);
+    }
+
+    get current() {
+        return this.position ? this.args.playlist[this.position.index].dashboard : null;
+    }
+
+    get clock() {
+        return format(this.now, 'HH:mm');
+    }
+
+    get staleAgo() {
+        const { staleSince } = this.widgetRefresh;
+        return staleSince ? formatDistance(staleSince, Math.max(this.now, staleSince), { addSuffix: true }) : null;
+    }
+
+    /**
+     * Move the playlist along every second, waiting outside the run loop so the display does not hold up settled state in tests.
+     *
+     * @memberof DashboardKioskComponent
+     */
+    @task *cycle() {
+        while (true) {
+            yield rawTimeout(1000);
+            this.now = new Date();
+            this.showCurrent();
+        }
+    }
+
+    /**
+     * Make the dashboard on screen the current dashboard, widgets read their filters and refresh settings from it.
+     * Selecting it through the dashboard service would save it as the default dashboard of the display.
+     *
+     * @memberof DashboardKioskComponent
+     */
+    showCurrent() {
+        if (this.current && this.dashboard.currentDashboard !== this.current) {
+            this.dashboard.currentDashboard = this.current;
+        }
+    }
+
+    @action next() {
+        if (!this.position) {
+            return;
+        }
+
+        this.startedAt = new Date(this.startedAt.getTime() - this.position.remaining * 1000);
+        this.showCurrent();
+    }
+}
@@ -0,0 +1,110 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { isArray } from '@ember/array';
+import { task } from 'ember-concurrency';
+import { isNumericColumn } from '../../utils/report-visualization';
+import { METRIC_FORMATS } from '../../utils/metric-format';
+import { KPI_AGGREGATIONS, KPI_COMPARISONS, KPI_FILTERS, findDateRangeParameter, validateKpi } from '../../utils/report-kpi';
+
+export default class DashboardKpiBuilderComponent extends Component {
+    aggregations = KPI_AGGREGATIONS;
+    comparisons = KPI_COMPARISONS;
+    formats = METRIC_FORMATS;
+
+    /**
+     * The report the KPI is computed from.
+     *
+     * @memberof DashboardKpiBuilderComponent
+     */
+    @tracked report = null;
+
+    /**
+     * The KPI options saved to the widget.
+     *
+     * @memberof DashboardKpiBuilderComponent
+     */
+    @tracked kpi = { aggregate: 'count', column: null, comparison: null, format: 'number', title: null };
+    @tracked error = null;
+
+    get columns() {
+        const columns = this.report?.result_columns ?? [];
+        if (this.kpi.aggregate === 'count') {
+            return columns;
+        }
+
+        return columns.filter((column) => isNumericColumn(column, this.report?.data ?? []));
+    }
+
+    /**
+     * Whether the report has a date range parameter to compare periods with.
+     *
+     * @readonly
+     * @memberof DashboardKpiBuilderComponent
+     */
+    get canCompare() {
+        return Boolean(findDateRangeParameter(this.report?.parameters));
+    }
+
+    get validation() {
+        return validateKpi({ ...this.kpi, report: this.report?.id });
+    }
+
+    /**
+     * Load the result columns of a report, reports that were never executed run once.
+     *
+     * @memberof DashboardKpiBuilderComponent
+     */
+    @task({ restartable: true }) *loadColumns(report) {
+        this.error = null;
+
+        if (isArray(report.result_columns) && report.result_columns.length) {
+            return;
+        }
+
+        try {
+            const result = yield report.execute();
+            report.fillResult(result);
+        } catch (error) {
+            this.error = error;
+        }
+    }
+
+    @action selectReport(report) {
+        this.report = report;
+        this.update({ column: null, comparison: null, title: report?.title ?? null });
+
+        if (report) {
+            this.loadColumns.perform(report);
+        }
+    }
+
+    @action setOption(key, value) {
+        const changes = { [key]: value?.name ?? value ?? null };
+        if (key === 'aggregate' && value !== 'count' && !this.columns.some((column) => column.name === this.kpi.column)) {
+            changes.column = null;
+        }
+
+        this.update(changes);
+    }
+
+    @action setTitle(event) {
+        this.update({ title: event.target.value || null });
+    }
+
+    update(changes = {}) {
+        this.kpi = { ...this.kpi, ...changes };
+
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange({
+                valid: this.validation.valid,
+                widget: {
+                    name: this.kpi.title ?? this.report?.title,
+                    component: 'dashboard/report-kpi',
+                    grid_options: { w: 3, h: 6, minW: 2, minH: 5 },
+                    options: { ...this.kpi, report: this.report?.id ?? null, filters: KPI_FILTERS },
+                },
+            });
+        }
+    }
+}
@@ -4,30 +4,64 @@ import { inject as service } from '@ember/service';
 import { action } from '@ember/object';
 import { isArray } from '@ember/array';
 import { task } from 'ember-concurrency';
+import { DASHBOARD_FILTERS_CHANGED_EVENT, getFilterQueryParams } from '../../utils/dashboard-filters';
 
 export default class MetricComponent extends Component {
+    @service('dashboard') dashboardService;
     @service fetch;
+    @service universe;
+    @service widgetRefresh;
     @tracked isLoading = false;
     @tracked dashboard;
+    @tracked queryParams = {};
 
     constructor() {
         super(...arguments);
-        this.loadDashboard.perform();
+        this.refresher = this.widgetRefresh.register({
+            widget: this.args.widget,
+            options: this.args.options,
+            reload: () => this.loadDashboard.perform(this.queryParams),
+            onError: this.args.onError,
+        });
+        this.refresher.refresh();
+        this.universe.on(DASHBOARD_FILTERS_CHANGED_EVENT, this.onDashboardFiltersChanged);
+    }
+
+    willDestroy() {
+        super.willDestroy(...arguments);
+        this.widgetRefresh.unregister(this.refresher);
+        this.universe.off(DASHBOARD_FILTERS_CHANGED_EVENT, this.onDashboardFiltersChanged);
+    }
+
+    /**
+     * The dashboard filters this metric supports, sent along with its own query params.
+     *
+     * @readonly
+     * @memberof MetricComponent
+     */
+    get filters() {
+        return this.dashboardService.getWidgetFilters(this.args.widget ?? { options: this.args.options });
     }
 
     @action onQueryParamsChanged(changedParams) {
-        this.loadDashboard.perform(changedParams);
+        this.queryParams = changedParams;
+        return this.refresher.refresh();
+    }
+
+    @action onDashboardFiltersChanged() {
+        return this.refresher.refresh();
     }
 
-    @task *loadDashboard(params) {
+    @task({ restartable: true }) *loadDashboard(params = {}) {
         let dashboards = [];
 
         this.isLoading = true;
 
         try {
-            dashboards = yield this.fetch.get(this.args.options.endpoint, params, { namespace: '' });
-        } catch {
-            return;
+            dashboards = yield this.fetch.get(this.args.options.endpoint, { ...getFilterQueryParams(this.filters), ...params }, { namespace: '' });
+        } catch (error) {
+            this.isLoading = false;
+            throw error;
         }
 
         this.isLoading = false;
@@ -0,0 +1,90 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+import { DEFAULT_SLA_DAYS, getAlertFilterParams, getNoisySubjects, getSlaPeriod } from '../../utils/alert-sla';
+import { DASHBOARD_FILTERS_CHANGED_EVENT } from '../../utils/dashboard-filters';
+
+export default class DashboardNoisyAlertSubjectsComponent extends Component {
+    @service dashboard;
+    @service intl;
+    @service store;
+    @service universe;
+    @service widgetRefresh;
+
+    /**
+     * Alerts triggered over the period.
+     *
+     * @memberof DashboardNoisyAlertSubjectsComponent
+     */
+    @tracked alerts = [];
+    @tracked error;
+
+    /**
+     * Refreshes the widget on an interval or on alert events when live, failed refreshes keep the last loaded alerts.
+     *
+     * @memberof DashboardNoisyAlertSubjectsComponent
+     */
+    refresher;
+
+    constructor() {
+        super(...arguments);
+        this.refresher = this.widgetRefresh.register({
+            widget: this.args.widget,
+            options: { live_events: ['alert.'], ...this.args.options },
+            reload: () => this.loadAlerts.perform(),
+            onError: this.args.onError,
+        });
+        this.refresher.refresh();
+        this.universe.on(DASHBOARD_FILTERS_CHANGED_EVENT, this.reload);
+    }
+
+    willDestroy() {
+        super.willDestroy(...arguments);
+        this.widgetRefresh.unregister(this.refresher);
+        this.universe.off(DASHBOARD_FILTERS_CHANGED_EVENT, this.reload);
+    }
+
+    /**
+     * The dashboard filters this widget supports.
+     *
+     * @readonly
+     * @memberof DashboardNoisyAlertSubjectsComponent
+     */
+    get filters() {
+        return this.dashboard.getWidgetFilters(this.args.widget ?? { options: this.args.options });
+    }
+
+    get period() {
+        return getSlaPeriod(this.filters, this.args.options?.days ?? DEFAULT_SLA_DAYS);
+    }
+
+    get title() {
+        const { from, to, days, isRange } = this.period;
+        if (isRange) {
+            const format = (date) => this.intl.formatDate(date, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+            return this.intl.t('component.dashboard.noisy-alert-subjects.title-range', { start: format(from), end: format(to) });
+        }
+
+        return this.intl.t('component.dashboard.noisy-alert-subjects.title', { days });
+    }
+
+    get subjects() {
+        return getNoisySubjects(this.alerts, this.args.options?.limit ?? 5);
+    }
+
+    @action reload() {
+        return this.refresher.refresh();
+    }
+
+    @task({ restartable: true }) *loadAlerts() {
+        try {
+            this.alerts = yield this.store.query('alert', { ...getAlertFilterParams(this.filters, this.period), sort: '-triggered_at', limit: 1000 });
+            this.error = null;
+        } catch (error) {
+            this.error = error;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,103 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { htmlSafe } from '@ember/template';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+import { ALERT_URGENCY_LEVELS, countOpenAlertsBySeverity, getAlertFilterParams } from '../../utils/alert-sla';
+import { DASHBOARD_FILTERS_CHANGED_EVENT } from '../../utils/dashboard-filters';
+
+const URGENCY_COLORS = {
+    urgent: 'bg-red-500',
+    high: 'bg-orange-500',
+    medium: 'bg-yellow-400',
+    low: 'bg-gray-400',
+};
+
+export default class DashboardOpenAlertsBySeverityComponent extends Component {
+    @service dashboard;
+    @service store;
+    @service universe;
+    @service widgetRefresh;
+
+    /**
+     * Unresolved alerts.
+     *
+     * @memberof DashboardOpenAlertsBySeverityComponent
+     */
+    @tracked alerts = [];
+    @tracked error;
+
+    /**
+     * Refreshes the widget on an interval or on alert events when live, failed refreshes keep the last loaded alerts.
+     *
+     * @memberof DashboardOpenAlertsBySeverityComponent
+     */
+    refresher;
+
+    urgencyLevels = ALERT_URGENCY_LEVELS.map((level) => ({ level, color: URGENCY_COLORS[level] }));
+
+    constructor() {
+        super(...arguments);
+        this.refresher = this.widgetRefresh.register({
+            widget: this.args.widget,
+            options: { live_events: ['alert.'], ...this.args.options },
+            reload: () => this.loadAlerts.perform(),
+            onError: this.args.onError,
+        });
+        this.refresher.refresh();
+        this.universe.on(DASHBOARD_FILTERS_CHANGED_EVENT, this.reload);
+    }
+
+    willDestroy() {
+        super.willDestroy(...arguments);
+        this.widgetRefresh.unregister(this.refresher);
+        this.universe.off(DASHBOARD_FILTERS_CHANGED_EVENT, this.reload);
+    }
+
+    /**
+     * The dashboard filters this widget supports.
+     *
+     * @readonly
+     * @memberof DashboardOpenAlertsBySeverityComponent
+     */
+    get filters() {
+        return this.dashboard.getWidgetFilters(this.args.widget ?? { options: this.args.options });
+    }
+
+    get total() {
+        return this.severities.reduce((total, { count }) => total + count, 0);
+    }
+
+    /**
+     * Open alert counts per severity with a bar segment per urgency, bars are scaled to the largest severity.
+     *
+     * @readonly
+     * @memberof DashboardOpenAlertsBySeverityComponent
+     */
+    get severities() {
+        const counts = countOpenAlertsBySeverity(this.alerts);
+        const max = Math.max(1, ...counts.map(({ count }) => count));
+
+        return counts.map((entry) => ({
+            ...entry,
+            segments: this.urgencyLevels
+                .filter(({ level }) => entry.urgency[level] > 0)
+                .map(({ level, color }) => ({ level, color, count: entry.urgency[level], style: htmlSafe(`width: ${(entry.urgency[level] / max) * 100}%`) })),
+        }));
+    }
+
+    @action reload() {
+        return this.refresher.refresh();
+    }
+
+    @task({ restartable: true }) *loadAlerts() {
+        try {
+            this.alerts = yield this.store.query('alert', { ...getAlertFilterParams(this.filters), status: 'pending,acknowledged,snoozed', limit: 1000 });
+            this.error = null;
+        } catch (error) {
+            this.error = error;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,34 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { REFRESH_INTERVALS, describeRefreshInterval, getRefreshInterval } from '../../utils/widget-refresh';
+
+export default class DashboardRefreshSettingsComponent extends Component {
+    @service dashboard;
+
+    intervals = REFRESH_INTERVALS.map((interval) => ({ interval, ...describeRefreshInterval(interval) }));
+
+    get currentDashboard() {
+        return this.dashboard.currentDashboard;
+    }
+
+    get interval() {
+        return getRefreshInterval({}, this.currentDashboard?.options);
+    }
+
+    get isLive() {
+        return this.currentDashboard?.options?.live === true;
+    }
+
+    get description() {
+        return describeRefreshInterval(this.interval);
+    }
+
+    @action setInterval(interval) {
+        return this.dashboard.updateOptions.perform(this.currentDashboard, { refresh_interval: interval });
+    }
+
+    @action toggleLive() {
+        return this.dashboard.updateOptions.perform(this.currentDashboard, { live: !this.isLive });
+    }
+}
@@ -0,0 +1,130 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+import { DASHBOARD_FILTERS_CHANGED_EVENT } from '../../utils/dashboard-filters';
+import { computeKpi, findDateRangeParameter, getComparisonRange, getKpiParameterValues } from '../../utils/report-kpi';
+
+export default class DashboardReportKpiComponent extends Component {
+    @service dashboard;
+    @service intl;
+    @service store;
+    @service universe;
+    @service widgetRefresh;
+
+    /**
+     * The report the KPI is computed from, executed again on every refresh.
+     *
+     * @memberof DashboardReportKpiComponent
+     */
+    @tracked report;
+    @tracked value = null;
+    @tracked previousValue = null;
+    @tracked error;
+
+    /**
+     * Executes the report again on the refresh interval of the widget or dashboard.
+     *
+     * @memberof DashboardReportKpiComponent
+     */
+    refresher;
+
+    constructor() {
+        super(...arguments);
+        this.refresher = this.widgetRefresh.register({ widget: this.args.widget, options: this.args.options, reload: () => this.loadKpi.perform(), onError: this.args.onError });
+        this.refresher.refresh();
+        this.universe.on(DASHBOARD_FILTERS_CHANGED_EVENT, this.reload);
+    }
+
+    willDestroy() {
+        super.willDestroy(...arguments);
+        this.widgetRefresh.unregister(this.refresher);
+        this.universe.off(DASHBOARD_FILTERS_CHANGED_EVENT, this.reload);
+    }
+
+    get options() {
+        return this.args.options ?? {};
+    }
+
+    /**
+     * The dashboard filters this widget supports, applied to the report parameters.
+     *
+     * @readonly
+     * @memberof DashboardReportKpiComponent
+     */
+    get filters() {
+        return this.dashboard.getWidgetFilters(this.args.widget ?? { options: this.options });
+    }
+
+    get title() {
+        return this.options.title ?? this.args.widget?.name ?? this.report?.title;
+    }
+
+    /**
+     * Options rendered by `Dashboard::Count`.
+     *
+     * @readonly
+     * @memberof DashboardReportKpiComponent
+     */
+    get countOptions() {
+        const { comparison } = this.options;
+
+        return {
+            ...this.options,
+            value: this.value,
+            previousValue: comparison ? this.previousValue : null,
+            comparisonLabel: this.comparisonLabel,
+            wrapperClass: 'lg:col-span-1',
+        };
+    }
+
+    get comparisonLabel() {
+        switch (this.options.comparison) {
+            case 'previous_period':
+                return this.intl.t('component.dashboard.report-kpi.vs-previous-period');
+            case 'previous_year':
+                return this.intl.t('component.dashboard.report-kpi.vs-previous-year');
+            default:
+                return null;
+        }
+    }
+
+    @action reload() {
+        return this.refresher.refresh();
+    }
+
+    /**
+     * Execute the report with the dashboard filters applied, and once more over the comparison period when the KPI has one.
+     * The comparison runs first so the report keeps the parameter values of the current period.
+     *
+     * @memberof DashboardReportKpiComponent
+     */
+    @task({ restartable: true }) *loadKpi() {
+        const { report: id, parameters, date_parameter, comparison } = this.options;
+        if (!id) {
+            return;
+        }
+
+        try {
+            this.report = yield this.store.findRecord('report', id);
+            const values = getKpiParameterValues(this.report.parameters, parameters, this.filters, { dateParameter: date_parameter });
+            const dateParameter = findDateRangeParameter(this.report.parameters, date_parameter);
+            const comparisonRange = comparison && dateParameter ? getComparisonRange(this.report.resolveParameters(values)[dateParameter.name], comparison) : null;
+
+            let previousValue = null;
+            if (comparisonRange) {
+                const previous = yield this.report.execute({ ...values, [dateParameter.name]: comparisonRange });
+                previousValue = computeKpi(previous, this.options);
+            }
+
+            const result = yield this.report.execute(values);
+            this.value = computeKpi(result, this.options);
+            this.previousValue = previousValue;
+            this.error = null;
+        } catch (error) {
+            this.error = error;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,56 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { task } from 'ember-concurrency';
+
+export default class DashboardReportVisualizationComponent extends Component {
+    @service store;
+    @service widgetRefresh;
+
+    /**
+     * The pinned report, executed when the widget renders.
+     *
+     * @memberof DashboardReportVisualizationComponent
+     */
+    @tracked report;
+    @tracked error;
+
+    /**
+     * Executes the report again on the refresh interval of the widget or dashboard.
+     *
+     * @memberof DashboardReportVisualizationComponent
+     */
+    refresher;
+
+    constructor() {
+        super(...arguments);
+        this.refresher = this.widgetRefresh.register({ widget: this.args.widget, options: this.args.options, reload: () => this.loadReport.perform(), onError: this.args.onError });
+        this.refresher.refresh();
+    }
+
+    willDestroy() {
+        super.willDestroy(...arguments);
+        this.widgetRefresh.unregister(this.refresher);
+    }
+
+    get visualization() {
+        return this.args.options?.visualization ?? this.report?.visualization;
+    }
+
+    @task({ restartable: true }) *loadReport() {
+        const id = this.args.options?.report;
+        if (!id) {
+            return;
+        }
+
+        try {
+            this.report = yield this.store.findRecord('report', id);
+            const result = yield this.report.execute(this.args.options?.parameters ?? {});
+            this.report.fillResult(result);
+            this.error = null;
+        } catch (error) {
+            this.error = error;
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,49 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { DASHBOARD_SHARE_PERMISSIONS, DASHBOARD_SHARE_TYPES, createDashboardShare, removeDashboardShare, upsertDashboardShare } from '../../utils/dashboard-sharing';
+
+export default class DashboardShareEditorComponent extends Component {
+    /**
+     * Options offered when adding a share.
+     *
+     * @memberof DashboardShareEditorComponent
+     */
+    types = DASHBOARD_SHARE_TYPES;
+    permissions = DASHBOARD_SHARE_PERMISSIONS;
+
+    @tracked type = 'user';
+    @tracked permission = 'view';
+
+    get shares() {
+        return this.args.shares ?? [];
+    }
+
+    @action setType(type) {
+        this.type = type;
+    }
+
+    @action setPermission(permission) {
+        this.permission = permission;
+    }
+
+    @action addShare(record) {
+        if (record) {
+            this.update(upsertDashboardShare(this.shares, createDashboardShare(this.type, record, this.permission)));
+        }
+    }
+
+    @action setSharePermission(share, permission) {
+        this.update(upsertDashboardShare(this.shares, { ...share, permission }));
+    }
+
+    @action removeShare(share) {
+        this.update(removeDashboardShare(this.shares, share));
+    }
+
+    update(shares) {
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(shares);
+        }
+    }
+}
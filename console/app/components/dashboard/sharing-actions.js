@@ -0,0 +1,145 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class DashboardSharingActionsComponent extends Component {
+    @service currentUser;
+    @service dashboard;
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+
+    get currentDashboard() {
+        return this.dashboard.currentDashboard;
+    }
+
+    /**
+     * What the current user may do with the current dashboard, the system dashboard can only be duplicated.
+     *
+     * @readonly
+     * @memberof DashboardSharingActionsComponent
+     */
+    get permission() {
+        if (!this.currentDashboard || this.currentDashboard.isSystem) {
+            return null;
+        }
+
+        return this.currentDashboard.permissionFor(this.currentUser.user);
+    }
+
+    get isOwner() {
+        return this.permission === 'owner';
+    }
+
+    get isSharedWithMe() {
+        return ['view', 'edit'].includes(this.permission);
+    }
+
+    @action share() {
+        const dashboard = this.currentDashboard;
+
+        this.modalsManager.show('modals/dashboard-share', {
+            title: this.intl.t('component.dashboard.sharing-actions.share-title', { dashboardName: dashboard.name }),
+            acceptButtonText: this.intl.t('common.save-changes'),
+            acceptButtonIcon: 'save',
+            shares: [...(dashboard.shares ?? [])],
+            setShares: (shares) => {
+                this.modalsManager.setOption('shares', shares);
+            },
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                try {
+                    await this.dashboard.saveShares.perform(dashboard, modal.getOption('shares'));
+                    modal.done();
+                } catch (error) {
+                    modal.stopLoading();
+                    this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+
+    @action duplicate() {
+        const dashboard = this.currentDashboard;
+
+        this.modalsManager.show('modals/create-dashboard', {
+            title: this.intl.t('component.dashboard.sharing-actions.duplicate-title', { dashboardName: dashboard.name }),
+            acceptButtonText: this.intl.t('component.dashboard.sharing-actions.duplicate'),
+            acceptButtonIcon: 'copy',
+            name: this.intl.t('component.dashboard.sharing-actions.copy-name', { dashboardName: dashboard.name }),
+            confirm: async (modal) => {
+                modal.startLoading();
+                await this.dashboard.duplicateDashboard.perform(dashboard, modal.getOption('name'));
+                modal.done();
+            },
+        });
+    }
+
+    @action togglePublished() {
+        return this.dashboard.publishTemplate.perform(this.currentDashboard, !this.currentDashboard.is_template);
+    }
+
+    @action exportDashboard() {
+        return this.dashboard.exportDashboard(this.currentDashboard);
+    }
+
+    @action importDashboard() {
+        this.modalsManager.show('modals/dashboard-import', {
+            title: this.intl.t('component.dashboard.sharing-actions.import-title'),
+            acceptButtonText: this.intl.t('component.dashboard.sharing-actions.import'),
+            acceptButtonIcon: 'file-import',
+            modalClass: 'modal-lg',
+            imported: null,
+            resolutions: {},
+            name: null,
+            setImport: ({ dashboard, resolutions }) => {
+                if (dashboard && dashboard !== this.modalsManager.getOption('imported')) {
+                    this.modalsManager.setOption('name', dashboard.name);
+                }
+
+                this.modalsManager.setOption('imported', dashboard);
+                this.modalsManager.setOption('resolutions', resolutions);
+            },
+            confirm: async (modal) => {
+                const imported = modal.getOption('imported');
+                if (!imported) {
+                    return this.notifications.warning(this.intl.t('component.dashboard.sharing-actions.select-import'));
+                }
+
+                modal.startLoading();
+                const dashboard = await this.dashboard.importDashboard.perform(imported, modal.getOption('resolutions'), modal.getOption('name'));
+                if (dashboard) {
+                    return modal.done();
+                }
+
+                modal.stopLoading();
+            },
+        });
+    }
+
+    @action openTemplateGallery() {
+        this.modalsManager.show('modals/dashboard-template-gallery', {
+            title: this.intl.t('component.dashboard.sharing-actions.gallery-title'),
+            acceptButtonText: this.intl.t('component.dashboard.sharing-actions.use-template'),
+            acceptButtonIcon: 'plus',
+            modalClass: 'modal-lg',
+            selected: null,
+            name: null,
+            selectTemplate: (entry) => {
+                this.modalsManager.setOption('selected', entry);
+                this.modalsManager.setOption('name', entry.title);
+            },
+            confirm: async (modal) => {
+                const selected = modal.getOption('selected');
+                if (!selected) {
+                    return this.notifications.warning(this.intl.t('component.dashboard.sharing-actions.select-template'));
+                }
+
+                modal.startLoading();
+                await this.dashboard.createFromTemplate.perform(selected.template, modal.getOption('name') || selected.title);
+                modal.done();
+            },
+        });
+    }
+}
@@ -0,0 +1,56 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+const TEMPLATE_TITLES = {
+    default: 'component.dashboard.template-gallery.template-default',
+    category: 'component.dashboard.template-gallery.template-category',
+    all: 'component.dashboard.template-gallery.template-all',
+};
+
+export default class DashboardTemplateGalleryComponent extends Component {
+    @service dashboard;
+    @service intl;
+
+    constructor() {
+        super(...arguments);
+        this.dashboard.loadTemplates.perform({ extension: this.args.extension ?? 'core' });
+    }
+
+    /**
+     * Templates published within the organization.
+     *
+     * @readonly
+     * @memberof DashboardTemplateGalleryComponent
+     */
+    get publishedTemplates() {
+        return this.dashboard.templates.map((dashboard) => ({ id: dashboard.id, title: dashboard.name, template: dashboard.toTemplate() }));
+    }
+
+    /**
+     * Templates seeded from registered widgets.
+     *
+     * @readonly
+     * @memberof DashboardTemplateGalleryComponent
+     */
+    get widgetTemplates() {
+        return this.dashboard.getGalleryTemplates(this.args.dashboardId ?? 'dashboard').map((template) => ({
+            id: template.id,
+            title: this.intl.t(TEMPLATE_TITLES[template.name], { category: template.category }),
+            template,
+        }));
+    }
+
+    get sections() {
+        return [
+            { title: this.intl.t('component.dashboard.template-gallery.published'), entries: this.publishedTemplates },
+            { title: this.intl.t('component.dashboard.template-gallery.from-widgets'), entries: this.widgetTemplates },
+        ];
+    }
+
+    @action select(entry) {
+        if (typeof this.args.onSelect === 'function') {
+            this.args.onSelect(entry);
+        }
+    }
+}
@@ -0,0 +1,74 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { getOwner } from '@ember/application';
+import { getWidgetComponentName } from '../../utils/dashboard-templates';
+
+/**
+ * Shows a failure card in place of a widget whose component is not registered, or which reports through `@onError` that
+ * its data failed to load. Glimmer has no error boundaries: an exception thrown while a widget renders, in its
+ * constructor or its template, can not be caught here and still aborts the render of the dashboard. Extension widgets
+ * only get the failure card when they call `@onError`.
+ */
+export default class DashboardWidgetBoundaryComponent extends Component {
+    @service widgetDiagnostics;
+    @service currentUser;
+
+    /**
+     * The diagnostics entry of the failure shown instead of the widget.
+     *
+     * @memberof DashboardWidgetBoundaryComponent
+     */
+    @tracked failure = null;
+
+    constructor() {
+        super(...arguments);
+        this.checkComponent();
+    }
+
+    get componentName() {
+        return getWidgetComponentName(this.args.widget?.component) ?? this.args.widget?.component;
+    }
+
+    get canViewStack() {
+        return this.currentUser.isAdmin && Boolean(this.failure?.stack);
+    }
+
+    /**
+     * Fail widgets whose component is not registered, the grid would otherwise render an empty tile.
+     *
+     * @memberof DashboardWidgetBoundaryComponent
+     */
+    checkComponent() {
+        const { component } = this.args.widget ?? {};
+        const isMissing = !component || (typeof component === 'string' && !component.startsWith('#extension-component') && !getOwner(this).factoryFor(`component:${component}`));
+
+        if (isMissing) {
+            this.failure = this.widgetDiagnostics.report(new Error(`Component "${component ?? ''}" could not be found.`), {
+                widget: this.args.widget,
+                dashboard: this.args.dashboard,
+                phase: 'resolve',
+            });
+        }
+    }
+
+    /**
+     * Passed to the widget as `@onError`, widgets call it when their data fails to load and they have nothing to show.
+     *
+     * @param {Error} error
+     * @memberof DashboardWidgetBoundaryComponent
+     */
+    @action fail(error) {
+        if (this.isDestroying || this.isDestroyed) {
+            return;
+        }
+
+        this.failure = this.widgetDiagnostics.report(error, { widget: this.args.widget, dashboard: this.args.dashboard, phase: 'load' });
+    }
+
+    @action retry() {
+        this.failure = null;
+        this.checkComponent();
+    }
+}
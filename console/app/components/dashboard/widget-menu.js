@@ -0,0 +1,40 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class DashboardWidgetMenuComponent extends Component {
+    @service widgetPreferences;
+    @service modalsManager;
+    @service intl;
+
+    @action toggleCollapsed() {
+        this.widgetPreferences.update(this.args.widget, { collapsed: !this.args.preference?.collapsed });
+    }
+
+    @action hide() {
+        this.widgetPreferences.update(this.args.widget, { hidden: true });
+    }
+
+    @action reset() {
+        this.widgetPreferences.reset([this.args.widget]);
+    }
+
+    /**
+     * Ask for the title the widget is shown with, an empty title goes back to the title of the widget.
+     *
+     * @memberof DashboardWidgetMenuComponent
+     */
+    @action rename() {
+        const { widget, preference } = this.args;
+
+        this.modalsManager.show('modals/dashboard-widget-title', {
+            title: this.intl.t('component.dashboard.widget-menu.rename-title'),
+            acceptButtonText: this.intl.t('common.save'),
+            widgetTitle: preference?.title ?? widget.options?.title ?? widget.name,
+            confirm: (modal) => {
+                this.widgetPreferences.update(widget, { title: modal.getOption('widgetTitle') });
+                modal.done();
+            },
+        });
+    }
+}
@@ -0,0 +1,58 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task, all } from 'ember-concurrency';
+import { DASHBOARD_DENSITIES, resetWidgetLayouts } from '../../utils/widget-preferences';
+
+export default class DashboardWidgetPreferencesComponent extends Component {
+    @service currentUser;
+    @service dashboard;
+    @service intl;
+    @service notifications;
+    @service widgetPreferences;
+
+    densities = Object.keys(DASHBOARD_DENSITIES);
+
+    get widgets() {
+        return this.dashboard.currentDashboard?.widgets?.toArray?.() ?? [];
+    }
+
+    get hiddenWidgets() {
+        return this.widgetPreferences.getHiddenWidgets(this.widgets);
+    }
+
+    get canEdit() {
+        const dashboard = this.dashboard.currentDashboard;
+        return Boolean(dashboard && !dashboard.isNew && !dashboard.isSystem && dashboard.canEdit(this.currentUser.user));
+    }
+
+    @action setDensity(density) {
+        this.widgetPreferences.setDensity(density);
+    }
+
+    @action showWidget(widget) {
+        this.widgetPreferences.update(widget, { hidden: false });
+    }
+
+    /**
+     * Reset every widget of the dashboard to its default: preferences are cleared and, for users who may edit the
+     * dashboard, the layouts saved for smaller screens are dropped.
+     *
+     * @memberof DashboardWidgetPreferencesComponent
+     */
+    @task *reset() {
+        this.widgetPreferences.reset(this.widgets);
+
+        if (this.canEdit) {
+            try {
+                yield all(
+                    this.widgets.filter((widget) => widget.grid_options?.breakpoints).map((widget) => widget.updateProperties({ grid_options: resetWidgetLayouts(widget.grid_options) }))
+                );
+            } catch (error) {
+                return this.notifications.serverError(error);
+            }
+        }
+
+        this.notifications.success(this.intl.t('component.dashboard.widget-preferences.reset-success'));
+    }
+}
@@ -0,0 +1,34 @@
+import Component from '@glimmer/component';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { formatDistance } from 'date-fns';
+import { REFRESH_INTERVALS, describeRefreshInterval } from '../../utils/widget-refresh';
+
+export default class DashboardWidgetRefreshComponent extends Component {
+    @service session;
+    @service widgetRefresh;
+
+    /**
+     * Intervals a widget can use, `null` follows the dashboard.
+     *
+     * @memberof DashboardWidgetRefreshComponent
+     */
+    intervals = [null, ...REFRESH_INTERVALS].map((interval) => ({ interval, ...describeRefreshInterval(interval) }));
+
+    get lastUpdated() {
+        const { lastUpdatedAt } = this.args.subscription ?? {};
+        return lastUpdatedAt ? formatDistance(lastUpdatedAt, Math.max(this.widgetRefresh.now, lastUpdatedAt), { addSuffix: true }) : null;
+    }
+
+    @action refresh() {
+        return this.args.subscription?.refresh();
+    }
+
+    @action setInterval(interval) {
+        return this.widgetRefresh.updateWidgetOptions.perform(this.args.subscription, { refresh_interval: interval });
+    }
+
+    @action toggleLive() {
+        return this.widgetRefresh.updateWidgetOptions.perform(this.args.subscription, { live: !this.args.subscription.isLive });
+    }
+}
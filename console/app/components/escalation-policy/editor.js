@@ -0,0 +1,49 @@
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { createEscalationTier } from '../../utils/alert-escalation';
+import { ALERT_SEVERITIES } from '../../utils/alert-types';
+
+export default class EscalationPolicyEditorComponent extends Component {
+    /**
+     * Options offered by the editor.
+     *
+     * @memberof EscalationPolicyEditorComponent
+     */
+    severities = [...ALERT_SEVERITIES].reverse();
+    urgencyLevels = ['urgent', 'high', 'medium', 'low'];
+
+    get tiers() {
+        return this.args.policy.tiers ?? [];
+    }
+
+    @action setAttribute(key, event) {
+        this.args.policy.set(key, event?.target ? event.target.value : event);
+    }
+
+    @action setRepeatCount(event) {
+        this.args.policy.set('repeat_count', Math.max(0, parseInt(event.target.value, 10) || 0));
+    }
+
+    @action toggleListValue(key, value, enabled) {
+        const values = (this.args.policy[key] ?? []).filter((existing) => existing !== value);
+        this.args.policy.set(key, enabled ? [...values, value] : values);
+    }
+
+    @action addTier() {
+        this.args.policy.set('tiers', [...this.tiers, createEscalationTier()]);
+    }
+
+    @action setTier(index, tier) {
+        this.args.policy.set(
+            'tiers',
+            this.tiers.map((existing, i) => (i === index ? tier : existing))
+        );
+    }
+
+    @action removeTier(index) {
+        this.args.policy.set(
+            'tiers',
+            this.tiers.filter((_, i) => i !== index)
+        );
+    }
+}
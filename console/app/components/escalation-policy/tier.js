@@ -0,0 +1,84 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { debug } from '@ember/debug';
+import { task, all } from 'ember-concurrency';
+import { ESCALATION_TARGET_TYPES, ON_CALL_SUBJECT_TYPE } from '../../utils/alert-escalation';
+import { NOTIFICATION_TRANSPORTS } from '../../utils/notification-transports';
+
+const TARGET_MODELS = {
+    user: 'user',
+    group: 'group',
+    schedule: 'schedule',
+};
+
+export default class EscalationPolicyTierComponent extends Component {
+    @service store;
+
+    /**
+     * Transports a tier can page through.
+     *
+     * @memberof EscalationPolicyTierComponent
+     */
+    transports = NOTIFICATION_TRANSPORTS;
+
+    /**
+     * Query limiting schedule targets to on-call schedules.
+     *
+     * @memberof EscalationPolicyTierComponent
+     */
+    scheduleQuery = { subject_type: ON_CALL_SUBJECT_TYPE };
+
+    /**
+     * Records targeted by the tier, keyed by target type.
+     *
+     * @memberof EscalationPolicyTierComponent
+     */
+    @tracked targets = { user: [], group: [], schedule: [] };
+
+    constructor() {
+        super(...arguments);
+        this.loadTargets.perform();
+    }
+
+    get tier() {
+        return this.args.tier ?? {};
+    }
+
+    @action setWaitMinutes(event) {
+        this.update({ wait_minutes: event.target.value === '' ? 0 : Number(event.target.value) });
+    }
+
+    @action toggleTransport(transport, enabled) {
+        const transports = (this.tier.transports ?? []).filter((existing) => existing !== transport);
+        this.update({ transports: enabled ? [...transports, transport] : transports });
+    }
+
+    @action setTargets(type, records) {
+        this.targets = { ...this.targets, [type]: records };
+        const targets = ESCALATION_TARGET_TYPES.flatMap((targetType) => this.targets[targetType].map((record) => ({ type: targetType, id: record.id, name: record.name })));
+        this.update({ targets });
+    }
+
+    update(changes = {}) {
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange({ ...this.tier, ...changes });
+        }
+    }
+
+    @task *loadTargets() {
+        const targets = { user: [], group: [], schedule: [] };
+
+        try {
+            for (const type of ESCALATION_TARGET_TYPES) {
+                const ids = (this.tier.targets ?? []).filter((target) => target.type === type).map((target) => target.id);
+                targets[type] = yield all(ids.map((id) => this.store.findRecord(TARGET_MODELS[type], id)));
+            }
+        } catch (error) {
+            debug(`Unable to load escalation tier targets : ${error.message}`);
+        }
+
+        this.targets = targets;
+    }
+}
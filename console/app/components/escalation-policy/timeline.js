@@ -0,0 +1,20 @@
+import Component from '@glimmer/component';
+import { getEscalationTimeline } from '../../utils/alert-escalation';
+
+export default class EscalationPolicyTimelineComponent extends Component {
+    /**
+     * Paging steps of the policy as minutes after an alert triggers.
+     *
+     * @readonly
+     * @memberof EscalationPolicyTimelineComponent
+     */
+    get steps() {
+        const policy = this.args.policy ?? {};
+
+        return getEscalationTimeline({ tiers: policy.tiers, repeat_count: policy.repeat_count }, new Date(0)).map((step) => ({
+            ...step,
+            number: step.tier + 1,
+            minutes: step.notify_at.getTime() / 60000,
+        }));
+    }
+}
@@ -1,23 +1,46 @@
 import Component from '@glimmer/component';
 import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
 import { computed } from '@ember/object';
 import { isArray } from '@ember/array';
 import { isBlank } from '@ember/utils';
 import { task } from 'ember-concurrency';
-import { storageFor } from 'ember-local-storage';
-import { add, isPast } from 'date-fns';
-import fetch from 'fetch';
 
 export default class GithubCardComponent extends Component {
-    @storageFor('local-cache') localCache;
+    @service newsFeed;
     @tracked data = {
         owner: {
             avatar_url: 'https://avatars.githubusercontent.com/u/38091894?v=4',
         },
     };
     @tracked tags = [];
+    @tracked releaseNotes = [];
+    @tracked error = null;
+
+    get options() {
+        return this.args.options ?? {};
+    }
+
+    /**
+     * GitHub is only reached with the `fleetbase` source, a release notes feed stands in for it with the `feed` source.
+     *
+     * @readonly
+     * @memberof GithubCardComponent
+     */
+    get source() {
+        return this.newsFeed.getSource(this.options);
+    }
+
+    get isDisabled() {
+        return this.source !== 'fleetbase' && this.source !== 'feed';
+    }
+
+    @computed('tags.length', 'releaseNotes.length', 'source') get latestRelease() {
+        if (this.source === 'feed') {
+            const [note] = this.releaseNotes;
+            return note ? { name: note.title, url: note.link } : null;
+        }
 
-    @computed('tags.length') get latestRelease() {
         if (isArray(this.tags) && this.tags.length) {
             return this.tags[0];
         }
@@ -25,7 +48,11 @@ export default class GithubCardComponent extends Component {
         return { name: 'v0.0.1' };
     }
 
-    @computed('data.releases_url', 'latestRelease.name') get releaseUrl() {
+    @computed('data.releases_url', 'latestRelease.{name,url}') get releaseUrl() {
+        if (this.latestRelease?.url) {
+            return this.latestRelease.url;
+        }
+
         let url = 'https://github.com/fleetbase/fleetbase/releases';
 
         if (!isBlank(this.latestRelease?.name)) {
@@ -38,46 +65,21 @@ export default class GithubCardComponent extends Component {
     constructor() {
         super(...arguments);
         this.getRepositoryData.perform();
-        this.getRepositoryTags.perform();
     }
 
     @task *getRepositoryData() {
-        // Check if cached data and expiration are available
-        const cachedData = this.localCache.get('fleetbase-github-data');
-        const expiration = this.localCache.get('fleetbase-github-data-expiration');
-
-        // Check if the cached data is still valid
-        if (cachedData && expiration && !isPast(new Date(expiration))) {
-            // Use cached data
-            this.data = cachedData;
-        } else {
-            // Fetch new data
-            const response = yield fetch('https://api.github.com/repos/fleetbase/fleetbase', { cache: 'default' });
-            if (response.ok) {
-                this.data = yield response.json();
-                this.localCache.set('fleetbase-github-data', this.data);
-                this.localCache.set('fleetbase-github-data-expiration', add(new Date(), { hours: 6 }));
-            }
-        }
-    }
-
-    @task *getRepositoryTags() {
-        // Check if cached tags and expiration are available
-        const cachedTags = this.localCache.get('fleetbase-github-tags');
-        const expiration = this.localCache.get('fleetbase-github-tags-expiration');
+        this.error = null;
 
-        // Check if the cached tags are still valid
-        if (cachedTags && expiration && !isPast(new Date(expiration))) {
-            // Use cached tags
-            this.tags = cachedTags;
-        } else {
-            // Fetch new tags
-            const response = yield fetch('https://api.github.com/repos/fleetbase/fleetbase/tags', { cache: 'default' });
-            if (response.ok) {
-                this.tags = yield response.json();
-                this.localCache.set('fleetbase-github-tags', this.tags);
-                this.localCache.set('fleetbase-github-tags-expiration', add(new Date(), { hours: 6 }));
+        try {
+            if (this.source === 'fleetbase') {
+                const { data, tags } = yield this.newsFeed.loadRepository();
+                this.data = data ?? this.data;
+                this.tags = tags;
+            } else if (this.source === 'feed') {
+                this.releaseNotes = yield this.newsFeed.load({ ...this.options, limit: 1 });
             }
+        } catch (error) {
+            this.error = error;
         }
     }
 }
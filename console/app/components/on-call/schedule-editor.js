@@ -0,0 +1,169 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { debug } from '@ember/debug';
+import { task, all } from 'ember-concurrency';
+import { addDays, addHours, startOfHour } from 'date-fns';
+import { findCoverageGaps, generateRotation, getOnCallItems } from '../../utils/alert-escalation';
+
+export default class OnCallScheduleEditorComponent extends Component {
+    @service store;
+
+    /**
+     * Users the rotation generator cycles through.
+     *
+     * @memberof OnCallScheduleEditorComponent
+     */
+    @tracked rotationAssignees = [];
+    @tracked rotationStart = startOfHour(new Date());
+    @tracked rotationShiftHours = 24;
+    @tracked rotationShifts = 7;
+
+    /**
+     * Users assigned to shifts, keyed by id.
+     *
+     * @memberof OnCallScheduleEditorComponent
+     */
+    @tracked assignees = {};
+
+    /**
+     * The loaded shifts of the schedule.
+     *
+     * @memberof OnCallScheduleEditorComponent
+     */
+    @tracked items = null;
+
+    constructor() {
+        super(...arguments);
+        this.loadShifts.perform();
+    }
+
+    get shifts() {
+        return (this.items?.toArray?.() ?? [])
+            .filter((item) => !item.isDeleted)
+            .sort((a, b) => new Date(a.start_at) - new Date(b.start_at))
+            .map((item) => ({ item, assignee: this.assignees[item.assignee_uuid] ?? null }));
+    }
+
+    /**
+     * Who is on call right now.
+     *
+     * @readonly
+     * @memberof OnCallScheduleEditorComponent
+     */
+    get onCallNow() {
+        return getOnCallItems(
+            this.shifts.map(({ item }) => item),
+            new Date()
+        )
+            .map((item) => this.assignees[item.assignee_uuid])
+            .filter(Boolean);
+    }
+
+    /**
+     * Periods in the next 7 days without anybody on call.
+     *
+     * @readonly
+     * @memberof OnCallScheduleEditorComponent
+     */
+    get coverageGaps() {
+        const from = new Date();
+        const items = this.shifts.map(({ item }) => item);
+
+        return findCoverageGaps(items, from, addDays(from, 7));
+    }
+
+    @action addShift() {
+        const start = this.shifts.length ? new Date(this.shifts[this.shifts.length - 1].item.end_at) : startOfHour(new Date());
+        this.createShift({ assignee_type: 'user', start_at: start, end_at: addHours(start, 24), duration: 24 * 60, status: 'confirmed' });
+    }
+
+    @action removeShift(item) {
+        item.deleteRecord();
+        this.notifyChange();
+    }
+
+    @action setShiftAssignee(item, user) {
+        item.set('assignee_uuid', user?.id ?? null);
+        if (user) {
+            this.assignees = { ...this.assignees, [user.id]: user };
+        }
+    }
+
+    @action setShiftTime(item, key, date) {
+        item.set(key, date);
+        if (item.start_at && item.end_at) {
+            item.set('duration', Math.max(0, Math.round((new Date(item.end_at) - new Date(item.start_at)) / 60000)));
+        }
+        this.notifyChange();
+    }
+
+    @action setRotationAssignees(users) {
+        this.rotationAssignees = users;
+    }
+
+    @action setRotationStart(date) {
+        this.rotationStart = date;
+    }
+
+    @action setRotationNumber(key, event) {
+        this[key] = Math.max(1, parseInt(event.target.value, 10) || 1);
+    }
+
+    /**
+     * Append the generated rotation after the existing shifts.
+     *
+     * @memberof OnCallScheduleEditorComponent
+     */
+    @action generateRotation() {
+        const rotation = generateRotation({
+            assignees: this.rotationAssignees.map((user) => user.id),
+            start: this.rotationStart,
+            shiftHours: this.rotationShiftHours,
+            shifts: this.rotationShifts,
+        });
+
+        for (const user of this.rotationAssignees) {
+            this.assignees = { ...this.assignees, [user.id]: user };
+        }
+
+        for (const attributes of rotation) {
+            this.createShift(attributes);
+        }
+    }
+
+    createShift(attributes = {}) {
+        const item = this.store.createRecord('schedule-item', { schedule: this.args.schedule, schedule_uuid: this.args.schedule.id, ...attributes });
+        this.notifyChange();
+
+        return item;
+    }
+
+    /**
+     * Shifts are changed in place, reassigning the tracked assignees makes the getters read them again.
+     *
+     * @memberof OnCallScheduleEditorComponent
+     */
+    notifyChange() {
+        this.assignees = { ...this.assignees };
+    }
+
+    @task *loadShifts() {
+        try {
+            this.items = yield this.args.schedule.items;
+        } catch (error) {
+            debug(`Unable to load on-call shifts : ${error.message}`);
+            return;
+        }
+
+        const ids = new Set(this.items.map((item) => item.assignee_uuid).filter(Boolean));
+
+        try {
+            const users = yield all([...ids].map((id) => this.store.findRecord('user', id)));
+            this.assignees = users.reduce((assignees, user) => ({ ...assignees, [user.id]: user }), {});
+        } catch (error) {
+            debug(`Unable to load on-call assignees : ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,114 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+import diffObjects from '../../utils/diff-objects';
+
+export default class ReportExecutionHistoryComponent extends Component {
+    @service store;
+    @service notifications;
+
+    /**
+     * Executions of the report, most recent first.
+     *
+     * @memberof ReportExecutionHistoryComponent
+     */
+    @tracked executions = [];
+
+    /**
+     * Audit log entries of the report, most recent first.
+     *
+     * @memberof ReportExecutionHistoryComponent
+     */
+    @tracked auditLogs = [];
+
+    /**
+     * The execution whose `query_config` snapshot is being inspected.
+     *
+     * @memberof ReportExecutionHistoryComponent
+     */
+    @tracked selectedExecution;
+
+    /**
+     * The execution the selected execution is compared against.
+     *
+     * @memberof ReportExecutionHistoryComponent
+     */
+    @tracked comparedExecution;
+
+    constructor() {
+        super(...arguments);
+        this.loadExecutions.perform();
+        this.loadAuditLogs.perform();
+    }
+
+    /**
+     * Changes between the compared and the selected execution query config snapshots.
+     *
+     * @readonly
+     * @memberof ReportExecutionHistoryComponent
+     */
+    get snapshotChanges() {
+        if (!this.selectedExecution || !this.comparedExecution) {
+            return [];
+        }
+
+        return diffObjects(this.comparedExecution.query_config ?? {}, this.selectedExecution.query_config ?? {});
+    }
+
+    /**
+     * Audit log entries paired with the query config changes they recorded.
+     *
+     * @readonly
+     * @memberof ReportExecutionHistoryComponent
+     */
+    get auditEntries() {
+        return this.auditLogs.map((log) => ({
+            log,
+            changes: log.hasQueryConfigChanges ? diffObjects(log.old_values?.query_config ?? {}, log.new_values?.query_config ?? {}) : [],
+        }));
+    }
+
+    @action selectExecution(execution) {
+        if (this.selectedExecution === execution) {
+            this.selectedExecution = null;
+            this.comparedExecution = null;
+            return;
+        }
+
+        const index = this.executions.indexOf(execution);
+        this.selectedExecution = execution;
+        this.comparedExecution = this.executions[index + 1] ?? null;
+    }
+
+    @action compareWithId(id) {
+        this.comparedExecution = this.executions.find((execution) => execution.id === id) ?? null;
+    }
+
+    @task *loadExecutions() {
+        if (!this.args.report?.id) {
+            return;
+        }
+
+        try {
+            const executions = yield this.store.query('report-execution', { report_uuid: this.args.report.id, sort: '-created_at', limit: this.args.limit ?? 50 });
+            this.executions = executions.toArray();
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    @task *loadAuditLogs() {
+        if (!this.args.report?.id) {
+            return;
+        }
+
+        try {
+            const auditLogs = yield this.store.query('report-audit-log', { report_uuid: this.args.report.id, sort: '-created_at', limit: this.args.limit ?? 50 });
+            this.auditLogs = auditLogs.toArray();
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+}
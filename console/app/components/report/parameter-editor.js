@@ -0,0 +1,103 @@
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { underscore } from '@ember/string';
+import { PARAMETER_MODELS, PARAMETER_TYPES, createParameter, findParameterReferences } from '../../utils/report-parameters';
+
+export default class ReportParameterEditorComponent extends Component {
+    /**
+     * Types a parameter can be declared as.
+     *
+     * @memberof ReportParameterEditorComponent
+     */
+    parameterTypes = PARAMETER_TYPES;
+
+    /**
+     * Models a `model` parameter can select from.
+     *
+     * @memberof ReportParameterEditorComponent
+     */
+    parameterModels = PARAMETER_MODELS;
+
+    get parameters() {
+        return this.args.parameters ?? [];
+    }
+
+    /**
+     * Names of the parameters referenced by the report conditions.
+     *
+     * @readonly
+     * @memberof ReportParameterEditorComponent
+     */
+    get referencedNames() {
+        return findParameterReferences(this.args.conditions ?? []);
+    }
+
+    /**
+     * Parameters referenced by conditions but not declared.
+     *
+     * @readonly
+     * @memberof ReportParameterEditorComponent
+     */
+    get missingNames() {
+        const declared = this.parameters.map((parameter) => parameter.name);
+        return this.referencedNames.filter((name) => !declared.includes(name));
+    }
+
+    @action isReferenced(parameter) {
+        return this.referencedNames.includes(parameter.name);
+    }
+
+    @action defaultValuesFor(parameter) {
+        return { [parameter.name]: parameter.default ?? null };
+    }
+
+    @action addParameter() {
+        this.notify([...this.parameters, createParameter(this.parameters)]);
+    }
+
+    @action removeParameter(index) {
+        this.notify(this.parameters.filter((_, i) => i !== index));
+    }
+
+    @action setName(index, event) {
+        const name = underscore(event.target.value.trim()).replace(/[^a-z0-9_]/g, '');
+        if (name) {
+            this.update(index, { name });
+        }
+    }
+
+    @action setLabel(index, event) {
+        this.update(index, { label: event.target.value || null });
+    }
+
+    @action setType(index, type) {
+        this.update(index, { type, default: null, options: type === 'enum' ? [] : undefined, model: type === 'model' ? PARAMETER_MODELS[0] : undefined });
+    }
+
+    @action setModel(index, model) {
+        this.update(index, { model, default: null });
+    }
+
+    @action setOptions(index, options) {
+        this.update(index, { options: options.filter(Boolean) });
+    }
+
+    @action setRequired(index, required) {
+        this.update(index, { required });
+    }
+
+    @action setDefault(index, values) {
+        const parameter = this.parameters[index];
+        this.update(index, { default: values[parameter.name] ?? null });
+    }
+
+    update(index, attributes = {}) {
+        this.notify(this.parameters.map((parameter, i) => (i === index ? { ...parameter, ...attributes } : parameter)));
+    }
+
+    notify(parameters) {
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(parameters);
+        }
+    }
+}
@@ -0,0 +1,101 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { format } from 'date-fns';
+import { RELATIVE_DATE_EXPRESSIONS, resolveRelativeDate } from '../../utils/report-parameters';
+
+export default class ReportParameterFormComponent extends Component {
+    @service store;
+
+    /**
+     * Records picked for `model` parameters, the values only keep their ids.
+     *
+     * @memberof ReportParameterFormComponent
+     */
+    @tracked selectedModels = {};
+
+    /**
+     * Choices for date parameters, `custom` switches to date inputs.
+     *
+     * @memberof ReportParameterFormComponent
+     */
+    dateModes = ['custom', ...RELATIVE_DATE_EXPRESSIONS];
+
+    get values() {
+        return this.args.values ?? {};
+    }
+
+    /**
+     * Parameters with their current value, falling back to the declared default.
+     *
+     * @readonly
+     * @memberof ReportParameterFormComponent
+     */
+    get fields() {
+        return (this.args.parameters ?? []).map((parameter) => {
+            const value = this.values[parameter.name] ?? parameter.default ?? null;
+            const expression = value?.expression ?? null;
+
+            return {
+                parameter,
+                value,
+                expression,
+                isDate: ['date', 'daterange'].includes(parameter.type),
+                preview: expression ? this.previewExpression(expression) : null,
+                selectedModel: parameter.type === 'model' ? this.selectedModelFor(parameter, value) : null,
+                error: this.args.errors?.[parameter.name] ?? null,
+            };
+        });
+    }
+
+    @action setValue(name, value) {
+        this.notify({ ...this.values, [name]: value });
+    }
+
+    @action setInputValue(name, event) {
+        this.setValue(name, event.target.value);
+    }
+
+    @action setRangeValue(field, index, event) {
+        const range = Array.isArray(field.value) ? [...field.value] : [null, null];
+        range[index] = event.target.value;
+        this.setValue(field.parameter.name, range);
+    }
+
+    @action setDateMode(field, mode) {
+        if (mode === 'custom') {
+            this.setValue(field.parameter.name, field.parameter.type === 'daterange' ? [null, null] : null);
+        } else {
+            this.setValue(field.parameter.name, { expression: mode });
+        }
+    }
+
+    @action setModel(name, model) {
+        this.selectedModels = { ...this.selectedModels, [name]: model };
+        this.setValue(name, model?.id ?? null);
+    }
+
+    previewExpression(expression) {
+        const range = resolveRelativeDate(expression, this.args.context);
+        if (!range) {
+            return null;
+        }
+
+        return `${format(range.start, 'PP')} - ${format(range.end, 'PP')}`;
+    }
+
+    selectedModelFor(parameter, value) {
+        if (this.selectedModels[parameter.name] !== undefined) {
+            return this.selectedModels[parameter.name];
+        }
+
+        return value && parameter.model ? this.store.peekRecord(parameter.model, value) : null;
+    }
+
+    notify(values) {
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(values);
+        }
+    }
+}
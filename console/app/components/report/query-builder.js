@@ -0,0 +1,269 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { isArray } from '@ember/array';
+import { task, timeout, all } from 'ember-concurrency';
+import { compactConditions } from '../../utils/query-conditions';
+
+const BADGE_TYPES = {
+    simple: 'success',
+    moderate: 'warning',
+    complex: 'danger',
+    fast: 'success',
+    slow: 'danger',
+};
+
+export default class ReportQueryBuilderComponent extends Component {
+    @service fetch;
+    @service notifications;
+
+    /**
+     * Data sources available to report on.
+     *
+     * @memberof ReportQueryBuilderComponent
+     */
+    @tracked tables = [];
+
+    /**
+     * The primary table merged with the columns and relationships from its schema.
+     *
+     * @memberof ReportQueryBuilderComponent
+     */
+    @tracked table = null;
+
+    @tracked selectedColumns = [];
+    @tracked columnAliases = {};
+    @tracked joins = [];
+    @tracked conditions = [];
+    @tracked groupBy = [];
+    @tracked sortBy = [];
+    @tracked limit = null;
+
+    /**
+     * Runtime parameters which conditions can reference.
+     *
+     * @memberof ReportQueryBuilderComponent
+     */
+    @tracked parameters = [];
+
+    /**
+     * Feedback from the validate and analyze endpoints for the current query.
+     *
+     * @memberof ReportQueryBuilderComponent
+     */
+    @tracked validationErrors = [];
+    @tracked validationWarnings = [];
+    @tracked analysis = null;
+
+    constructor() {
+        super(...arguments);
+        this.loadFromQueryConfig(this.args.report?.query_config ?? {});
+        this.loadTables.perform();
+
+        if (this.table) {
+            this.loadSchema.perform(this.table, { reset: false });
+            this.analyzeQuery.perform();
+        }
+    }
+
+    /**
+     * All columns of the primary and joined tables.
+     *
+     * @readonly
+     * @memberof ReportQueryBuilderComponent
+     */
+    get columns() {
+        const columns = (this.table?.columns ?? []).map((column) => this.qualifyColumn(column, this.table.name));
+
+        for (const join of this.joins) {
+            const table = join.table?.name ?? join.table;
+            for (const column of join.table?.columns ?? join.columns ?? []) {
+                columns.push(this.qualifyColumn(column, table, join.label));
+            }
+        }
+
+        return columns;
+    }
+
+    /**
+     * Selected columns of the primary and joined tables, the only columns conditions can be applied to.
+     *
+     * @readonly
+     * @memberof ReportQueryBuilderComponent
+     */
+    get allSelectedColumns() {
+        const columns = this.selectedColumns.map((column) => this.qualifyColumn(column, this.table?.name));
+
+        for (const join of this.joins) {
+            for (const column of join.selectedColumns ?? []) {
+                columns.push(this.qualifyColumn(column, join.table?.name ?? join.table, join.label));
+            }
+        }
+
+        return columns;
+    }
+
+    get complexityBadgeType() {
+        return BADGE_TYPES[this.args.report?.complexity] ?? 'info';
+    }
+
+    get performanceBadgeType() {
+        return BADGE_TYPES[this.args.report?.estimatedPerformance] ?? 'info';
+    }
+
+    get queryConfig() {
+        return {
+            table: this.table ? { name: this.table.name, label: this.table.label } : null,
+            columns: this.selectedColumns.map((column) => ({ ...column, alias: this.columnAliases[column.name] || null })),
+            joins: this.joins,
+            conditions: this.conditions,
+            groupBy: this.groupBy,
+            sortBy: this.sortBy,
+            limit: this.limit,
+            parameters: this.parameters,
+        };
+    }
+
+    @task *loadTables() {
+        try {
+            const { tables } = yield this.fetch.get('reports/tables');
+            this.tables = isArray(tables) ? tables : [];
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    @task({ restartable: true }) *loadSchema(table, { reset = true } = {}) {
+        if (reset) {
+            this.resetQuery();
+        }
+
+        try {
+            const { schema } = yield this.fetch.get(`reports/tables/${table.name}/schema`);
+            this.table = {
+                ...table,
+                columns: schema?.columns ?? table.columns ?? [],
+                relationships: schema?.relationships ?? table.relationships ?? {},
+            };
+        } catch (error) {
+            this.table = table;
+            this.notifications.serverError(error);
+        }
+
+        if (reset) {
+            this.notifyChange();
+        }
+    }
+
+    @task({ restartable: true }) *analyzeQuery() {
+        yield timeout(600);
+
+        const { report } = this.args;
+        if (!report?.hasValidConfig) {
+            this.validationErrors = [];
+            this.validationWarnings = [];
+            this.analysis = null;
+            return;
+        }
+
+        try {
+            const [validation, analysis] = yield all([report.validate(), report.analyze()]);
+            this.validationErrors = validation?.errors ?? [];
+            this.validationWarnings = validation?.warnings ?? [];
+            this.analysis = analysis?.analysis ?? analysis ?? null;
+        } catch (error) {
+            this.validationErrors = error?.validation_errors ?? [error.message];
+            this.validationWarnings = error?.validation_warnings ?? [];
+        }
+    }
+
+    @action selectTable(table) {
+        this.loadSchema.perform(table);
+    }
+
+    @action setColumns(columns, columnAliases = {}) {
+        this.selectedColumns = columns;
+        this.columnAliases = columnAliases;
+        this.notifyChange();
+    }
+
+    @action setJoins(joins) {
+        this.joins = joins;
+        this.notifyChange();
+    }
+
+    @action setConditions(conditions) {
+        this.conditions = conditions;
+        this.notifyChange();
+    }
+
+    @action setGroupBy(groupBy) {
+        this.groupBy = groupBy;
+        this.notifyChange();
+    }
+
+    @action setSortBy(sortBy) {
+        this.sortBy = sortBy;
+        this.notifyChange();
+    }
+
+    @action setLimit(limit) {
+        this.limit = limit;
+        this.notifyChange();
+    }
+
+    @action setParameters(parameters) {
+        this.parameters = parameters;
+        this.notifyChange();
+    }
+
+    loadFromQueryConfig(queryConfig = {}) {
+        this.table = queryConfig.table ?? null;
+        this.selectedColumns = queryConfig.columns ?? [];
+        this.columnAliases = this.selectedColumns.reduce((aliases, column) => {
+            if (column.alias) {
+                aliases[column.name] = column.alias;
+            }
+            return aliases;
+        }, {});
+        this.joins = queryConfig.joins ?? [];
+        this.conditions = queryConfig.conditions ?? [];
+        this.groupBy = queryConfig.groupBy ?? [];
+        this.sortBy = queryConfig.sortBy ?? [];
+        this.limit = queryConfig.limit ?? null;
+        this.parameters = queryConfig.parameters ?? [];
+    }
+
+    resetQuery() {
+        this.selectedColumns = [];
+        this.columnAliases = {};
+        this.joins = [];
+        this.conditions = [];
+        this.groupBy = [];
+        this.sortBy = [];
+    }
+
+    qualifyColumn(column, table, tableLabel) {
+        return {
+            ...column,
+            table: column.table ?? table,
+            full: column.full ?? `${column.table ?? table}.${column.name}`,
+            label: column.label ?? (tableLabel ? `${tableLabel} - ${column.name}` : column.name),
+        };
+    }
+
+    notifyChange() {
+        const queryConfig = this.queryConfig;
+
+        if (this.args.report) {
+            // incomplete conditions are kept in the editor but never sent to the server
+            this.args.report.query_config = { ...queryConfig, conditions: compactConditions(queryConfig.conditions) };
+            this.analyzeQuery.perform();
+        }
+
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(queryConfig);
+        }
+    }
+}
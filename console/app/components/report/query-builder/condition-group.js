@@ -0,0 +1,200 @@
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { inject as service } from '@ember/service';
+import {
+    getOperatorsForColumn,
+    isConditionGroup,
+    createCondition,
+    createConditionGroup,
+    updateConditionsAt,
+    getConditionsAt,
+    setGroupOperator,
+    moveCondition,
+} from '../../../utils/query-conditions';
+import { isParameterReference } from '../../../utils/report-parameters';
+
+export default class ReportQueryBuilderConditionGroupComponent extends Component {
+    @service intl;
+
+    /**
+     * Path of group indexes from the root conditions to this group.
+     *
+     * @readonly
+     * @memberof ReportQueryBuilderConditionGroupComponent
+     */
+    get path() {
+        return this.args.path ?? [];
+    }
+
+    /**
+     * The conditions and nested groups of this group.
+     *
+     * @readonly
+     * @memberof ReportQueryBuilderConditionGroupComponent
+     */
+    get conditions() {
+        return getConditionsAt(this.args.conditions ?? [], this.path);
+    }
+
+    /**
+     * How the conditions of this group are joined, the root list keeps it on its conditions.
+     *
+     * @readonly
+     * @memberof ReportQueryBuilderConditionGroupComponent
+     */
+    get operator() {
+        if (this.path.length === 0) {
+            return this.conditions[this.conditions.length - 1]?.logicalOperator ?? 'and';
+        }
+
+        const parent = getConditionsAt(this.args.conditions ?? [], this.path.slice(0, -1));
+        return parent[this.path[this.path.length - 1]]?.operator ?? 'and';
+    }
+
+    get dragGroup() {
+        return `report-conditions-${this.path.join('-')}`;
+    }
+
+    get depth() {
+        return this.path.length;
+    }
+
+    /**
+     * Nesting is capped so the generated query stays readable.
+     *
+     * @readonly
+     * @memberof ReportQueryBuilderConditionGroupComponent
+     */
+    get canNest() {
+        return this.depth < (this.args.maxDepth ?? 3);
+    }
+
+    @action isGroup(node) {
+        return isConditionGroup(node);
+    }
+
+    @action childPath(index) {
+        return [...this.path, index];
+    }
+
+    @action isParameterReference(value) {
+        return isParameterReference(value);
+    }
+
+    /**
+     * Translated operator labels by operator key.
+     *
+     * @readonly
+     * @memberof ReportQueryBuilderConditionGroupComponent
+     */
+    get operatorLabels() {
+        return {
+            equals: this.intl.t('component.report.query-builder.operator-equals'),
+            'not-equals': this.intl.t('component.report.query-builder.operator-not-equals'),
+            'is-empty': this.intl.t('component.report.query-builder.operator-is-empty'),
+            'is-not-empty': this.intl.t('component.report.query-builder.operator-is-not-empty'),
+            contains: this.intl.t('component.report.query-builder.operator-contains'),
+            'not-contains': this.intl.t('component.report.query-builder.operator-not-contains'),
+            'starts-with': this.intl.t('component.report.query-builder.operator-starts-with'),
+            'ends-with': this.intl.t('component.report.query-builder.operator-ends-with'),
+            in: this.intl.t('component.report.query-builder.operator-in'),
+            'not-in': this.intl.t('component.report.query-builder.operator-not-in'),
+            'greater-than': this.intl.t('component.report.query-builder.operator-greater-than'),
+            'less-than': this.intl.t('component.report.query-builder.operator-less-than'),
+            'greater-or-equal': this.intl.t('component.report.query-builder.operator-greater-or-equal'),
+            'less-or-equal': this.intl.t('component.report.query-builder.operator-less-or-equal'),
+            between: this.intl.t('component.report.query-builder.operator-between'),
+            'not-between': this.intl.t('component.report.query-builder.operator-not-between'),
+            after: this.intl.t('component.report.query-builder.operator-after'),
+            before: this.intl.t('component.report.query-builder.operator-before'),
+            'on-or-after': this.intl.t('component.report.query-builder.operator-on-or-after'),
+            'on-or-before': this.intl.t('component.report.query-builder.operator-on-or-before'),
+            'between-dates': this.intl.t('component.report.query-builder.operator-between-dates'),
+            'not-between-dates': this.intl.t('component.report.query-builder.operator-not-between-dates'),
+        };
+    }
+
+    @action operatorsFor(column) {
+        const labels = this.operatorLabels;
+        return getOperatorsForColumn(column).map((operator) => ({ ...operator, label: labels[operator.key] }));
+    }
+
+    @action addCondition() {
+        this.update((list) => [...list, createCondition(this.operator)]);
+    }
+
+    @action addGroup() {
+        this.update((list) => [...list, createConditionGroup(this.operator)]);
+    }
+
+    @action removeNode(index) {
+        this.update((list) => list.filter((_, i) => i !== index));
+    }
+
+    @action setOperator(operator) {
+        this.notify(setGroupOperator(this.args.conditions ?? [], this.path, operator));
+    }
+
+    @action setField(index, field) {
+        this.updateNode(index, { field, operator: null, value: null });
+    }
+
+    @action setConditionOperator(index, operator) {
+        let value = null;
+        if (['between', 'not_between'].includes(operator?.value)) {
+            value = [null, null];
+        } else if (['in', 'not_in'].includes(operator?.value)) {
+            value = [];
+        }
+
+        this.updateNode(index, { operator, value });
+    }
+
+    @action setValue(index, { value }) {
+        this.updateNode(index, { value });
+    }
+
+    @action setParameterValue(index, parameter) {
+        this.updateNode(index, { value: parameter ? { parameter } : null });
+    }
+
+    @action setRangeValue(index, rangeIndex, event) {
+        const value = [...(this.conditions[index]?.value ?? [null, null])];
+        value[rangeIndex] = event.target.value;
+        this.updateNode(index, { value });
+    }
+
+    @action setListValue(index, event) {
+        const value = event.target.value
+            .split(',')
+            .map((item) => item.trim())
+            .filter(Boolean);
+
+        this.updateNode(index, { value });
+    }
+
+    @action reorder({ sourceIndex, targetIndex, sourceList, targetList }) {
+        if (sourceList !== targetList || sourceIndex === targetIndex) {
+            return;
+        }
+
+        this.notify(moveCondition(this.args.conditions ?? [], this.path, sourceIndex, targetIndex));
+    }
+
+    updateNode(index, attributes = {}) {
+        this.update((list) => {
+            list[index] = { ...list[index], ...attributes };
+            return list;
+        });
+    }
+
+    update(callback) {
+        this.notify(updateConditionsAt(this.args.conditions ?? [], this.path, callback));
+    }
+
+    notify(conditions) {
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(conditions);
+        }
+    }
+}
@@ -0,0 +1,220 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { debug } from '@ember/debug';
+import { task } from 'ember-concurrency';
+import { buildCronExpression, describeCronExpression, isValidCronExpression } from '../../utils/cron';
+import { formatInTimezone } from '../../utils/timezone';
+import { validateParameterValues } from '../../utils/report-parameters';
+
+export default class ReportScheduleEditorComponent extends Component {
+    @service fetch;
+    @service intl;
+    @service store;
+
+    /**
+     * Available schedule frequencies.
+     *
+     * @memberof ReportScheduleEditorComponent
+     */
+    frequencies = ['hourly', 'daily', 'weekly', 'monthly', 'custom'];
+
+    /**
+     * Days of the week selectable for weekly schedules starting on Monday, value is the cron day of week.
+     *
+     * @readonly
+     * @memberof ReportScheduleEditorComponent
+     */
+    get daysOfWeek() {
+        const format = new Intl.DateTimeFormat(this.intl.primaryLocale, { weekday: 'long', timeZone: 'UTC' });
+
+        // 1 January 2024 was a Monday
+        return [1, 2, 3, 4, 5, 6, 0].map((value, index) => ({ value, label: format.format(new Date(Date.UTC(2024, 0, 1 + index))) }));
+    }
+
+    /**
+     * Days of the month selectable for monthly schedules.
+     *
+     * @memberof ReportScheduleEditorComponent
+     */
+    daysOfMonth = Array.from({ length: 28 }, (_, index) => index + 1);
+
+    /**
+     * The frequency definition being edited, derived from `schedule_frequency`.
+     *
+     * @memberof ReportScheduleEditorComponent
+     */
+    @tracked definition = { frequency: 'daily', time: '08:00' };
+
+    /**
+     * Available timezones from lookup.
+     *
+     * @memberof ReportScheduleEditorComponent
+     */
+    @tracked timezones = [];
+
+    /**
+     * Selected user recipients.
+     *
+     * @memberof ReportScheduleEditorComponent
+     */
+    @tracked recipientUsers = [];
+
+    /**
+     * Selected role recipients.
+     *
+     * @memberof ReportScheduleEditorComponent
+     */
+    @tracked recipientRoles = [];
+
+    constructor(owner, { report }) {
+        super(...arguments);
+
+        // Reports without a schedule get the default definition on their first edit, opening the editor changes nothing
+        if (report.schedule_frequency) {
+            this.definition = describeCronExpression(report.schedule_frequency);
+        }
+
+        this.loadTimezones.perform();
+        this.loadRecipients.perform();
+    }
+
+    get expression() {
+        return this.args.report.schedule_frequency;
+    }
+
+    get isValidExpression() {
+        return isValidCronExpression(this.expression);
+    }
+
+    get timezone() {
+        return this.args.report.schedule_timezone || 'UTC';
+    }
+
+    get nextRuns() {
+        try {
+            return this.args.report.getNextScheduledRuns(5).map((date) => ({ date, display: formatInTimezone(date, this.timezone, { dateStyle: 'full', timeStyle: 'short' }) }));
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Validation errors of the parameter bindings, keyed by parameter name.
+     *
+     * @readonly
+     * @memberof ReportScheduleEditorComponent
+     */
+    get parameterErrors() {
+        return validateParameterValues(this.args.report.parameters, this.args.report.scheduleParameters).errors;
+    }
+
+    /**
+     * Relative expressions are previewed against the next run, scheduled runs resolve them against their own period.
+     *
+     * @readonly
+     * @memberof ReportScheduleEditorComponent
+     */
+    get parameterContext() {
+        const [nextRun] = this.nextRuns;
+        const { period_start, period_end } = this.args.report;
+
+        return { now: nextRun?.date ?? new Date(), periodStart: period_start, periodEnd: period_end };
+    }
+
+    @action toggleScheduled(isScheduled) {
+        this.args.report.set('is_scheduled', isScheduled);
+
+        if (isScheduled && !this.expression) {
+            return this.updateDefinition({});
+        }
+
+        this.notifyChange();
+    }
+
+    @action setFrequency(frequency) {
+        const definition = frequency === 'custom' ? { expression: this.expression } : {};
+        this.updateDefinition({ ...definition, frequency });
+    }
+
+    @action setDefinitionValue(key, event) {
+        const value = event?.target ? event.target.value : event;
+        this.updateDefinition({ [key]: value });
+    }
+
+    @action setTimezone(timezone) {
+        this.args.report.set('schedule_timezone', timezone);
+        this.notifyChange();
+    }
+
+    @action setExportFormat(format) {
+        this.updateScheduleConfig({ format });
+    }
+
+    @action setParameterBindings(parameters) {
+        this.updateScheduleConfig({ parameters });
+    }
+
+    @action setRecipientUsers(users) {
+        this.recipientUsers = users;
+        this.updateRecipients();
+    }
+
+    @action setRecipientRoles(roles) {
+        this.recipientRoles = roles;
+        this.updateRecipients();
+    }
+
+    @action setRecipientEmails(emails) {
+        this.updateRecipients({ emails: emails.filter(Boolean) });
+    }
+
+    updateDefinition(changes = {}) {
+        this.definition = { frequency: 'daily', time: '08:00', ...this.definition, ...changes };
+        this.args.report.set('schedule_frequency', buildCronExpression(this.definition));
+        this.notifyChange();
+    }
+
+    updateRecipients(changes = {}) {
+        const recipients = {
+            ...this.args.report.scheduleRecipients,
+            users: this.recipientUsers.map((user) => user.id),
+            roles: this.recipientRoles.map((role) => role.id),
+            ...changes,
+        };
+
+        this.updateScheduleConfig({ recipients });
+    }
+
+    updateScheduleConfig(changes = {}) {
+        const scheduleConfig = this.args.report.schedule_config ?? {};
+        this.args.report.set('schedule_config', { ...scheduleConfig, ...changes });
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(this.args.report);
+        }
+    }
+
+    @task *loadTimezones() {
+        try {
+            this.timezones = yield this.fetch.get('lookup/timezones');
+        } catch (error) {
+            debug(`Unable to load timezones : ${error.message}`);
+        }
+    }
+
+    @task *loadRecipients() {
+        const { users, roles } = this.args.report.scheduleRecipients;
+
+        try {
+            this.recipientUsers = yield Promise.all(users.map((id) => this.store.findRecord('user', id)));
+            this.recipientRoles = yield Promise.all(roles.map((id) => this.store.findRecord('role', id)));
+        } catch (error) {
+            debug(`Unable to load schedule recipients : ${error.message}`);
+        }
+    }
+}
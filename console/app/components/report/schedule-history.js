@@ -0,0 +1,32 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { task } from 'ember-concurrency';
+
+export default class ReportScheduleHistoryComponent extends Component {
+    @service notifications;
+
+    /**
+     * The scheduled runs of the report, most recent first.
+     *
+     * @memberof ReportScheduleHistoryComponent
+     */
+    @tracked runs = [];
+
+    constructor() {
+        super(...arguments);
+        this.loadRuns.perform();
+    }
+
+    @task *loadRuns() {
+        if (!this.args.report?.id) {
+            return;
+        }
+
+        try {
+            this.runs = yield this.args.report.getScheduleRuns({ limit: this.args.limit ?? 25 });
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+}
@@ -0,0 +1,46 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { STREAMING_EXPORT_FORMATS, resolveStreamingFormat } from '../../utils/report-export-worker';
+
+export default class ReportStreamingExportComponent extends Component {
+    @service reportExport;
+    @service notifications;
+
+    /**
+     * Formats which can be streamed.
+     *
+     * @memberof ReportStreamingExportComponent
+     */
+    formats = STREAMING_EXPORT_FORMATS;
+
+    /**
+     * The selected export format.
+     *
+     * @memberof ReportStreamingExportComponent
+     */
+    @tracked format = resolveStreamingFormat(this.args.format) ?? 'csv';
+
+    /**
+     * The latest export of the report, exports keep running when the component is destroyed.
+     *
+     * @readonly
+     * @memberof ReportStreamingExportComponent
+     */
+    get job() {
+        return this.args.report ? this.reportExport.jobFor(this.args.report) : null;
+    }
+
+    @action setFormat(format) {
+        this.format = format;
+    }
+
+    @action start() {
+        try {
+            this.reportExport.start(this.args.report, this.format, this.args.options ?? {});
+        } catch (error) {
+            this.notifications.error(error.message);
+        }
+    }
+}
@@ -0,0 +1,115 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+import { VISUALIZATION_TYPES, AGGREGATIONS, isNumericColumn } from '../../utils/report-visualization';
+
+export default class ReportVisualizationEditorComponent extends Component {
+    @service store;
+    @service intl;
+    @service notifications;
+
+    types = VISUALIZATION_TYPES;
+    aggregations = AGGREGATIONS;
+
+    /**
+     * The visualization being edited, written back to the report options on every change.
+     *
+     * @memberof ReportVisualizationEditorComponent
+     */
+    @tracked visualization;
+
+    /**
+     * Dashboards the visualization can be pinned to.
+     *
+     * @memberof ReportVisualizationEditorComponent
+     */
+    @tracked dashboards = [];
+    @tracked selectedDashboard;
+
+    constructor() {
+        super(...arguments);
+        this.visualization = { ...(this.args.report?.visualization ?? { type: 'table' }) };
+        this.loadDashboards.perform();
+    }
+
+    get columns() {
+        return this.args.report?.result_columns ?? [];
+    }
+
+    get numericColumns() {
+        const data = this.args.report?.data ?? [];
+        return this.columns.filter((column) => isNumericColumn(column, data));
+    }
+
+    get isChart() {
+        return ['line', 'bar', 'area', 'pie'].includes(this.visualization.type);
+    }
+
+    get isPivot() {
+        return this.visualization.type === 'pivot';
+    }
+
+    get canPin() {
+        return Boolean(this.args.report?.id && this.selectedDashboard && this.visualization.type !== 'table');
+    }
+
+    @task *loadDashboards() {
+        try {
+            this.dashboards = yield this.store.findAll('dashboard');
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    @task *pinToDashboard() {
+        const { report } = this.args;
+
+        try {
+            yield this.selectedDashboard.addWidget({
+                name: report.title,
+                component: 'dashboard/report-visualization',
+                grid_options: { w: 6, h: 10, minW: 4, minH: 6 },
+                options: { report: report.id, visualization: this.visualization, parameters: report.parameterValues },
+            });
+            this.notifications.success(this.intl.t('component.report.visualization-editor.pinned-notification', { reportName: report.title, dashboardName: this.selectedDashboard.name }));
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    @action isMeasure(column) {
+        return (this.visualization.measures ?? []).includes(column.name);
+    }
+
+    @action setType(type) {
+        this.update({ type });
+    }
+
+    @action setOption(key, value) {
+        this.update({ [key]: value?.name ?? value });
+    }
+
+    @action toggleMeasure(column, checked) {
+        const measures = (this.visualization.measures ?? []).filter((name) => name !== column.name);
+        this.update({ measures: checked ? [...measures, column.name] : measures });
+    }
+
+    @action setPivotOption(key, value) {
+        this.update({ pivot: { ...(this.visualization.pivot ?? {}), [key]: value?.name ?? value ?? null } });
+    }
+
+    @action selectDashboard(id) {
+        this.selectedDashboard = this.dashboards.find((dashboard) => dashboard.id === id);
+    }
+
+    update(attributes = {}) {
+        this.visualization = { ...this.visualization, ...attributes };
+        this.args.report?.setVisualization(this.visualization);
+
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(this.visualization);
+        }
+    }
+}
@@ -0,0 +1,59 @@
+import Component from '@glimmer/component';
+import { buildChartData, buildPivotTable } from '../../utils/report-visualization';
+
+export default class ReportVisualizationComponent extends Component {
+    get columns() {
+        return this.args.columns ?? this.args.report?.result_columns ?? [];
+    }
+
+    get data() {
+        return this.args.data ?? this.args.report?.data ?? [];
+    }
+
+    /**
+     * The visualization to render, falls back to the one persisted on the report.
+     *
+     * @readonly
+     * @memberof ReportVisualizationComponent
+     */
+    get visualization() {
+        return this.args.visualization ?? this.args.report?.visualization ?? { type: 'table' };
+    }
+
+    get isChart() {
+        return ['line', 'bar', 'area', 'pie'].includes(this.visualization.type);
+    }
+
+    get isPivot() {
+        return this.visualization.type === 'pivot';
+    }
+
+    /**
+     * Chart definitions keyed by their configuration, the chart component only renders once
+     * so a changed configuration has to mount a new chart.
+     *
+     * @readonly
+     * @memberof ReportVisualizationComponent
+     */
+    get charts() {
+        if (!this.isChart || !this.visualization.dimension || !this.visualization.measures?.length) {
+            return [];
+        }
+
+        const chart = buildChartData(this.columns, this.data, this.visualization);
+        return [{ key: JSON.stringify([this.visualization, this.data.length]), ...chart }];
+    }
+
+    get pivot() {
+        if (!this.isPivot || !this.visualization.pivot?.rows) {
+            return null;
+        }
+
+        return buildPivotTable(this.data, this.visualization.pivot);
+    }
+
+    get pivotColumnLabel() {
+        const name = this.visualization.pivot?.rows;
+        return this.columns.find((column) => column.name === name)?.label ?? name;
+    }
+}
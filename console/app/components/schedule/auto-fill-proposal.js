@@ -0,0 +1,67 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { formatInTimezone } from '../../utils/timezone';
+import { getScheduleTimezone } from '../../utils/schedule-calendar';
+import { getWorkedMinutes } from '../../utils/schedule-constraints';
+
+/**
+ * Shows the assignments proposed by the schedule solver for review. Every assignment starts selected, the selection is
+ * passed to `@onChange` each time it changes.
+ */
+export default class ScheduleAutoFillProposalComponent extends Component {
+    @tracked excluded = [];
+
+    get timeZone() {
+        return getScheduleTimezone(this.args.schedule);
+    }
+
+    get assignments() {
+        return (this.args.proposal?.assignments ?? []).map((assignment) => ({
+            ...assignment,
+            period: this.formatPeriod(assignment.item),
+            isSelected: !this.excluded.includes(assignment),
+        }));
+    }
+
+    get unassigned() {
+        return (this.args.proposal?.unassigned ?? []).map((entry) => ({ ...entry, period: this.formatPeriod(entry.item) }));
+    }
+
+    get total() {
+        return this.assignments.length + this.unassigned.length;
+    }
+
+    /**
+     * Hours each driver gets from the selected assignments, most first.
+     *
+     * @readonly
+     * @memberof ScheduleAutoFillProposalComponent
+     */
+    get workload() {
+        const drivers = new Map();
+
+        for (const { driver, item, isSelected } of this.assignments) {
+            if (isSelected) {
+                const entry = drivers.get(driver) ?? { driver, minutes: 0, count: 0 };
+                drivers.set(driver, { ...entry, minutes: entry.minutes + getWorkedMinutes(item), count: entry.count + 1 });
+            }
+        }
+
+        return [...drivers.values()].map((entry) => ({ ...entry, hours: Math.round(entry.minutes / 6) / 10 })).sort((a, b) => b.minutes - a.minutes);
+    }
+
+    formatPeriod(item) {
+        const time = { hour: 'numeric', minute: '2-digit' };
+        return `${formatInTimezone(new Date(item.start_at), this.timeZone, { weekday: 'short', day: 'numeric', month: 'short', ...time })} – ${formatInTimezone(new Date(item.end_at), this.timeZone, time)}`;
+    }
+
+    @action toggle(assignment) {
+        const original = this.args.proposal.assignments.find(({ item }) => item === assignment.item);
+        this.excluded = this.excluded.includes(original) ? this.excluded.filter((entry) => entry !== original) : [...this.excluded, original];
+
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(this.args.proposal.assignments.filter((entry) => !this.excluded.includes(entry)));
+        }
+    }
+}
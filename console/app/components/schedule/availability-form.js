@@ -0,0 +1,84 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { serializeRRule } from '../../utils/rrule';
+import { fromZonedInputValue, toDateKey, toZonedInputValue, validateScheduleAvailability } from '../../utils/schedule-calendar';
+import { getZonedParts } from '../../utils/timezone';
+
+const JS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Preference levels a driver can give the times they are available, higher is preferred.
+ */
+export const PREFERENCE_LEVELS = [1, 2, 3, 4, 5];
+
+/**
+ * Edits when a driver is available or unavailable, why, and whether the window repeats. Times are entered as wall
+ * clock time in `@timeZone`.
+ */
+export default class ScheduleAvailabilityFormComponent extends Component {
+    @tracked errors = [];
+    preferenceLevels = PREFERENCE_LEVELS;
+
+    get timeZone() {
+        return this.args.timeZone ?? 'UTC';
+    }
+
+    get startAt() {
+        return toZonedInputValue(this.args.availability.start_at, this.timeZone);
+    }
+
+    get endAt() {
+        return toZonedInputValue(this.args.availability.end_at, this.timeZone);
+    }
+
+    get isRecurring() {
+        return Boolean(this.args.availability.rrule);
+    }
+
+    /**
+     * Wall clock times of the window, shown in the summary of its recurrence.
+     *
+     * @readonly
+     * @memberof ScheduleAvailabilityFormComponent
+     */
+    get times() {
+        return { start: this.startAt?.slice(11, 16) ?? null, end: this.endAt?.slice(11, 16) ?? null };
+    }
+
+    @action setAvailable(event) {
+        this.args.availability.set('is_available', event.target.value === 'available');
+    }
+
+    @action setTime(key, event) {
+        const { availability } = this.args;
+        availability.set(key, fromZonedInputValue(event.target.value, this.timeZone));
+        this.errors = validateScheduleAvailability(availability);
+    }
+
+    @action setPreferenceLevel(event) {
+        this.args.availability.set('preference_level', event.target.value ? parseInt(event.target.value, 10) : null);
+    }
+
+    /**
+     * Repeat the window weekly on the day it starts, or stop repeating it.
+     *
+     * @memberof ScheduleAvailabilityFormComponent
+     */
+    @action toggleRecurring() {
+        const { availability } = this.args;
+        if (this.isRecurring || !availability.start_at) {
+            return availability.set('rrule', null);
+        }
+
+        const start = getZonedParts(new Date(availability.start_at), this.timeZone);
+        availability.set(
+            'rrule',
+            serializeRRule({ freq: 'WEEKLY', interval: 1, byDay: [{ day: JS_WEEKDAYS[start.weekday], ordinal: null }], byMonthDay: [], byMonth: [], start: toDateKey(start), exdates: [] })
+        );
+    }
+
+    @action setRRule(rrule) {
+        this.args.availability.set('rrule', rrule);
+    }
+}
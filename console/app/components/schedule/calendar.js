@@ -0,0 +1,205 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { htmlSafe } from '@ember/template';
+import { formatInTimezone } from '../../utils/timezone';
+import {
+    DEFAULT_CALENDAR_VIEW,
+    DEFAULT_RESOURCE_TYPE,
+    SCHEDULE_RESOURCE_TYPES,
+    SNAP_MINUTES,
+    getCalendarColumns,
+    getCalendarRange,
+    getPlacement,
+    getScheduleTimezone,
+    getTimeAt,
+    getTodayKey,
+    groupItemsByResource,
+    moveItemTimes,
+    resizeItemTimes,
+    snapToGrid,
+} from '../../utils/schedule-calendar';
+import { getHighestSeverity } from '../../utils/schedule-constraints';
+
+/**
+ * Length of an item created by clicking the calendar, in minutes.
+ */
+const DEFAULT_ITEM_MINUTES = 8 * 60;
+
+const COLUMN_FORMATS = {
+    day: { hour: 'numeric' },
+    week: { weekday: 'short', day: 'numeric' },
+    month: { day: 'numeric' },
+};
+
+/**
+ * A resource timeline of a schedule, one row per driver or vehicle. Items are created by clicking an empty part of a
+ * row and moved, reassigned or resized by dragging them. Items breaking constraints, `@violations` as grouped by
+ * `groupViolationsByItem`, are outlined with the severity of their worst violation.
+ */
+export default class ScheduleCalendarComponent extends Component {
+    /**
+     * The item being dragged, `{ item, mode, grabbedAt }` where mode is `move` or `resize`.
+     *
+     * @memberof ScheduleCalendarComponent
+     */
+    @tracked dragging = null;
+
+    get view() {
+        return this.args.view ?? DEFAULT_CALENDAR_VIEW;
+    }
+
+    get timeZone() {
+        return getScheduleTimezone(this.args.schedule);
+    }
+
+    get resourceType() {
+        return SCHEDULE_RESOURCE_TYPES[this.args.resourceType] ? this.args.resourceType : DEFAULT_RESOURCE_TYPE;
+    }
+
+    get range() {
+        return getCalendarRange(this.view, this.args.date, this.timeZone);
+    }
+
+    get columns() {
+        const today = getTodayKey(this.timeZone);
+
+        return getCalendarColumns(this.range, this.timeZone).map((column) => ({
+            ...column,
+            label: formatInTimezone(column.start, this.timeZone, COLUMN_FORMATS[this.view]),
+            isToday: column.key === today,
+            isWeekend: column.weekday === 0 || column.weekday === 6,
+            style: htmlSafe(`left: ${column.left}%; width: ${column.width}%`),
+        }));
+    }
+
+    /**
+     * A row per resource, plus a row for items nobody is assigned to when there are any.
+     *
+     * @readonly
+     * @memberof ScheduleCalendarComponent
+     */
+    get rows() {
+        const groups = groupItemsByResource(
+            (this.args.items ?? []).filter((item) => !item.isDeleted),
+            this.resourceType
+        );
+        const rows = (this.args.resources ?? []).map((resource) => ({ resource, id: resource.id, name: resource.name, items: groups.get(resource.id) ?? [] }));
+
+        if (groups.get(null)?.length) {
+            rows.push({ resource: null, id: null, name: null, items: groups.get(null) });
+        }
+
+        return rows.map((row) => ({ ...row, bars: row.items.map((item) => this.getBar(item)).filter(Boolean) }));
+    }
+
+    getBar(item) {
+        const placement = getPlacement(item.start_at, item.end_at, this.range);
+        if (!placement) {
+            return null;
+        }
+
+        const breakPlacement =
+            item.break_start_at && item.break_end_at ? getPlacement(item.break_start_at, item.break_end_at, { start: new Date(item.start_at), end: new Date(item.end_at) }) : null;
+        const time = { hour: 'numeric', minute: '2-digit' };
+        const violations = this.args.violations?.get(item) ?? [];
+
+        return {
+            item,
+            ...placement,
+            violations,
+            severity: getHighestSeverity(violations),
+            label: `${formatInTimezone(new Date(item.start_at), this.timeZone, time)} – ${formatInTimezone(new Date(item.end_at), this.timeZone, time)}`,
+            style: htmlSafe(`left: ${placement.left}%; width: ${placement.width}%`),
+            breakStyle: breakPlacement ? htmlSafe(`left: ${breakPlacement.left}%; width: ${breakPlacement.width}%`) : null,
+        };
+    }
+
+    /**
+     * The instant under the pointer, from where it is over the track of a row.
+     *
+     * @param {Event} event
+     * @param {HTMLElement} track
+     * @return {Date}
+     * @memberof ScheduleCalendarComponent
+     */
+    getPointerTime(event, track) {
+        const rect = track.getBoundingClientRect();
+        return getTimeAt(this.range, rect.width ? (event.clientX - rect.left) / rect.width : 0);
+    }
+
+    snap(date) {
+        return snapToGrid(date, SNAP_MINUTES[this.view], this.timeZone);
+    }
+
+    @action createItem(row, event) {
+        if (!this.args.isEditable || event.target !== event.currentTarget || typeof this.args.onCreateItem !== 'function') {
+            return;
+        }
+
+        const start = this.snap(this.getPointerTime(event, event.currentTarget));
+        this.args.onCreateItem(row.resource, start, new Date(start.getTime() + DEFAULT_ITEM_MINUTES * 60000));
+    }
+
+    @action selectItem(item, event) {
+        event.stopPropagation();
+
+        if (typeof this.args.onSelectItem === 'function') {
+            this.args.onSelectItem(item);
+        }
+    }
+
+    @action startDrag(item, mode, event) {
+        event.stopPropagation();
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', item.id ?? '');
+
+        this.dragging = { item, mode, grabbedAt: this.getPointerTime(event, event.target.closest('.schedule-calendar-track')) };
+    }
+
+    @action endDrag() {
+        this.dragging = null;
+    }
+
+    @action allowDrop(event) {
+        if (this.dragging) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Apply a drag to the item: moving keeps the length of the item and can reassign it to the row it is dropped on,
+     * resizing changes its end.
+     *
+     * @param {Object} row
+     * @param {DragEvent} event
+     * @memberof ScheduleCalendarComponent
+     */
+    @action drop(row, event) {
+        if (!this.dragging) {
+            return;
+        }
+
+        event.preventDefault();
+        const { item, mode, grabbedAt } = this.dragging;
+        const pointerTime = this.getPointerTime(event, event.currentTarget);
+        this.dragging = null;
+
+        let changes;
+        if (mode === 'resize') {
+            changes = resizeItemTimes(item, this.snap(pointerTime), SNAP_MINUTES[this.view]);
+        } else {
+            const { key, typeKey } = SCHEDULE_RESOURCE_TYPES[this.resourceType];
+            changes = moveItemTimes(item, this.snap(new Date(new Date(item.start_at).getTime() + (pointerTime - grabbedAt))));
+
+            if (row.id !== (item[key] ?? null)) {
+                changes[key] = row.id;
+                changes[typeKey] = row.id ? this.resourceType : null;
+            }
+        }
+
+        if (typeof this.args.onChangeItem === 'function') {
+            this.args.onChangeItem(item, changes);
+        }
+    }
+}
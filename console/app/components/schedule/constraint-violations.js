@@ -0,0 +1,39 @@
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { formatInTimezone } from '../../utils/timezone';
+import { getScheduleTimezone } from '../../utils/schedule-calendar';
+
+/**
+ * Lists the constraints a schedule breaks, who breaks them and the jurisdiction imposing them. Selecting a violation
+ * passes its first item to `@onSelectItem`.
+ */
+export default class ScheduleConstraintViolationsComponent extends Component {
+    get timeZone() {
+        return getScheduleTimezone(this.args.schedule);
+    }
+
+    get violations() {
+        const names = this.args.resourceNames ?? {};
+        const time = { weekday: 'short', hour: 'numeric', minute: '2-digit' };
+
+        return (this.args.violations ?? []).map((violation) => ({
+            ...violation,
+            name: names[violation.assignee_uuid] ?? violation.assignee_uuid,
+            periods: violation.items.map((item) => `${formatInTimezone(new Date(item.start_at), this.timeZone, time)} – ${formatInTimezone(new Date(item.end_at), this.timeZone, time)}`),
+        }));
+    }
+
+    get errorCount() {
+        return this.violations.filter(({ severity }) => severity === 'error').length;
+    }
+
+    get warningCount() {
+        return this.violations.length - this.errorCount;
+    }
+
+    @action select(violation) {
+        if (typeof this.args.onSelectItem === 'function') {
+            this.args.onSelectItem(violation.items[0]);
+        }
+    }
+}
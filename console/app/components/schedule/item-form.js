@@ -0,0 +1,80 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import {
+    SCHEDULE_ITEM_STATUSES,
+    SCHEDULE_RESOURCE_TYPES,
+    fromZonedInputValue,
+    getItemDuration,
+    getScheduleTimezone,
+    toZonedInputValue,
+    validateScheduleItem,
+} from '../../utils/schedule-calendar';
+
+/**
+ * Edits the times, break, assignment and status of a schedule item. Times are entered as wall clock time in the
+ * timezone of the schedule.
+ */
+export default class ScheduleItemFormComponent extends Component {
+    @tracked driver = this.args.driver ?? null;
+    @tracked vehicle = this.args.vehicle ?? null;
+    @tracked errors = [];
+    statuses = SCHEDULE_ITEM_STATUSES;
+
+    get timeZone() {
+        return getScheduleTimezone(this.args.schedule);
+    }
+
+    get startAt() {
+        return toZonedInputValue(this.args.item.start_at, this.timeZone);
+    }
+
+    get endAt() {
+        return toZonedInputValue(this.args.item.end_at, this.timeZone);
+    }
+
+    get breakStartAt() {
+        return toZonedInputValue(this.args.item.break_start_at, this.timeZone);
+    }
+
+    get breakEndAt() {
+        return toZonedInputValue(this.args.item.break_end_at, this.timeZone);
+    }
+
+    @action setTime(key, event) {
+        const { item } = this.args;
+        item.set(key, fromZonedInputValue(event.target.value, this.timeZone));
+
+        if (item.start_at && item.end_at) {
+            item.set('duration', getItemDuration(item));
+        }
+
+        this.errors = validateScheduleItem(item);
+    }
+
+    @action clearBreak() {
+        this.args.item.setProperties({ break_start_at: null, break_end_at: null });
+        this.errors = validateScheduleItem(this.args.item);
+    }
+
+    /**
+     * Assign a driver or vehicle to the item.
+     *
+     * @param {String} type driver or vehicle
+     * @param {Model|null} model
+     * @memberof ScheduleItemFormComponent
+     */
+    @action setResource(type, model) {
+        const { key, typeKey } = SCHEDULE_RESOURCE_TYPES[type];
+        this.args.item.setProperties({ [key]: model?.id ?? null, [typeKey]: model ? type : null });
+        this[type] = model;
+
+        if (typeof this.args.onSelectResource === 'function') {
+            this.args.onSelectResource(type, model);
+        }
+    }
+
+    @action setStatus(event) {
+        this.args.item.set('status', event.target.value);
+    }
+}
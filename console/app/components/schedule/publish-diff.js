@@ -0,0 +1,47 @@
+import Component from '@glimmer/component';
+import { formatInTimezone } from '../../utils/timezone';
+import { SCHEDULE_RESOURCE_TYPES, getScheduleTimezone } from '../../utils/schedule-calendar';
+
+/**
+ * Lists the items added, changed and removed since a schedule was last published.
+ */
+export default class SchedulePublishDiffComponent extends Component {
+    get timeZone() {
+        return getScheduleTimezone(this.args.schedule);
+    }
+
+    get diff() {
+        return this.args.diff ?? { added: [], removed: [], changed: [], count: 0 };
+    }
+
+    get added() {
+        return this.diff.added.map((item) => this.describe(item));
+    }
+
+    get changed() {
+        return this.diff.changed.map(({ item, keys }) => ({ ...this.describe(item), keys }));
+    }
+
+    get removed() {
+        return this.diff.removed.map((entry) => this.describe(entry));
+    }
+
+    /**
+     * Who an item is assigned to and when it is, works for items and published snapshots.
+     *
+     * @param {Object} item
+     * @return {Object} `{ name, period, status }`
+     * @memberof SchedulePublishDiffComponent
+     */
+    describe(item) {
+        const names = this.args.resourceNames ?? {};
+        const assigned = Object.values(SCHEDULE_RESOURCE_TYPES)
+            .map(({ key }) => names[item[key]])
+            .filter(Boolean);
+        const time = { dateStyle: 'medium', timeStyle: 'short' };
+        const period =
+            item.start_at && item.end_at ? `${formatInTimezone(new Date(item.start_at), this.timeZone, time)} – ${formatInTimezone(new Date(item.end_at), this.timeZone, time)}` : null;
+
+        return { name: assigned.join(', '), period, status: item.status };
+    }
+}
@@ -0,0 +1,104 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { debug } from '@ember/debug';
+import { task } from 'ember-concurrency';
+import { SCHEDULE_REQUEST_TYPES } from '../../utils/schedule-requests';
+import { formatInTimezone } from '../../utils/timezone';
+
+/**
+ * Edits a request to swap or drop a shift. A swap is offered to a colleague, who either takes the shift over or
+ * exchanges it for one of their upcoming shifts.
+ */
+export default class ScheduleRequestFormComponent extends Component {
+    @service store;
+    @tracked target = null;
+    @tracked targetItems = [];
+    types = SCHEDULE_REQUEST_TYPES;
+
+    constructor() {
+        super(...arguments);
+
+        const { request } = this.args;
+        if (request.target_uuid) {
+            this.loadTarget.perform(request.target_uuid);
+        }
+    }
+
+    get timeZone() {
+        return this.args.timeZone ?? 'UTC';
+    }
+
+    get isSwap() {
+        return this.args.request.type === 'swap';
+    }
+
+    get period() {
+        return this.formatPeriod(this.args.item);
+    }
+
+    get targetOptions() {
+        return this.targetItems.map((item) => ({ id: item.id, label: this.formatPeriod(item) }));
+    }
+
+    formatPeriod(item) {
+        if (!item?.start_at || !item?.end_at) {
+            return null;
+        }
+
+        const time = { hour: 'numeric', minute: '2-digit' };
+        return `${formatInTimezone(new Date(item.start_at), this.timeZone, { weekday: 'short', day: 'numeric', month: 'short', ...time })} – ${formatInTimezone(new Date(item.end_at), this.timeZone, time)}`;
+    }
+
+    @action setType(event) {
+        const type = event.target.value;
+        this.args.request.set('type', type);
+
+        if (type === 'drop') {
+            this.setTarget(null);
+        }
+    }
+
+    /**
+     * Offer the shift to a colleague, and list the upcoming shifts they could exchange for it.
+     *
+     * @param {DriverModel|null} driver
+     * @memberof ScheduleRequestFormComponent
+     */
+    @action setTarget(driver) {
+        this.args.request.setProperties({ target_uuid: driver?.id ?? null, target_type: driver ? 'driver' : null, target_item_uuid: null });
+        this.target = driver;
+        this.targetItems = [];
+
+        if (driver) {
+            this.loadTargetItems.perform(driver.id);
+        }
+    }
+
+    @action setTargetItem(event) {
+        this.args.request.set('target_item_uuid', event.target.value || null);
+    }
+
+    @task *loadTarget(id) {
+        try {
+            this.target = yield this.store.findRecord('driver', id);
+        } catch (error) {
+            debug(`Unable to load schedule request target : ${error.message}`);
+            return;
+        }
+
+        yield this.loadTargetItems.perform(id);
+    }
+
+    @task *loadTargetItems(assigneeId) {
+        const now = new Date();
+
+        try {
+            const items = yield this.store.query('schedule-item', { assignee_uuid: assigneeId, schedule_uuid: this.args.item.schedule_uuid, sort: 'start_at', limit: -1 });
+            this.targetItems = items.filter((item) => item.start_at && new Date(item.start_at) > now && item.status !== 'cancelled');
+        } catch (error) {
+            debug(`Unable to load shifts of schedule request target : ${error.message}`);
+        }
+    }
+}
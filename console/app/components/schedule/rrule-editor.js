@@ -0,0 +1,191 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { RRULE_FREQUENCIES, RRULE_WEEKDAYS, WEEKDAY_CODES, expandRRule, parseRRule, serializeRRule } from '../../utils/rrule';
+import { getTodayKey, parseDateKey, toDateKey } from '../../utils/schedule-calendar';
+import { addCalendarDays } from '../../utils/timezone';
+
+/**
+ * How many upcoming dates are previewed.
+ */
+const PREVIEW_SIZE = 5;
+
+const JS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Edits a recurrence rule: how often it repeats, on which days, until when and the dates it skips. Changes are passed
+ * to `@onChange` as an RRULE string with `DTSTART` and `EXDATE` lines.
+ */
+export default class ScheduleRruleEditorComponent extends Component {
+    @service intl;
+    @tracked rule = parseRRule(this.args.value) ?? this.defaultRule;
+    @tracked exception = '';
+    frequencies = RRULE_FREQUENCIES;
+
+    get defaultRule() {
+        return {
+            freq: 'WEEKLY',
+            interval: 1,
+            byDay: WEEKDAY_CODES.map((day) => ({ day, ordinal: null })),
+            byMonthDay: [],
+            byMonth: [],
+            count: null,
+            until: null,
+            start: getTodayKey(this.args.timeZone),
+            exdates: [],
+        };
+    }
+
+    get value() {
+        return serializeRRule(this.rule);
+    }
+
+    get start() {
+        return this.rule.start ?? getTodayKey(this.args.timeZone);
+    }
+
+    get startDate() {
+        return addCalendarDays(parseDateKey(this.start), 0);
+    }
+
+    get ends() {
+        return this.rule.count ? 'count' : this.rule.until ? 'until' : 'never';
+    }
+
+    get weekdays() {
+        const format = new Intl.DateTimeFormat(this.intl.primaryLocale, { weekday: 'short', timeZone: 'UTC' });
+
+        return RRULE_WEEKDAYS.map((code, index) => ({
+            code,
+            // 1 January 2024 was a Monday
+            label: format.format(new Date(Date.UTC(2024, 0, 1 + index))),
+            isSelected: this.rule.byDay.some(({ day }) => day === code),
+        }));
+    }
+
+    get monthlyMode() {
+        return this.rule.byDay.length ? 'weekday' : 'day';
+    }
+
+    /**
+     * The weekday of the start date within its month, the fifth of a month counts as the last.
+     *
+     * @readonly
+     * @memberof ScheduleRruleEditorComponent
+     */
+    get startWeekday() {
+        const { day, weekday } = this.startDate;
+        const ordinal = Math.ceil(day / 7);
+
+        return { day: JS_WEEKDAYS[weekday], ordinal: ordinal > 4 ? -1 : ordinal, label: this.weekdays.find(({ code }) => code === JS_WEEKDAYS[weekday]).label };
+    }
+
+    get preview() {
+        const today = getTodayKey(this.args.timeZone);
+        const end = toDateKey(addCalendarDays(this.startDate, 366));
+        const format = new Intl.DateTimeFormat(this.intl.primaryLocale, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+        return expandRRule(this.rule, { from: today > this.start ? today : this.start, to: end, start: this.start })
+            .slice(0, PREVIEW_SIZE)
+            .map((key) => {
+                const { year, month, day } = parseDateKey(key);
+                return format.format(new Date(Date.UTC(year, month - 1, day)));
+            });
+    }
+
+    get exceptions() {
+        return this.rule.exdates.map((key) => {
+            const { year, month, day } = parseDateKey(key);
+            return { key, label: new Intl.DateTimeFormat(this.intl.primaryLocale, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(Date.UTC(year, month - 1, day))) };
+        });
+    }
+
+    update(changes = {}) {
+        // The start is written out so intervals keep counting from the same date
+        this.rule = { ...this.rule, start: this.start, ...changes };
+
+        if (typeof this.args.onChange === 'function') {
+            this.args.onChange(this.value);
+        }
+    }
+
+    /**
+     * Change how often the rule repeats, the days are reset to fit the frequency.
+     *
+     * @param {Event} event
+     * @memberof ScheduleRruleEditorComponent
+     */
+    @action setFrequency(event) {
+        const freq = event.target.value;
+        const { day } = this.startWeekday;
+
+        this.update({ freq, byDay: freq === 'WEEKLY' ? [{ day, ordinal: null }] : [], byMonthDay: [], byMonth: [] });
+    }
+
+    @action setInterval(event) {
+        this.update({ interval: Math.max(1, parseInt(event.target.value, 10) || 1) });
+    }
+
+    @action setStart(event) {
+        if (parseDateKey(event.target.value)) {
+            this.update({ start: event.target.value });
+        }
+    }
+
+    @action toggleWeekday(code) {
+        const byDay = this.rule.byDay.some(({ day }) => day === code) ? this.rule.byDay.filter(({ day }) => day !== code) : [...this.rule.byDay, { day: code, ordinal: null }];
+
+        // A weekly rule always recurs on at least one day
+        if (byDay.length) {
+            this.update({ byDay: byDay.sort((a, b) => RRULE_WEEKDAYS.indexOf(a.day) - RRULE_WEEKDAYS.indexOf(b.day)) });
+        }
+    }
+
+    @action setMonthlyMode(event) {
+        const { day, ordinal } = this.startWeekday;
+
+        if (event.target.value === 'weekday') {
+            this.update({ byDay: [{ day, ordinal }], byMonthDay: [] });
+        } else {
+            this.update({ byDay: [], byMonthDay: [this.startDate.day] });
+        }
+    }
+
+    @action setEnds(event) {
+        switch (event.target.value) {
+            case 'count':
+                return this.update({ count: this.rule.count ?? 10, until: null });
+            case 'until':
+                return this.update({ count: null, until: this.rule.until ?? toDateKey(addCalendarDays(this.startDate, 30)) });
+            default:
+                return this.update({ count: null, until: null });
+        }
+    }
+
+    @action setCount(event) {
+        this.update({ count: Math.max(1, parseInt(event.target.value, 10) || 1) });
+    }
+
+    @action setUntil(event) {
+        if (parseDateKey(event.target.value)) {
+            this.update({ until: event.target.value });
+        }
+    }
+
+    @action setException(event) {
+        this.exception = event.target.value;
+    }
+
+    @action addException() {
+        if (parseDateKey(this.exception) && !this.rule.exdates.includes(this.exception)) {
+            this.update({ exdates: [...this.rule.exdates, this.exception].sort() });
+        }
+
+        this.exception = '';
+    }
+
+    @action removeException(key) {
+        this.update({ exdates: this.rule.exdates.filter((exdate) => exdate !== key) });
+    }
+}
@@ -0,0 +1,22 @@
+import Component from '@glimmer/component';
+import { action } from '@ember/object';
+import { getShiftMinutes } from '../../utils/rrule';
+
+/**
+ * Edits a schedule template: the hours of its shifts, their break and when they recur.
+ */
+export default class ScheduleTemplateFormComponent extends Component {
+    @action setTime(key, event) {
+        const { template } = this.args;
+        template.set(key, event.target.value || null);
+        template.set('duration', getShiftMinutes(template.start_time, template.end_time));
+    }
+
+    @action setBreakDuration(event) {
+        this.args.template.set('break_duration', Math.max(0, parseInt(event.target.value, 10) || 0));
+    }
+
+    @action setRRule(rrule) {
+        this.args.template.set('rrule', rrule);
+    }
+}
@@ -0,0 +1,69 @@
+import Component from '@glimmer/component';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { expandScheduleTemplate, withoutExistingOccurrences } from '../../utils/rrule';
+import { getScheduleTimezone, parseDateKey } from '../../utils/schedule-calendar';
+
+/**
+ * Picks a template, a date range and who the shifts are for, and previews the shifts generated on the schedule.
+ * Every change is passed to `@onChange` as `{ template, from, to, driver, vehicle, occurrences }`.
+ */
+export default class ScheduleTemplateGeneratorComponent extends Component {
+    @tracked template = null;
+    @tracked from = this.args.from;
+    @tracked to = this.args.to;
+    @tracked driver = null;
+    @tracked vehicle = null;
+
+    get timeZone() {
+        return getScheduleTimezone(this.args.schedule);
+    }
+
+    get assignment() {
+        return { assignee_uuid: this.driver?.id ?? null, resource_uuid: this.vehicle?.id ?? null };
+    }
+
+    get generated() {
+        if (!this.template || !parseDateKey(this.from) || !parseDateKey(this.to) || this.from > this.to) {
+            return [];
+        }
+
+        return expandScheduleTemplate(this.template, { from: this.from, to: this.to, timeZone: this.timeZone });
+    }
+
+    /**
+     * Generated shifts which are not on the schedule yet.
+     *
+     * @readonly
+     * @memberof ScheduleTemplateGeneratorComponent
+     */
+    get occurrences() {
+        return withoutExistingOccurrences(this.generated, this.args.items ?? [], this.assignment);
+    }
+
+    get skipped() {
+        return this.generated.length - this.occurrences.length;
+    }
+
+    notifyChange() {
+        if (typeof this.args.onChange === 'function') {
+            const { template, from, to, driver, vehicle, occurrences } = this;
+            this.args.onChange({ template, from, to, driver, vehicle, occurrences });
+        }
+    }
+
+    @action selectTemplate(event) {
+        this.template = (this.args.templates ?? []).find((template) => template.id === event.target.value) ?? null;
+        this.notifyChange();
+    }
+
+    @action setDate(key, event) {
+        this[key] = event.target.value;
+        this.notifyChange();
+    }
+
+    @action setResource(key, model) {
+        this[key] = model;
+        this.notifyChange();
+    }
+}
@@ -0,0 +1,21 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class ConsoleAdminWidgetDiagnosticsController extends Controller {
+    @service widgetDiagnostics;
+
+    /**
+     * Widget failures recorded by the dashboards of this browser, newest first.
+     *
+     * @readonly
+     * @memberof ConsoleAdminWidgetDiagnosticsController
+     */
+    get entries() {
+        return this.widgetDiagnostics.entries;
+    }
+
+    @action clear() {
+        this.widgetDiagnostics.clear();
+    }
+}
@@ -0,0 +1,56 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class ConsoleAlertsEscalationPoliciesController extends Controller {
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+
+    /**
+     * Enable or disable a policy.
+     *
+     * @param {EscalationPolicyModel} policy
+     * @param {Boolean} isEnabled
+     * @memberof ConsoleAlertsEscalationPoliciesController
+     */
+    @action async togglePolicy(policy, isEnabled) {
+        policy.set('is_enabled', isEnabled);
+
+        try {
+            await policy.save();
+        } catch (error) {
+            policy.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+
+    /**
+     * Confirm and delete a policy, alerts escalating under it stop paging.
+     *
+     * @param {EscalationPolicyModel} policy
+     * @memberof ConsoleAlertsEscalationPoliciesController
+     */
+    @action deletePolicy(policy) {
+        this.modalsManager.confirm({
+            title: this.intl.t('console.alerts.escalation-policies.delete-title', { name: policy.name }),
+            body: this.intl.t('console.alerts.escalation-policies.delete-body'),
+            acceptButtonText: this.intl.t('common.delete'),
+            acceptButtonScheme: 'danger',
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                try {
+                    await policy.destroyRecord();
+                    this.notifications.success(this.intl.t('console.alerts.escalation-policies.deleted', { name: policy.name }));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+}
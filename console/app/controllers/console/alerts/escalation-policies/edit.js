@@ -0,0 +1,59 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+
+export default class ConsoleAlertsEscalationPoliciesEditController extends Controller {
+    @service intl;
+    @service notifications;
+    @service router;
+
+    /**
+     * The overlay context API.
+     *
+     * @memberof ConsoleAlertsEscalationPoliciesEditController
+     */
+    @tracked contextApi;
+
+    /**
+     * Save the policy and return to the policies list.
+     *
+     * @memberof ConsoleAlertsEscalationPoliciesEditController
+     */
+    @task *save() {
+        try {
+            yield this.model.save();
+            this.notifications.success(this.intl.t('console.alerts.escalation-policies.saved', { name: this.model.name }));
+        } catch (error) {
+            return this.notifications.serverError(error);
+        }
+
+        yield this.router.refresh('console.alerts.escalation-policies');
+        return this.onPressClose();
+    }
+
+    /**
+     * Set the overlay component context object.
+     *
+     * @param {Object} contextApi
+     * @memberof ConsoleAlertsEscalationPoliciesEditController
+     */
+    @action setOverlayContext(contextApi) {
+        this.contextApi = contextApi;
+    }
+
+    /**
+     * Handle closing the overlay.
+     *
+     * @return {Promise<Transition>}
+     * @memberof ConsoleAlertsEscalationPoliciesEditController
+     */
+    @action onPressClose() {
+        if (this.contextApi && typeof this.contextApi.close === 'function') {
+            this.contextApi.close();
+        }
+
+        return this.router.transitionTo('console.alerts.escalation-policies');
+    }
+}
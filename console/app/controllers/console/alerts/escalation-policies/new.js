@@ -0,0 +1,3 @@
+import ConsoleAlertsEscalationPoliciesEditController from './edit';
+
+export default class ConsoleAlertsEscalationPoliciesNewController extends ConsoleAlertsEscalationPoliciesEditController {}
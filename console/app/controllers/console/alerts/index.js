@@ -0,0 +1,320 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { ALERT_FILTERS, ALERT_STATUSES, SNOOZE_DURATIONS, matchesAlertFilters } from '@fleetbase/console/utils/alert-inbox';
+import { ALERT_RULE_METRICS } from '@fleetbase/console/utils/alert-rule-engine';
+import { ALERT_SEVERITIES, ALERT_TYPES } from '@fleetbase/console/utils/alert-types';
+
+/**
+ * Controller for the alert inbox.
+ *
+ * @class ConsoleAlertsIndexController
+ * @extends Controller
+ */
+export default class ConsoleAlertsIndexController extends Controller {
+    @service currentUser;
+    @service fetch;
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+    @service socket;
+    @service store;
+
+    /**
+     * Queryable parameters for this controller's model
+     *
+     * @var {Array}
+     */
+    queryParams = ['page', 'limit', 'sort', 'query', ...ALERT_FILTERS];
+
+    @tracked page = 1;
+    @tracked limit = 30;
+    @tracked sort = '-triggered_at';
+    @tracked query;
+
+    /**
+     * The filterable params, see `ALERT_FILTERS`.
+     *
+     * @memberof ConsoleAlertsIndexController
+     */
+    @tracked severity = null;
+    @tracked type = null;
+    @tracked status = null;
+    @tracked subject_type = null;
+    @tracked subject_uuid = null;
+
+    /**
+     * Options offered by the filters.
+     *
+     * @memberof ConsoleAlertsIndexController
+     */
+    severities = [...ALERT_SEVERITIES].reverse();
+    statuses = ALERT_STATUSES;
+    types = Object.keys(ALERT_TYPES);
+    subjectTypes = Object.keys(ALERT_RULE_METRICS);
+    snoozeDurations = SNOOZE_DURATIONS;
+
+    /**
+     * The alerts checked for bulk actions.
+     *
+     * @memberof ConsoleAlertsIndexController
+     */
+    @tracked selected = [];
+
+    /**
+     * The alert shown in the detail pane.
+     *
+     * @memberof ConsoleAlertsIndexController
+     */
+    @tracked activeAlert = null;
+
+    /**
+     * Alerts received over the socket since the inbox was loaded.
+     *
+     * @memberof ConsoleAlertsIndexController
+     */
+    @tracked incoming = [];
+
+    /**
+     * Whether socket events should be applied to the inbox.
+     *
+     * @memberof ConsoleAlertsIndexController
+     */
+    isListening = false;
+    isSubscribed = false;
+
+    /**
+     * Alerts received over the socket followed by the loaded page.
+     *
+     * @readonly
+     * @memberof ConsoleAlertsIndexController
+     */
+    get alerts() {
+        const loaded = this.model?.toArray?.() ?? [];
+        return [...this.incoming.filter((alert) => !loaded.includes(alert)), ...loaded];
+    }
+
+    get filters() {
+        return ALERT_FILTERS.reduce((filters, filter) => ({ ...filters, [filter]: this[filter] }), {});
+    }
+
+    get hasFilters() {
+        return ALERT_FILTERS.some((filter) => this[filter]);
+    }
+
+    get isAllSelected() {
+        return this.alerts.length > 0 && this.selected.length === this.alerts.length;
+    }
+
+    /**
+     * Subscribe to the company channel once and apply alert events while the inbox is open.
+     *
+     * @memberof ConsoleAlertsIndexController
+     */
+    listenForAlerts() {
+        this.incoming = [];
+        this.isListening = true;
+
+        if (this.isSubscribed) {
+            return;
+        }
+
+        this.isSubscribed = true;
+        this.socket.listen(`company.${this.currentUser.companyId}`, ({ event, data }) => {
+            if (!this.isListening || typeof event !== 'string' || !event.startsWith('alert.')) {
+                return;
+            }
+
+            this.receiveAlert(event, data);
+        });
+    }
+
+    stopListening() {
+        this.isListening = false;
+        this.incoming = [];
+        this.selected = [];
+        this.activeAlert = null;
+    }
+
+    /**
+     * Apply an alert event from the socket, updated alerts refresh in place through the store.
+     *
+     * @param {String} event
+     * @param {Object} data
+     * @memberof ConsoleAlertsIndexController
+     */
+    receiveAlert(event, data) {
+        if (!data?.uuid) {
+            return;
+        }
+
+        const alert = this.store.push(this.store.normalize('alert', data));
+        if (event === 'alert.created' && this.page <= 1 && matchesAlertFilters(data, this.filters)) {
+            this.incoming = [alert, ...this.incoming.filter((existing) => existing !== alert)];
+        }
+    }
+
+    @action setFilter(filter, value) {
+        this[filter] = value?.target ? value.target.value || null : value || null;
+        this.page = 1;
+        this.selected = [];
+    }
+
+    @action filterBySubject(alert) {
+        this.subject_type = alert.subject_type;
+        this.subject_uuid = alert.subject_uuid;
+        this.page = 1;
+        this.selected = [];
+    }
+
+    @action clearFilters() {
+        for (const filter of ALERT_FILTERS) {
+            this[filter] = null;
+        }
+        this.page = 1;
+        this.selected = [];
+    }
+
+    @action openAlert(alert) {
+        this.activeAlert = alert;
+    }
+
+    @action closeAlert() {
+        this.activeAlert = null;
+    }
+
+    @action toggleSelected(alert) {
+        this.selected = this.selected.includes(alert) ? this.selected.filter((selected) => selected !== alert) : [...this.selected, alert];
+    }
+
+    @action toggleAll() {
+        this.selected = this.isAllSelected ? [] : [...this.alerts];
+    }
+
+    @action async acknowledge(alert) {
+        if (alert.isAcknowledged) {
+            return this.notifications.info(this.intl.t('console.alerts.inbox.already-acknowledged'));
+        }
+
+        try {
+            await alert.acknowledge(this.currentUser.user);
+            this.notifications.success(this.intl.t('console.alerts.inbox.acknowledged', { count: 1 }));
+        } catch (error) {
+            alert.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+
+    @action async resolve(alert) {
+        if (alert.isResolved) {
+            return this.notifications.info(this.intl.t('console.alerts.inbox.already-resolved'));
+        }
+
+        try {
+            await alert.resolve(this.currentUser.user);
+            this.notifications.success(this.intl.t('console.alerts.inbox.resolved', { count: 1 }));
+        } catch (error) {
+            alert.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+
+    @action async snooze(alert, minutes) {
+        try {
+            await alert.snooze(minutes);
+            this.notifications.success(this.intl.t('console.alerts.inbox.snoozed', { count: 1, minutes }));
+        } catch (error) {
+            alert.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+
+    @action assign(alert) {
+        this.promptAssignee(this.intl.t('console.alerts.inbox.assign-title', { count: 1 }), alert.assignedTo, async (user) => {
+            try {
+                await alert.assign(user);
+                this.notifications.success(this.intl.t('console.alerts.inbox.assigned', { count: 1 }));
+            } catch (error) {
+                alert.rollbackAttributes();
+                throw error;
+            }
+        });
+    }
+
+    @action bulkAcknowledge() {
+        return this.bulkUpdate('acknowledge', {}, 'console.alerts.inbox.acknowledged');
+    }
+
+    @action bulkResolve() {
+        return this.bulkUpdate('resolve', {}, 'console.alerts.inbox.resolved');
+    }
+
+    @action bulkSnooze(minutes) {
+        return this.bulkUpdate('snooze', { minutes }, 'console.alerts.inbox.snoozed');
+    }
+
+    @action bulkAssign() {
+        this.promptAssignee(this.intl.t('console.alerts.inbox.assign-title', { count: this.selected.length }), null, (user) => {
+            return this.bulkUpdate('assign', { assignee: user?.id ?? null }, 'console.alerts.inbox.assigned');
+        });
+    }
+
+    /**
+     * Prompt for the user to assign alerts to.
+     *
+     * @param {String} title
+     * @param {UserModel|null} assignee The current assignee
+     * @param {Function} callback Receives the selected user, or `null` to unassign
+     * @memberof ConsoleAlertsIndexController
+     */
+    promptAssignee(title, assignee, callback) {
+        this.modalsManager.show('modals/alert-assign', {
+            title,
+            assignee,
+            acceptButtonText: this.intl.t('console.alerts.inbox.assign'),
+            acceptButtonIcon: 'user-check',
+            setAssignee: (user) => {
+                this.modalsManager.setOption('assignee', user);
+            },
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                try {
+                    await callback(modal.getOption('assignee'));
+                    modal.done();
+                } catch (error) {
+                    modal.stopLoading();
+                    this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+
+    /**
+     * Apply an action to the selected alerts, the server records the current user as the one acknowledging or resolving.
+     *
+     * @param {String} type One of `acknowledge`, `resolve`, `snooze` or `assign`
+     * @param {Object} params
+     * @param {String} successMessage Translation key of the success notification
+     * @return {Promise}
+     * @memberof ConsoleAlertsIndexController
+     */
+    async bulkUpdate(type, params = {}, successMessage) {
+        const alerts = [...this.selected];
+        if (!alerts.length) {
+            return;
+        }
+
+        try {
+            await this.fetch.put(`alerts/bulk-${type}`, { alerts: alerts.map(({ id }) => id), ...params });
+            this.notifications.success(this.intl.t(successMessage, { count: alerts.length, ...params }));
+            this.selected = [];
+            this.incoming = [];
+            return this.router.refresh();
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+}
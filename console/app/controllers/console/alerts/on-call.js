@@ -0,0 +1,38 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class ConsoleAlertsOnCallController extends Controller {
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+
+    /**
+     * Confirm and delete an on-call schedule, policies paging it skip the target.
+     *
+     * @param {ScheduleModel} schedule
+     * @memberof ConsoleAlertsOnCallController
+     */
+    @action deleteSchedule(schedule) {
+        this.modalsManager.confirm({
+            title: this.intl.t('console.alerts.on-call.delete-title', { name: schedule.name }),
+            body: this.intl.t('console.alerts.on-call.delete-body'),
+            acceptButtonText: this.intl.t('common.delete'),
+            acceptButtonScheme: 'danger',
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                try {
+                    await schedule.destroyRecord();
+                    this.notifications.success(this.intl.t('console.alerts.on-call.deleted', { name: schedule.name }));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+}
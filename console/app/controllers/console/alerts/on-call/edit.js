@@ -0,0 +1,100 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task, all } from 'ember-concurrency';
+
+export default class ConsoleAlertsOnCallEditController extends Controller {
+    @service intl;
+    @service notifications;
+    @service router;
+    @service store;
+
+    /**
+     * The overlay context API.
+     *
+     * @memberof ConsoleAlertsOnCallEditController
+     */
+    @tracked contextApi;
+
+    /**
+     * Shifts of the schedule with unsaved changes, including removed shifts.
+     *
+     * @readonly
+     * @memberof ConsoleAlertsOnCallEditController
+     */
+    get changedShifts() {
+        return this.store.peekAll('schedule-item').filter((item) => {
+            if (item.belongsTo('schedule').value() !== this.model || (item.isNew && item.isDeleted)) {
+                return false;
+            }
+
+            return item.hasDirtyAttributes || item.isDeleted;
+        });
+    }
+
+    /**
+     * Save the schedule then its shifts, and return to the schedules list.
+     *
+     * @memberof ConsoleAlertsOnCallEditController
+     */
+    @task *save() {
+        try {
+            yield this.model.save();
+            yield all(
+                this.changedShifts.map((item) => {
+                    if (!item.isDeleted) {
+                        item.set('schedule_uuid', this.model.id);
+                    }
+
+                    return item.save();
+                })
+            );
+            this.notifications.success(this.intl.t('console.alerts.on-call.saved', { name: this.model.name }));
+        } catch (error) {
+            return this.notifications.serverError(error);
+        }
+
+        yield this.router.refresh('console.alerts.on-call');
+        return this.onPressClose();
+    }
+
+    /**
+     * Roll back unsaved changes to the schedule and its shifts.
+     *
+     * @memberof ConsoleAlertsOnCallEditController
+     */
+    discardChanges() {
+        for (const item of this.changedShifts) {
+            item.rollbackAttributes();
+        }
+
+        if (this.model.isNew || this.model.hasDirtyAttributes) {
+            this.model.rollbackAttributes();
+        }
+    }
+
+    /**
+     * Set the overlay component context object.
+     *
+     * @param {Object} contextApi
+     * @memberof ConsoleAlertsOnCallEditController
+     */
+    @action setOverlayContext(contextApi) {
+        this.contextApi = contextApi;
+    }
+
+    /**
+     * Handle closing the overlay.
+     *
+     * @return {Promise<Transition>}
+     * @memberof ConsoleAlertsOnCallEditController
+     */
+    @action onPressClose() {
+        if (this.contextApi && typeof this.contextApi.close === 'function') {
+            this.contextApi.close();
+        }
+
+        return this.router.transitionTo('console.alerts.on-call');
+    }
+}
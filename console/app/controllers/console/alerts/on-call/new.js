@@ -0,0 +1,3 @@
+import ConsoleAlertsOnCallEditController from './edit';
+
+export default class ConsoleAlertsOnCallNewController extends ConsoleAlertsOnCallEditController {}
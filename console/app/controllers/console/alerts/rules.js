@@ -0,0 +1,56 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class ConsoleAlertsRulesController extends Controller {
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+
+    /**
+     * Enable or disable a rule.
+     *
+     * @param {AlertRuleModel} rule
+     * @param {Boolean} isEnabled
+     * @memberof ConsoleAlertsRulesController
+     */
+    @action async toggleRule(rule, isEnabled) {
+        rule.set('is_enabled', isEnabled);
+
+        try {
+            await rule.save();
+        } catch (error) {
+            rule.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+
+    /**
+     * Confirm and delete a rule, alerts it already raised are kept.
+     *
+     * @param {AlertRuleModel} rule
+     * @memberof ConsoleAlertsRulesController
+     */
+    @action deleteRule(rule) {
+        this.modalsManager.confirm({
+            title: this.intl.t('console.alerts.rules.delete-title', { name: rule.name }),
+            body: this.intl.t('console.alerts.rules.delete-body'),
+            acceptButtonText: this.intl.t('common.delete'),
+            acceptButtonScheme: 'danger',
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                try {
+                    await rule.destroyRecord();
+                    this.notifications.success(this.intl.t('console.alerts.rules.deleted', { name: rule.name }));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+}
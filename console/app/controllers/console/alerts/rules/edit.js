@@ -0,0 +1,59 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+
+export default class ConsoleAlertsRulesEditController extends Controller {
+    @service intl;
+    @service notifications;
+    @service router;
+
+    /**
+     * The overlay context API.
+     *
+     * @memberof ConsoleAlertsRulesEditController
+     */
+    @tracked contextApi;
+
+    /**
+     * Save the rule and return to the rules list.
+     *
+     * @memberof ConsoleAlertsRulesEditController
+     */
+    @task *save() {
+        try {
+            yield this.model.save();
+            this.notifications.success(this.intl.t('console.alerts.rules.saved', { name: this.model.name }));
+        } catch (error) {
+            return this.notifications.serverError(error);
+        }
+
+        yield this.router.refresh('console.alerts.rules');
+        return this.onPressClose();
+    }
+
+    /**
+     * Set the overlay component context object.
+     *
+     * @param {Object} contextApi
+     * @memberof ConsoleAlertsRulesEditController
+     */
+    @action setOverlayContext(contextApi) {
+        this.contextApi = contextApi;
+    }
+
+    /**
+     * Handle closing the overlay.
+     *
+     * @return {Promise<Transition>}
+     * @memberof ConsoleAlertsRulesEditController
+     */
+    @action onPressClose() {
+        if (this.contextApi && typeof this.contextApi.close === 'function') {
+            this.contextApi.close();
+        }
+
+        return this.router.transitionTo('console.alerts.rules');
+    }
+}
@@ -0,0 +1,3 @@
+import ConsoleAlertsRulesEditController from './edit';
+
+export default class ConsoleAlertsRulesNewController extends ConsoleAlertsRulesEditController {}
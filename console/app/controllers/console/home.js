@@ -1,6 +1,60 @@
 import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { DASHBOARD_FILTER_KEYS, parseFilterParams, serializeFilterParams } from '@fleetbase/console/utils/dashboard-filters';
 
 export default class ConsoleHomeController extends Controller {
+    @service dashboard;
+
+    /**
+     * The dashboard filters persisted in the URL, see `DASHBOARD_FILTERS`.
+     *
+     * @var {Array}
+     */
+    queryParams = [...DASHBOARD_FILTER_KEYS];
+
+    @tracked date_range = null;
+    @tracked org_unit = null;
+    @tracked driver = null;
+    @tracked vehicle = null;
+    @tracked tags = null;
+
+    get filterParams() {
+        return parseFilterParams(DASHBOARD_FILTER_KEYS.reduce((params, key) => ({ ...params, [key]: this[key] }), {}));
+    }
+
+    /**
+     * Whether the filters applied last came from the URL.
+     *
+     * @memberof ConsoleHomeController
+     */
+    hasFilterParams = false;
+
+    /**
+     * Apply filters from the URL, the saved filters of the dashboard are used when the URL has none. Runs whenever the
+     * filters in the URL change.
+     *
+     * @memberof ConsoleHomeController
+     */
+    applyFilterParams() {
+        const filters = this.filterParams;
+        const hasFilterParams = Object.keys(filters).length > 0;
+
+        if (hasFilterParams) {
+            this.dashboard.applyFilters.perform(filters, { persist: false });
+        } else if (this.hasFilterParams) {
+            this.dashboard.applyFilters.perform(this.dashboard.currentDashboard?.options?.filters ?? {}, { persist: false });
+        }
+
+        this.hasFilterParams = hasFilterParams;
+    }
+
+    @action setFilters(filters) {
+        this.setProperties(serializeFilterParams(filters));
+        this.dashboard.applyFilters.perform(filters);
+    }
+
     rows = [
         {
             name: 'Jason',
@@ -0,0 +1,73 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+
+export default class ConsoleReportsController extends Controller {
+    @service reportActions;
+
+    /**
+     * Open the schedule editor of a report.
+     *
+     * @param {ReportModel} report
+     * @return {Promise}
+     * @memberof ConsoleReportsController
+     */
+    @action scheduleReport(report) {
+        return this.reportActions.modal.schedule(report);
+    }
+
+    /**
+     * Open the execution history and audit log of a report.
+     *
+     * @param {ReportModel} report
+     * @return {Promise}
+     * @memberof ConsoleReportsController
+     */
+    @action showHistory(report) {
+        return this.reportActions.modal.history(report);
+    }
+
+    /**
+     * Open the export of a report, results are streamed page by page into the file.
+     *
+     * @param {ReportModel} report
+     * @return {Promise}
+     * @memberof ConsoleReportsController
+     */
+    @action exportReport(report) {
+        return this.reportActions.modal.export(report);
+    }
+
+    /**
+     * Open the query builder of a report.
+     *
+     * @param {ReportModel} report
+     * @return {Promise}
+     * @memberof ConsoleReportsController
+     */
+    @action configureQuery(report) {
+        return this.reportActions.modal.query(report);
+    }
+
+    /**
+     * Open the visualization editor of a report.
+     *
+     * @param {ReportModel} report
+     * @return {Promise}
+     * @memberof ConsoleReportsController
+     */
+    @action visualizeReport(report) {
+        return this.reportActions.modal.visualize(report);
+    }
+
+    /**
+     * Run a report, going through the parameters prompt when it declares any.
+     *
+     * @param {ReportModel} report
+     * @return {Promise}
+     * @memberof ConsoleReportsController
+     */
+    @action runReport(report) {
+        return this.reportActions.run(report);
+    }
+}
@@ -0,0 +1,625 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { debug } from '@ember/debug';
+import { task, all } from 'ember-concurrency';
+import { formatInTimezone } from '@fleetbase/console/utils/timezone';
+import {
+    CALENDAR_VIEWS,
+    DEFAULT_CALENDAR_VIEW,
+    DEFAULT_RESOURCE_TYPE,
+    SCHEDULE_RESOURCE_TYPES,
+    diffScheduleItems,
+    getCalendarRange,
+    getItemDuration,
+    getScheduleTimezone,
+    getTodayKey,
+    shiftCalendarDate,
+    snapshotScheduleItems,
+    validateScheduleItem,
+} from '@fleetbase/console/utils/schedule-calendar';
+import { groupViolationsByItem, validateSchedule } from '@fleetbase/console/utils/schedule-constraints';
+import { applySolverAssignments, createScheduleSolverWorker, prepareSolverInput, solveSchedule } from '@fleetbase/console/utils/schedule-solver-worker';
+
+export default class ConsoleSchedulesIndexController extends Controller {
+    @service fetch;
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+    @service store;
+
+    queryParams = [{ scheduleId: 'schedule' }, 'view', 'date', { resourceType: 'resource' }];
+    @tracked scheduleId = null;
+    @tracked view = DEFAULT_CALENDAR_VIEW;
+    @tracked date = null;
+    @tracked resourceType = DEFAULT_RESOURCE_TYPE;
+
+    /**
+     * The items of the selected schedule.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @tracked items = [];
+
+    /**
+     * Drivers and vehicles shown as rows, keyed by resource type then id.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @tracked resources = { driver: {}, vehicle: {} };
+
+    /**
+     * Active constraints the schedule is checked against.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @tracked constraints = [];
+
+    /**
+     * Availability of the drivers on the schedule.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @tracked availabilities = [];
+
+    views = CALENDAR_VIEWS;
+    resourceTypes = Object.keys(SCHEDULE_RESOURCE_TYPES);
+
+    get schedule() {
+        const schedules = this.model ?? [];
+        return schedules.find((schedule) => schedule.id === this.scheduleId) ?? schedules[0] ?? null;
+    }
+
+    get timeZone() {
+        return getScheduleTimezone(this.schedule);
+    }
+
+    get dateKey() {
+        return this.date ?? getTodayKey(this.timeZone);
+    }
+
+    /**
+     * Title of the range shown by the calendar.
+     *
+     * @readonly
+     * @memberof ConsoleSchedulesIndexController
+     */
+    get rangeLabel() {
+        const { days } = getCalendarRange(this.view, this.dateKey, this.timeZone);
+        const first = days[0].start;
+
+        if (this.view === 'day') {
+            return formatInTimezone(first, this.timeZone, { dateStyle: 'full' });
+        }
+
+        if (this.view === 'month') {
+            return formatInTimezone(first, this.timeZone, { month: 'long', year: 'numeric' });
+        }
+
+        return `${formatInTimezone(first, this.timeZone, { dateStyle: 'medium' })} – ${formatInTimezone(days[days.length - 1].start, this.timeZone, { dateStyle: 'medium' })}`;
+    }
+
+    get calendarResources() {
+        return Object.values(this.resources[this.resourceType] ?? {})
+            .map((model) => ({ id: model.id, name: this.getResourceName(model), model }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get resourceNames() {
+        return Object.values(this.resources).reduce((names, models) => {
+            for (const model of Object.values(models)) {
+                names[model.id] = this.getResourceName(model);
+            }
+
+            return names;
+        }, {});
+    }
+
+    getResourceName(model) {
+        return model.name ?? model.display_name ?? model.public_id ?? model.id;
+    }
+
+    get publishDiff() {
+        return diffScheduleItems(
+            this.schedule?.meta?.published_snapshot,
+            this.items.filter((item) => !item.isDeleted)
+        );
+    }
+
+    /**
+     * Constraints broken by the items of the schedule.
+     *
+     * @readonly
+     * @memberof ConsoleSchedulesIndexController
+     */
+    get violations() {
+        return validateSchedule({ items: this.items, constraints: this.constraints, availabilities: this.availabilities, timeZone: this.timeZone });
+    }
+
+    get violationsByItem() {
+        return groupViolationsByItem(this.violations);
+    }
+
+    get isDraft() {
+        return this.schedule?.status === 'draft';
+    }
+
+    get canPublish() {
+        return Boolean(this.schedule) && (this.isDraft || this.publishDiff.count > 0);
+    }
+
+    /**
+     * Load the items of the selected schedule and the drivers and vehicles they are assigned to.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @task({ restartable: true }) *loadItems() {
+        const { schedule } = this;
+        if (!schedule) {
+            this.items = [];
+            return;
+        }
+
+        try {
+            const items = yield schedule.items;
+            this.items = items.toArray();
+        } catch (error) {
+            debug(`Unable to load schedule items : ${error.message}`);
+            return;
+        }
+
+        const resources = { driver: { ...this.resources.driver }, vehicle: { ...this.resources.vehicle } };
+        for (const [type, { key, modelName }] of Object.entries(SCHEDULE_RESOURCE_TYPES)) {
+            const ids = [...new Set(this.items.map((item) => item[key]).filter((id) => id && !resources[type][id]))];
+
+            try {
+                const models = yield all(ids.map((id) => this.store.findRecord(modelName, id)));
+                for (const model of models) {
+                    resources[type][model.id] = model;
+                }
+            } catch (error) {
+                debug(`Unable to load schedule ${type}s : ${error.message}`);
+            }
+        }
+
+        this.resources = resources;
+        yield this.loadConstraints.perform();
+    }
+
+    /**
+     * Load the active constraints and the availability of the drivers on the schedule.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @task({ restartable: true }) *loadConstraints() {
+        const driverIds = Object.keys(this.resources.driver);
+
+        try {
+            const [constraints, availabilities] = yield all([
+                this.store.query('schedule-constraint', { is_active: true }),
+                driverIds.length ? this.store.query('schedule-availability', { subject_uuid: driverIds }) : [],
+            ]);
+            this.constraints = constraints.toArray();
+            this.availabilities = Array.from(availabilities);
+        } catch (error) {
+            debug(`Unable to load schedule constraints : ${error.message}`);
+        }
+    }
+
+    @action selectSchedule(schedule) {
+        this.scheduleId = schedule.id;
+    }
+
+    @action setView(view) {
+        this.view = view;
+    }
+
+    @action setResourceType(resourceType) {
+        this.resourceType = resourceType;
+    }
+
+    @action previous() {
+        this.date = shiftCalendarDate(this.view, this.dateKey, -1);
+    }
+
+    @action next() {
+        this.date = shiftCalendarDate(this.view, this.dateKey, 1);
+    }
+
+    @action today() {
+        this.date = null;
+    }
+
+    /**
+     * Add a row for a driver or vehicle which has no items yet.
+     *
+     * @param {String} type
+     * @param {Model|null} model
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @action addResource(type, model) {
+        if (!model || this.resources[type][model.id]) {
+            return;
+        }
+
+        this.resources = { ...this.resources, [type]: { ...this.resources[type], [model.id]: model } };
+
+        // Constraints check drivers against their availability
+        if (type === 'driver') {
+            this.loadConstraints.perform();
+        }
+    }
+
+    @action createSchedule() {
+        const schedule = this.store.createRecord('schedule', { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone, status: 'draft' });
+
+        this.modalsManager.show('modals/schedule-form', {
+            title: this.intl.t('console.schedules.new-schedule'),
+            acceptButtonText: this.intl.t('common.create'),
+            acceptButtonIcon: 'check',
+            schedule,
+            timezones: [],
+            confirm: async (modal) => {
+                if (!schedule.name) {
+                    return this.notifications.warning(this.intl.t('console.schedules.name-required'));
+                }
+
+                modal.startLoading();
+
+                try {
+                    await schedule.save();
+                    this.notifications.success(this.intl.t('console.schedules.created', { name: schedule.name }));
+                    modal.done();
+                    this.scheduleId = schedule.id;
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+            decline: (modal) => {
+                schedule.unloadRecord();
+                modal.done();
+            },
+        });
+
+        this.fetch
+            .get('lookup/timezones')
+            .then((timezones) => this.modalsManager.setOption('timezones', timezones))
+            .catch((error) => debug(`Unable to load timezones : ${error.message}`));
+    }
+
+    /**
+     * Create an item at a time on the row of a resource and open it in the editor.
+     *
+     * @param {Model|null} resource
+     * @param {Date} start
+     * @param {Date} end
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @action createItem(resource, start, end) {
+        const { key, typeKey } = SCHEDULE_RESOURCE_TYPES[this.resourceType];
+        const item = this.store.createRecord('schedule-item', {
+            schedule: this.schedule,
+            schedule_uuid: this.schedule.id,
+            start_at: start,
+            end_at: end,
+            duration: getItemDuration({ start_at: start, end_at: end }),
+            status: 'pending',
+            [key]: resource?.id ?? null,
+            [typeKey]: resource ? this.resourceType : null,
+        });
+
+        this.items = [...this.items, item];
+        this.editItem(item);
+    }
+
+    /**
+     * Open an item in the editor, unsaved changes are dropped when the editor is closed.
+     *
+     * @param {ScheduleItemModel} item
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @action editItem(item) {
+        this.modalsManager.show('modals/schedule-item-form', {
+            title: this.intl.t(item.isNew ? 'console.schedules.new-item' : 'console.schedules.edit-item'),
+            acceptButtonText: this.intl.t('common.save'),
+            acceptButtonIcon: 'save',
+            item,
+            schedule: this.schedule,
+            driver: this.resources.driver[item.assignee_uuid] ?? null,
+            vehicle: this.resources.vehicle[item.resource_uuid] ?? null,
+            selectResource: this.addResource,
+            deleteItem: (modal) => this.deleteItem(item, modal),
+            confirm: async (modal) => {
+                if (validateScheduleItem(item).length) {
+                    return this.notifications.warning(this.intl.t('console.schedules.invalid-item'));
+                }
+
+                modal.startLoading();
+
+                try {
+                    await item.save();
+                    this.notifications.success(this.intl.t('console.schedules.item-saved'));
+                    this.items = [...this.items];
+                    return modal.done();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+            decline: (modal) => {
+                this.discardChanges(item);
+                modal.done();
+            },
+        });
+    }
+
+    discardChanges(item) {
+        if (item.isNew) {
+            this.items = this.items.filter((existing) => existing !== item);
+            item.unloadRecord();
+        } else if (!item.isDeleted) {
+            item.rollbackAttributes();
+        }
+    }
+
+    async deleteItem(item, modal) {
+        try {
+            await item.destroyRecord();
+            this.items = this.items.filter((existing) => existing !== item);
+            this.notifications.success(this.intl.t('console.schedules.item-deleted'));
+            modal.close();
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    /**
+     * Save an item moved, reassigned or resized on the calendar.
+     *
+     * @param {ScheduleItemModel} item
+     * @param {Object} changes
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @action async changeItem(item, changes) {
+        item.setProperties(changes);
+        item.set('duration', getItemDuration(item));
+        this.items = [...this.items];
+
+        try {
+            await item.save();
+        } catch (error) {
+            item.rollbackAttributes();
+            this.items = [...this.items];
+            this.notifications.serverError(error);
+        }
+    }
+
+    /**
+     * Generate the shifts of a template over a range, the month shown by the calendar by default. Shifts already on the
+     * schedule are not generated twice.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @action generateFromTemplate() {
+        const { days } = getCalendarRange('month', this.dateKey, this.timeZone);
+        let request = null;
+
+        this.modalsManager.show('modals/schedule-generate', {
+            title: this.intl.t('console.schedules.generate-title'),
+            acceptButtonText: this.intl.t('console.schedules.generate'),
+            acceptButtonIcon: 'wand-magic-sparkles',
+            schedule: this.schedule,
+            items: this.items,
+            templates: [],
+            from: days[0].key,
+            to: days[days.length - 1].key,
+            onChange: (changes) => {
+                request = changes;
+            },
+            confirm: async (modal) => {
+                if (!request?.occurrences?.length) {
+                    return this.notifications.warning(this.intl.t('console.schedules.nothing-to-generate'));
+                }
+
+                modal.startLoading();
+
+                const { driver, vehicle, occurrences } = request;
+                const items = occurrences.map((occurrence) =>
+                    this.store.createRecord('schedule-item', {
+                        ...occurrence,
+                        schedule: this.schedule,
+                        schedule_uuid: this.schedule.id,
+                        assignee_uuid: driver?.id ?? null,
+                        assignee_type: driver ? 'driver' : null,
+                        resource_uuid: vehicle?.id ?? null,
+                        resource_type: vehicle ? 'vehicle' : null,
+                        status: 'pending',
+                    })
+                );
+
+                this.addResource('driver', driver);
+                this.addResource('vehicle', vehicle);
+
+                const saved = [];
+
+                try {
+                    for (const item of items) {
+                        await item.save();
+                        saved.push(item);
+                    }
+
+                    this.notifications.success(this.intl.t('console.schedules.generated', { count: items.length }));
+                    modal.done();
+                } catch (error) {
+                    modal.stopLoading();
+                    this.notifications.serverError(error);
+
+                    if (saved.length) {
+                        this.notifications.warning(this.intl.t('console.schedules.generated-partially', { count: saved.length, total: items.length }));
+                    }
+                }
+
+                // Shifts are saved one at a time, so none is in flight here: the failed one and the ones after it are dropped
+                for (const item of items.filter((item) => !saved.includes(item))) {
+                    item.unloadRecord();
+                }
+
+                this.items = [...this.items, ...saved];
+            },
+        });
+
+        this.store
+            .query('schedule-template', { sort: 'name' })
+            .then((templates) => this.modalsManager.setOption('templates', templates))
+            .catch((error) => debug(`Unable to load schedule templates : ${error.message}`));
+    }
+
+    /**
+     * Propose drivers for the open items in view, the items nobody is assigned to, and assign the ones accepted.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @action autoFill() {
+        const { start, end } = getCalendarRange(this.view, this.dateKey, this.timeZone);
+        const openItems = this.items.filter(
+            (item) =>
+                !item.isDeleted &&
+                !item.isNew &&
+                !item.assignee_uuid &&
+                item.status !== 'cancelled' &&
+                item.start_at &&
+                item.end_at &&
+                new Date(item.start_at) < end &&
+                new Date(item.end_at) > start
+        );
+
+        if (!openItems.length) {
+            return this.notifications.info(this.intl.t('console.schedules.auto-fill.no-open-shifts'));
+        }
+
+        this.modalsManager.show('modals/schedule-auto-fill', {
+            title: this.intl.t('console.schedules.auto-fill.title'),
+            acceptButtonText: this.intl.t('console.schedules.auto-fill.apply'),
+            acceptButtonIcon: 'check',
+            acceptButtonDisabled: true,
+            schedule: this.schedule,
+            proposal: null,
+            progress: null,
+            selected: [],
+            onChange: (selected) => {
+                this.modalsManager.setOptions({ selected, acceptButtonDisabled: !selected.length });
+            },
+            confirm: async (modal) => {
+                const selected = modal.getOption('selected', []);
+                modal.startLoading();
+
+                for (const { driver } of selected) {
+                    this.addResource('driver', driver);
+                }
+
+                try {
+                    await applySolverAssignments(selected);
+                    this.notifications.success(this.intl.t('console.schedules.auto-fill.applied', { count: selected.length }));
+                    modal.done();
+                } catch (error) {
+                    modal.stopLoading();
+                    this.notifications.serverError(error);
+                }
+            },
+            decline: (modal) => {
+                this.solveOpenItems.cancelAll();
+                modal.done();
+            },
+        });
+
+        this.solveOpenItems.perform(openItems);
+    }
+
+    /**
+     * Run the solver over open items in a worker and show its proposal, all assignments are selected at first.
+     *
+     * @param {Array<ScheduleItemModel>} openItems
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @task({ restartable: true }) *solveOpenItems(openItems) {
+        const worker = createScheduleSolverWorker();
+
+        try {
+            const drivers = (yield this.store.query('driver', { limit: -1 })).toArray();
+            const availabilities = drivers.length ? yield this.store.query('schedule-availability', { subject_uuid: drivers.map(({ id }) => id) }) : [];
+            const input = prepareSolverInput({
+                openItems,
+                items: this.items,
+                drivers,
+                constraints: this.constraints,
+                availabilities,
+                schedule: this.schedule,
+                timeZone: this.timeZone,
+            });
+
+            const { assignments, unassigned } = yield solveSchedule(worker, input, {
+                onProgress: (progress) => this.modalsManager.setOption('progress', progress),
+            });
+
+            const proposal = {
+                assignments: assignments.map(({ shift, driver, preference, softViolations }) => ({
+                    item: openItems[shift],
+                    driver: drivers.find(({ id }) => id === driver),
+                    preference,
+                    softViolations,
+                })),
+                unassigned: unassigned.map(({ shift, reason }) => ({ item: openItems[shift], reason })),
+            };
+
+            this.modalsManager.setOptions({ proposal, selected: proposal.assignments, acceptButtonDisabled: !proposal.assignments.length });
+        } catch (error) {
+            this.notifications.serverError(error);
+            this.modalsManager.done();
+        } finally {
+            worker.terminate();
+        }
+    }
+
+    /**
+     * Publish the schedule, the items as published are kept in its meta to show what changed before the next publish.
+     *
+     * @memberof ConsoleSchedulesIndexController
+     */
+    @action publish() {
+        const { schedule } = this;
+
+        this.modalsManager.show('modals/schedule-publish', {
+            title: this.intl.t('console.schedules.publish-title', { name: schedule.name }),
+            acceptButtonText: this.intl.t('console.schedules.publish'),
+            acceptButtonIcon: 'paper-plane',
+            schedule,
+            diff: this.publishDiff,
+            publishedAt: schedule.meta?.published_at ? new Date(schedule.meta.published_at) : null,
+            resourceNames: this.resourceNames,
+            errorCount: this.violations.filter(({ severity }) => severity === 'error').length,
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                const items = this.items.filter((item) => !item.isDeleted);
+                schedule.setProperties({
+                    status: 'active',
+                    meta: { ...(schedule.meta ?? {}), published_at: new Date().toISOString(), published_snapshot: snapshotScheduleItems(items) },
+                });
+
+                try {
+                    await schedule.save();
+                    this.notifications.success(this.intl.t('console.schedules.published', { name: schedule.name }));
+                    return modal.done();
+                } catch (error) {
+                    schedule.rollbackAttributes();
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+}
@@ -0,0 +1,205 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { validateScheduleAvailability } from '@fleetbase/console/utils/schedule-calendar';
+import { validateScheduleRequest } from '@fleetbase/console/utils/schedule-requests';
+import { formatInTimezone } from '@fleetbase/console/utils/timezone';
+
+export default class ConsoleSchedulesMineController extends Controller {
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+    @service store;
+
+    /**
+     * Drivers see their shifts and availability in the timezone of their browser.
+     *
+     * @memberof ConsoleSchedulesMineController
+     */
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    get driver() {
+        return this.model?.driver ?? null;
+    }
+
+    /**
+     * Shifts which have not ended yet, with the request pending for each of them.
+     *
+     * @readonly
+     * @memberof ConsoleSchedulesMineController
+     */
+    get upcomingItems() {
+        const now = new Date();
+        const pending = Array.from(this.model?.requests ?? []).filter((request) => request.isPending);
+
+        return Array.from(this.model?.items ?? [])
+            .filter((item) => item.end_at && new Date(item.end_at) > now && item.status !== 'cancelled')
+            .map((item) => ({
+                item,
+                period: this.formatPeriod(item),
+                hasStarted: new Date(item.start_at) <= now,
+                pendingRequest: pending.find((request) => request.schedule_item_uuid === item.id) ?? null,
+            }));
+    }
+
+    get availabilities() {
+        return Array.from(this.model?.availabilities ?? [])
+            .filter((availability) => !availability.isNew)
+            .map((availability) => ({ availability, period: this.formatPeriod(availability) }));
+    }
+
+    get requests() {
+        return Array.from(this.model?.requests ?? [])
+            .filter((request) => !request.isNew)
+            .map((request) => ({ request, period: this.formatPeriod(this.store.peekRecord('schedule-item', request.schedule_item_uuid)) }));
+    }
+
+    formatPeriod(record) {
+        if (!record?.start_at || !record?.end_at) {
+            return null;
+        }
+
+        const date = { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' };
+        return `${formatInTimezone(new Date(record.start_at), this.timeZone, date)} – ${formatInTimezone(new Date(record.end_at), this.timeZone, date)}`;
+    }
+
+    @action addAvailability() {
+        this.editAvailability(this.store.createRecord('schedule-availability', { subject_uuid: this.driver.id, subject_type: 'driver', is_available: false }));
+    }
+
+    /**
+     * Open an availability window in the editor, unsaved changes are dropped when the editor is closed.
+     *
+     * @param {ScheduleAvailabilityModel} availability
+     * @memberof ConsoleSchedulesMineController
+     */
+    @action editAvailability(availability) {
+        this.modalsManager.show('modals/schedule-availability-form', {
+            title: this.intl.t(availability.isNew ? 'console.schedules.mine.new-availability' : 'console.schedules.mine.edit-availability'),
+            acceptButtonText: this.intl.t('common.save'),
+            acceptButtonIcon: 'save',
+            modalClass: 'modal-lg',
+            availability,
+            timeZone: this.timeZone,
+            confirm: async (modal) => {
+                if (validateScheduleAvailability(availability).length) {
+                    return this.notifications.warning(this.intl.t('console.schedules.mine.invalid-availability'));
+                }
+
+                modal.startLoading();
+
+                try {
+                    await availability.save();
+                    this.notifications.success(this.intl.t('console.schedules.mine.availability-saved'));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+            decline: (modal) => {
+                availability.rollbackAttributes();
+                modal.done();
+            },
+        });
+    }
+
+    @action deleteAvailability(availability) {
+        this.modalsManager.confirm({
+            title: this.intl.t('console.schedules.mine.delete-availability-title'),
+            body: this.intl.t('console.schedules.mine.delete-availability-body'),
+            acceptButtonText: this.intl.t('common.delete'),
+            acceptButtonScheme: 'danger',
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                try {
+                    await availability.destroyRecord();
+                    this.notifications.success(this.intl.t('console.schedules.mine.availability-deleted'));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+
+    /**
+     * Ask a manager to let the driver swap or drop a shift.
+     *
+     * @param {ScheduleItemModel} item
+     * @param {String} type swap or drop
+     * @memberof ConsoleSchedulesMineController
+     */
+    @action requestChange(item, type) {
+        const request = this.store.createRecord('schedule-request', {
+            type,
+            schedule_uuid: item.schedule_uuid,
+            schedule_item_uuid: item.id,
+            requester_uuid: this.driver.id,
+            requester_type: 'driver',
+        });
+
+        this.modalsManager.show('modals/schedule-request-form', {
+            title: this.intl.t('console.schedules.mine.request-title'),
+            acceptButtonText: this.intl.t('console.schedules.mine.send-request'),
+            acceptButtonIcon: 'paper-plane',
+            request,
+            item,
+            timeZone: this.timeZone,
+            errors: [],
+            confirm: async (modal) => {
+                const targetItem = request.target_item_uuid ? this.store.peekRecord('schedule-item', request.target_item_uuid) : null;
+                const errors = validateScheduleRequest(request, item, { targetItem });
+                modal.setOption('errors', errors);
+
+                if (errors.length) {
+                    return;
+                }
+
+                modal.startLoading();
+
+                try {
+                    await request.save();
+                    this.notifications.success(this.intl.t('console.schedules.mine.request-sent'));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+            decline: (modal) => {
+                request.rollbackAttributes();
+                modal.done();
+            },
+        });
+    }
+
+    @action cancelRequest(request) {
+        this.modalsManager.confirm({
+            title: this.intl.t('console.schedules.mine.cancel-request-title'),
+            body: this.intl.t('console.schedules.mine.cancel-request-body'),
+            acceptButtonText: this.intl.t('console.schedules.mine.cancel-request'),
+            acceptButtonScheme: 'danger',
+            confirm: async (modal) => {
+                modal.startLoading();
+                request.set('status', 'cancelled');
+
+                try {
+                    await request.save();
+                    this.notifications.success(this.intl.t('console.schedules.mine.request-cancelled'));
+                    modal.done();
+                } catch (error) {
+                    request.rollbackAttributes();
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+}
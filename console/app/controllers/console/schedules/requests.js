@@ -0,0 +1,156 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { debug } from '@ember/debug';
+import { task, all, allSettled } from 'ember-concurrency';
+import {
+    SCHEDULE_REQUEST_STATUSES,
+    applyScheduleRequestChanges,
+    canReviewScheduleRequest,
+    getScheduleRequestChanges,
+    validateScheduleRequest,
+} from '@fleetbase/console/utils/schedule-requests';
+import { formatInTimezone } from '@fleetbase/console/utils/timezone';
+
+export default class ConsoleSchedulesRequestsController extends Controller {
+    @service currentUser;
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+    @service store;
+    @service universe;
+
+    queryParams = ['status'];
+    @tracked status = 'pending';
+    @tracked items = {};
+    @tracked drivers = {};
+    statuses = SCHEDULE_REQUEST_STATUSES;
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    /**
+     * Drivers submitting requests notify the managers, reload the requests when a notification comes in.
+     *
+     * @memberof ConsoleSchedulesRequestsController
+     */
+    constructor() {
+        super(...arguments);
+
+        this.universe.on('notification.received', () => {
+            if (this.router.currentRouteName === 'console.schedules.requests') {
+                this.router.refresh();
+            }
+        });
+    }
+
+    get requests() {
+        return Array.from(this.model ?? []).map((request) => {
+            const item = this.items[request.schedule_item_uuid] ?? null;
+            const targetItem = this.items[request.target_item_uuid] ?? null;
+
+            return {
+                request,
+                item,
+                targetItem,
+                period: this.formatPeriod(item),
+                targetPeriod: this.formatPeriod(targetItem),
+                requester: this.drivers[request.requester_uuid] ?? null,
+                target: this.drivers[request.target_uuid] ?? null,
+                canReview: canReviewScheduleRequest(request, item),
+            };
+        });
+    }
+
+    formatPeriod(item) {
+        if (!item?.start_at || !item?.end_at) {
+            return null;
+        }
+
+        const time = { hour: 'numeric', minute: '2-digit' };
+        return `${formatInTimezone(new Date(item.start_at), this.timeZone, { weekday: 'short', day: 'numeric', month: 'short', ...time })} – ${formatInTimezone(new Date(item.end_at), this.timeZone, time)}`;
+    }
+
+    @action setStatus(event) {
+        this.status = event.target.value;
+    }
+
+    /**
+     * Approve or reject a request. Approving applies it to the schedule, provided the shift is still the requester's
+     * and has not started.
+     *
+     * @param {Object} row See `requests`
+     * @param {String} decision approved or rejected
+     * @memberof ConsoleSchedulesRequestsController
+     */
+    @action reviewRequest({ request, item, targetItem, requester }, decision) {
+        this.modalsManager.show('modals/schedule-request-review', {
+            title: this.intl.t(decision === 'approved' ? 'console.schedules.requests.approve-title' : 'console.schedules.requests.reject-title', { name: requester?.name ?? '' }),
+            acceptButtonText: this.intl.t(decision === 'approved' ? 'console.schedules.requests.approve' : 'console.schedules.requests.reject'),
+            acceptButtonScheme: decision === 'approved' ? 'primary' : 'danger',
+            request,
+            decision,
+            confirm: async (modal) => {
+                if (decision === 'approved' && (!canReviewScheduleRequest(request, item) || validateScheduleRequest(request, item, { targetItem }).length)) {
+                    return this.notifications.warning(this.intl.t('console.schedules.requests.no-longer-valid'));
+                }
+
+                modal.startLoading();
+
+                try {
+                    // Shifts are saved one at a time and put back when a later save fails, the request is decided last
+                    const undo = await applyScheduleRequestChanges(decision === 'approved' ? getScheduleRequestChanges(request, item, targetItem) : []);
+
+                    try {
+                        request.setProperties({ status: decision, reviewer_uuid: this.currentUser.id, reviewed_at: new Date() });
+                        await request.save();
+                    } catch (error) {
+                        request.setProperties({ status: 'pending', reviewer_uuid: null, reviewed_at: null });
+                        await undo().catch((undoError) => debug(`Unable to undo schedule request changes : ${undoError.message}`));
+                        throw error;
+                    }
+
+                    this.notifications.success(this.intl.t(decision === 'approved' ? 'console.schedules.requests.approved' : 'console.schedules.requests.rejected'));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+            decline: (modal) => {
+                request.rollbackAttributes();
+                modal.done();
+            },
+        });
+    }
+
+    /**
+     * Load the shifts and drivers the requests refer to.
+     *
+     * @memberof ConsoleSchedulesRequestsController
+     */
+    @task *loadRelated() {
+        const requests = Array.from(this.model ?? []);
+        const itemIds = new Set(requests.flatMap((request) => [request.schedule_item_uuid, request.target_item_uuid]).filter(Boolean));
+        const driverIds = new Set(requests.flatMap((request) => [request.requester_uuid, request.target_uuid]).filter(Boolean));
+
+        // Shifts may have been deleted since, the requests are still listed without them
+        const [items, drivers] = yield all([
+            allSettled([...itemIds].map((id) => this.store.findRecord('schedule-item', id))),
+            allSettled([...driverIds].map((id) => this.store.findRecord('driver', id))),
+        ]);
+        const byId = (results, name) =>
+            results.reduce((records, { state, value, reason }) => {
+                if (state !== 'fulfilled') {
+                    debug(`Unable to load ${name} of schedule request : ${reason?.message}`);
+                    return records;
+                }
+
+                return { ...records, [value.id]: value };
+            }, {});
+
+        this.items = byId(items, 'shift');
+        this.drivers = byId(drivers, 'driver');
+    }
+}
@@ -0,0 +1,91 @@
+import Controller from '@ember/controller';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { parseRRule, serializeRRule, WEEKDAY_CODES } from '@fleetbase/console/utils/rrule';
+import { getTodayKey } from '@fleetbase/console/utils/schedule-calendar';
+
+export default class ConsoleSchedulesTemplatesController extends Controller {
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+    @service store;
+
+    /**
+     * New templates are weekday day shifts until changed.
+     *
+     * @memberof ConsoleSchedulesTemplatesController
+     */
+    @action createTemplate() {
+        const rrule = serializeRRule({
+            freq: 'WEEKLY',
+            interval: 1,
+            byDay: WEEKDAY_CODES.map((day) => ({ day, ordinal: null })),
+            byMonthDay: [],
+            byMonth: [],
+            start: getTodayKey(Intl.DateTimeFormat().resolvedOptions().timeZone),
+            exdates: [],
+        });
+
+        this.editTemplate(this.store.createRecord('schedule-template', { start_time: '08:00', end_time: '16:00', duration: 480, break_duration: 30, rrule }));
+    }
+
+    /**
+     * Open a template in the editor, unsaved changes are dropped when the editor is closed.
+     *
+     * @param {ScheduleTemplateModel} template
+     * @memberof ConsoleSchedulesTemplatesController
+     */
+    @action editTemplate(template) {
+        this.modalsManager.show('modals/schedule-template-form', {
+            title: this.intl.t(template.isNew ? 'console.schedules.templates.new-template' : 'console.schedules.templates.edit-template'),
+            acceptButtonText: this.intl.t('common.save'),
+            acceptButtonIcon: 'save',
+            modalClass: 'modal-lg',
+            template,
+            confirm: async (modal) => {
+                if (!template.name || !template.shiftMinutes || !parseRRule(template.rrule)) {
+                    return this.notifications.warning(this.intl.t('console.schedules.templates.invalid-template'));
+                }
+
+                modal.startLoading();
+
+                try {
+                    await template.save();
+                    this.notifications.success(this.intl.t('console.schedules.templates.saved', { name: template.name }));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+            decline: (modal) => {
+                template.rollbackAttributes();
+                modal.done();
+            },
+        });
+    }
+
+    @action deleteTemplate(template) {
+        this.modalsManager.confirm({
+            title: this.intl.t('console.schedules.templates.delete-title', { name: template.name }),
+            body: this.intl.t('console.schedules.templates.delete-body'),
+            acceptButtonText: this.intl.t('common.delete'),
+            acceptButtonScheme: 'danger',
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                try {
+                    await template.destroyRecord();
+                    this.notifications.success(this.intl.t('console.schedules.templates.deleted', { name: template.name }));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+}
@@ -0,0 +1,136 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { inject as service } from '@ember/service';
+import { action } from '@ember/object';
+import { task } from 'ember-concurrency';
+import { DEFAULT_NEWS_SOURCE, NEWS_SOURCES } from '@fleetbase/console/utils/news-feed';
+
+export default class ConsoleSettingsAnnouncementsController extends Controller {
+    @service intl;
+    @service modalsManager;
+    @service notifications;
+    @service router;
+    @service store;
+    @tracked company;
+
+    /**
+     * Sources the news widgets can read from.
+     *
+     * @memberof ConsoleSettingsAnnouncementsController
+     */
+    newsSources = NEWS_SOURCES;
+
+    get newsSource() {
+        return this.company?.options?.news_source ?? DEFAULT_NEWS_SOURCE;
+    }
+
+    @action setCompanyOption(key, event) {
+        const value = event?.target ? event.target.value : event;
+        this.company.set('options', { ...(this.company.options ?? {}), [key]: value });
+    }
+
+    /**
+     * Save the news source of the organization.
+     *
+     * @memberof ConsoleSettingsAnnouncementsController
+     */
+    @task *saveSettings() {
+        if (this.newsSource === 'feed' && !this.company.options?.news_feed_url) {
+            return this.notifications.warning(this.intl.t('console.settings.announcements.feed-url-required'));
+        }
+
+        try {
+            yield this.company.save();
+            this.notifications.success(this.intl.t('console.settings.announcements.settings-saved'));
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    @action createAnnouncement() {
+        this.editAnnouncement(this.store.createRecord('announcement', { published_at: new Date() }));
+    }
+
+    /**
+     * Open an announcement in the editor, unsaved changes are dropped when the editor is closed.
+     *
+     * @param {AnnouncementModel} announcement
+     * @memberof ConsoleSettingsAnnouncementsController
+     */
+    @action editAnnouncement(announcement) {
+        this.modalsManager.show('modals/announcement-form', {
+            title: this.intl.t(announcement.isNew ? 'console.settings.announcements.new-announcement' : 'console.settings.announcements.edit-announcement'),
+            acceptButtonText: this.intl.t('common.save'),
+            acceptButtonIcon: 'save',
+            modalClass: 'modal-lg',
+            announcement,
+            confirm: async (modal) => {
+                if (!announcement.title) {
+                    return this.notifications.warning(this.intl.t('console.settings.announcements.title-required'));
+                }
+
+                modal.startLoading();
+
+                try {
+                    await announcement.save();
+                    this.notifications.success(this.intl.t('console.settings.announcements.saved', { title: announcement.title }));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+            decline: (modal) => {
+                announcement.rollbackAttributes();
+                modal.done();
+            },
+        });
+    }
+
+    /**
+     * Publish a draft now, or take a published announcement off the dashboard.
+     *
+     * @param {AnnouncementModel} announcement
+     * @memberof ConsoleSettingsAnnouncementsController
+     */
+    @action async togglePublished(announcement) {
+        const isPublished = announcement.status === 'published';
+
+        // Republishing an expired announcement lifts the expiry
+        if (announcement.status === 'expired') {
+            announcement.set('expires_at', null);
+        }
+
+        announcement.set('published_at', isPublished ? null : new Date());
+
+        try {
+            await announcement.save();
+        } catch (error) {
+            announcement.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+
+    @action deleteAnnouncement(announcement) {
+        this.modalsManager.confirm({
+            title: this.intl.t('console.settings.announcements.delete-title', { title: announcement.title }),
+            body: this.intl.t('console.settings.announcements.delete-body'),
+            acceptButtonText: this.intl.t('common.delete'),
+            acceptButtonScheme: 'danger',
+            confirm: async (modal) => {
+                modal.startLoading();
+
+                try {
+                    await announcement.destroyRecord();
+                    this.notifications.success(this.intl.t('console.settings.announcements.deleted', { title: announcement.title }));
+                    modal.done();
+                    return this.router.refresh();
+                } catch (error) {
+                    modal.stopLoading();
+                    return this.notifications.serverError(error);
+                }
+            },
+        });
+    }
+}
@@ -3,6 +3,7 @@ import { tracked } from '@glimmer/tracking';
 import { action } from '@ember/object';
 import { inject as service } from '@ember/service';
 import createNotificationKey from '@fleetbase/ember-core/utils/create-notification-key';
+import { NOTIFICATION_TRANSPORTS } from '@fleetbase/console/utils/notification-transports';
 import { task } from 'ember-concurrency';
 
 export default class ConsoleSettingsNotificationsController extends Controller {
@@ -11,7 +12,7 @@ export default class ConsoleSettingsNotificationsController extends Controller {
     @service store;
     @service currentUser;
     @tracked notificationSettings = {};
-    @tracked notificationTransportMethods = ['email', 'sms'];
+    @tracked notificationTransportMethods = [...NOTIFICATION_TRANSPORTS];
     @tracked company;
 
     /**
@@ -0,0 +1,33 @@
+import Controller from '@ember/controller';
+import { tracked } from '@glimmer/tracking';
+import { buildPlaylist, parsePlaylistParam } from '@fleetbase/console/utils/kiosk-playlist';
+
+/**
+ * Controller for the kiosk display.
+ *
+ * @class KioskController
+ * @extends Controller
+ */
+export default class KioskController extends Controller {
+    /**
+     * `token` is a display token exchanged for a session, `dashboards` the comma separated ids of the playlist and
+     * `duration` the seconds each dashboard is shown.
+     *
+     * @var {Array}
+     */
+    queryParams = ['token', 'dashboards', 'duration'];
+
+    @tracked token = null;
+    @tracked dashboards = null;
+    @tracked duration = null;
+
+    /**
+     * The dashboards cycled through, every dashboard the session can view when no playlist is given.
+     *
+     * @readonly
+     * @memberof KioskController
+     */
+    get playlist() {
+        return buildPlaylist(this.model?.toArray?.() ?? [], { ids: parsePlaylistParam(this.dashboards), duration: this.duration });
+    }
+}
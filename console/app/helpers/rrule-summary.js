@@ -0,0 +1,99 @@
+import Helper from '@ember/component/helper';
+import { inject as service } from '@ember/service';
+import { RRULE_WEEKDAYS, WEEKDAY_CODES, WEEKEND_CODES, isDaySet, parseRRule } from '../utils/rrule';
+import { parseDateKey } from '../utils/schedule-calendar';
+
+/**
+ * Describe a recurrence rule, e.g. "Every weekday 08:00–16:00".
+ *
+ * @example {{rrule-summary template.rrule start=template.start_time end=template.end_time}}
+ */
+export default class RruleSummaryHelper extends Helper {
+    @service intl;
+
+    get locale() {
+        return this.intl.primaryLocale;
+    }
+
+    compute([rrule], { start, end } = {}) {
+        const rule = parseRRule(rrule);
+        if (!rule) {
+            return this.intl.t('component.schedule.rrule-summary.invalid');
+        }
+
+        let summary = this.describeFrequency(rule);
+
+        if (start && end) {
+            summary = this.intl.t('component.schedule.rrule-summary.with-time', { summary, start, end });
+        }
+
+        if (rule.count) {
+            summary = this.intl.t('component.schedule.rrule-summary.with-count', { summary, count: rule.count });
+        } else if (rule.until) {
+            summary = this.intl.t('component.schedule.rrule-summary.with-until', { summary, date: this.formatDate(rule.until) });
+        }
+
+        if (rule.exdates.length) {
+            summary = this.intl.t('component.schedule.rrule-summary.with-exceptions', { summary, count: rule.exdates.length });
+        }
+
+        return summary;
+    }
+
+    describeFrequency(rule) {
+        const { interval } = rule;
+
+        switch (rule.freq) {
+            case 'DAILY':
+                return this.intl.t('component.schedule.rrule-summary.daily', { interval });
+
+            case 'WEEKLY':
+                if (interval === 1 && isDaySet(rule.byDay, WEEKDAY_CODES)) {
+                    return this.intl.t('component.schedule.rrule-summary.weekdays');
+                }
+
+                if (interval === 1 && isDaySet(rule.byDay, WEEKEND_CODES)) {
+                    return this.intl.t('component.schedule.rrule-summary.weekends');
+                }
+
+                return rule.byDay.length
+                    ? this.intl.t('component.schedule.rrule-summary.weekly-on', { interval, days: this.formatDays(rule.byDay) })
+                    : this.intl.t('component.schedule.rrule-summary.weekly', { interval });
+
+            case 'MONTHLY':
+                if (rule.byMonthDay.length) {
+                    return this.intl.t('component.schedule.rrule-summary.monthly-on-day', { interval, days: this.formatList(rule.byMonthDay.map(String)) });
+                }
+
+                if (rule.byDay.length) {
+                    const [{ day, ordinal }] = rule.byDay;
+                    return this.intl.t('component.schedule.rrule-summary.monthly-on-weekday', { interval, ordinal: ordinal ?? 0, day: this.formatDay(day) });
+                }
+
+                return this.intl.t('component.schedule.rrule-summary.monthly', { interval });
+
+            default:
+                return this.intl.t('component.schedule.rrule-summary.yearly', { interval });
+        }
+    }
+
+    formatDay(code) {
+        // 1 January 2024 was a Monday
+        const date = new Date(Date.UTC(2024, 0, 1 + RRULE_WEEKDAYS.indexOf(code)));
+        return new Intl.DateTimeFormat(this.locale, { weekday: 'long', timeZone: 'UTC' }).format(date);
+    }
+
+    formatDays(byDay) {
+        const days = [...byDay].sort((a, b) => RRULE_WEEKDAYS.indexOf(a.day) - RRULE_WEEKDAYS.indexOf(b.day));
+        return this.formatList(days.map(({ day }) => this.formatDay(day)));
+    }
+
+    formatList(values) {
+        return new Intl.ListFormat(this.locale, { style: 'long', type: 'conjunction' }).format(values);
+    }
+
+    formatDate(key) {
+        const { year, month, day } = parseDateKey(key);
+        return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(Date.UTC(year, month - 1, day)));
+    }
+}
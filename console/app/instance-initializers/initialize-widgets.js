@@ -19,7 +19,7 @@ export function initialize(appInstance) {
         new Widget({
             id: 'fleetbase-blog',
             name: 'Fleetbase Blog',
-            description: 'Lists latest news and events from the Fleetbase official team.',
+            description: 'Lists latest news and events from the Fleetbase official team, or the news source set in the organization settings.',
             icon: 'newspaper',
             component: 'fleetbase-blog',
             grid_options: { w: 8, h: 9, minW: 8, minH: 9 },
@@ -28,10 +28,50 @@ export function initialize(appInstance) {
         new Widget({
             id: 'fleetbase-github-card',
             name: 'Github Card',
-            description: 'Displays current Github stats from the official Fleetbase repo.',
+            description: 'Displays current Github stats from the official Fleetbase repo, or the latest release of the news feed set in the organization settings.',
             icon: faGithub,
             component: 'github-card',
             grid_options: { w: 4, h: 8, minW: 4, minH: 8 },
+            default: false,
+        }),
+        new Widget({
+            id: 'announcements',
+            name: 'Announcements',
+            description: 'News published by your organization admins.',
+            icon: 'bullhorn',
+            component: 'dashboard/announcements',
+            grid_options: { w: 4, h: 9, minW: 4, minH: 6 },
+            options: { limit: 5 },
+            default: true,
+        }),
+        new Widget({
+            id: 'alert-sla-trend',
+            name: 'Alert MTTA / MTTR',
+            description: 'Mean time to acknowledge and resolve alerts per day.',
+            icon: 'stopwatch',
+            component: 'dashboard/alert-sla-trend',
+            grid_options: { w: 8, h: 9, minW: 6, minH: 8 },
+            options: { days: 14, filters: ['date_range', 'driver', 'vehicle'] },
+            default: true,
+        }),
+        new Widget({
+            id: 'open-alerts-by-severity',
+            name: 'Open Alerts by Severity',
+            description: 'Unresolved alerts per severity, broken down by urgency.',
+            icon: 'triangle-exclamation',
+            component: 'dashboard/open-alerts-by-severity',
+            grid_options: { w: 4, h: 8, minW: 4, minH: 6 },
+            options: { filters: ['driver', 'vehicle'] },
+            default: true,
+        }),
+        new Widget({
+            id: 'noisy-alert-subjects',
+            name: 'Top Noisy Subjects',
+            description: 'The vehicles, drivers, orders and devices raising the most alerts.',
+            icon: 'bell',
+            component: 'dashboard/noisy-alert-subjects',
+            grid_options: { w: 4, h: 8, minW: 4, minH: 6 },
+            options: { days: 14, limit: 5, filters: ['date_range', 'driver', 'vehicle'] },
             default: true,
         }),
     ];
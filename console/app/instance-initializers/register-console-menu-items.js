@@ -0,0 +1,22 @@
+import { MenuItem } from '@fleetbase/ember-core/contracts';
+import { debug } from '@ember/debug';
+
+/**
+ * Register header menu items for the console sections which are not extensions
+ * Runs after extensions are loaded
+ */
+export function initialize(appInstance) {
+    const menuService = appInstance.lookup('service:universe/menu-service');
+
+    debug('[Registering Console Menu Items] Registering console header menu items...');
+
+    menuService.registerHeaderMenuItem(new MenuItem({ id: 'alerts', title: 'Alerts', route: 'console.alerts', icon: 'bell' }));
+    menuService.registerHeaderMenuItem(new MenuItem({ id: 'schedules', title: 'Schedules', route: 'console.schedules', icon: 'calendar-week' }));
+    menuService.registerHeaderMenuItem(new MenuItem({ id: 'reports', title: 'Reports', route: 'console.reports', icon: 'file-lines' }));
+}
+
+export default {
+    name: 'register-console-menu-items',
+    after: 'load-extensions',
+    initialize,
+};
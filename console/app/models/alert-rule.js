@@ -0,0 +1,122 @@
+import Model, { attr } from '@ember-data/model';
+import { computed } from '@ember/object';
+import { getOwner } from '@ember/application';
+import { addMinutes, format, formatDistanceToNow, subHours } from 'date-fns';
+import { evaluateRule, getRuleMetrics } from '../utils/alert-rule-engine';
+
+export default class AlertRuleModel extends Model {
+    /** @ids */
+    @attr('string') public_id;
+    @attr('string') company_uuid;
+    @attr('string') created_by_uuid;
+
+    /** @attributes */
+    @attr('string') name;
+    @attr('string') description;
+    @attr('string') type;
+    @attr('string', { defaultValue: 'medium' }) severity;
+    @attr('string', { defaultValue: 'vehicle' }) subject_type;
+    @attr('boolean', { defaultValue: true }) is_enabled;
+    @attr('number', { defaultValue: 15 }) cooldown_minutes;
+    @attr('number') trigger_count;
+    @attr('raw') subject_scope;
+    @attr('raw') conditions;
+    @attr('raw') window;
+    @attr('raw') severity_mapping;
+    @attr('raw') meta;
+
+    /** @dates */
+    @attr('date') last_triggered_at;
+    @attr('date') created_at;
+    @attr('date') updated_at;
+
+    /** @computed */
+    @computed('updated_at') get updatedAgo() {
+        return this.updated_at ? formatDistanceToNow(this.updated_at) + ' ago' : null;
+    }
+
+    @computed('last_triggered_at') get lastTriggeredAgo() {
+        return this.last_triggered_at ? formatDistanceToNow(this.last_triggered_at) + ' ago' : null;
+    }
+
+    @computed('last_triggered_at') get lastTriggeredAt() {
+        return this.last_triggered_at ? format(this.last_triggered_at, 'yyyy-MM-dd HH:mm') : null;
+    }
+
+    @computed('conditions.[]') get metrics() {
+        return getRuleMetrics(this.conditions ?? []);
+    }
+
+    @computed('metrics.[]') get hasConditions() {
+        return this.metrics.length > 0;
+    }
+
+    @computed('window.{minutes,aggregate}') get evaluationWindow() {
+        return { minutes: this.window?.minutes ?? 0, aggregate: this.window?.aggregate ?? 'last' };
+    }
+
+    @computed('last_triggered_at', 'cooldown_minutes') get cooldownEndsAt() {
+        if (!this.last_triggered_at || !this.cooldown_minutes) {
+            return null;
+        }
+
+        return addMinutes(this.last_triggered_at, this.cooldown_minutes);
+    }
+
+    @computed('cooldownEndsAt') get isCoolingDown() {
+        return this.cooldownEndsAt !== null && this.cooldownEndsAt > new Date();
+    }
+
+    /**
+     * The rule definition evaluated by the alert rule engine.
+     *
+     * @return {Object}
+     */
+    toRuleDefinition() {
+        return {
+            conditions: this.conditions ?? [],
+            window: this.evaluationWindow,
+            cooldown_minutes: this.cooldown_minutes ?? 0,
+            severity: this.severity,
+            severity_mapping: this.severity_mapping ?? [],
+            subject_type: this.subject_type,
+            subject_scope: this.subject_scope ?? {},
+        };
+    }
+
+    /**
+     * Replay the rule over samples.
+     *
+     * @param {Array} samples
+     * @return {Object} `{ triggers, evaluations, subjects }`
+     */
+    evaluate(samples = []) {
+        return evaluateRule(this.toRuleDefinition(), samples);
+    }
+
+    /**
+     * Test the rule against recent telemetry, the rule is replayed in the console so unsaved changes can be previewed.
+     *
+     * @param {Object} [options={}] Supports `hours`, defaults to the last 24 hours
+     * @return {Promise<Object>} Resolves `{ triggers, evaluations, subjects, from, to }`
+     */
+    async test({ hours = 24 } = {}) {
+        const owner = getOwner(this);
+        const fetch = owner.lookup('service:fetch');
+        const to = new Date();
+        const from = subHours(to, hours);
+        // samples before the range are needed to fill the first evaluation window
+        const windowStart = subHours(from, Math.ceil(this.evaluationWindow.minutes / 60));
+
+        const { samples = [] } = await fetch.get('alert-rules/samples', {
+            subject_type: this.subject_type,
+            subject_scope: this.subject_scope ?? {},
+            metrics: this.metrics,
+            from: windowStart.toISOString(),
+            to: to.toISOString(),
+        });
+
+        const result = this.evaluate(samples);
+        return { ...result, triggers: result.triggers.filter((trigger) => trigger.triggered_at >= from), from, to };
+    }
+}
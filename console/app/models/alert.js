@@ -1,6 +1,9 @@
 import Model, { attr, belongsTo } from '@ember-data/model';
 import { computed } from '@ember/object';
-import { format, formatDistanceToNow, differenceInMinutes } from 'date-fns';
+import { format, formatDistanceToNow, differenceInMinutes, addMinutes } from 'date-fns';
+import { getAlertTypeBadgeClass, getAlertTypeIcon } from '../utils/alert-types';
+import { compareValue, evaluateConditions } from '../utils/alert-rule-engine';
+import { getAlertCoordinates, getAlertStatus } from '../utils/alert-inbox';
 
 export default class AlertModel extends Model {
     /** @attributes */
@@ -10,6 +13,10 @@ export default class AlertModel extends Model {
     @attr('string') subject_type;
     @attr('string') subject_uuid;
     @attr('string') message;
+    @attr('string') alert_rule_uuid;
+    @attr('string') assigned_to_uuid;
+    @attr('string') escalation_policy_uuid;
+    @attr('number') escalation_level;
 
     /** @json attributes */
     @attr() rule;
@@ -20,6 +27,8 @@ export default class AlertModel extends Model {
     @attr('date') triggered_at;
     @attr('date') acknowledged_at;
     @attr('date') resolved_at;
+    @attr('date') snoozed_until;
+    @attr('date') last_escalated_at;
     @attr('date') created_at;
     @attr('date') updated_at;
     @attr('date') deleted_at;
@@ -28,6 +37,9 @@ export default class AlertModel extends Model {
     @belongsTo('company') company;
     @belongsTo('user', { inverse: null }) acknowledgedBy;
     @belongsTo('user', { inverse: null }) resolvedBy;
+    @belongsTo('user', { inverse: null }) assignedTo;
+    @belongsTo('alert-rule', { inverse: null }) alertRule;
+    @belongsTo('escalation-policy', { inverse: null }) escalationPolicy;
 
     /** @computed - Date formatting */
     @computed('triggered_at') get triggeredAgo() {
@@ -93,6 +105,19 @@ export default class AlertModel extends Model {
         return this.isAcknowledged && !this.isResolved;
     }
 
+    @computed('snoozed_until', 'resolved_at') get isSnoozed() {
+        return getAlertStatus(this) === 'snoozed';
+    }
+
+    @computed('acknowledged_at', 'resolved_at', 'snoozed_until') get inboxStatus() {
+        return getAlertStatus(this);
+    }
+
+    @computed('snoozed_until') get snoozedUntil() {
+        if (!this.snoozed_until) return null;
+        return format(this.snoozed_until, 'yyyy-MM-dd HH:mm');
+    }
+
     /** @computed - Duration calculations */
     @computed('triggered_at', 'acknowledged_at') get acknowledgmentDurationMinutes() {
         if (!this.triggered_at || !this.acknowledged_at) return null;
@@ -193,33 +218,11 @@ export default class AlertModel extends Model {
 
     /** @computed - Type styling */
     @computed('type') get typeIcon() {
-        const typeIcons = {
-            maintenance: 'fas fa-wrench',
-            temperature: 'fas fa-thermometer-half',
-            fuel: 'fas fa-gas-pump',
-            speed: 'fas fa-tachometer-alt',
-            location: 'fas fa-map-marker-alt',
-            system: 'fas fa-cog',
-            security: 'fas fa-shield-alt',
-            performance: 'fas fa-chart-line',
-            compliance: 'fas fa-clipboard-check',
-        };
-        return typeIcons[this.type] || 'fas fa-bell';
+        return getAlertTypeIcon(this.type);
     }
 
     @computed('type') get typeBadgeClass() {
-        const typeClasses = {
-            maintenance: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300',
-            temperature: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
-            fuel: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
-            speed: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
-            location: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
-            system: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
-            security: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300',
-            performance: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300',
-            compliance: 'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-300',
-        };
-        return typeClasses[this.type] || 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300';
+        return getAlertTypeBadgeClass(this.type);
     }
 
     /** @computed - Subject information */
@@ -284,28 +287,83 @@ export default class AlertModel extends Model {
         return !!this.context?.location;
     }
 
-    @computed('context.value', 'rule.{operator,threshold}') get thresholdExceeded() {
+    @computed('context.location') get coordinates() {
+        return getAlertCoordinates(this.context);
+    }
+
+    @computed('alert_rule_uuid') get hasSourceRule() {
+        return !!this.alert_rule_uuid;
+    }
+
+    @computed('escalation_policy_uuid', 'isPending') get isEscalating() {
+        return !!this.escalation_policy_uuid && this.isPending;
+    }
+
+    @computed('context.{value,values}', 'rule.{operator,threshold,conditions}') get thresholdExceeded() {
+        // alerts raised by alert rules snapshot the compound conditions and the metric values they matched
+        if (Array.isArray(this.rule?.conditions)) {
+            return evaluateConditions(this.rule.conditions, this.context?.values ?? {});
+        }
+
         if (!this.context?.value || !this.rule?.threshold) return null;
 
-        const value = parseFloat(this.context.value);
-        const threshold = parseFloat(this.rule.threshold);
-        const operator = this.rule.operator || '>';
-
-        switch (operator) {
-            case '>':
-                return value > threshold;
-            case '<':
-                return value < threshold;
-            case '>=':
-                return value >= threshold;
-            case '<=':
-                return value <= threshold;
-            case '==':
-                return value === threshold;
-            case '!=':
-                return value !== threshold;
-            default:
-                return null;
+        return compareValue(this.context.value, this.rule.operator || '>', this.rule.threshold);
+    }
+
+    /**
+     * Acknowledge the alert.
+     *
+     * @param {UserModel} user The user acknowledging the alert
+     * @return {Promise|undefined} Nothing when the alert was already acknowledged
+     */
+    acknowledge(user) {
+        if (this.isAcknowledged) {
+            return;
         }
+
+        this.setProperties({ status: 'acknowledged', acknowledged_at: new Date(), acknowledgedBy: user });
+        return this.save();
+    }
+
+    /**
+     * Resolve the alert, an alert which was never acknowledged is acknowledged by the same user.
+     *
+     * @param {UserModel} user The user resolving the alert
+     * @return {Promise|undefined} Nothing when the alert was already resolved
+     */
+    resolve(user) {
+        if (this.isResolved) {
+            return;
+        }
+
+        const now = new Date();
+        if (!this.isAcknowledged) {
+            this.setProperties({ acknowledged_at: now, acknowledgedBy: user });
+        }
+
+        this.setProperties({ status: 'resolved', resolved_at: now, resolvedBy: user, snoozed_until: null });
+        return this.save();
+    }
+
+    /**
+     * Snooze the alert for a number of minutes.
+     *
+     * @param {Number} minutes
+     * @return {Promise}
+     */
+    snooze(minutes) {
+        this.set('snoozed_until', addMinutes(new Date(), minutes));
+        return this.save();
+    }
+
+    /**
+     * Assign the alert to a user, or unassign it.
+     *
+     * @param {UserModel|null} user
+     * @return {Promise}
+     */
+    assign(user) {
+        this.setProperties({ assignedTo: user ?? null, assigned_to_uuid: user?.id ?? null });
+        return this.save();
     }
 }
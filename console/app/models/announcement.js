@@ -0,0 +1,61 @@
+import Model, { attr } from '@ember-data/model';
+import { computed } from '@ember/object';
+import { format, formatDistanceToNow } from 'date-fns';
+import { isAnnouncementActive } from '../utils/news-feed';
+
+export default class AnnouncementModel extends Model {
+    /** @ids */
+    @attr('string') public_id;
+    @attr('string') company_uuid;
+    @attr('string') created_by_uuid;
+
+    /** @attributes */
+    @attr('string') title;
+    @attr('string') body;
+    @attr('string') link;
+    @attr('boolean', { defaultValue: false }) is_pinned;
+
+    /** @dates */
+    @attr('date') published_at;
+    @attr('date') expires_at;
+    @attr('date') created_at;
+    @attr('date') updated_at;
+
+    /** @computed */
+    @computed('published_at', 'expires_at') get status() {
+        if (!this.published_at) {
+            return 'draft';
+        }
+
+        if (this.expires_at && this.expires_at <= new Date()) {
+            return 'expired';
+        }
+
+        return isAnnouncementActive(this) ? 'published' : 'scheduled';
+    }
+
+    @computed('published_at') get publishedAt() {
+        return this.published_at ? format(this.published_at, 'yyyy-MM-dd HH:mm') : null;
+    }
+
+    @computed('updated_at') get updatedAgo() {
+        return this.updated_at ? formatDistanceToNow(this.updated_at) + ' ago' : null;
+    }
+
+    /**
+     * The announcement as a news item, see `normalizeNewsItems`.
+     *
+     * @return {Object}
+     * @memberof AnnouncementModel
+     */
+    toNewsItem() {
+        return {
+            id: this.id,
+            title: this.title,
+            link: this.link,
+            summary: this.body,
+            published_at: this.published_at,
+            is_pinned: this.is_pinned,
+        };
+    }
+}
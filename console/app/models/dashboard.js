@@ -2,6 +2,9 @@ import Model, { attr, hasMany } from '@ember-data/model';
 import { computed } from '@ember/object';
 import { format, formatDistanceToNow } from 'date-fns';
 import { getOwner } from '@ember/application';
+import { getDashboardPermission } from '../utils/dashboard-sharing';
+import { getDashboardTemplate } from '../utils/dashboard-templates';
+import { exportDashboard } from '../utils/dashboard-transfer';
 
 export default class DashboardModel extends Model {
     /** @ids */
@@ -15,6 +18,8 @@ export default class DashboardModel extends Model {
     @attr('string') name;
     @attr('string') extension;
     @attr('boolean') is_default;
+    @attr('boolean') is_template;
+    @attr('array') shares;
     @attr('array') tags;
     @attr('object') options;
     @attr('object') meta;
@@ -48,6 +53,14 @@ export default class DashboardModel extends Model {
         return format(this.created_at, 'PP');
     }
 
+    @computed('shares.[]') get isShared() {
+        return (this.shares ?? []).length > 0;
+    }
+
+    @computed('user_uuid') get isSystem() {
+        return this.user_uuid === 'system';
+    }
+
     /** @methods */
     addWidget(widget) {
         const owner = getOwner(this);
@@ -88,6 +101,47 @@ export default class DashboardModel extends Model {
         }
     }
 
+    /**
+     * What a user may do with the dashboard, see `getDashboardPermission`.
+     *
+     * @param {UserModel} user
+     * @param {Array<String>} [groupIds=[]] Groups the user belongs to
+     * @return {String|null} `owner`, `edit`, `view`, or `null`
+     * @memberof DashboardModel
+     */
+    permissionFor(user, groupIds = []) {
+        if (!user) {
+            return null;
+        }
+
+        const role_uuid = typeof user.belongsTo === 'function' ? user.belongsTo('role').id() : user.role_uuid;
+        return getDashboardPermission(this, { id: user.id, role_uuid, group_uuids: groupIds });
+    }
+
+    canEdit(user, groupIds = []) {
+        return ['owner', 'edit'].includes(this.permissionFor(user, groupIds));
+    }
+
+    /**
+     * Copy the dashboard and its widgets into a template.
+     *
+     * @return {Object}
+     * @memberof DashboardModel
+     */
+    toTemplate() {
+        return getDashboardTemplate(this);
+    }
+
+    /**
+     * Export the dashboard to a portable versioned document.
+     *
+     * @return {Object}
+     * @memberof DashboardModel
+     */
+    exportDocument() {
+        return exportDashboard(this);
+    }
+
     getRegistry() {
         const owner = getOwner(this);
         const universe = owner.lookup('service:universe');
@@ -0,0 +1,77 @@
+import Model, { attr } from '@ember-data/model';
+import { computed } from '@ember/object';
+import { format, formatDistanceToNow } from 'date-fns';
+import { getEscalationStep, getEscalationTimeline, policyAppliesTo } from '../utils/alert-escalation';
+
+export default class EscalationPolicyModel extends Model {
+    /** @ids */
+    @attr('string') public_id;
+    @attr('string') company_uuid;
+    @attr('string') created_by_uuid;
+
+    /** @attributes */
+    @attr('string') name;
+    @attr('string') description;
+    @attr('boolean', { defaultValue: true }) is_enabled;
+    @attr('number', { defaultValue: 0 }) repeat_count;
+    @attr('raw') severities;
+    @attr('raw') urgency_levels;
+    @attr('raw') tiers;
+    @attr('raw') meta;
+
+    /** @dates */
+    @attr('date') created_at;
+    @attr('date') updated_at;
+
+    /** @computed */
+    @computed('updated_at') get updatedAgo() {
+        return this.updated_at ? formatDistanceToNow(this.updated_at) + ' ago' : null;
+    }
+
+    @computed('updated_at') get updatedAt() {
+        return this.updated_at ? format(this.updated_at, 'yyyy-MM-dd HH:mm') : null;
+    }
+
+    @computed('tiers.[]') get tierCount() {
+        return (this.tiers ?? []).length;
+    }
+
+    /**
+     * Minutes from an alert triggering until the last tier of the last round is paged.
+     */
+    @computed('tiers.@each.wait_minutes', 'repeat_count') get totalEscalationMinutes() {
+        const timeline = getEscalationTimeline(this, new Date(0));
+        return timeline.length ? timeline[timeline.length - 1].notify_at.getTime() / 60000 : 0;
+    }
+
+    /**
+     * Checks if the policy applies to an alert.
+     *
+     * @param {AlertModel} alert
+     * @return {Boolean}
+     */
+    appliesTo(alert) {
+        return policyAppliesTo(this, alert);
+    }
+
+    /**
+     * When each tier would be paged for an alert.
+     *
+     * @param {AlertModel} alert
+     * @return {Array<Object>}
+     */
+    timelineFor(alert) {
+        return getEscalationTimeline(this, alert?.triggered_at ?? new Date());
+    }
+
+    /**
+     * The latest tier paged for an alert.
+     *
+     * @param {AlertModel} alert
+     * @param {Date} [now=new Date()]
+     * @return {Object|null}
+     */
+    stepFor(alert, now = new Date()) {
+        return getEscalationStep(this, alert, now);
+    }
+}
@@ -0,0 +1,54 @@
+import Model, { attr, belongsTo } from '@ember-data/model';
+import { computed } from '@ember/object';
+import { isPresent } from '@ember/utils';
+import { format, formatDistanceToNow } from 'date-fns';
+
+export default class ReportAuditLogModel extends Model {
+    /** @ids */
+    @attr('string') company_uuid;
+    @attr('string') report_uuid;
+    @attr('string') user_uuid;
+
+    /** @attributes */
+    @attr('string') action;
+    @attr('string') description;
+    @attr('string') ip_address;
+    @attr('string') user_agent;
+    @attr('raw') old_values;
+    @attr('raw') new_values;
+    @attr('raw') meta;
+
+    /** @dates */
+    @attr('date') created_at;
+
+    /** @relationships */
+    @belongsTo('report') report;
+    @belongsTo('user', { inverse: null }) user;
+
+    /** @computed */
+    @computed('created_at') get createdAgo() {
+        return formatDistanceToNow(this.created_at);
+    }
+
+    @computed('created_at') get createdAt() {
+        return format(this.created_at, 'yyyy-MM-dd HH:mm:ss');
+    }
+
+    @computed('action') get actionDisplay() {
+        const actionMap = {
+            created: 'Created',
+            updated: 'Updated',
+            executed: 'Executed',
+            exported: 'Exported',
+            scheduled: 'Scheduled',
+            unscheduled: 'Unscheduled',
+            deleted: 'Deleted',
+        };
+
+        return actionMap[this.action] || this.action;
+    }
+
+    @computed('old_values.query_config', 'new_values.query_config') get hasQueryConfigChanges() {
+        return isPresent(this.old_values?.query_config) || isPresent(this.new_values?.query_config);
+    }
+}
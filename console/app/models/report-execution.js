@@ -0,0 +1,76 @@
+import Model, { attr, belongsTo } from '@ember-data/model';
+import { computed } from '@ember/object';
+import { format, formatDistanceToNow } from 'date-fns';
+
+export default class ReportExecutionModel extends Model {
+    /** @ids */
+    @attr('string') public_id;
+    @attr('string') company_uuid;
+    @attr('string') report_uuid;
+    @attr('string') executed_by_uuid;
+
+    /** @attributes */
+    @attr('string') status;
+    @attr('string') trigger;
+    @attr('string') export_format;
+    @attr('number') execution_time;
+    @attr('number') row_count;
+    @attr('string') error_message;
+    @attr('raw') query_config;
+    @attr('raw') meta;
+
+    /** @dates */
+    @attr('date') started_at;
+    @attr('date') completed_at;
+    @attr('date') created_at;
+    @attr('date') updated_at;
+
+    /** @relationships */
+    @belongsTo('report') report;
+    @belongsTo('user', { inverse: null }) executedBy;
+
+    /** @computed */
+    @computed('created_at') get createdAgo() {
+        return formatDistanceToNow(this.created_at);
+    }
+
+    @computed('created_at') get createdAt() {
+        return format(this.created_at, 'yyyy-MM-dd HH:mm:ss');
+    }
+
+    @computed('status') get isSuccessful() {
+        return this.status === 'completed';
+    }
+
+    @computed('status') get isFailed() {
+        return this.status === 'failed';
+    }
+
+    @computed('execution_time') get executionTimeDisplay() {
+        if (this.execution_time === null || this.execution_time === undefined || this.execution_time < 0) {
+            return 'N/A';
+        }
+
+        if (this.execution_time < 1000) {
+            return `${Math.round(this.execution_time)}ms`;
+        }
+
+        return `${(this.execution_time / 1000).toFixed(2)}s`;
+    }
+
+    @computed('row_count') get rowCountDisplay() {
+        if (this.row_count === null || this.row_count === undefined) {
+            return 'N/A';
+        }
+
+        return this.row_count.toLocaleString();
+    }
+
+    @computed('executedBy.name', 'trigger') get executedByName() {
+        if (this.trigger === 'scheduled') {
+            return this.executedBy?.name ?? 'Scheduler';
+        }
+
+        return this.executedBy?.name ?? 'Unknown';
+    }
+}
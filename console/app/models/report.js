@@ -1,9 +1,12 @@
-import Model, { attr } from '@ember-data/model';
+import Model, { attr, hasMany } from '@ember-data/model';
 import { computed } from '@ember/object';
 import { isArray } from '@ember/array';
 import { getOwner } from '@ember/application';
 import { isPresent } from '@ember/utils';
 import { format, formatDistanceToNow } from 'date-fns';
+import { getNextCronRuns, isValidCronExpression } from '../utils/cron';
+import { getDefaultVisualization } from '../utils/report-visualization';
+import { bindParameters, findParameterReferences, resolveParameterValues } from '../utils/report-parameters';
 
 export default class ReportModel extends Model {
     /** @ids */
@@ -21,8 +24,15 @@ export default class ReportModel extends Model {
     @attr('date') period_end;
     @attr('date') last_executed_at;
     @attr('number') execution_time;
+    @attr('number') average_execution_time;
+    @attr('number') execution_count;
     @attr('number') row_count;
+    @attr('number') last_result_count;
     @attr('boolean') is_scheduled;
+    @attr('string') schedule_frequency;
+    @attr('string') schedule_timezone;
+    @attr('date') next_scheduled_run;
+    @attr('date') last_scheduled_run;
     @attr('boolean') is_generated;
     @attr('string') status;
     @attr('string') type;
@@ -42,8 +52,11 @@ export default class ReportModel extends Model {
     /** @relationships */
     // @belongsTo('company') company;
     // @belongsTo('user') createdBy;
-    // @hasMany('report-execution') executions;
-    // @hasMany('report-audit-log') auditLogs;
+    @hasMany('report-execution') executions;
+    @hasMany('report-audit-log') auditLogs;
+
+    /** @runtime parameter values of the last execution, reused when the result is exported */
+    parameterValues = {};
 
     fillResult(result = {}) {
         this.setProperties({
@@ -51,6 +64,7 @@ export default class ReportModel extends Model {
             data: result?.data ?? [],
             meta: result?.meta ?? {},
             row_count: result?.meta?.total_rows ?? 0,
+            last_result_count: result?.meta?.total_rows ?? 0,
             execution_time: result?.meta?.execution_time_ms ?? -1,
             last_executed_at: new Date(),
             is_generated: true,
@@ -235,6 +249,54 @@ export default class ReportModel extends Model {
         };
     }
 
+    @computed('schedule_config.recipients.{users.[],roles.[],emails.[]}') get scheduleRecipients() {
+        const recipients = this.schedule_config?.recipients ?? {};
+
+        return {
+            users: recipients.users ?? [],
+            roles: recipients.roles ?? [],
+            emails: recipients.emails ?? [],
+        };
+    }
+
+    @computed('scheduleRecipients') get scheduleRecipientsCount() {
+        const { users, roles, emails } = this.scheduleRecipients;
+        return users.length + roles.length + emails.length;
+    }
+
+    @computed('schedule_config.format', 'availableExportFormats.[]') get scheduleExportFormat() {
+        return this.schedule_config?.format ?? this.availableExportFormats[0];
+    }
+
+    @computed('schedule_frequency') get hasValidSchedule() {
+        return isValidCronExpression(this.schedule_frequency);
+    }
+
+    @computed('options.visualization', 'result_columns.[]', 'data.[]') get visualization() {
+        return this.options?.visualization ?? getDefaultVisualization(this.result_columns ?? [], this.data ?? []);
+    }
+
+    @computed('options.visualization') get hasVisualization() {
+        return isPresent(this.options?.visualization);
+    }
+
+    @computed('query_config.parameters.[]') get parameters() {
+        return isArray(this.query_config?.parameters) ? this.query_config.parameters : [];
+    }
+
+    @computed('parameters.[]') get hasParameters() {
+        return this.parameters.length > 0;
+    }
+
+    @computed('parameters.[]', 'query_config.conditions.[]') get missingParameters() {
+        const declared = this.parameters.map((parameter) => parameter.name);
+        return findParameterReferences(this.query_config?.conditions ?? []).filter((name) => !declared.includes(name));
+    }
+
+    @computed('schedule_config.parameters') get scheduleParameters() {
+        return this.schedule_config?.parameters ?? {};
+    }
+
     @computed('hasConditions', 'query_config.conditions.[]') get conditionsSummary() {
         if (!this.hasConditions) {
             return [];
@@ -266,6 +328,47 @@ export default class ReportModel extends Model {
     }
 
     // Helper methods
+    getNextScheduledRuns(count = 5, from = new Date()) {
+        if (!this.hasValidSchedule) {
+            return [];
+        }
+
+        return getNextCronRuns(this.schedule_frequency, { from, count, timezone: this.schedule_timezone || 'UTC' });
+    }
+
+    /**
+     * Resolve runtime parameter values, relative date expressions resolve against the report period.
+     *
+     * @param {Object} [values={}]
+     * @param {Object} [context={}] Overrides `now`, `periodStart` or `periodEnd`
+     * @return {Object}
+     */
+    resolveParameters(values = {}, context = {}) {
+        return resolveParameterValues(this.parameters, values, { periodStart: this.period_start, periodEnd: this.period_end, ...context });
+    }
+
+    /**
+     * Build the payload sent to the execute endpoints, parameter references in conditions are replaced with their values.
+     *
+     * @param {Object} [values={}]
+     * @return {Object} `{ query_config, parameters }`
+     */
+    getExecutionPayload(values = {}) {
+        if (!this.hasParameters) {
+            return { query_config: this.query_config };
+        }
+
+        const parameters = this.resolveParameters(values);
+        const queryConfig = this.query_config ?? {};
+
+        return { query_config: { ...queryConfig, conditions: bindParameters(queryConfig.conditions ?? [], parameters) }, parameters };
+    }
+
+    setVisualization(visualization = {}) {
+        this.set('options', { ...(this.options ?? {}), visualization });
+        return this;
+    }
+
     countConditionsRecursively(conditions) {
         let count = 0;
 
@@ -306,11 +409,25 @@ export default class ReportModel extends Model {
     }
 
     // API methods for interacting with the new backend
-    async execute() {
+    async execute(parameters = this.parameterValues) {
         const owner = getOwner(this);
         const fetch = owner.lookup('service:fetch');
 
-        return fetch.post(this.id ? `reports/${this.id}/execute` : 'reports/execute-query', { query_config: this.query_config });
+        this.parameterValues = parameters ?? {};
+        return fetch.post(this.id ? `reports/${this.id}/execute` : 'reports/execute-query', this.getExecutionPayload(this.parameterValues));
+    }
+
+    /**
+     * Execute a single page of the report results, used to stream large exports.
+     *
+     * @param {Object} [params={}] Supports `cursor`, `limit` and `parameters`, which defaults to the values of the last execution
+     * @return {Promise<Object>} Resolves `{ columns, data, meta: { next_cursor, total_rows } }`
+     */
+    async executePage({ parameters = this.parameterValues, ...params } = {}) {
+        const owner = getOwner(this);
+        const fetch = owner.lookup('service:fetch');
+
+        return fetch.post(this.id ? `reports/${this.id}/execute` : 'reports/execute-query', { ...this.getExecutionPayload(parameters), ...params });
     }
 
     // API methods for interacting with the new backend
@@ -331,6 +448,53 @@ export default class ReportModel extends Model {
         });
     }
 
+    /**
+     * Export the report by streaming its result pages into a file assembled in a web worker.
+     *
+     * @param {String} [format='csv']
+     * @param {Object} [options={}]
+     * @return {ReportExportJob}
+     */
+    streamExport(format = 'csv', options = {}) {
+        const owner = getOwner(this);
+        const reportExport = owner.lookup('service:report-export');
+
+        return reportExport.start(this, format, options);
+    }
+
+    async saveSchedule() {
+        const owner = getOwner(this);
+        const fetch = owner.lookup('service:fetch');
+        const [nextRun] = this.getNextScheduledRuns(1);
+
+        await fetch.post(`reports/${this.id}/schedule`, {
+            schedule_frequency: this.schedule_frequency,
+            schedule_timezone: this.schedule_timezone || 'UTC',
+            schedule_config: this.schedule_config ?? {},
+            next_scheduled_run: nextRun ?? null,
+        });
+
+        this.setProperties({ is_scheduled: true, next_scheduled_run: nextRun ?? null });
+        return this;
+    }
+
+    async unschedule() {
+        const owner = getOwner(this);
+        const fetch = owner.lookup('service:fetch');
+
+        await fetch.delete(`reports/${this.id}/schedule`);
+        this.setProperties({ is_scheduled: false, next_scheduled_run: null });
+        return this;
+    }
+
+    async getScheduleRuns(params = {}) {
+        const owner = getOwner(this);
+        const fetch = owner.lookup('service:fetch');
+
+        const { runs } = await fetch.get(`reports/${this.id}/schedule/runs`, params);
+        return runs ?? [];
+    }
+
     async validate() {
         const owner = getOwner(this);
         const fetch = owner.lookup('service:fetch');
@@ -363,7 +527,7 @@ export default class ReportModel extends Model {
         const owner = getOwner(this);
         const fetch = owner.lookup('service:fetch');
 
-        return fetch('reports/export-query', {
+        return fetch.post('reports/export-query', {
             query_config: queryConfig,
             format,
             options,
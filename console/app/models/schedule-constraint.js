@@ -1,4 +1,5 @@
 import Model, { attr, belongsTo } from '@ember-data/model';
+import { getConstraintSeverity } from '../utils/schedule-constraints';
 
 export default class ScheduleConstraintModel extends Model {
     @attr('string') company_uuid;
@@ -20,4 +21,14 @@ export default class ScheduleConstraintModel extends Model {
     @attr('date') created_at;
     @attr('date') updated_at;
     @attr('date') deleted_at;
+
+    /**
+     * Breaking a hard constraint is an error, breaking a soft one a warning.
+     *
+     * @readonly
+     * @memberof ScheduleConstraintModel
+     */
+    get severity() {
+        return getConstraintSeverity(this);
+    }
 }
@@ -0,0 +1,46 @@
+import Model, { attr, belongsTo } from '@ember-data/model';
+
+export default class ScheduleRequestModel extends Model {
+    /** @ids */
+    @attr('string') public_id;
+    @attr('string') company_uuid;
+    @attr('string') schedule_uuid;
+    @attr('string') schedule_item_uuid;
+    @attr('string') requester_uuid;
+    @attr('string') requester_type;
+    @attr('string') target_uuid;
+    @attr('string') target_type;
+    @attr('string') target_item_uuid;
+    @attr('string') reviewer_uuid;
+
+    /** @attributes */
+    @attr('string', { defaultValue: 'drop' }) type;
+    @attr('string', { defaultValue: 'pending' }) status;
+    @attr('string') reason;
+    @attr('string') notes;
+    @attr('string') decision_notes;
+    @attr('object') meta;
+
+    /** @relationships */
+    @belongsTo('company') company;
+
+    /** @dates */
+    @attr('date') reviewed_at;
+    @attr('date') created_at;
+    @attr('date') updated_at;
+    @attr('date') deleted_at;
+
+    get isPending() {
+        return this.status === 'pending';
+    }
+
+    /**
+     * Whether the shift is exchanged for a shift of the colleague rather than handed over.
+     *
+     * @readonly
+     * @memberof ScheduleRequestModel
+     */
+    get isExchange() {
+        return this.type === 'swap' && Boolean(this.target_item_uuid);
+    }
+}
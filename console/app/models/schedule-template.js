@@ -1,4 +1,5 @@
 import Model, { attr, belongsTo } from '@ember-data/model';
+import { expandScheduleTemplate, getShiftMinutes } from '../utils/rrule';
 
 export default class ScheduleTemplateModel extends Model {
     @attr('string') public_id;
@@ -19,4 +20,25 @@ export default class ScheduleTemplateModel extends Model {
     @attr('date') created_at;
     @attr('date') updated_at;
     @attr('date') deleted_at;
+
+    /**
+     * Length of the shifts in minutes, from the start and end times or the duration when there is no end time.
+     *
+     * @readonly
+     * @memberof ScheduleTemplateModel
+     */
+    get shiftMinutes() {
+        return getShiftMinutes(this.start_time, this.end_time) ?? this.duration ?? null;
+    }
+
+    /**
+     * The shifts of the template within a range, see `expandScheduleTemplate`.
+     *
+     * @param {Object} options `{ from, to, timeZone }`
+     * @return {Array<Object>}
+     * @memberof ScheduleTemplateModel
+     */
+    expand(options = {}) {
+        return expandScheduleTemplate(this, options);
+    }
 }
@@ -1,4 +1,5 @@
 import Model, { attr, hasMany, belongsTo } from '@ember-data/model';
+import { getOnCallItems } from '../utils/alert-escalation';
 
 export default class ScheduleModel extends Model {
     /** @ids */
@@ -24,4 +25,14 @@ export default class ScheduleModel extends Model {
     @attr('date') created_at;
     @attr('date') updated_at;
     @attr('date') deleted_at;
+
+    /**
+     * The items covering a point in time, for on-call schedules these are the shifts of whoever is on call.
+     *
+     * @param {Date} [at=new Date()]
+     * @return {Array<ScheduleItemModel>}
+     */
+    getItemsAt(at = new Date()) {
+        return getOnCallItems(this.items, at);
+    }
 }
@@ -22,6 +22,11 @@ export default class ConsoleRoute extends Route {
     async beforeModel(transition) {
         await this.session.requireAuthentication(transition, 'auth.login');
 
+        // Display sessions are limited to the kiosk
+        if (this.session.isDisplaySession) {
+            return this.router.transitionTo('kiosk');
+        }
+
         this.hookService.execute('console:before-model', this.session, this.router, transition);
 
         if (this.session.isAuthenticated) {
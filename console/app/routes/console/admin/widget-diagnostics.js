@@ -0,0 +1,3 @@
+import Route from '@ember/routing/route';
+
+export default class ConsoleAdminWidgetDiagnosticsRoute extends Route {}
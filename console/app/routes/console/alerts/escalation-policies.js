@@ -0,0 +1,10 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class ConsoleAlertsEscalationPoliciesRoute extends Route {
+    @service store;
+
+    model() {
+        return this.store.query('escalation-policy', { sort: 'name' });
+    }
+}
@@ -0,0 +1,23 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class ConsoleAlertsEscalationPoliciesEditRoute extends Route {
+    @service store;
+
+    model({ id }) {
+        return this.store.findRecord('escalation-policy', id);
+    }
+
+    /**
+     * Discard unsaved changes when leaving the policy.
+     *
+     * @param {Controller} controller
+     * @param {Boolean} isExiting
+     * @memberof ConsoleAlertsEscalationPoliciesEditRoute
+     */
+    resetController(controller, isExiting) {
+        if (isExiting && controller.model?.hasDirtyAttributes) {
+            controller.model.rollbackAttributes();
+        }
+    }
+}
@@ -0,0 +1,28 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+import { createEscalationTier } from '@fleetbase/console/utils/alert-escalation';
+
+export default class ConsoleAlertsEscalationPoliciesNewRoute extends Route {
+    @service store;
+
+    model() {
+        return this.store.createRecord('escalation-policy', {
+            severities: [],
+            urgency_levels: [],
+            tiers: [createEscalationTier()],
+        });
+    }
+
+    /**
+     * Discard the policy when leaving without saving it.
+     *
+     * @param {Controller} controller
+     * @param {Boolean} isExiting
+     * @memberof ConsoleAlertsEscalationPoliciesNewRoute
+     */
+    resetController(controller, isExiting) {
+        if (isExiting && controller.model?.isNew) {
+            controller.model.rollbackAttributes();
+        }
+    }
+}
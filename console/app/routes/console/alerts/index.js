@@ -0,0 +1,33 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class ConsoleAlertsIndexRoute extends Route {
+    @service store;
+
+    queryParams = {
+        page: { refreshModel: true },
+        limit: { refreshModel: true },
+        sort: { refreshModel: true },
+        query: { refreshModel: true },
+        severity: { refreshModel: true },
+        type: { refreshModel: true },
+        status: { refreshModel: true },
+        subject_type: { refreshModel: true },
+        subject_uuid: { refreshModel: true },
+    };
+
+    model(params = {}) {
+        return this.store.query('alert', params);
+    }
+
+    setupController(controller) {
+        super.setupController(...arguments);
+        controller.listenForAlerts();
+    }
+
+    resetController(controller, isExiting) {
+        if (isExiting) {
+            controller.stopListening();
+        }
+    }
+}
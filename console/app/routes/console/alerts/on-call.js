@@ -0,0 +1,11 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+import { ON_CALL_SUBJECT_TYPE } from '@fleetbase/console/utils/alert-escalation';
+
+export default class ConsoleAlertsOnCallRoute extends Route {
+    @service store;
+
+    model() {
+        return this.store.query('schedule', { subject_type: ON_CALL_SUBJECT_TYPE, sort: 'name' });
+    }
+}
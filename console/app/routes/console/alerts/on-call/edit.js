@@ -0,0 +1,23 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class ConsoleAlertsOnCallEditRoute extends Route {
+    @service store;
+
+    model({ id }) {
+        return this.store.findRecord('schedule', id);
+    }
+
+    /**
+     * Discard unsaved changes to the schedule and its shifts when leaving it.
+     *
+     * @param {Controller} controller
+     * @param {Boolean} isExiting
+     * @memberof ConsoleAlertsOnCallEditRoute
+     */
+    resetController(controller, isExiting) {
+        if (isExiting && controller.model) {
+            controller.discardChanges();
+        }
+    }
+}
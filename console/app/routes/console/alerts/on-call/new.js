@@ -0,0 +1,24 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+import { ON_CALL_SUBJECT_TYPE } from '@fleetbase/console/utils/alert-escalation';
+
+export default class ConsoleAlertsOnCallNewRoute extends Route {
+    @service store;
+
+    model() {
+        return this.store.createRecord('schedule', { subject_type: ON_CALL_SUBJECT_TYPE, status: 'active' });
+    }
+
+    /**
+     * Discard the schedule and its shifts when leaving without saving them.
+     *
+     * @param {Controller} controller
+     * @param {Boolean} isExiting
+     * @memberof ConsoleAlertsOnCallNewRoute
+     */
+    resetController(controller, isExiting) {
+        if (isExiting && controller.model) {
+            controller.discardChanges();
+        }
+    }
+}
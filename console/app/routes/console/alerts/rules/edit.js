@@ -0,0 +1,23 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class ConsoleAlertsRulesEditRoute extends Route {
+    @service store;
+
+    model({ id }) {
+        return this.store.findRecord('alert-rule', id);
+    }
+
+    /**
+     * Discard unsaved changes when leaving the rule.
+     *
+     * @param {Controller} controller
+     * @param {Boolean} isExiting
+     * @memberof ConsoleAlertsRulesEditRoute
+     */
+    resetController(controller, isExiting) {
+        if (isExiting && controller.model?.hasDirtyAttributes) {
+            controller.model.rollbackAttributes();
+        }
+    }
+}
@@ -0,0 +1,29 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+import { createRuleCondition } from '@fleetbase/console/utils/alert-rule-engine';
+
+export default class ConsoleAlertsRulesNewRoute extends Route {
+    @service store;
+
+    model() {
+        return this.store.createRecord('alert-rule', {
+            conditions: [createRuleCondition()],
+            window: { minutes: 5, aggregate: 'avg' },
+            severity_mapping: [],
+            subject_scope: {},
+        });
+    }
+
+    /**
+     * Discard the rule when leaving without saving it.
+     *
+     * @param {Controller} controller
+     * @param {Boolean} isExiting
+     * @memberof ConsoleAlertsRulesNewRoute
+     */
+    resetController(controller, isExiting) {
+        if (isExiting && controller.model?.isNew) {
+            controller.model.rollbackAttributes();
+        }
+    }
+}
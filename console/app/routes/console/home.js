@@ -1,3 +1,17 @@
 import Route from '@ember/routing/route';
+import { DASHBOARD_FILTER_KEYS } from '@fleetbase/console/utils/dashboard-filters';
 
-export default class ConsoleHomeRoute extends Route {}
+export default class ConsoleHomeRoute extends Route {
+    /**
+     * Refresh on every change of the dashboard filters in the URL, including back and forward navigation, so the
+     * widgets follow the URL.
+     *
+     * @memberof ConsoleHomeRoute
+     */
+    queryParams = DASHBOARD_FILTER_KEYS.reduce((params, key) => ({ ...params, [key]: { refreshModel: true } }), {});
+
+    setupController(controller) {
+        super.setupController(...arguments);
+        controller.applyFilterParams();
+    }
+}
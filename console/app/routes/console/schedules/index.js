@@ -0,0 +1,27 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+import { ON_CALL_SUBJECT_TYPE } from '@fleetbase/console/utils/alert-escalation';
+
+export default class ConsoleSchedulesIndexRoute extends Route {
+    @service store;
+
+    queryParams = {
+        scheduleId: { refreshModel: true },
+    };
+
+    /**
+     * Shift schedules, on-call schedules are managed with the alerts.
+     *
+     * @return {Promise<Array>}
+     * @memberof ConsoleSchedulesIndexRoute
+     */
+    async model() {
+        const schedules = await this.store.query('schedule', { sort: 'name' });
+        return schedules.filter((schedule) => schedule.subject_type !== ON_CALL_SUBJECT_TYPE);
+    }
+
+    setupController(controller) {
+        super.setupController(...arguments);
+        controller.loadItems.perform();
+    }
+}
@@ -0,0 +1,28 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+import { hash } from 'rsvp';
+
+export default class ConsoleSchedulesMineRoute extends Route {
+    @service currentUser;
+    @service store;
+
+    /**
+     * The shifts, availability and requests of the driver profile of the current user, users without one get nothing.
+     *
+     * @return {Promise<Object>}
+     * @memberof ConsoleSchedulesMineRoute
+     */
+    async model() {
+        const [driver] = await this.store.query('driver', { user_uuid: this.currentUser.id, limit: 1 });
+        if (!driver) {
+            return { driver: null, items: [], availabilities: [], requests: [] };
+        }
+
+        return hash({
+            driver,
+            items: this.store.query('schedule-item', { assignee_uuid: driver.id, sort: 'start_at', limit: -1 }),
+            availabilities: this.store.query('schedule-availability', { subject_uuid: driver.id, sort: 'start_at', limit: -1 }),
+            requests: this.store.query('schedule-request', { requester_uuid: driver.id, sort: '-created_at', limit: -1 }),
+        });
+    }
+}
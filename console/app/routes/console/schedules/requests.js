@@ -0,0 +1,19 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class ConsoleSchedulesRequestsRoute extends Route {
+    @service store;
+
+    queryParams = {
+        status: { refreshModel: true },
+    };
+
+    model({ status }) {
+        return this.store.query('schedule-request', { status: status || undefined, sort: '-created_at', limit: -1 });
+    }
+
+    setupController(controller) {
+        super.setupController(...arguments);
+        controller.loadRelated.perform();
+    }
+}
@@ -0,0 +1,10 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class ConsoleSchedulesTemplatesRoute extends Route {
+    @service store;
+
+    model() {
+        return this.store.query('schedule-template', { sort: 'name' });
+    }
+}
@@ -0,0 +1,17 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+
+export default class ConsoleSettingsAnnouncementsRoute extends Route {
+    @service store;
+    @service currentUser;
+
+    model() {
+        return this.store.query('announcement', { sort: '-published_at' });
+    }
+
+    async setupController(controller) {
+        super.setupController(...arguments);
+
+        controller.company = await this.currentUser.loadCompany();
+    }
+}
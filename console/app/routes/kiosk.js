@@ -0,0 +1,57 @@
+import Route from '@ember/routing/route';
+import { inject as service } from '@ember/service';
+import removeBootLoader from '../utils/remove-boot-loader';
+
+export default class KioskRoute extends Route {
+    @service notifications;
+    @service session;
+    @service store;
+
+    queryParams = {
+        dashboards: { refreshModel: true },
+    };
+
+    /**
+     * Exchange a display token for a read-only session, the kiosk reloads without the token once authenticated so it
+     * does not stay in the address bar or history.
+     *
+     * @param {Transition} transition
+     * @return {Promise}
+     * @memberof KioskRoute
+     */
+    async beforeModel(transition) {
+        const { token, ...queryParams } = transition.to.queryParams;
+
+        if (token) {
+            const query = new URLSearchParams(Object.entries(queryParams).filter(([, value]) => value)).toString();
+            this.session.setRedirect(query ? `/kiosk?${query}` : '/kiosk');
+
+            try {
+                return await this.session.authenticate('authenticator:display', token);
+            } catch (error) {
+                this.session.setRedirect('console');
+                this.notifications.serverError(error);
+            }
+        }
+
+        await this.session.requireAuthentication(transition, 'auth.login');
+
+        if (this.session.isAuthenticated) {
+            return await this.session.promiseCurrentUser(transition);
+        }
+    }
+
+    /**
+     * The dashboards the session can view, the playlist is picked from them.
+     *
+     * @return {Promise}
+     * @memberof KioskRoute
+     */
+    model() {
+        return this.store.query('dashboard', { extension: 'core', limit: -1 });
+    }
+
+    afterModel() {
+        removeBootLoader();
+    }
+}
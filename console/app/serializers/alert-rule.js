@@ -0,0 +1,4 @@
+import ApplicationSerializer from '@fleetbase/ember-core/serializers/application';
+import { EmbeddedRecordsMixin } from '@ember-data/serializer/rest';
+
+export default class AlertRuleSerializer extends ApplicationSerializer.extend(EmbeddedRecordsMixin) {}
@@ -0,0 +1,258 @@
+import DashboardService from '@fleetbase/ember-ui/services/dashboard';
+import { inject as service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { isArray } from '@ember/array';
+import { dasherize } from '@ember/string';
+import { task } from 'ember-concurrency';
+import download from '@fleetbase/ember-core/utils/download';
+import { buildTemplateGallery, getWidgetComponentName } from '../utils/dashboard-templates';
+import { DASHBOARD_FILTERS_CHANGED_EVENT, getWidgetFilters, isSameFilters, normalizeDashboardFilters } from '../utils/dashboard-filters';
+import { matchImportedWidgets, resolveImportedWidgets } from '../utils/dashboard-transfer';
+
+export default class ConsoleDashboardService extends DashboardService {
+    @service currentUser;
+
+    /**
+     * Dashboards published as templates within the organization.
+     *
+     * @memberof ConsoleDashboardService
+     */
+    @tracked templates = [];
+
+    /**
+     * Templates seeded from the widgets registered to a dashboard by the console and extensions.
+     *
+     * @param {String} [dashboardId='dashboard']
+     * @return {Array<Object>}
+     * @memberof ConsoleDashboardService
+     */
+    getGalleryTemplates(dashboardId = 'dashboard') {
+        return buildTemplateGallery(this.widgetService.getWidgets(dashboardId), this.widgetService.getDefaultWidgets(dashboardId));
+    }
+
+    /**
+     * Load the organization's published templates.
+     *
+     * @memberof ConsoleDashboardService
+     */
+    @task *loadTemplates({ extension = 'core' } = {}) {
+        try {
+            const templates = yield this.store.query('dashboard', { is_template: true, extension, limit: -1 });
+            this.templates = templates.toArray();
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    /**
+     * Create a dashboard from a template, widgets are added in order so the layout is kept.
+     *
+     * @param {Object} template `{ extension, tags, options, widgets }`
+     * @param {String} name
+     * @return {DashboardModel|undefined}
+     * @memberof ConsoleDashboardService
+     */
+    @task *createFromTemplate(template, name) {
+        try {
+            const dashboardRecord = this.store.createRecord('dashboard', {
+                name,
+                is_default: true,
+                extension: template.extension ?? 'core',
+                tags: template.tags ?? [],
+                options: template.options ?? {},
+            });
+            const dashboard = yield dashboardRecord.save();
+
+            for (const widget of template.widgets ?? []) {
+                yield dashboard.addWidget(widget);
+            }
+
+            this.notifications.success(this.intl.t('services.dashboard-service.create-dashboard-success-notification', { dashboardName: dashboard.name }));
+            this.dashboards.pushObject(dashboard);
+            yield this.selectDashboard.perform(dashboard);
+
+            return dashboard;
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    /**
+     * Duplicate a dashboard with a copy of every widget, including their grid and widget options.
+     *
+     * @param {DashboardModel} dashboard
+     * @param {String} name
+     * @return {DashboardModel|undefined}
+     * @memberof ConsoleDashboardService
+     */
+    @task *duplicateDashboard(dashboard, name) {
+        return yield this.createFromTemplate.perform(dashboard.toTemplate(), name);
+    }
+
+    /**
+     * Publish a dashboard as an organization template, or unpublish it.
+     *
+     * @param {DashboardModel} dashboard
+     * @param {Boolean} [isTemplate=true]
+     * @memberof ConsoleDashboardService
+     */
+    @task *publishTemplate(dashboard, isTemplate = true) {
+        dashboard.set('is_template', isTemplate);
+
+        try {
+            yield dashboard.save();
+            this.notifications.success(
+                this.intl.t(isTemplate ? 'services.dashboard-service.publish-template-success-notification' : 'services.dashboard-service.unpublish-template-success-notification', {
+                    dashboardName: dashboard.name,
+                })
+            );
+        } catch (error) {
+            dashboard.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+
+    /**
+     * Replace who a dashboard is shared with.
+     *
+     * @param {DashboardModel} dashboard
+     * @param {Array} shares See `createDashboardShare`
+     * @memberof ConsoleDashboardService
+     */
+    @task *saveShares(dashboard, shares = []) {
+        dashboard.set('shares', shares);
+
+        try {
+            yield dashboard.save();
+            this.notifications.success(this.intl.t('services.dashboard-service.share-dashboard-success-notification', { dashboardName: dashboard.name, count: shares.length }));
+        } catch (error) {
+            dashboard.rollbackAttributes();
+            throw error;
+        }
+    }
+
+    /**
+     * Widgets an imported dashboard can use, read from the registry of the current dashboard.
+     *
+     * @param {DashboardModel} [dashboard=this.currentDashboard]
+     * @return {Array}
+     * @memberof ConsoleDashboardService
+     */
+    getImportRegistry(dashboard = this.currentDashboard) {
+        const registry = dashboard?.getRegistry();
+        return isArray(registry) && registry.length ? registry : this.widgetService.getWidgets('dashboard');
+    }
+
+    /**
+     * Download a dashboard as a JSON document.
+     *
+     * @param {DashboardModel} dashboard
+     * @memberof ConsoleDashboardService
+     */
+    @action exportDashboard(dashboard) {
+        const document = dashboard.exportDocument();
+        download(JSON.stringify(document, null, 4), `${dasherize(dashboard.name ?? 'dashboard')}.dashboard.json`, 'application/json');
+    }
+
+    /**
+     * Create a dashboard from an imported document, missing widgets must be skipped or remapped first.
+     *
+     * @param {Object} dashboard The `dashboard` of a parsed export, see `parseDashboardExport`
+     * @param {Object} [resolutions={}] See `resolveImportedWidgets`
+     * @param {String} [name]
+     * @return {DashboardModel|undefined}
+     * @memberof ConsoleDashboardService
+     */
+    @task *importDashboard(dashboard, resolutions = {}, name) {
+        const matches = matchImportedWidgets(dashboard.widgets, this.getImportRegistry());
+        const { widgets, unresolved } = resolveImportedWidgets(matches, resolutions);
+
+        if (unresolved.length) {
+            return this.notifications.warning(this.intl.t('services.dashboard-service.import-unresolved-widgets', { count: unresolved.length }));
+        }
+
+        return yield this.createFromTemplate.perform({ ...dashboard, widgets }, name || dashboard.name);
+    }
+
+    /**
+     * Filters applied on top of the saved filters of a dashboard, set from the URL or the filter bar.
+     * Filters set without a dashboard apply to whichever dashboard is current.
+     *
+     * @memberof ConsoleDashboardService
+     */
+    @tracked activeFilters = null;
+
+    /**
+     * The filters applied to the current dashboard.
+     *
+     * @readonly
+     * @memberof ConsoleDashboardService
+     */
+    get filters() {
+        const { activeFilters, currentDashboard } = this;
+        if (activeFilters && (!activeFilters.dashboard || activeFilters.dashboard === currentDashboard)) {
+            return activeFilters.filters;
+        }
+
+        return normalizeDashboardFilters(currentDashboard?.options?.filters);
+    }
+
+    /**
+     * The filters a widget supports, declared in its options or in the options of the registered widget.
+     *
+     * @param {Object} widget A widget record or registered widget
+     * @return {Object}
+     * @memberof ConsoleDashboardService
+     */
+    getWidgetFilters(widget = {}) {
+        const component = getWidgetComponentName(widget.component);
+        const registered = this.getImportRegistry().find((registeredWidget) => getWidgetComponentName(registeredWidget.component) === component);
+
+        return getWidgetFilters(this.filters, widget.options?.filters ?? registered?.options?.filters ?? []);
+    }
+
+    /**
+     * Apply filters to every widget of the current dashboard, and save them to the dashboard options when the user may edit it.
+     *
+     * @param {Object} filters
+     * @param {Object} [options={}] `{ persist }`
+     * @memberof ConsoleDashboardService
+     */
+    @task *applyFilters(filters = {}, { persist = true } = {}) {
+        const dashboard = this.currentDashboard;
+        const normalized = normalizeDashboardFilters(filters);
+        const changed = !isSameFilters(normalized, this.filters);
+
+        this.activeFilters = { dashboard, filters: normalized };
+        if (changed) {
+            this.universe.trigger(DASHBOARD_FILTERS_CHANGED_EVENT, normalized);
+        }
+
+        if (persist && dashboard && !isSameFilters(normalized, dashboard.options?.filters)) {
+            yield this.updateOptions.perform(dashboard, { filters: normalized });
+        }
+    }
+
+    /**
+     * Change the options of a dashboard, they are saved when the user may edit the dashboard and kept for the session otherwise.
+     *
+     * @param {DashboardModel} dashboard
+     * @param {Object} changes
+     * @memberof ConsoleDashboardService
+     */
+    @task *updateOptions(dashboard, changes = {}) {
+        dashboard.set('options', { ...(dashboard.options ?? {}), ...changes });
+
+        if (dashboard.isNew || dashboard.isSystem || !dashboard.canEdit(this.currentUser.user)) {
+            return;
+        }
+
+        try {
+            yield dashboard.save();
+        } catch (error) {
+            dashboard.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+}
@@ -0,0 +1,165 @@
+import Service, { inject as service } from '@ember/service';
+import { isArray } from '@ember/array';
+import { debug } from '@ember/debug';
+import { storageFor } from 'ember-local-storage';
+import { add, isPast } from 'date-fns';
+import fetch from 'fetch';
+import { getNewsFeedUrl, getNewsSource, isAnnouncementActive, normalizeNewsItems } from '../utils/news-feed';
+
+/**
+ * How long an external request may take, air-gapped deployments would otherwise leave widgets loading until the
+ * browser gives up.
+ */
+export const NEWS_REQUEST_TIMEOUT = 8000;
+
+/**
+ * How long news from external sources is cached, in hours.
+ */
+const CACHE_HOURS = 6;
+
+const GITHUB_REPOSITORY_URL = 'https://api.github.com/repos/fleetbase/fleetbase';
+
+export default class NewsFeedService extends Service {
+    @storageFor('local-cache') localCache;
+    @service fetch;
+    @service store;
+    @service currentUser;
+
+    /**
+     * News settings of the organization, see `getNewsSource`.
+     *
+     * @readonly
+     * @memberof NewsFeedService
+     */
+    get companyOptions() {
+        return this.store.peekRecord('company', this.currentUser.companyId)?.options ?? {};
+    }
+
+    getSource(widgetOptions = {}) {
+        return getNewsSource(widgetOptions, this.companyOptions);
+    }
+
+    getFeedUrl(widgetOptions = {}) {
+        return getNewsFeedUrl(widgetOptions, this.companyOptions);
+    }
+
+    /**
+     * Load the news of a widget from its source.
+     *
+     * @param {Object} [widgetOptions={}] `{ source, feed_url, limit }`
+     * @return {Promise<Array>} See `normalizeNewsItems`
+     * @memberof NewsFeedService
+     */
+    async load(widgetOptions = {}) {
+        const source = this.getSource(widgetOptions);
+        const { limit } = widgetOptions;
+
+        switch (source) {
+            case 'fleetbase':
+                return normalizeNewsItems(await this.cached('fleetbase-blog-data', () => this.fetch.get('lookup/fleetbase-blog')), { limit });
+
+            case 'feed': {
+                const url = this.getFeedUrl(widgetOptions);
+                return normalizeNewsItems(await this.cached(`news-feed:${url}`, () => this.request(url)), { limit });
+            }
+
+            case 'announcements':
+                return this.loadAnnouncements({ limit });
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Load the announcements live right now.
+     *
+     * @param {Object} [options={}] `{ limit }`
+     * @return {Promise<Array>}
+     * @memberof NewsFeedService
+     */
+    async loadAnnouncements({ limit } = {}) {
+        const announcements = await this.store.query('announcement', { active: true, sort: '-published_at' });
+        const now = new Date();
+
+        return normalizeNewsItems(
+            announcements.filter((announcement) => isAnnouncementActive(announcement, now)).map((announcement) => announcement.toNewsItem()),
+            { limit }
+        );
+    }
+
+    /**
+     * Load the stats and tags of the Fleetbase repository from GitHub.
+     *
+     * @return {Promise<Object>} `{ data, tags }`
+     * @memberof NewsFeedService
+     */
+    async loadRepository() {
+        const [data, tags] = await Promise.all([
+            this.cached('fleetbase-github-data', () => this.request(GITHUB_REPOSITORY_URL)),
+            this.cached('fleetbase-github-tags', () => this.request(`${GITHUB_REPOSITORY_URL}/tags`)),
+        ]);
+
+        return { data, tags: isArray(tags) ? tags : [] };
+    }
+
+    /**
+     * Request an external url, failing after `NEWS_REQUEST_TIMEOUT`. JSON responses are parsed, anything else is
+     * returned as text.
+     *
+     * @param {String} url
+     * @return {Promise<Object|String>}
+     * @memberof NewsFeedService
+     */
+    async request(url) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), NEWS_REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(url, { cache: 'default', signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`${url} responded with ${response.status}`);
+            }
+
+            const contentType = response.headers.get('content-type') ?? '';
+            return contentType.includes('json') ? await response.json() : await response.text();
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Read from the local cache, loading and caching the data when missing or expired.
+     *
+     * @param {String} key
+     * @param {Function} loader
+     * @return {Promise<*>}
+     * @memberof NewsFeedService
+     */
+    async cached(key, loader) {
+        const cachedData = this.localCache.get(key);
+        const expiration = this.localCache.get(`${key}-expiration`);
+        if (cachedData && expiration && !isPast(new Date(expiration))) {
+            return cachedData;
+        }
+
+        try {
+            const data = await loader();
+            if (data) {
+                this.localCache.set(key, data);
+                this.localCache.set(`${key}-expiration`, add(new Date(), { hours: CACHE_HOURS }));
+            }
+
+            return data;
+        } catch (error) {
+            debug(`[News Feed] Failed to load ${key}: ${error.message}`);
+
+            // Fall back on expired news rather than nothing
+            if (cachedData) {
+                return cachedData;
+            }
+
+            throw error;
+        }
+    }
+}
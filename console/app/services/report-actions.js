@@ -0,0 +1,154 @@
+import ReportActionsService from '@fleetbase/ember-core/services/report-actions';
+import { action } from '@ember/object';
+import { formatInTimezone } from '../utils/timezone';
+import { validateParameterValues } from '../utils/report-parameters';
+
+export default class ConsoleReportActionsService extends ReportActionsService {
+    /**
+     * Execute a report and fill its result, reports declaring parameters prompt for their values first.
+     *
+     * @param {ReportModel} report
+     * @param {Object} [options={}] Options for the parameters modal
+     * @return {Promise}
+     * @memberof ConsoleReportActionsService
+     */
+    @action async run(report, options = {}) {
+        if (report.hasParameters) {
+            return this.modal.run(report, options);
+        }
+
+        try {
+            report.fillResult(await report.execute());
+        } catch (error) {
+            this.notifications.serverError(error);
+        }
+    }
+
+    modal = {
+        ...this.modal,
+        schedule: (report, options = {}) => {
+            return this.modalsManager.show('modals/report-schedule', {
+                title: this.intl.t('services.report-actions.schedule-modal-title', { reportName: report.title }),
+                acceptButtonText: this.intl.t('common.save-changes'),
+                acceptButtonIcon: 'save',
+                modalClass: 'modal-lg',
+                report,
+                confirm: async (modal) => {
+                    if (report.is_scheduled && !validateParameterValues(report.parameters, report.scheduleParameters).valid) {
+                        return this.notifications.warning(this.intl.t('services.report-actions.schedule-parameters-invalid'));
+                    }
+
+                    modal.startLoading();
+
+                    try {
+                        if (report.is_scheduled) {
+                            await report.saveSchedule();
+                            this.notifications.success(
+                                this.intl.t('services.report-actions.schedule-saved-notification', {
+                                    reportName: report.title,
+                                    nextRun: report.next_scheduled_run ? formatInTimezone(report.next_scheduled_run, report.schedule_timezone || 'UTC') : '-',
+                                })
+                            );
+                        } else {
+                            await report.unschedule();
+                            this.notifications.success(this.intl.t('services.report-actions.schedule-removed-notification', { reportName: report.title }));
+                        }
+
+                        modal.done();
+                    } catch (error) {
+                        this.notifications.serverError(error);
+                        modal.stopLoading();
+                    }
+                },
+                decline: (modal) => {
+                    report.rollbackAttributes();
+                    modal.done();
+                },
+                ...options,
+            });
+        },
+        history: (report, options = {}) => {
+            return this.modalsManager.show('modals/report-history', {
+                title: this.intl.t('services.report-actions.history-modal-title', { reportName: report.title }),
+                acceptButtonText: this.intl.t('common.done'),
+                hideDeclineButton: true,
+                modalClass: 'modal-xl',
+                report,
+                confirm: (modal) => modal.done(),
+                ...options,
+            });
+        },
+        query: (report, options = {}) => {
+            return this.modalsManager.show('modals/report-query-builder', {
+                title: this.intl.t('services.report-actions.query-modal-title', { reportName: report.title }),
+                acceptButtonText: this.intl.t('common.save-changes'),
+                acceptButtonIcon: 'save',
+                modalClass: 'modal-xl',
+                report,
+                confirm: (modal) => this.modalTask.perform(modal, 'saveTask', report, { refresh: true }),
+                decline: (modal) => {
+                    report.rollbackAttributes();
+                    modal.done();
+                },
+                ...options,
+            });
+        },
+        visualize: (report, options = {}) => {
+            return this.modalsManager.show('modals/report-visualization', {
+                title: this.intl.t('services.report-actions.visualize-modal-title', { reportName: report.title }),
+                acceptButtonText: this.intl.t('common.save-changes'),
+                acceptButtonIcon: 'save',
+                modalClass: 'modal-xl',
+                report,
+                confirm: (modal) => this.modalTask.perform(modal, 'saveTask', report),
+                decline: (modal) => {
+                    report.rollbackAttributes();
+                    modal.done();
+                },
+                ...options,
+            });
+        },
+        run: (report, options = {}) => {
+            return this.modalsManager.show('modals/report-parameters', {
+                title: this.intl.t('services.report-actions.run-modal-title', { reportName: report.title }),
+                acceptButtonText: this.intl.t('services.report-actions.run-button'),
+                acceptButtonIcon: 'play',
+                report,
+                values: { ...report.parameterValues },
+                errors: {},
+                context: { periodStart: report.period_start, periodEnd: report.period_end },
+                setValues: (values) => this.modalsManager.setOption('values', values),
+                confirm: async (modal) => {
+                    const values = modal.getOption('values', {});
+                    const { valid, errors } = validateParameterValues(report.parameters, values);
+                    modal.setOption('errors', errors);
+
+                    if (!valid) {
+                        return;
+                    }
+
+                    modal.startLoading();
+
+                    try {
+                        report.fillResult(await report.execute(values));
+                        modal.done();
+                    } catch (error) {
+                        this.notifications.serverError(error);
+                        modal.stopLoading();
+                    }
+                },
+                ...options,
+            });
+        },
+        export: (report, options = {}) => {
+            return this.modalsManager.show('modals/report-export', {
+                title: this.intl.t('services.report-actions.export-modal-title', { reportName: report.title }),
+                acceptButtonText: this.intl.t('common.done'),
+                hideDeclineButton: true,
+                report,
+                confirm: (modal) => modal.done(),
+                ...options,
+            });
+        },
+    };
+}
@@ -0,0 +1,263 @@
+import Service, { inject as service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { dasherize } from '@ember/string';
+import { task } from 'ember-concurrency';
+import { format as formatDate } from 'date-fns';
+import download from '@fleetbase/ember-core/utils/download';
+import { createReportExportWorker, resolveStreamingFormat } from '../utils/report-export-worker';
+
+const FILE_EXTENSIONS = { csv: 'csv', ndjson: 'ndjson', xlsx: 'xlsx' };
+
+/**
+ * State of a single streamed report export.
+ */
+export class ReportExportJob {
+    @tracked status = 'pending';
+    @tracked rowCount = 0;
+    @tracked totalRows = null;
+    @tracked cursor = null;
+    @tracked error = null;
+    columns = null;
+    worker = null;
+    instance = null;
+    pending = null;
+
+    constructor(report, format, options = {}) {
+        this.report = report;
+        this.format = format;
+        this.options = options;
+        this.parameters = options.parameters ?? report.parameterValues ?? {};
+        this.fileName = options.fileName ?? `${dasherize(report.title || 'report')}-${formatDate(new Date(), 'yyyyMMddHHmm')}.${FILE_EXTENSIONS[format]}`;
+    }
+
+    get progress() {
+        if (this.status === 'completed') {
+            return 100;
+        }
+
+        if (!this.totalRows) {
+            return null;
+        }
+
+        return Math.min(100, Math.floor((this.rowCount / this.totalRows) * 100));
+    }
+
+    get hasProgress() {
+        return this.progress !== null;
+    }
+
+    get isRunning() {
+        return this.status === 'running';
+    }
+
+    get isResumable() {
+        return this.status === 'cancelled' || this.status === 'failed';
+    }
+
+    get isFinished() {
+        return this.status === 'completed';
+    }
+}
+
+export default class ReportExportService extends Service {
+    @service notifications;
+    @service intl;
+
+    /**
+     * Exports started during this session, most recent first.
+     *
+     * @memberof ReportExportService
+     */
+    @tracked jobs = [];
+
+    /**
+     * Number of rows requested per page.
+     *
+     * @memberof ReportExportService
+     */
+    pageSize = 5000;
+
+    /**
+     * Get the most recent export of a report.
+     *
+     * @param {ReportModel} report
+     * @return {ReportExportJob|undefined}
+     * @memberof ReportExportService
+     */
+    jobFor(report) {
+        return this.jobs.find((job) => job.report === report);
+    }
+
+    /**
+     * Start streaming a report export.
+     *
+     * @param {ReportModel} report
+     * @param {String} [format='csv'] One of `csv`, `ndjson` or `xlsx`, legacy `excel` and `json` are accepted as aliases
+     * @param {Object} [options={}] Supports `fileName` and `pageSize`
+     * @return {ReportExportJob}
+     * @memberof ReportExportService
+     */
+    @action start(report, format = 'csv', options = {}) {
+        const streamingFormat = resolveStreamingFormat(format);
+        if (!streamingFormat) {
+            throw new Error(`Export format '${format}' cannot be streamed`);
+        }
+
+        const job = new ReportExportJob(report, streamingFormat, options);
+        this.jobs = [job, ...this.jobs];
+        job.instance = this.streamExport.perform(job);
+
+        return job;
+    }
+
+    /**
+     * Continue a cancelled or failed export from the last received cursor.
+     *
+     * @param {ReportExportJob} job
+     * @return {ReportExportJob}
+     * @memberof ReportExportService
+     */
+    @action resume(job) {
+        if (job.isResumable) {
+            job.error = null;
+            job.instance = this.streamExport.perform(job);
+        }
+
+        return job;
+    }
+
+    /**
+     * Stop fetching pages, the rows received so far are kept so the export can be resumed.
+     *
+     * @param {ReportExportJob} job
+     * @memberof ReportExportService
+     */
+    @action cancel(job) {
+        if (job.instance) {
+            job.instance.cancel();
+        }
+    }
+
+    /**
+     * Cancel an export and release its worker.
+     *
+     * @param {ReportExportJob} job
+     * @memberof ReportExportService
+     */
+    @action discard(job) {
+        this.cancel(job);
+        this.releaseWorker(job);
+        this.jobs = this.jobs.filter((_) => _ !== job);
+    }
+
+    /**
+     * Download the assembled file of a completed export again.
+     *
+     * @param {ReportExportJob} job
+     * @memberof ReportExportService
+     */
+    @action download(job) {
+        if (job.blob) {
+            download(job.blob, job.fileName, job.blob.type);
+        }
+    }
+
+    @task({ maxConcurrency: 3, enqueue: true }) *streamExport(job) {
+        const limit = job.options.pageSize ?? this.pageSize;
+        job.status = 'running';
+
+        try {
+            if (!job.worker) {
+                job.worker = createReportExportWorker();
+                job.worker.onmessage = ({ data }) => this.handleWorkerMessage(job, data);
+                job.cursor = null;
+                job.rowCount = 0;
+                job.columns = null;
+            }
+
+            let hasMore = true;
+            while (hasMore) {
+                const { columns, data = [], meta = {} } = yield job.report.executePage({ cursor: job.cursor, limit, parameters: job.parameters });
+
+                if (!job.columns) {
+                    job.columns = columns ?? job.report.result_columns ?? [];
+                    yield this.sendToWorker(job, { type: 'start', format: job.format, columns: job.columns });
+                }
+
+                const nextCursor = meta.next_cursor ?? null;
+                const progress = this.sendToWorker(job, { type: 'rows', rows: data });
+                job.cursor = nextCursor;
+                job.totalRows = meta.total_rows ?? job.totalRows;
+                hasMore = Boolean(nextCursor) && data.length > 0;
+                yield progress;
+            }
+
+            const { blob, rowCount } = yield this.sendToWorker(job, { type: 'finish' });
+            job.blob = blob;
+            job.rowCount = rowCount;
+            job.status = 'completed';
+            this.releaseWorker(job);
+            this.download(job);
+            this.notifications.success(this.intl.t('services.report-export.completed-notification', { fileName: job.fileName, rowCount }));
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error;
+
+            // the assembled rows can no longer be trusted, a resume starts over
+            if (error.fromWorker) {
+                this.releaseWorker(job);
+            }
+
+            this.notifications.serverError(error);
+        } finally {
+            if (job.status === 'running') {
+                job.status = 'cancelled';
+            }
+        }
+
+        return job;
+    }
+
+    /**
+     * Post a message to the export worker and wait for its reply.
+     *
+     * @param {ReportExportJob} job
+     * @param {Object} message
+     * @return {Promise}
+     * @memberof ReportExportService
+     */
+    sendToWorker(job, message) {
+        return new Promise((resolve, reject) => {
+            job.pending = [...(job.pending ?? []), { resolve, reject }];
+            job.worker.postMessage(message);
+        });
+    }
+
+    handleWorkerMessage(job, data = {}) {
+        const [pending, ...rest] = job.pending ?? [];
+        job.pending = rest;
+
+        if (data.type === 'progress') {
+            job.rowCount = data.rowCount;
+        }
+
+        if (!pending) {
+            return;
+        }
+
+        if (data.type === 'error') {
+            pending.reject(Object.assign(new Error(data.message), { fromWorker: true }));
+        } else {
+            pending.resolve(data);
+        }
+    }
+
+    releaseWorker(job) {
+        if (job.worker) {
+            job.worker.terminate();
+            job.worker = null;
+            job.pending = null;
+        }
+    }
+}
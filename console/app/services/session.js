@@ -430,6 +430,14 @@ export default class CustomSessionService extends SessionService {
         return super.isAuthenticated;
     }
 
+    /**
+     * Whether the session was created from a kiosk display token, such sessions are read-only
+     * and may only open the kiosk route.
+     */
+    get isDisplaySession() {
+        return this.isAuthenticated && this.data?.authenticated?.authenticator === 'authenticator:display';
+    }
+
     /**
      * Override data getter to return our _data in BFF mode
      * This ensures other parts of the app can access session data
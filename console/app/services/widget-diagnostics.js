@@ -0,0 +1,64 @@
+import Service, { inject as service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { debug } from '@ember/debug';
+import { createId } from '../utils/query-conditions';
+import { getWidgetComponentName } from '../utils/dashboard-templates';
+
+/**
+ * Cache key of the diagnostics log, kept across reloads so failures can be looked at after the fact.
+ */
+const LOG_CACHE_KEY = 'dashboard-widget-diagnostics';
+
+/**
+ * Most failures kept in the log.
+ */
+export const MAX_DIAGNOSTICS = 50;
+
+export default class WidgetDiagnosticsService extends Service {
+    @service appCache;
+
+    /**
+     * Widget failures, newest first.
+     *
+     * @memberof WidgetDiagnosticsService
+     */
+    @tracked entries = [];
+
+    constructor() {
+        super(...arguments);
+        this.entries = this.appCache.get(LOG_CACHE_KEY) ?? [];
+    }
+
+    /**
+     * Record a widget failure.
+     *
+     * @param {Error|String} error
+     * @param {Object} [context={}] `{ widget, dashboard, phase }`, phase is one of `resolve` or `load`
+     * @return {Object} The log entry
+     * @memberof WidgetDiagnosticsService
+     */
+    report(error, { widget, dashboard, phase = 'load' } = {}) {
+        const entry = {
+            id: createId(),
+            widget_id: widget?.id ?? null,
+            widget_name: widget?.name ?? null,
+            component: getWidgetComponentName(widget?.component) ?? null,
+            dashboard_id: dashboard?.id ?? null,
+            phase,
+            message: error?.message ?? String(error),
+            stack: error?.stack ?? null,
+            occurred_at: new Date().toISOString(),
+        };
+
+        this.entries = [entry, ...this.entries].slice(0, MAX_DIAGNOSTICS);
+        this.appCache.set(LOG_CACHE_KEY, this.entries);
+        debug(`[Widget Diagnostics] ${entry.component ?? 'Unknown widget'} failed to ${phase}: ${entry.message}`);
+
+        return entry;
+    }
+
+    clear() {
+        this.entries = [];
+        this.appCache.set(LOG_CACHE_KEY, []);
+    }
+}
@@ -0,0 +1,141 @@
+import Service, { inject as service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { debug } from '@ember/debug';
+import { task, timeout } from 'ember-concurrency';
+import { DASHBOARD_DENSITIES, DEFAULT_DENSITY, getPreferredWidgetOptions, mergeWidgetPreferences, normalizeWidgetPreference } from '../utils/widget-preferences';
+
+/**
+ * Option the preferences are kept under on this device, until the server has them.
+ */
+const OPTION_KEY = 'dashboard-widget-preferences';
+
+/**
+ * How long changes are batched before they are saved to the server, in milliseconds.
+ */
+const SAVE_DELAY = 1000;
+
+export default class WidgetPreferencesService extends Service {
+    @service currentUser;
+    @service fetch;
+
+    /**
+     * Preferences of the user keyed by widget id, see `normalizeWidgetPreference`.
+     *
+     * @memberof WidgetPreferencesService
+     */
+    @tracked widgets = {};
+    @tracked density = DEFAULT_DENSITY;
+    @tracked isLoaded = false;
+    updatedAt = null;
+
+    /**
+     * Load the preferences saved on this device, then the ones saved on the server by other devices.
+     *
+     * @memberof WidgetPreferencesService
+     */
+    @task({ drop: true }) *load() {
+        const local = this.currentUser.getOption(OPTION_KEY, {}) ?? {};
+        this.apply(local);
+
+        try {
+            const { preferences } = yield this.fetch.get('dashboards/widget-preferences');
+            const remote = preferences ?? {};
+            const isLocalNewer = new Date(local.updated_at ?? 0) > new Date(remote.updated_at ?? 0);
+
+            this.apply({
+                widgets: mergeWidgetPreferences(local.widgets, remote.widgets),
+                density: isLocalNewer ? local.density : (remote.density ?? local.density),
+                updated_at: isLocalNewer ? local.updated_at : remote.updated_at,
+            });
+
+            if (isLocalNewer) {
+                this.save.perform();
+            }
+        } catch (error) {
+            debug(`[Widget Preferences] Using the preferences saved on this device: ${error.message}`);
+        }
+
+        this.isLoaded = true;
+    }
+
+    apply({ widgets = {}, density, updated_at = null } = {}) {
+        this.widgets = widgets ?? {};
+        this.density = DASHBOARD_DENSITIES[density] ? density : DEFAULT_DENSITY;
+        this.updatedAt = updated_at;
+    }
+
+    toJSON() {
+        return { widgets: this.widgets, density: this.density, updated_at: this.updatedAt };
+    }
+
+    getPreference(widget) {
+        return normalizeWidgetPreference(this.widgets[widget?.id]);
+    }
+
+    getOptions(widget) {
+        return getPreferredWidgetOptions(widget, this.widgets[widget?.id]);
+    }
+
+    getHiddenWidgets(widgets = []) {
+        return widgets.filter((widget) => this.getPreference(widget).hidden);
+    }
+
+    /**
+     * Change the preference of the user for a widget.
+     *
+     * @param {DashboardWidgetModel} widget
+     * @param {Object} changes `{ collapsed, hidden, title, options }`, options are merged with the options already set
+     * @memberof WidgetPreferencesService
+     */
+    update(widget, changes = {}) {
+        const preference = this.getPreference(widget);
+        const options = changes.options ? { ...preference.options, ...changes.options } : preference.options;
+
+        this.setPreferences({ [widget.id]: { ...preference, ...changes, options } });
+    }
+
+    /**
+     * Reset the widgets to how the dashboard shows them. Reset preferences are kept blank so they also replace the
+     * ones saved on other devices.
+     *
+     * @param {Array} widgets
+     * @memberof WidgetPreferencesService
+     */
+    reset(widgets = []) {
+        this.setPreferences(Object.fromEntries(widgets.map((widget) => [widget.id, {}])));
+    }
+
+    setDensity(density) {
+        this.density = DASHBOARD_DENSITIES[density] ? density : DEFAULT_DENSITY;
+        this.setPreferences();
+    }
+
+    setPreferences(changes = {}) {
+        const updatedAt = new Date().toISOString();
+        const widgets = { ...this.widgets };
+
+        for (const [id, preference] of Object.entries(changes)) {
+            widgets[id] = { ...normalizeWidgetPreference(preference), updated_at: updatedAt };
+        }
+
+        this.widgets = widgets;
+        this.updatedAt = updatedAt;
+        this.currentUser.setOption(OPTION_KEY, this.toJSON());
+        this.save.perform();
+    }
+
+    /**
+     * Save the preferences to the server once changes settle, they stay on this device when the server is unreachable.
+     *
+     * @memberof WidgetPreferencesService
+     */
+    @task({ restartable: true }) *save() {
+        yield timeout(SAVE_DELAY);
+
+        try {
+            yield this.fetch.post('dashboards/widget-preferences', { preferences: this.toJSON() });
+        } catch (error) {
+            debug(`[Widget Preferences] Failed to save preferences: ${error.message}`);
+        }
+    }
+}
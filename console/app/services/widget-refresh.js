@@ -0,0 +1,318 @@
+import Service, { inject as service } from '@ember/service';
+import { tracked } from '@glimmer/tracking';
+import { action } from '@ember/object';
+import { didCancel, rawTimeout, task } from 'ember-concurrency';
+import { getRefreshInterval, isLiveWidget, isRefreshDue, matchesLiveEvent } from '../utils/widget-refresh';
+
+/**
+ * How often due widgets are looked for, in milliseconds.
+ */
+const TICK_INTERVAL = 5000;
+
+/**
+ * A widget registered for auto-refresh.
+ */
+export class WidgetRefreshSubscription {
+    @tracked lastUpdatedAt = null;
+    @tracked isRefreshing = false;
+    @tracked error = null;
+    @tracked overrides = {};
+    lastRefreshAt = null;
+    hasPendingEvent = false;
+    attempts = 0;
+
+    constructor(service, { widget = null, options = {}, reload, onError = null }) {
+        this.service = service;
+        this.widget = widget;
+        this.defaultOptions = options ?? {};
+        this.reload = reload;
+        this.onError = onError;
+    }
+
+    get options() {
+        const widgetOptions = this.widget ? this.service.widgetPreferences.getOptions(this.widget) : {};
+        return { ...this.defaultOptions, ...widgetOptions, ...this.overrides };
+    }
+
+    get dashboardOptions() {
+        return this.service.dashboard.currentDashboard?.options ?? {};
+    }
+
+    get interval() {
+        return getRefreshInterval(this.options, this.dashboardOptions);
+    }
+
+    get isLive() {
+        return isLiveWidget(this.options, this.dashboardOptions);
+    }
+
+    get canGoLive() {
+        return (this.options.live_events ?? []).length > 0;
+    }
+
+    get widgetInterval() {
+        return this.options.refresh_interval ?? null;
+    }
+
+    /**
+     * Whether the widget shows data from an earlier load because the last refresh failed.
+     *
+     * @readonly
+     * @memberof WidgetRefreshSubscription
+     */
+    get isStale() {
+        return Boolean(this.error && this.lastUpdatedAt);
+    }
+
+    /**
+     * Reload the widget, an error keeps the last loaded data. Only the latest of overlapping refreshes updates the state.
+     * Widgets which never loaded have nothing to keep, their error is passed to `onError`.
+     *
+     * @return {Promise}
+     * @memberof WidgetRefreshSubscription
+     */
+    async refresh() {
+        const attempt = ++this.attempts;
+        this.lastRefreshAt = new Date();
+        this.hasPendingEvent = false;
+        this.isRefreshing = true;
+
+        try {
+            await this.reload();
+            if (attempt === this.attempts) {
+                this.lastUpdatedAt = new Date();
+                this.error = null;
+            }
+        } catch (error) {
+            if (attempt === this.attempts && !didCancel(error)) {
+                this.error = error;
+
+                if (!this.lastUpdatedAt && typeof this.onError === 'function') {
+                    this.onError(error);
+                }
+            }
+        } finally {
+            if (attempt === this.attempts) {
+                this.isRefreshing = false;
+            }
+        }
+    }
+}
+
+export default class WidgetRefreshService extends Service {
+    @service currentUser;
+    @service dashboard;
+    @service notifications;
+    @service socket;
+    @service widgetPreferences;
+
+    /**
+     * Current time, updated on every tick so last-updated indicators stay current.
+     *
+     * @memberof WidgetRefreshService
+     */
+    @tracked now = new Date();
+
+    /**
+     * Whether the browser tab is hidden, refreshing is paused while it is.
+     *
+     * @memberof WidgetRefreshService
+     */
+    @tracked isHidden = typeof document !== 'undefined' && document.hidden === true;
+
+    /**
+     * Whether the browser lost its network connection, widgets keep their last data until it is back.
+     *
+     * @memberof WidgetRefreshService
+     */
+    @tracked isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    @tracked subscriptions = [];
+    isSubscribed = false;
+    isObservingVisibility = false;
+
+    /**
+     * When the oldest data still shown was loaded, `null` unless a widget is stale or the browser is offline.
+     *
+     * @readonly
+     * @memberof WidgetRefreshService
+     */
+    get staleSince() {
+        const loaded = this.subscriptions.filter((subscription) => subscription.lastUpdatedAt && (this.isOffline || subscription.isStale));
+        if (!loaded.length) {
+            return this.isOffline ? this.now : null;
+        }
+
+        return new Date(Math.min(...loaded.map((subscription) => subscription.lastUpdatedAt.getTime())));
+    }
+
+    /**
+     * Register a widget for auto-refresh and live updates.
+     *
+     * @param {Object} config `{ widget, options, reload, onError }`, `reload` returns a promise
+     * @return {WidgetRefreshSubscription}
+     * @memberof WidgetRefreshService
+     */
+    register(config) {
+        const subscription = new WidgetRefreshSubscription(this, config);
+
+        this.subscriptions = [...this.subscriptions, subscription];
+        this.observeVisibility();
+        this.listenForEvents();
+
+        if (!this.tick.isRunning) {
+            this.tick.perform();
+        }
+
+        return subscription;
+    }
+
+    /**
+     * Change the refresh options of a widget, saved to the widget when it belongs to a dashboard the user may edit and
+     * to the widget preferences of the user otherwise.
+     *
+     * @param {WidgetRefreshSubscription} subscription
+     * @param {Object} changes `{ refresh_interval, live }`
+     * @memberof WidgetRefreshService
+     */
+    @task *updateWidgetOptions(subscription, changes = {}) {
+        const { widget } = subscription;
+        const dashboard = this.dashboard.currentDashboard;
+        subscription.overrides = { ...subscription.overrides, ...changes };
+
+        if (!widget || typeof widget.save !== 'function' || widget.isNew || !dashboard) {
+            return;
+        }
+
+        if (dashboard.isSystem || !dashboard.canEdit(this.currentUser.user)) {
+            return this.widgetPreferences.update(widget, { options: changes });
+        }
+
+        widget.set('options', { ...(widget.options ?? {}), ...changes });
+
+        try {
+            yield widget.save();
+        } catch (error) {
+            widget.rollbackAttributes();
+            this.notifications.serverError(error);
+        }
+    }
+
+    unregister(subscription) {
+        this.subscriptions = this.subscriptions.filter((registered) => registered !== subscription);
+
+        if (this.subscriptions.length === 0) {
+            this.tick.cancelAll();
+        }
+    }
+
+    /**
+     * Refresh the widgets that are due, and the live widgets that received an event since the last tick.
+     * Waits outside the run loop so the poll does not hold up settled state in tests.
+     *
+     * @memberof WidgetRefreshService
+     */
+    @task *tick() {
+        while (this.subscriptions.length) {
+            yield rawTimeout(TICK_INTERVAL);
+            this.now = new Date();
+            this.refreshDue();
+        }
+    }
+
+    refreshDue(now = new Date()) {
+        if (this.isHidden || this.isOffline) {
+            return;
+        }
+
+        for (const subscription of this.subscriptions) {
+            if (subscription.isRefreshing) {
+                continue;
+            }
+
+            if ((subscription.isLive && subscription.hasPendingEvent) || isRefreshDue(subscription.lastRefreshAt, subscription.interval, now)) {
+                subscription.refresh();
+            }
+        }
+    }
+
+    /**
+     * Pause refreshing while the tab is hidden or the network is down, and catch up as soon as both are back.
+     *
+     * @memberof WidgetRefreshService
+     */
+    observeVisibility() {
+        if (this.isObservingVisibility || typeof document === 'undefined') {
+            return;
+        }
+
+        this.isObservingVisibility = true;
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        window.addEventListener('online', this.onConnectivityChange);
+        window.addEventListener('offline', this.onConnectivityChange);
+    }
+
+    @action onVisibilityChange() {
+        this.isHidden = document.hidden === true;
+        this.now = new Date();
+        this.refreshDue();
+    }
+
+    @action onConnectivityChange(event) {
+        this.isOffline = event?.type === 'offline';
+        this.now = new Date();
+
+        if (!this.isOffline) {
+            this.refreshStale();
+        }
+    }
+
+    /**
+     * Refresh every widget whose last refresh failed, used when the connection comes back.
+     *
+     * @memberof WidgetRefreshService
+     */
+    refreshStale() {
+        for (const subscription of this.subscriptions) {
+            if (subscription.error && !subscription.isRefreshing) {
+                subscription.refresh();
+            }
+        }
+
+        this.refreshDue();
+    }
+
+    /**
+     * Subscribe to the company channel once, events are batched and applied on the next tick.
+     *
+     * @memberof WidgetRefreshService
+     */
+    listenForEvents() {
+        if (this.isSubscribed || !this.currentUser.companyId) {
+            return;
+        }
+
+        this.isSubscribed = true;
+        this.socket.listen(`company.${this.currentUser.companyId}`, ({ event }) => {
+            this.receiveEvent(event);
+        });
+    }
+
+    receiveEvent(event) {
+        for (const subscription of this.subscriptions) {
+            if (subscription.isLive && matchesLiveEvent(subscription.options.live_events, event)) {
+                subscription.hasPendingEvent = true;
+            }
+        }
+    }
+
+    willDestroy() {
+        super.willDestroy(...arguments);
+
+        if (this.isObservingVisibility) {
+            document.removeEventListener('visibilitychange', this.onVisibilityChange);
+            window.removeEventListener('online', this.onConnectivityChange);
+            window.removeEventListener('offline', this.onConnectivityChange);
+        }
+    }
+}
@@ -0,0 +1,218 @@
+import { isArray } from '@ember/array';
+import { createId } from './query-conditions';
+import { NOTIFICATION_TRANSPORTS } from './notification-transports';
+
+/**
+ * Subject type of schedules used as on-call rotations.
+ */
+export const ON_CALL_SUBJECT_TYPE = 'on-call';
+
+/**
+ * Who an escalation tier can page, a `schedule` target pages whoever is on call in that schedule.
+ */
+export const ESCALATION_TARGET_TYPES = ['user', 'group', 'schedule'];
+
+/**
+ * Read schedule items from an array or a has-many relationship.
+ *
+ * @param {Array|ManyArray} items
+ * @return {Array}
+ */
+function toItemArray(items) {
+    if (typeof items?.toArray === 'function') {
+        return items.toArray();
+    }
+
+    return isArray(items) ? Array.from(items) : [];
+}
+
+/**
+ * Create an escalation tier.
+ *
+ * @param {Object} [attributes={}]
+ * @return {Object} `{ id, wait_minutes, targets, transports }`
+ */
+export function createEscalationTier(attributes = {}) {
+    return { id: createId(), wait_minutes: 15, targets: [], transports: [...NOTIFICATION_TRANSPORTS], ...attributes };
+}
+
+/**
+ * Checks if a policy applies to an alert, an empty severity or urgency list matches every alert.
+ *
+ * @param {Object} policy `{ is_enabled, severities, urgency_levels }`
+ * @param {Object} alert `{ severity, urgencyLevel }`
+ * @return {Boolean}
+ */
+export function policyAppliesTo(policy = {}, alert = {}) {
+    if (policy.is_enabled === false) {
+        return false;
+    }
+
+    const severities = policy.severities ?? [];
+    const urgencyLevels = policy.urgency_levels ?? [];
+
+    if (severities.length && !severities.includes(alert.severity)) {
+        return false;
+    }
+
+    if (urgencyLevels.length && !urgencyLevels.includes(alert.urgencyLevel)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Lay out when each tier of a policy is paged for an alert triggered at a point in time. A tier is paged once the
+ * wait time of the previous tier has passed, and the whole sequence runs `repeat_count` more times.
+ *
+ * @param {Object} policy `{ tiers, repeat_count }`
+ * @param {Date|String} triggeredAt
+ * @return {Array<Object>} `{ tier, round, notify_at, targets, transports }` in paging order
+ */
+export function getEscalationTimeline(policy = {}, triggeredAt) {
+    const tiers = policy.tiers ?? [];
+    const rounds = 1 + Math.max(0, parseInt(policy.repeat_count, 10) || 0);
+    const timeline = [];
+    let time = new Date(triggeredAt).getTime();
+
+    if (isNaN(time)) {
+        return timeline;
+    }
+
+    for (let round = 0; round < rounds; round++) {
+        tiers.forEach((tier, index) => {
+            timeline.push({ tier: index, round, notify_at: new Date(time), targets: tier.targets ?? [], transports: tier.transports ?? [] });
+            time += Math.max(0, parseFloat(tier.wait_minutes) || 0) * 60000;
+        });
+    }
+
+    return timeline;
+}
+
+/**
+ * Get the latest escalation step reached by an alert, escalation stops once the alert is acknowledged or resolved.
+ *
+ * @param {Object} policy
+ * @param {Object} alert `{ triggered_at, acknowledged_at, resolved_at }`
+ * @param {Date} [now=new Date()]
+ * @return {Object|null}
+ */
+export function getEscalationStep(policy = {}, alert = {}, now = new Date()) {
+    const stoppedAt = [alert.acknowledged_at, alert.resolved_at].filter(Boolean).map((date) => new Date(date).getTime());
+    const until = Math.min(now.getTime(), ...stoppedAt);
+
+    return (
+        getEscalationTimeline(policy, alert.triggered_at)
+            .filter((step) => step.notify_at.getTime() <= until)
+            .pop() ?? null
+    );
+}
+
+/**
+ * Get the schedule items covering a point in time.
+ *
+ * @param {Array} items Schedule items `{ start_at, end_at, status }`
+ * @param {Date} [at=new Date()]
+ * @return {Array}
+ */
+export function getOnCallItems(items = [], at = new Date()) {
+    const time = new Date(at).getTime();
+
+    return toItemArray(items).filter((item) => {
+        if (item.status === 'cancelled') {
+            return false;
+        }
+
+        return new Date(item.start_at).getTime() <= time && new Date(item.end_at).getTime() > time;
+    });
+}
+
+/**
+ * Expand the targets of a tier into the users and groups to page, schedule targets resolve to their on-call assignees.
+ *
+ * @param {Object} tier
+ * @param {Object} [options={}] `{ scheduleItems: { [schedule_uuid]: items }, at }`
+ * @return {Array<Object>} `{ type, id }` without duplicates
+ */
+export function resolveTierRecipients(tier = {}, { scheduleItems = {}, at = new Date() } = {}) {
+    const recipients = [];
+    const seen = new Set();
+    const add = (type, id) => {
+        const key = `${type}:${id}`;
+        if (id && !seen.has(key)) {
+            seen.add(key);
+            recipients.push({ type, id });
+        }
+    };
+
+    for (const target of tier.targets ?? []) {
+        if (target.type === 'schedule') {
+            for (const item of getOnCallItems(scheduleItems[target.id] ?? [], at)) {
+                add(item.assignee_type ?? 'user', item.assignee_uuid);
+            }
+        } else {
+            add(target.type, target.id);
+        }
+    }
+
+    return recipients;
+}
+
+/**
+ * Generate shifts rotating through assignees.
+ *
+ * @param {Object} options `{ assignees, start, shiftHours, shifts }`, assignees are user ids
+ * @return {Array<Object>} Schedule item attributes
+ */
+export function generateRotation({ assignees = [], start, shiftHours = 24, shifts = 7 } = {}) {
+    const startTime = new Date(start).getTime();
+    const duration = Math.max(1, parseFloat(shiftHours) || 0) * 60;
+
+    if (!assignees.length || isNaN(startTime)) {
+        return [];
+    }
+
+    return Array.from({ length: Math.max(0, shifts) }, (_, index) => ({
+        assignee_uuid: assignees[index % assignees.length],
+        assignee_type: 'user',
+        start_at: new Date(startTime + index * duration * 60000),
+        end_at: new Date(startTime + (index + 1) * duration * 60000),
+        duration,
+        status: 'confirmed',
+    }));
+}
+
+/**
+ * Find periods within a range nobody is on call.
+ *
+ * @param {Array} items Schedule items
+ * @param {Date} from
+ * @param {Date} to
+ * @return {Array<Object>} `{ start, end }`
+ */
+export function findCoverageGaps(items = [], from, to) {
+    const end = new Date(to).getTime();
+    const shifts = toItemArray(items)
+        .filter((item) => item.status !== 'cancelled')
+        .map((item) => [new Date(item.start_at).getTime(), new Date(item.end_at).getTime()])
+        .sort((a, b) => a[0] - b[0]);
+
+    const gaps = [];
+    let covered = new Date(from).getTime();
+
+    for (const [shiftStart, shiftEnd] of shifts) {
+        if (shiftStart > covered && covered < end) {
+            gaps.push({ start: new Date(covered), end: new Date(Math.min(shiftStart, end)) });
+        }
+        covered = Math.max(covered, shiftEnd);
+    }
+
+    if (covered < end) {
+        gaps.push({ start: new Date(covered), end: new Date(end) });
+    }
+
+    return gaps;
+}
+
+export default getEscalationTimeline;
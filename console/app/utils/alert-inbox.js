@@ -0,0 +1,106 @@
+import { isArray } from '@ember/array';
+
+/**
+ * Statuses alerts can be filtered by in the inbox.
+ */
+export const ALERT_STATUSES = ['pending', 'acknowledged', 'resolved', 'snoozed'];
+
+/**
+ * Snooze durations offered in the inbox, in minutes.
+ */
+export const SNOOZE_DURATIONS = [15, 60, 240, 1440];
+
+/**
+ * Filters the inbox applies to alerts, each maps to a query param.
+ */
+export const ALERT_FILTERS = ['severity', 'type', 'status', 'subject_type', 'subject_uuid'];
+
+/**
+ * Checks if an alert is snoozed at a point in time.
+ *
+ * @param {Object} alert
+ * @param {Date} [now=new Date()]
+ * @return {Boolean}
+ */
+export function isSnoozed(alert = {}, now = new Date()) {
+    if (!alert.snoozed_until || alert.resolved_at) {
+        return false;
+    }
+
+    return new Date(alert.snoozed_until) > now;
+}
+
+/**
+ * Get the inbox status of an alert, resolution takes precedence over snoozing and snoozing over acknowledgement.
+ *
+ * @param {Object} alert
+ * @param {Date} [now=new Date()]
+ * @return {String}
+ */
+export function getAlertStatus(alert = {}, now = new Date()) {
+    if (alert.resolved_at) {
+        return 'resolved';
+    }
+
+    if (isSnoozed(alert, now)) {
+        return 'snoozed';
+    }
+
+    if (alert.acknowledged_at) {
+        return 'acknowledged';
+    }
+
+    return 'pending';
+}
+
+/**
+ * Checks if an alert matches inbox filters, used to place alerts arriving over the socket.
+ * Filters hold a single value or a comma separated list of values.
+ *
+ * @param {Object} alert
+ * @param {Object} [filters={}]
+ * @param {Date} [now=new Date()]
+ * @return {Boolean}
+ */
+export function matchesAlertFilters(alert = {}, filters = {}, now = new Date()) {
+    return ALERT_FILTERS.every((filter) => {
+        const value = filters[filter];
+        if (value === null || value === undefined || value === '') {
+            return true;
+        }
+
+        const accepted = isArray(value) ? value : String(value).split(',');
+        const actual = filter === 'status' ? getAlertStatus(alert, now) : alert[filter];
+
+        return accepted.includes(actual);
+    });
+}
+
+/**
+ * Read the coordinates of an alert from its context, which may hold a `{ lat, lng }` or `{ latitude, longitude }` object
+ * or a GeoJSON point.
+ *
+ * @param {Object} context
+ * @return {Array|null} `[lat, lng]`
+ */
+export function getAlertCoordinates(context = {}) {
+    const location = context?.location;
+    if (!location) {
+        return null;
+    }
+
+    let coordinates = null;
+    if (isArray(location.coordinates)) {
+        const [lng, lat] = location.coordinates;
+        coordinates = [lat, lng];
+    } else if (isArray(location)) {
+        coordinates = location;
+    } else {
+        coordinates = [location.lat ?? location.latitude, location.lng ?? location.lon ?? location.longitude];
+    }
+
+    const [lat, lng] = coordinates.map(parseFloat);
+    return isNaN(lat) || isNaN(lng) ? null : [lat, lng];
+}
+
+export default matchesAlertFilters;
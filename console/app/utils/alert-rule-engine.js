@@ -0,0 +1,266 @@
+import { isArray } from '@ember/array';
+import { createId, isConditionGroup } from './query-conditions';
+import { aggregateValues } from './report-visualization';
+import { compareSeverity } from './alert-types';
+
+/**
+ * Operators a rule condition can compare a metric with, `between` and `outside` take a `[min, max]` threshold.
+ */
+export const ALERT_RULE_OPERATORS = ['>', '>=', '<', '<=', '==', '!=', 'between', 'outside'];
+
+/**
+ * How samples of a metric are combined over the evaluation window.
+ */
+export const ALERT_RULE_AGGREGATES = ['last', 'avg', 'min', 'max', 'sum', 'count'];
+
+/**
+ * Subjects a rule can watch, with the metrics suggested for each.
+ */
+export const ALERT_RULE_METRICS = {
+    vehicle: ['speed', 'fuel_level', 'engine_temperature', 'battery_voltage', 'idle_minutes', 'odometer'],
+    driver: ['speed', 'hours_on_duty', 'harsh_braking_count', 'distance_from_route'],
+    order: ['minutes_late', 'eta_minutes', 'distance_from_route'],
+    device: ['battery_level', 'signal_strength', 'temperature', 'minutes_since_last_ping'],
+    asset: ['temperature', 'humidity', 'battery_level'],
+};
+
+/**
+ * Compare a value with a threshold.
+ *
+ * @param {*} value
+ * @param {String} operator
+ * @param {*} threshold A number, or `[min, max]` for `between` and `outside`
+ * @return {Boolean|null} `null` when the comparison cannot be made
+ */
+export function compareValue(value, operator, threshold) {
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+        return null;
+    }
+
+    if (operator === 'between' || operator === 'outside') {
+        const [min, max] = isArray(threshold) ? threshold.map(parseFloat) : [];
+        if (isNaN(min) || isNaN(max)) {
+            return null;
+        }
+
+        const inside = number >= min && number <= max;
+        return operator === 'between' ? inside : !inside;
+    }
+
+    const limit = parseFloat(threshold);
+    if (isNaN(limit)) {
+        return null;
+    }
+
+    switch (operator) {
+        case '>':
+            return number > limit;
+        case '<':
+            return number < limit;
+        case '>=':
+            return number >= limit;
+        case '<=':
+            return number <= limit;
+        case '==':
+            return number === limit;
+        case '!=':
+            return number !== limit;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Create an empty rule condition.
+ *
+ * @param {String} [logicalOperator='and']
+ * @return {Object}
+ */
+export function createRuleCondition(logicalOperator = 'and') {
+    return { id: createId(), metric: null, operator: '>', threshold: null, logicalOperator };
+}
+
+/**
+ * Collect the metrics referenced by rule conditions.
+ *
+ * @param {Array} conditions
+ * @param {Set} [metrics=new Set()]
+ * @return {Array<String>}
+ */
+export function getRuleMetrics(conditions = [], metrics = new Set()) {
+    for (const node of conditions) {
+        if (isConditionGroup(node)) {
+            getRuleMetrics(node.conditions, metrics);
+        } else if (node?.metric) {
+            metrics.add(node.metric);
+        }
+    }
+
+    return [...metrics];
+}
+
+/**
+ * Combine the samples of a metric over a window.
+ *
+ * @param {Array} samples Samples ordered by time
+ * @param {String} metric
+ * @param {String} [aggregate='last']
+ * @return {Number|null}
+ */
+export function aggregateWindow(samples = [], metric, aggregate = 'last') {
+    const values = samples.map((sample) => sample?.[metric]).filter((value) => value !== null && value !== undefined && value !== '');
+
+    if (aggregate === 'last') {
+        return values.length ? parseFloat(values[values.length - 1]) : null;
+    }
+
+    return aggregateValues(values, aggregate);
+}
+
+/**
+ * Evaluate rule conditions against metric values, conditions are joined from left to right by their `logicalOperator`.
+ *
+ * @param {Array} conditions
+ * @param {Object} values Metric values keyed by metric name
+ * @return {Boolean}
+ */
+export function evaluateConditions(conditions = [], values = {}) {
+    let result = null;
+
+    for (const node of conditions) {
+        const matches = isConditionGroup(node) ? evaluateConditions(node.conditions, values) : compareValue(values[node?.metric], node?.operator, node?.threshold) === true;
+
+        if (result === null) {
+            result = matches;
+        } else {
+            result = node.logicalOperator === 'or' ? result || matches : result && matches;
+        }
+    }
+
+    return result === true;
+}
+
+/**
+ * Resolve the severity of an alert from the rule severity mapping, the most severe matching entry wins.
+ *
+ * @param {Object} rule `{ severity, severity_mapping: [{ metric, operator, threshold, severity }] }`
+ * @param {Object} values Metric values keyed by metric name
+ * @return {String}
+ */
+export function resolveSeverity(rule = {}, values = {}) {
+    return (rule.severity_mapping ?? []).reduce((severity, entry) => {
+        const matches = compareValue(values[entry.metric], entry.operator, entry.threshold) === true;
+        return matches && compareSeverity(entry.severity, severity) > 0 ? entry.severity : severity;
+    }, rule.severity ?? 'medium');
+}
+
+/**
+ * Checks if a sample belongs to a subject the rule is scoped to.
+ *
+ * @param {Object} rule `{ subject_scope: { subjects, fleets } }`
+ * @param {Object} sample
+ * @return {Boolean}
+ */
+export function isSubjectInScope(rule = {}, sample = {}) {
+    const { subjects = [], fleets = [] } = rule.subject_scope ?? {};
+
+    if (subjects.length && !subjects.includes(sample.subject_uuid)) {
+        return false;
+    }
+
+    if (fleets.length && !fleets.includes(sample.fleet_uuid)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Replay a rule over historical samples and collect the alerts it would have raised.
+ *
+ * Samples are flat rows `{ subject_uuid, timestamp, [metric]: value }`. At every sample the metrics of its subject are
+ * aggregated over the rule window, and a trigger is recorded when the conditions match and the subject is not cooling down.
+ *
+ * @param {Object} rule `{ conditions, window: { minutes, aggregate }, cooldown_minutes, severity, severity_mapping, subject_scope }`
+ * @param {Array} [samples=[]]
+ * @return {Object} `{ triggers, evaluations, subjects }`
+ */
+export function evaluateRule(rule = {}, samples = []) {
+    const conditions = rule.conditions ?? [];
+    const metrics = getRuleMetrics(conditions);
+    const windowMs = (rule.window?.minutes ?? 0) * 60000;
+    const aggregate = rule.window?.aggregate ?? 'last';
+    const cooldownMs = (rule.cooldown_minutes ?? 0) * 60000;
+
+    const bySubject = new Map();
+    for (const sample of samples) {
+        if (!isSubjectInScope(rule, sample)) {
+            continue;
+        }
+
+        const key = sample.subject_uuid ?? '';
+        if (!bySubject.has(key)) {
+            bySubject.set(key, []);
+        }
+        bySubject.get(key).push({ ...sample, time: new Date(sample.timestamp).getTime() });
+    }
+
+    const triggers = [];
+    let evaluations = 0;
+
+    for (const [subject, list] of bySubject) {
+        list.sort((a, b) => a.time - b.time);
+        let lastTriggeredAt = null;
+        let start = 0;
+
+        for (let i = 0; i < list.length; i++) {
+            const { time } = list[i];
+            while (windowMs > 0 && list[start].time <= time - windowMs) {
+                start++;
+            }
+
+            const window = windowMs > 0 ? list.slice(start, i + 1) : [list[i]];
+            const values = metrics.reduce((result, metric) => ({ ...result, [metric]: aggregateWindow(window, metric, aggregate) }), {});
+            evaluations++;
+
+            if (!evaluateConditions(conditions, values)) {
+                continue;
+            }
+
+            if (lastTriggeredAt !== null && time - lastTriggeredAt < cooldownMs) {
+                continue;
+            }
+
+            lastTriggeredAt = time;
+            triggers.push({ subject_uuid: subject, subject_name: list[i].subject_name ?? null, triggered_at: new Date(time), severity: resolveSeverity(rule, values), values });
+        }
+    }
+
+    triggers.sort((a, b) => a.triggered_at - b.triggered_at);
+    return { triggers, evaluations, subjects: bySubject.size };
+}
+
+/**
+ * Count triggers per hour, used to chart a rule test.
+ *
+ * @param {Array} triggers
+ * @param {Date} from
+ * @param {Number} [hours=24]
+ * @return {Array<Object>} `{ hour, count }` for every hour of the range
+ */
+export function countTriggersByHour(triggers = [], from, hours = 24) {
+    const start = new Date(from).getTime();
+    const buckets = Array.from({ length: hours }, (_, index) => ({ hour: new Date(start + index * 3600000), count: 0 }));
+
+    for (const trigger of triggers) {
+        const index = Math.floor((new Date(trigger.triggered_at).getTime() - start) / 3600000);
+        if (index >= 0 && index < hours) {
+            buckets[index].count++;
+        }
+    }
+
+    return buckets;
+}
+
+export default evaluateRule;
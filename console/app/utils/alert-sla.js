@@ -0,0 +1,228 @@
+import { isArray } from '@ember/array';
+import { ALERT_SEVERITIES } from './alert-types';
+import { getDateRangeBounds } from './dashboard-filters';
+
+/**
+ * Urgency levels derived by `AlertModel#urgencyLevel`, from most to least urgent.
+ */
+export const ALERT_URGENCY_LEVELS = ['urgent', 'high', 'medium', 'low'];
+
+/**
+ * Days of alerts the SLA widgets look back over by default.
+ */
+export const DEFAULT_SLA_DAYS = 14;
+
+/**
+ * Read alerts from an array or a record array.
+ *
+ * @param {Array|RecordArray} alerts
+ * @return {Array}
+ */
+function toAlertArray(alerts) {
+    if (typeof alerts?.toArray === 'function') {
+        return alerts.toArray();
+    }
+
+    return isArray(alerts) ? Array.from(alerts) : [];
+}
+
+/**
+ * Get the start of the UTC day of a date.
+ *
+ * @param {Date|String} date
+ * @return {Number}
+ */
+function startOfUTCDay(date) {
+    const day = new Date(date);
+    return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+}
+
+/**
+ * Average durations in minutes, missing durations are skipped.
+ *
+ * @param {Array<Number|null>} values
+ * @return {Number|null} Rounded to one decimal, `null` without any duration
+ */
+export function averageMinutes(values = []) {
+    const durations = values.filter((value) => value !== null && value !== undefined && !isNaN(value)).map(Number);
+    if (!durations.length) {
+        return null;
+    }
+
+    return Math.round((durations.reduce((sum, value) => sum + value, 0) / durations.length) * 10) / 10;
+}
+
+/**
+ * Format a duration in minutes the way alert durations are shown.
+ *
+ * @param {Number|null} minutes
+ * @return {String|null} e.g. `45m`, `2h 5m` or `1d 3h`
+ */
+export function formatDurationMinutes(minutes) {
+    if (minutes === null || minutes === undefined || isNaN(minutes)) {
+        return null;
+    }
+
+    const rounded = Math.round(minutes);
+    if (rounded < 60) return `${rounded}m`;
+    if (rounded < 1440) return `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+    return `${Math.floor(rounded / 1440)}d ${Math.floor((rounded % 1440) / 60)}h`;
+}
+
+/**
+ * Mean time to acknowledge and mean time to resolve per day, alerts count towards the day they triggered.
+ *
+ * @param {Array} alerts `{ triggered_at, acknowledgmentDurationMinutes, resolutionDurationMinutes }`
+ * @param {Object} [options={}] `{ to, days }`
+ * @return {Array<Object>} `{ date, count, mtta, mttr }` for every day of the range, oldest first
+ */
+export function getSlaTrend(alerts = [], { to = new Date(), days = DEFAULT_SLA_DAYS } = {}) {
+    const end = startOfUTCDay(to);
+    const buckets = Array.from({ length: days }, (_, index) => ({ date: new Date(end - (days - 1 - index) * 86400000), alerts: [] }));
+
+    for (const alert of toAlertArray(alerts)) {
+        if (!alert.triggered_at) {
+            continue;
+        }
+
+        const index = days - 1 - Math.round((end - startOfUTCDay(alert.triggered_at)) / 86400000);
+        if (index >= 0 && index < days) {
+            buckets[index].alerts.push(alert);
+        }
+    }
+
+    return buckets.map(({ date, alerts }) => ({
+        date,
+        count: alerts.length,
+        mtta: averageMinutes(alerts.map((alert) => alert.acknowledgmentDurationMinutes)),
+        mttr: averageMinutes(alerts.map((alert) => alert.resolutionDurationMinutes)),
+    }));
+}
+
+/**
+ * Summarize alerts over a whole period.
+ *
+ * @param {Array} alerts
+ * @return {Object} `{ count, mtta, mttr }`
+ */
+export function getSlaSummary(alerts = []) {
+    const list = toAlertArray(alerts);
+
+    return {
+        count: list.length,
+        mtta: averageMinutes(list.map((alert) => alert.acknowledgmentDurationMinutes)),
+        mttr: averageMinutes(list.map((alert) => alert.resolutionDurationMinutes)),
+    };
+}
+
+/**
+ * Count unresolved alerts per severity, broken down by urgency.
+ *
+ * @param {Array} alerts `{ severity, urgencyLevel, resolved_at }`
+ * @return {Array<Object>} `{ severity, count, urgency: { [level]: count } }` from most to least severe
+ */
+export function countOpenAlertsBySeverity(alerts = []) {
+    const counts = [...ALERT_SEVERITIES].reverse().map((severity) => ({
+        severity,
+        count: 0,
+        urgency: ALERT_URGENCY_LEVELS.reduce((urgency, level) => ({ ...urgency, [level]: 0 }), {}),
+    }));
+
+    for (const alert of toAlertArray(alerts)) {
+        const entry = counts.find(({ severity }) => severity === alert.severity);
+        if (!entry || alert.resolved_at) {
+            continue;
+        }
+
+        entry.count++;
+        if (alert.urgencyLevel in entry.urgency) {
+            entry.urgency[alert.urgencyLevel]++;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Rank the subjects raising the most alerts.
+ *
+ * @param {Array} alerts `{ subject_type, subject_uuid, context, resolved_at, triggered_at }`
+ * @param {Number} [limit=5]
+ * @return {Array<Object>} `{ subject_type, subject_uuid, subject_name, count, open, last_triggered_at }`, ties go to the most recent
+ */
+export function getNoisySubjects(alerts = [], limit = 5) {
+    const subjects = new Map();
+
+    for (const alert of toAlertArray(alerts)) {
+        if (!alert.subject_uuid) {
+            continue;
+        }
+
+        const key = `${alert.subject_type}:${alert.subject_uuid}`;
+        if (!subjects.has(key)) {
+            subjects.set(key, {
+                subject_type: alert.subject_type,
+                subject_uuid: alert.subject_uuid,
+                subject_name: alert.context?.subject_name ?? null,
+                count: 0,
+                open: 0,
+                last_triggered_at: null,
+            });
+        }
+
+        const subject = subjects.get(key);
+        const triggeredAt = alert.triggered_at ? new Date(alert.triggered_at) : null;
+        subject.count++;
+        subject.open += alert.resolved_at ? 0 : 1;
+        if (triggeredAt && (!subject.last_triggered_at || triggeredAt > subject.last_triggered_at)) {
+            subject.last_triggered_at = triggeredAt;
+        }
+    }
+
+    return [...subjects.values()].sort((a, b) => b.count - a.count || (b.last_triggered_at ?? 0) - (a.last_triggered_at ?? 0)).slice(0, limit);
+}
+
+/**
+ * Get the period an SLA widget covers, the dashboard date range takes precedence over the days set on the widget.
+ *
+ * @param {Object} [filters={}] Dashboard filters supported by the widget
+ * @param {Number} [days=DEFAULT_SLA_DAYS]
+ * @param {Date} [now=new Date()]
+ * @return {Object} `{ from, to, days, isRange }`, `from` and `to` are the starts of the first and last UTC days
+ */
+export function getSlaPeriod(filters = {}, days = DEFAULT_SLA_DAYS, now = new Date()) {
+    const range = getDateRangeBounds(filters.date_range);
+    if (range) {
+        return { ...range, isRange: true };
+    }
+
+    const to = new Date(startOfUTCDay(now));
+    return { from: new Date(to.getTime() - (days - 1) * 86400000), to, days, isRange: false };
+}
+
+/**
+ * Convert dashboard filters to alert query params, driver and vehicle filters select the alerts raised by those subjects.
+ *
+ * @param {Object} [filters={}]
+ * @param {Object} [period] See `getSlaPeriod`, alerts triggered within the period are queried
+ * @return {Object}
+ */
+export function getAlertFilterParams(filters = {}, period = null) {
+    const params = {};
+
+    if (period) {
+        params.triggered_after = period.from.toISOString();
+        if (period.isRange) {
+            params.triggered_before = new Date(period.to.getTime() + 86400000 - 1).toISOString();
+        }
+    }
+
+    const subjects = [filters.driver, filters.vehicle].filter(Boolean);
+    if (subjects.length) {
+        params.subject_uuid = subjects.join(',');
+    }
+
+    return params;
+}
+
+export default getSlaTrend;
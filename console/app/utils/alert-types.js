@@ -0,0 +1,52 @@
+/**
+ * Known alert types with their icon and badge styling, rules may raise alerts of any other type.
+ */
+export const ALERT_TYPES = {
+    maintenance: { icon: 'fas fa-wrench', badgeClass: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300' },
+    temperature: { icon: 'fas fa-thermometer-half', badgeClass: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300' },
+    fuel: { icon: 'fas fa-gas-pump', badgeClass: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300' },
+    speed: { icon: 'fas fa-tachometer-alt', badgeClass: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300' },
+    location: { icon: 'fas fa-map-marker-alt', badgeClass: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300' },
+    system: { icon: 'fas fa-cog', badgeClass: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300' },
+    security: { icon: 'fas fa-shield-alt', badgeClass: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300' },
+    performance: { icon: 'fas fa-chart-line', badgeClass: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-300' },
+    compliance: { icon: 'fas fa-clipboard-check', badgeClass: 'bg-pink-100 text-pink-800 dark:bg-pink-900 dark:text-pink-300' },
+};
+
+/**
+ * Alert severities from least to most severe.
+ */
+export const ALERT_SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+
+/**
+ * Get the icon of an alert type.
+ *
+ * @param {String} type
+ * @return {String}
+ */
+export function getAlertTypeIcon(type) {
+    return ALERT_TYPES[type]?.icon ?? 'fas fa-bell';
+}
+
+/**
+ * Get the badge classes of an alert type.
+ *
+ * @param {String} type
+ * @return {String}
+ */
+export function getAlertTypeBadgeClass(type) {
+    return ALERT_TYPES[type]?.badgeClass ?? ALERT_TYPES.system.badgeClass;
+}
+
+/**
+ * Compare two severities, a positive result means the first is more severe.
+ *
+ * @param {String} a
+ * @param {String} b
+ * @return {Number}
+ */
+export function compareSeverity(a, b) {
+    return ALERT_SEVERITIES.indexOf(a) - ALERT_SEVERITIES.indexOf(b);
+}
+
+export default ALERT_TYPES;
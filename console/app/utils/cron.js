@@ -0,0 +1,257 @@
+import { getZonedParts, zonedTimeToDate, addCalendarDays } from './timezone';
+
+/**
+ * Supported cron macros and the expressions they expand to.
+ */
+export const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, aliases: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'dayOfWeek', min: 0, max: 7, aliases: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/**
+ * Resolve a single cron value, supporting month and weekday aliases.
+ *
+ * @param {String} value
+ * @param {Object} field
+ * @return {Number}
+ */
+function resolveValue(value, field) {
+    const alias = field.aliases ? field.aliases.indexOf(value.toLowerCase()) : -1;
+    if (alias !== -1) {
+        return field.name === 'month' ? alias + 1 : alias;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} value '${value}'`);
+    }
+
+    const number = parseInt(value, 10);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} value '${value}' is out of range ${field.min}-${field.max}`);
+    }
+
+    return number;
+}
+
+/**
+ * Parse a single cron field into the sorted list of values it matches.
+ *
+ * @param {String} expression
+ * @param {Object} field
+ * @return {Object} { values: Array<Number>, wildcard: Boolean }
+ */
+function parseField(expression, field) {
+    const values = new Set();
+
+    for (const part of expression.split(',')) {
+        const [range, stepValue] = part.split('/');
+        const step = stepValue === undefined ? 1 : parseInt(stepValue, 10);
+        let start = field.min;
+        let end = field.max;
+
+        if (!step || step < 1 || (stepValue !== undefined && !/^\d+$/.test(stepValue))) {
+            throw new Error(`Invalid step '${stepValue}' for ${field.name}`);
+        }
+
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = resolveValue(from, field);
+            end = to === undefined ? (stepValue === undefined ? start : field.max) : resolveValue(to, field);
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid range '${range}' for ${field.name}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            // sunday can be written as 0 or 7
+            values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    }
+
+    return { values: [...values].sort((a, b) => a - b), wildcard: expression === '*' };
+}
+
+/**
+ * Parse a standard five field cron expression (minute hour day-of-month month day-of-week).
+ * Macros such as `@daily` are expanded before parsing.
+ *
+ * @param {String} expression
+ * @return {Object} Parsed fields keyed by field name
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCronExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression is required');
+    }
+
+    const normalized = CRON_MACROS[expression.trim().toLowerCase()] ?? expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression must have ${FIELDS.length} fields`);
+    }
+
+    return FIELDS.reduce((parsed, field, index) => {
+        parsed[field.name] = parseField(parts[index], field);
+        return parsed;
+    }, {});
+}
+
+/**
+ * Checks if a cron expression is valid.
+ *
+ * @param {String} expression
+ * @return {Boolean}
+ */
+export function isValidCronExpression(expression) {
+    try {
+        parseCronExpression(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks if a calendar day matches the day fields of a parsed expression.
+ * Follows standard cron semantics: when both day-of-month and day-of-week are
+ * restricted a day matches if either of them matches.
+ *
+ * @param {Object} parsed
+ * @param {Object} date { month, day, weekday }
+ * @return {Boolean}
+ */
+function matchesDay(parsed, { month, day, weekday }) {
+    if (!parsed.month.values.includes(month)) {
+        return false;
+    }
+
+    const { dayOfMonth, dayOfWeek } = parsed;
+    if (!dayOfMonth.wildcard && !dayOfWeek.wildcard) {
+        return dayOfMonth.values.includes(day) || dayOfWeek.values.includes(weekday);
+    }
+
+    return dayOfMonth.values.includes(day) && dayOfWeek.values.includes(weekday);
+}
+
+/**
+ * Get the next run times of a cron expression evaluated in a timezone.
+ *
+ * @param {String} expression
+ * @param {Object} [options={}]
+ * @param {Date} [options.from=new Date()] Runs strictly after this instant are returned
+ * @param {Number} [options.count=5]
+ * @param {String} [options.timezone='UTC']
+ * @param {Number} [options.maxDays=1461] How many days ahead to search before giving up
+ * @return {Array<Date>}
+ */
+export function getNextCronRuns(expression, { from = new Date(), count = 5, timezone = 'UTC', maxDays = 1461 } = {}) {
+    const parsed = parseCronExpression(expression);
+    const runs = [];
+    const start = getZonedParts(from, timezone);
+    let date = addCalendarDays(start, 0);
+
+    for (let offset = 0; offset <= maxDays && runs.length < count; offset++, date = addCalendarDays(date, 1)) {
+        if (!matchesDay(parsed, date)) {
+            continue;
+        }
+
+        for (const hour of parsed.hour.values) {
+            for (const minute of parsed.minute.values) {
+                const run = zonedTimeToDate({ ...date, hour, minute }, timezone);
+                const isDuplicate = runs.length > 0 && runs[runs.length - 1].getTime() === run.getTime();
+
+                if (run > from && !isDuplicate) {
+                    runs.push(run);
+                }
+
+                if (runs.length >= count) {
+                    return runs;
+                }
+            }
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Build a cron expression from a simple frequency definition as used by the schedule editor.
+ *
+ * @param {Object} definition
+ * @param {String} definition.frequency One of `hourly`, `daily`, `weekly`, `monthly` or `custom`
+ * @param {String} [definition.time='00:00'] Time of day as `HH:mm`
+ * @param {Number} [definition.minute=0] Minute past the hour for hourly frequencies
+ * @param {Number} [definition.dayOfWeek=1]
+ * @param {Number} [definition.dayOfMonth=1]
+ * @param {String} [definition.expression] Used as is for custom frequencies
+ * @return {String}
+ */
+export function buildCronExpression({ frequency, time = '00:00', minute = 0, dayOfWeek = 1, dayOfMonth = 1, expression } = {}) {
+    const [hours, minutes] = String(time)
+        .split(':')
+        .map((value) => parseInt(value, 10) || 0);
+
+    switch (frequency) {
+        case 'hourly':
+            return `${parseInt(minute, 10) || 0} * * * *`;
+        case 'daily':
+            return `${minutes} ${hours} * * *`;
+        case 'weekly':
+            return `${minutes} ${hours} * * ${dayOfWeek}`;
+        case 'monthly':
+            return `${minutes} ${hours} ${dayOfMonth} * *`;
+        default:
+            return expression;
+    }
+}
+
+/**
+ * Derive a simple frequency definition from a cron expression, the inverse of `buildCronExpression`.
+ * Expressions which cannot be represented by a preset are returned as `custom`.
+ *
+ * @param {String} expression
+ * @return {Object}
+ */
+export function describeCronExpression(expression) {
+    const trimmed = String(expression ?? '').trim();
+    const normalized = CRON_MACROS[trimmed.toLowerCase()] ?? trimmed;
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = normalized.split(/\s+/);
+    const isNumber = (value) => /^\d+$/.test(value ?? '');
+    const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+    if (isValidCronExpression(normalized) && isNumber(minute) && month === '*') {
+        if (hour === '*' && dayOfMonth === '*' && dayOfWeek === '*') {
+            return { frequency: 'hourly', minute: parseInt(minute, 10), expression: normalized };
+        }
+
+        if (isNumber(hour) && dayOfMonth === '*' && dayOfWeek === '*') {
+            return { frequency: 'daily', time, expression: normalized };
+        }
+
+        if (isNumber(hour) && dayOfMonth === '*' && isNumber(dayOfWeek)) {
+            return { frequency: 'weekly', time, dayOfWeek: parseInt(dayOfWeek, 10) % 7, expression: normalized };
+        }
+
+        if (isNumber(hour) && isNumber(dayOfMonth) && dayOfWeek === '*') {
+            return { frequency: 'monthly', time, dayOfMonth: parseInt(dayOfMonth, 10), expression: normalized };
+        }
+    }
+
+    return { frequency: 'custom', expression: normalized };
+}
+
+export default getNextCronRuns;
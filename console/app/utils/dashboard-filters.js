@@ -0,0 +1,171 @@
+import { isArray } from '@ember/array';
+
+/**
+ * Filters applied to a whole dashboard, keyed by the query param persisting them. Widgets declare the filters they
+ * support in their `options.filters`.
+ */
+export const DASHBOARD_FILTERS = {
+    date_range: { type: 'date-range' },
+    org_unit: { type: 'model', modelName: 'group' },
+    driver: { type: 'model', modelName: 'driver' },
+    vehicle: { type: 'model', modelName: 'vehicle' },
+    tags: { type: 'tags' },
+};
+
+export const DASHBOARD_FILTER_KEYS = Object.keys(DASHBOARD_FILTERS);
+
+/**
+ * Event triggered on the universe when the dashboard filters change.
+ */
+export const DASHBOARD_FILTERS_CHANGED_EVENT = 'dashboard.filters.changed';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read a list from an array or a comma separated string.
+ *
+ * @param {Array|String} value
+ * @return {Array<String>}
+ */
+function toList(value) {
+    const list = isArray(value) ? value : String(value ?? '').split(',');
+    return list.map((item) => String(item ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * Keep the known, non empty filters. A date range is a `[start, end]` pair of `yyyy-MM-dd` dates, model filters hold an
+ * id and tags a list without duplicates.
+ *
+ * @param {Object} [filters={}]
+ * @return {Object}
+ */
+export function normalizeDashboardFilters(filters = {}) {
+    const normalized = {};
+
+    for (const [key, { type }] of Object.entries(DASHBOARD_FILTERS)) {
+        const value = filters?.[key];
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+
+        if (type === 'date-range') {
+            const [start, end = start] = toList(value);
+            if (DATE_PATTERN.test(start) && DATE_PATTERN.test(end)) {
+                normalized[key] = start <= end ? [start, end] : [end, start];
+            }
+        } else if (type === 'tags') {
+            const tags = [...new Set(toList(value))];
+            if (tags.length) {
+                normalized[key] = tags;
+            }
+        } else {
+            normalized[key] = String(value?.id ?? value);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Parse filters persisted in query params.
+ *
+ * @param {Object} [params={}]
+ * @return {Object}
+ */
+export function parseFilterParams(params = {}) {
+    return normalizeDashboardFilters(params);
+}
+
+/**
+ * Serialize filters to query params, every filter is included so cleared filters are removed from the URL.
+ *
+ * @param {Object} [filters={}]
+ * @return {Object}
+ */
+export function serializeFilterParams(filters = {}) {
+    const normalized = normalizeDashboardFilters(filters);
+
+    return DASHBOARD_FILTER_KEYS.reduce((params, key) => {
+        const value = normalized[key];
+        return { ...params, [key]: isArray(value) ? value.join(',') : (value ?? null) };
+    }, {});
+}
+
+/**
+ * Checks if two sets of filters are the same.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @return {Boolean}
+ */
+export function isSameFilters(a = {}, b = {}) {
+    const left = serializeFilterParams(a);
+    const right = serializeFilterParams(b);
+
+    return DASHBOARD_FILTER_KEYS.every((key) => left[key] === right[key]);
+}
+
+/**
+ * Pick the filters a widget supports.
+ *
+ * @param {Object} filters
+ * @param {Array<String>|Boolean} supported Filter keys, or `true` for every filter
+ * @return {Object}
+ */
+export function getWidgetFilters(filters = {}, supported = []) {
+    const normalized = normalizeDashboardFilters(filters);
+    if (supported === true) {
+        return normalized;
+    }
+
+    return toList(supported).reduce((picked, key) => (key in normalized ? { ...picked, [key]: normalized[key] } : picked), {});
+}
+
+/**
+ * Get the UTC bounds of a date range filter.
+ *
+ * @param {Array<String>} dateRange `[start, end]`
+ * @return {Object|null} `{ from, to, days }`, `to` is the start of the last day
+ */
+export function getDateRangeBounds(dateRange) {
+    const [start, end] = normalizeDashboardFilters({ date_range: dateRange }).date_range ?? [];
+    if (!start) {
+        return null;
+    }
+
+    const from = new Date(`${start}T00:00:00Z`);
+    const to = new Date(`${end}T00:00:00Z`);
+
+    return { from, to, days: Math.round((to - from) / 86400000) + 1 };
+}
+
+/**
+ * Convert filters to API query params, the date range becomes `created_after` and `created_before` unless other
+ * param names are given.
+ *
+ * @param {Object} filters
+ * @param {Object} [names={}] `{ after, before }` param names of the date range
+ * @return {Object}
+ */
+export function getFilterQueryParams(filters = {}, { after = 'created_after', before = 'created_before' } = {}) {
+    const { date_range, tags, ...models } = normalizeDashboardFilters(filters);
+    const params = {};
+
+    if (date_range) {
+        const { from, to } = getDateRangeBounds(date_range);
+        params[after] = from.toISOString();
+        params[before] = new Date(to.getTime() + 86400000 - 1).toISOString();
+    }
+
+    for (const [key, id] of Object.entries(models)) {
+        params[`${key}_uuid`] = id;
+    }
+
+    if (tags) {
+        params.tags = tags.join(',');
+    }
+
+    return params;
+}
+
+export default normalizeDashboardFilters;
@@ -0,0 +1,74 @@
+/**
+ * Who a dashboard can be shared with.
+ */
+export const DASHBOARD_SHARE_TYPES = ['user', 'role', 'group'];
+
+/**
+ * What a share allows, `edit` includes `view`.
+ */
+export const DASHBOARD_SHARE_PERMISSIONS = ['view', 'edit'];
+
+/**
+ * Create a share of a dashboard.
+ *
+ * @param {String} type One of `DASHBOARD_SHARE_TYPES`
+ * @param {Object} record The user, role or group shared with
+ * @param {String} [permission='view']
+ * @return {Object} `{ type, id, name, permission }`
+ */
+export function createDashboardShare(type, record, permission = 'view') {
+    return { type, id: record.id, name: record.name ?? null, permission };
+}
+
+/**
+ * Add or replace a share, a dashboard is shared once with each user, role or group.
+ *
+ * @param {Array} shares
+ * @param {Object} share
+ * @return {Array}
+ */
+export function upsertDashboardShare(shares = [], share) {
+    const index = shares.findIndex(({ type, id }) => type === share.type && id === share.id);
+    if (index === -1) {
+        return [...shares, share];
+    }
+
+    return shares.map((existing, i) => (i === index ? { ...existing, ...share } : existing));
+}
+
+/**
+ * Remove a share.
+ *
+ * @param {Array} shares
+ * @param {Object} share
+ * @return {Array}
+ */
+export function removeDashboardShare(shares = [], share) {
+    return shares.filter(({ type, id }) => !(type === share.type && id === share.id));
+}
+
+/**
+ * Resolve what a user may do with a dashboard, the broadest matching share wins.
+ *
+ * @param {Object} dashboard `{ user_uuid, shares }`
+ * @param {Object} user `{ id, role_uuid, group_uuids }`
+ * @return {String|null} `owner`, `edit`, `view`, or `null` without access
+ */
+export function getDashboardPermission(dashboard = {}, user = {}) {
+    if (user.id && dashboard.user_uuid === user.id) {
+        return 'owner';
+    }
+
+    const groups = user.group_uuids ?? [];
+    const permissions = (dashboard.shares ?? [])
+        .filter(({ type, id }) => (type === 'user' && id === user.id) || (type === 'role' && id === user.role_uuid) || (type === 'group' && groups.includes(id)))
+        .map(({ permission }) => permission);
+
+    if (permissions.includes('edit')) {
+        return 'edit';
+    }
+
+    return permissions.includes('view') ? 'view' : null;
+}
+
+export default getDashboardPermission;
@@ -0,0 +1,134 @@
+import { isArray } from '@ember/array';
+
+/**
+ * Columns of the dashboard grid.
+ */
+export const DASHBOARD_GRID_COLUMNS = 12;
+
+/**
+ * Deep copy JSON data so copies do not share nested objects.
+ *
+ * @param {*} value
+ * @return {*}
+ */
+function copy(value) {
+    return value === undefined || value === null ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Get the component name of a widget, registered widgets may reference a component class or an extension component.
+ *
+ * @param {*} component
+ * @return {String|null}
+ */
+export function getWidgetComponentName(component) {
+    if (typeof component === 'function') {
+        return component.name;
+    }
+
+    if (component && typeof component === 'object') {
+        return component.toString();
+    }
+
+    return component ?? null;
+}
+
+/**
+ * Copy the attributes of a dashboard widget, or a registered widget, needed to recreate it on another dashboard.
+ *
+ * @param {Object} widget
+ * @return {Object} `{ name, component, grid_options, options }`
+ */
+export function copyWidgetAttributes(widget = {}) {
+    return {
+        name: widget.name ?? null,
+        component: getWidgetComponentName(widget.component),
+        grid_options: copy(widget.grid_options) ?? {},
+        options: copy(widget.options) ?? {},
+    };
+}
+
+/**
+ * Place widgets without a position left to right, top to bottom, after the widgets already placed.
+ *
+ * @param {Array} widgets Widget attributes
+ * @param {Number} [columns=DASHBOARD_GRID_COLUMNS]
+ * @return {Array} Widget attributes with `grid_options.x` and `grid_options.y`
+ */
+export function arrangeWidgets(widgets = [], columns = DASHBOARD_GRID_COLUMNS) {
+    const placed = widgets.filter(({ grid_options = {} }) => Number.isInteger(grid_options.x) && Number.isInteger(grid_options.y));
+    let x = 0;
+    let y = placed.reduce((bottom, { grid_options }) => Math.max(bottom, grid_options.y + (grid_options.h ?? 1)), 0);
+    let rowHeight = 0;
+
+    return widgets.map((widget) => {
+        if (placed.includes(widget)) {
+            return widget;
+        }
+
+        const w = Math.min(columns, widget.grid_options?.w ?? 4);
+        const h = widget.grid_options?.h ?? 4;
+        if (x + w > columns) {
+            x = 0;
+            y += rowHeight;
+            rowHeight = 0;
+        }
+
+        const arranged = { ...widget, grid_options: { ...widget.grid_options, x, y, w, h } };
+        x += w;
+        rowHeight = Math.max(rowHeight, h);
+
+        return arranged;
+    });
+}
+
+/**
+ * Build a template from a dashboard, used to duplicate and publish dashboards.
+ *
+ * @param {Object} dashboard
+ * @return {Object} `{ name, extension, tags, options, widgets }`
+ */
+export function getDashboardTemplate(dashboard = {}) {
+    const widgets = typeof dashboard.widgets?.toArray === 'function' ? dashboard.widgets.toArray() : (dashboard.widgets ?? []);
+
+    return {
+        name: dashboard.name ?? null,
+        extension: dashboard.extension ?? null,
+        tags: copy(dashboard.tags) ?? [],
+        options: copy(dashboard.options) ?? {},
+        widgets: widgets.filter((widget) => !widget.isDeleted).map(copyWidgetAttributes),
+    };
+}
+
+/**
+ * Seed the template gallery from registered widgets: the default layout, one template per widget category,
+ * and one with every widget.
+ *
+ * @param {Array} widgets Widgets registered to a dashboard
+ * @param {Array} [defaultWidgets=[]] Default widgets of the dashboard
+ * @return {Array<Object>} `{ id, name, category, widgets }`
+ */
+export function buildTemplateGallery(widgets = [], defaultWidgets = []) {
+    const templates = [];
+    const list = isArray(widgets) ? widgets : [];
+
+    if (defaultWidgets.length) {
+        templates.push({ id: 'default', name: 'default', category: null, widgets: arrangeWidgets(defaultWidgets.map(copyWidgetAttributes)) });
+    }
+
+    const categories = [...new Set(list.map((widget) => widget.category ?? 'default'))];
+    if (categories.length > 1) {
+        for (const category of categories) {
+            const categoryWidgets = list.filter((widget) => (widget.category ?? 'default') === category);
+            templates.push({ id: `category:${category}`, name: 'category', category, widgets: arrangeWidgets(categoryWidgets.map(copyWidgetAttributes)) });
+        }
+    }
+
+    if (list.length) {
+        templates.push({ id: 'all', name: 'all', category: null, widgets: arrangeWidgets(list.map(copyWidgetAttributes)) });
+    }
+
+    return templates;
+}
+
+export default getDashboardTemplate;
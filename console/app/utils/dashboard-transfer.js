@@ -0,0 +1,116 @@
+import { isArray } from '@ember/array';
+import { copyWidgetAttributes, getDashboardTemplate, getWidgetComponentName } from './dashboard-templates';
+
+/**
+ * Identifies exported dashboard documents.
+ */
+export const DASHBOARD_EXPORT_FORMAT = 'fleetbase/dashboard';
+
+/**
+ * Version of the export document, bumped when its shape changes. Older versions are still imported.
+ */
+export const DASHBOARD_EXPORT_VERSION = 1;
+
+/**
+ * Export a dashboard and its widgets to a portable document, ids and ownership are left out.
+ *
+ * @param {Object} dashboard
+ * @param {Date} [exportedAt=new Date()]
+ * @return {Object} `{ format, version, exported_at, dashboard }`
+ */
+export function exportDashboard(dashboard, exportedAt = new Date()) {
+    return {
+        format: DASHBOARD_EXPORT_FORMAT,
+        version: DASHBOARD_EXPORT_VERSION,
+        exported_at: new Date(exportedAt).toISOString(),
+        dashboard: getDashboardTemplate(dashboard),
+    };
+}
+
+/**
+ * Parse and validate an exported dashboard document.
+ *
+ * @param {String|Object} document JSON text or the parsed document
+ * @return {Object} `{ valid, errors, dashboard }`, errors are `{ code, index }`
+ */
+export function parseDashboardExport(document) {
+    let data = document;
+    if (typeof document === 'string') {
+        try {
+            data = JSON.parse(document);
+        } catch {
+            return { valid: false, errors: [{ code: 'invalid-json' }], dashboard: null };
+        }
+    }
+
+    if (!data || typeof data !== 'object' || data.format !== DASHBOARD_EXPORT_FORMAT) {
+        return { valid: false, errors: [{ code: 'invalid-format' }], dashboard: null };
+    }
+
+    const version = parseInt(data.version, 10);
+    if (!version || version > DASHBOARD_EXPORT_VERSION) {
+        return { valid: false, errors: [{ code: 'unsupported-version' }], dashboard: null };
+    }
+
+    const dashboard = data.dashboard ?? {};
+    if (!isArray(dashboard.widgets)) {
+        return { valid: false, errors: [{ code: 'missing-widgets' }], dashboard: null };
+    }
+
+    const errors = [];
+    dashboard.widgets.forEach((widget, index) => {
+        if (!widget || typeof widget.component !== 'string' || !widget.component) {
+            errors.push({ code: 'invalid-widget', index });
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        dashboard: { ...dashboard, name: dashboard.name ?? null, widgets: dashboard.widgets.map((widget) => copyWidgetAttributes(widget ?? {})) },
+    };
+}
+
+/**
+ * Match imported widgets against the widgets registered to a dashboard, widgets of uninstalled extensions are missing.
+ *
+ * @param {Array} widgets Imported widget attributes
+ * @param {Array} registry Registered widgets, see `DashboardModel#getRegistry`
+ * @return {Array<Object>} `{ index, widget, missing }`
+ */
+export function matchImportedWidgets(widgets = [], registry = []) {
+    const components = new Set((registry ?? []).map((widget) => getWidgetComponentName(widget.component)));
+
+    return widgets.map((widget, index) => ({ index, widget, missing: !components.has(widget.component) }));
+}
+
+/**
+ * Apply the choices made for missing widgets, a missing widget is either skipped or remapped to a registered widget.
+ *
+ * @param {Array} matches See `matchImportedWidgets`
+ * @param {Object} [resolutions={}] Keyed by widget index, `{ action: 'skip' }` or `{ action: 'remap', widget }`
+ * @return {Object} `{ widgets, unresolved }`, unresolved holds the indexes of missing widgets without a choice
+ */
+export function resolveImportedWidgets(matches = [], resolutions = {}) {
+    const widgets = [];
+    const unresolved = [];
+
+    for (const { index, widget, missing } of matches) {
+        if (!missing) {
+            widgets.push(widget);
+            continue;
+        }
+
+        const resolution = resolutions[index];
+        if (resolution?.action === 'remap' && resolution.widget) {
+            const target = copyWidgetAttributes(resolution.widget);
+            widgets.push({ ...widget, name: target.name ?? widget.name, component: target.component, options: { ...target.options, ...widget.options } });
+        } else if (resolution?.action !== 'skip') {
+            unresolved.push(index);
+        }
+    }
+
+    return { widgets, unresolved };
+}
+
+export default exportDashboard;
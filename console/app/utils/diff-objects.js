@@ -0,0 +1,59 @@
+import { isArray } from '@ember/array';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !isArray(value) && !(value instanceof Date);
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Create a flat list of the differences between two values, walking nested objects and arrays.
+ * Each change is described as `{ path, type, before, after }` where type is `added`, `removed` or `changed`.
+ *
+ * @export
+ * @param {*} before
+ * @param {*} after
+ * @param {String} [path='']
+ * @param {Array} [changes=[]]
+ * @return {Array<Object>}
+ */
+export default function diffObjects(before, after, path = '', changes = []) {
+    if (isEqual(before, after)) {
+        return changes;
+    }
+
+    const bothObjects = isPlainObject(before) && isPlainObject(after);
+    const bothArrays = isArray(before) && isArray(after);
+
+    if (bothObjects || bothArrays) {
+        const keys = bothArrays ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index) : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        for (const key of keys) {
+            const keyPath = bothArrays ? `${path}[${key}]` : path ? `${path}.${key}` : String(key);
+            const hasBefore = bothArrays ? key < before.length : Object.prototype.hasOwnProperty.call(before, key);
+            const hasAfter = bothArrays ? key < after.length : Object.prototype.hasOwnProperty.call(after, key);
+
+            if (!hasBefore) {
+                changes.push({ path: keyPath, type: 'added', before: undefined, after: after[key] });
+            } else if (!hasAfter) {
+                changes.push({ path: keyPath, type: 'removed', before: before[key], after: undefined });
+            } else {
+                diffObjects(before[key], after[key], keyPath, changes);
+            }
+        }
+
+        return changes;
+    }
+
+    if (before === undefined || before === null) {
+        changes.push({ path, type: 'added', before, after });
+    } else if (after === undefined || after === null) {
+        changes.push({ path, type: 'removed', before, after });
+    } else {
+        changes.push({ path, type: 'changed', before, after });
+    }
+
+    return changes;
+}
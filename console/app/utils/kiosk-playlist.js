@@ -0,0 +1,83 @@
+import { isArray } from '@ember/array';
+
+/**
+ * How long a dashboard is shown on a kiosk display before moving to the next one, in seconds.
+ */
+export const DEFAULT_KIOSK_DURATION = 60;
+
+/**
+ * Shortest time a dashboard can be shown, in seconds.
+ */
+export const MIN_KIOSK_DURATION = 10;
+
+/**
+ * Read a duration in seconds, `null` when it is not set.
+ *
+ * @param {*} value
+ * @return {Number|null}
+ */
+function toDuration(value) {
+    const duration = parseInt(value, 10);
+    if (isNaN(duration) || duration <= 0) {
+        return null;
+    }
+
+    return Math.max(MIN_KIOSK_DURATION, duration);
+}
+
+/**
+ * Parse the dashboard ids of a playlist from an array or a comma separated string, the first occurrence of an id is kept.
+ *
+ * @param {Array|String} value
+ * @return {Array<String>}
+ */
+export function parsePlaylistParam(value) {
+    const list = isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(list.map((id) => String(id ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * Build a playlist from dashboards, each dashboard is shown for its `options.kiosk_duration` or the default duration.
+ * When ids are given the playlist follows their order and skips dashboards that were not found.
+ *
+ * @param {Array} dashboards
+ * @param {Object} [options={}] `{ ids, duration }`
+ * @return {Array<Object>} `{ dashboard, duration }`
+ */
+export function buildPlaylist(dashboards = [], { ids = [], duration } = {}) {
+    const list = Array.from(dashboards ?? []).filter(Boolean);
+    const ordered = ids.length ? ids.map((id) => list.find((dashboard) => String(dashboard.id) === id)).filter(Boolean) : list;
+    const defaultDuration = toDuration(duration) ?? DEFAULT_KIOSK_DURATION;
+
+    return ordered.map((dashboard) => ({ dashboard, duration: toDuration(dashboard.options?.kiosk_duration) ?? defaultDuration }));
+}
+
+/**
+ * Get the playlist entry showing at a point in time, the playlist loops from when it started so every display
+ * started together stays in step.
+ *
+ * @param {Array<Object>} playlist See `buildPlaylist`
+ * @param {Date} startedAt
+ * @param {Date} [now=new Date()]
+ * @return {Object|null} `{ index, remaining }`, remaining is in seconds
+ */
+export function getPlaylistPosition(playlist = [], startedAt, now = new Date()) {
+    const total = playlist.reduce((sum, { duration }) => sum + duration, 0);
+    if (!total) {
+        return null;
+    }
+
+    const elapsed = Math.max(0, Math.floor((now.getTime() - new Date(startedAt).getTime()) / 1000)) % total;
+    let offset = 0;
+
+    for (let index = 0; index < playlist.length; index++) {
+        offset += playlist[index].duration;
+        if (elapsed < offset) {
+            return { index, remaining: offset - elapsed };
+        }
+    }
+
+    return null;
+}
+
+export default buildPlaylist;
@@ -0,0 +1,151 @@
+import { isArray } from '@ember/array';
+import formatCurrency from '@fleetbase/ember-ui/utils/format-currency';
+import formatMeters from '@fleetbase/ember-ui/utils/format-meters';
+import formatBytes from '@fleetbase/ember-ui/utils/format-bytes';
+import formatDuration from '@fleetbase/ember-ui/utils/format-duration';
+import formatDate from '@fleetbase/ember-ui/utils/format-date';
+
+/**
+ * Formats a count widget can render its value with.
+ */
+export const METRIC_FORMATS = ['number', 'percent', 'compact', 'money', 'meters', 'bytes', 'duration', 'date'];
+
+/**
+ * Statuses a threshold can give a value, ordered from least to most severe.
+ */
+export const THRESHOLD_STATUSES = ['success', 'info', 'warning', 'danger'];
+
+/**
+ * Read a number, `null` when the value is not numeric.
+ *
+ * @param {*} value
+ * @return {Number|null}
+ */
+export function toNumber(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+        return null;
+    }
+
+    const number = Number(value);
+    return isFinite(number) ? number : null;
+}
+
+/**
+ * Format a metric value. Numbers use the locale given, `percent` expects a ratio so `0.25` renders as 25%.
+ *
+ * @param {*} value
+ * @param {Object} [options={}] `{ format, locale, precision, currency, dateFormat }`
+ * @return {String|null} `null` when there is no value
+ */
+export function formatMetricValue(value, { format, locale, precision, currency = 'USD', dateFormat } = {}) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const number = toNumber(value);
+    const digits = toNumber(precision);
+
+    switch (format) {
+        case 'number':
+            return number === null ? String(value) : new Intl.NumberFormat(locale, { maximumFractionDigits: digits ?? 2 }).format(number);
+
+        case 'percent':
+            return number === null ? String(value) : new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: digits ?? 1 }).format(number);
+
+        case 'compact':
+            return number === null ? String(value) : new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: digits ?? 1 }).format(number);
+
+        case 'money':
+            return formatCurrency(number ?? 0, currency);
+
+        case 'meters':
+            return formatMeters(number ?? 0);
+
+        case 'bytes':
+            return formatBytes(number ?? 0, digits ?? 2);
+
+        case 'duration':
+            return formatDuration(number ?? 0);
+
+        case 'date': {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? String(value) : formatDate(date, dateFormat);
+        }
+
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Compare a value with the value of the comparison period.
+ *
+ * @param {*} value
+ * @param {*} previous
+ * @param {Object} [options={}] `{ higherIsBetter }`
+ * @return {Object|null} `{ delta, percent, direction, isPositive }`, percent is a ratio and `null` when the previous value is zero
+ */
+export function getMetricTrend(value, previous, { higherIsBetter = true } = {}) {
+    const current = toNumber(value);
+    const before = toNumber(previous);
+    if (current === null || before === null) {
+        return null;
+    }
+
+    const delta = current - before;
+    const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+
+    return {
+        delta,
+        percent: before === 0 ? null : delta / Math.abs(before),
+        direction,
+        isPositive: direction === 'flat' ? null : (direction === 'up') === Boolean(higherIsBetter),
+    };
+}
+
+/**
+ * Get the status of the most severe threshold a value reaches. With the `below` direction a threshold is reached
+ * when the value drops to it or lower.
+ *
+ * @param {*} value
+ * @param {Array<Object>} [thresholds=[]] `{ value, status }`
+ * @param {String} [direction='above'] `above` or `below`
+ * @return {String|null}
+ */
+export function getThresholdStatus(value, thresholds = [], direction = 'above') {
+    const number = toNumber(value);
+    if (number === null || !isArray(thresholds)) {
+        return null;
+    }
+
+    const reached = thresholds.filter((threshold) => {
+        const limit = toNumber(threshold?.value);
+        return limit !== null && THRESHOLD_STATUSES.includes(threshold.status) && (direction === 'below' ? number <= limit : number >= limit);
+    });
+
+    return reached.reduce((status, threshold) => (THRESHOLD_STATUSES.indexOf(threshold.status) > THRESHOLD_STATUSES.indexOf(status) ? threshold.status : status), null);
+}
+
+/**
+ * Build the SVG path of a sparkline, non numeric points are skipped and a flat history is drawn through the middle.
+ *
+ * @param {Array} history Values from oldest to newest
+ * @param {Object} [size={}] `{ width, height }`
+ * @return {String|null} `null` with fewer than two points
+ */
+export function buildSparklinePath(history = [], { width = 100, height = 24 } = {}) {
+    const points = (isArray(history) ? history : []).map(toNumber).filter((point) => point !== null);
+    if (points.length < 2) {
+        return null;
+    }
+
+    const min = Math.min(...points);
+    const range = Math.max(...points) - min;
+    const step = width / (points.length - 1);
+    const round = (number) => Math.round(number * 100) / 100;
+    const toY = (point) => (range ? height - ((point - min) / range) * height : height / 2);
+
+    return points.map((point, index) => `${index === 0 ? 'M' : 'L'}${round(index * step)},${round(toY(point))}`).join(' ');
+}
+
+export default formatMetricValue;
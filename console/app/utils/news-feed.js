@@ -0,0 +1,128 @@
+import { isArray } from '@ember/array';
+
+/**
+ * Sources the news widgets can read from. `fleetbase` reaches out to the Fleetbase blog and GitHub, `feed` reads an
+ * admin provided release notes feed and `announcements` the news items published by the organization.
+ */
+export const NEWS_SOURCES = ['fleetbase', 'feed', 'announcements', 'disabled'];
+
+export const DEFAULT_NEWS_SOURCE = 'fleetbase';
+
+/**
+ * Get the news source of a widget, the widget option wins over the organization setting.
+ *
+ * @param {Object} [widgetOptions={}] `{ source }`
+ * @param {Object} [companyOptions={}] `{ news_source, news_feed_url }`
+ * @return {String} One of `NEWS_SOURCES`, a feed without a url is disabled
+ */
+export function getNewsSource(widgetOptions = {}, companyOptions = {}) {
+    const source = [widgetOptions?.source, companyOptions?.news_source].find((value) => NEWS_SOURCES.includes(value)) ?? DEFAULT_NEWS_SOURCE;
+
+    if (source === 'feed' && !getNewsFeedUrl(widgetOptions, companyOptions)) {
+        return 'disabled';
+    }
+
+    return source;
+}
+
+export function getNewsFeedUrl(widgetOptions = {}, companyOptions = {}) {
+    return widgetOptions?.feed_url || companyOptions?.news_feed_url || null;
+}
+
+function toDate(value) {
+    if (!value) {
+        return null;
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+function toNewsItem(item = {}, index = 0) {
+    return {
+        id: item.id ?? item.guid ?? item.link ?? item.url ?? String(index),
+        title: item.title ?? item.name ?? '',
+        link: item.link ?? item.url ?? item.html_url ?? null,
+        summary: item.summary ?? item.description ?? item.content_text ?? item.body ?? null,
+        published_at: toDate(item.published_at ?? item.date_published ?? item.pubDate ?? item.updated ?? item.created_at),
+        is_pinned: item.is_pinned === true,
+    };
+}
+
+function readXmlText(element, selector) {
+    const node = element.querySelector(selector);
+    if (!node) {
+        return null;
+    }
+
+    // Atom links keep the url in `href`
+    return node.textContent.trim() || node.getAttribute('href') || null;
+}
+
+/**
+ * Read the items of an RSS or Atom document.
+ *
+ * @param {String} xml
+ * @return {Array<Object>}
+ */
+export function parseNewsXml(xml) {
+    if (typeof DOMParser === 'undefined') {
+        return [];
+    }
+
+    const document = new DOMParser().parseFromString(xml, 'application/xml');
+    if (document.querySelector('parsererror')) {
+        return [];
+    }
+
+    return Array.from(document.querySelectorAll('item, entry')).map((element) => ({
+        id: readXmlText(element, 'guid') ?? readXmlText(element, 'id'),
+        title: readXmlText(element, 'title'),
+        link: readXmlText(element, 'link'),
+        summary: readXmlText(element, 'description') ?? readXmlText(element, 'summary'),
+        published_at: readXmlText(element, 'pubDate') ?? readXmlText(element, 'published') ?? readXmlText(element, 'updated'),
+    }));
+}
+
+/**
+ * Normalize news from any of the supported formats: a list of items, a JSON Feed, an RSS or Atom document. Items
+ * without a title are left out, pinned items come first then the newest.
+ *
+ * @param {Array|Object|String} data
+ * @param {Object} [options={}] `{ limit }`
+ * @return {Array<Object>} `{ id, title, link, summary, published_at, is_pinned }`
+ */
+export function normalizeNewsItems(data, { limit } = {}) {
+    let items = [];
+
+    if (typeof data === 'string') {
+        items = parseNewsXml(data);
+    } else if (isArray(data)) {
+        items = data;
+    } else if (data && isArray(data.items)) {
+        items = data.items;
+    }
+
+    const normalized = items
+        .map(toNewsItem)
+        .filter((item) => item.title)
+        .sort((a, b) => Number(b.is_pinned) - Number(a.is_pinned) || (b.published_at ?? 0) - (a.published_at ?? 0));
+
+    return limit ? normalized.slice(0, limit) : normalized;
+}
+
+/**
+ * Whether an announcement is live: published, and not expired.
+ *
+ * @param {Object} announcement `{ published_at, expires_at }`
+ * @param {Date} [now=new Date()]
+ * @return {Boolean}
+ */
+export function isAnnouncementActive(announcement = {}, now = new Date()) {
+    const publishedAt = toDate(announcement.published_at);
+    const expiresAt = toDate(announcement.expires_at);
+
+    return Boolean(publishedAt && publishedAt <= now && (!expiresAt || expiresAt > now));
+}
+
+export default normalizeNewsItems;
@@ -0,0 +1,6 @@
+/**
+ * Transports notifications can be delivered through, configured in notification settings.
+ */
+export const NOTIFICATION_TRANSPORTS = ['email', 'sms'];
+
+export default NOTIFICATION_TRANSPORTS;
@@ -0,0 +1,210 @@
+import { isArray } from '@ember/array';
+
+/**
+ * Condition operators available per column type, `key` names the label under `component.report.query-builder.operator-*`.
+ */
+const BASE_OPERATORS = [
+    { value: '=', key: 'equals' },
+    { value: '!=', key: 'not-equals' },
+    { value: 'is_null', key: 'is-empty' },
+    { value: 'is_not_null', key: 'is-not-empty' },
+];
+
+const STRING_OPERATORS = [
+    { value: 'like', key: 'contains' },
+    { value: 'not_like', key: 'not-contains' },
+    { value: 'starts_with', key: 'starts-with' },
+    { value: 'ends_with', key: 'ends-with' },
+    { value: 'in', key: 'in' },
+    { value: 'not_in', key: 'not-in' },
+];
+
+const NUMBER_OPERATORS = [
+    { value: '>', key: 'greater-than' },
+    { value: '<', key: 'less-than' },
+    { value: '>=', key: 'greater-or-equal' },
+    { value: '<=', key: 'less-or-equal' },
+    { value: 'between', key: 'between' },
+    { value: 'not_between', key: 'not-between' },
+    { value: 'in', key: 'in' },
+    { value: 'not_in', key: 'not-in' },
+];
+
+const DATE_OPERATORS = [
+    { value: '>', key: 'after' },
+    { value: '<', key: 'before' },
+    { value: '>=', key: 'on-or-after' },
+    { value: '<=', key: 'on-or-before' },
+    { value: 'between', key: 'between-dates' },
+    { value: 'not_between', key: 'not-between-dates' },
+];
+
+let nextId = 0;
+
+/**
+ * Create an id for a node of a condition tree, unique for the session.
+ *
+ * @return {String}
+ */
+export function createId() {
+    return `${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+}
+
+/**
+ * Get the operators which can be applied to a column.
+ *
+ * @param {Object} column
+ * @return {Array<Object>}
+ */
+export function getOperatorsForColumn(column) {
+    switch (column?.type) {
+        case 'string':
+        case 'text':
+            return [...BASE_OPERATORS, ...STRING_OPERATORS];
+        case 'number':
+        case 'integer':
+        case 'decimal':
+        case 'float':
+            return [...BASE_OPERATORS, ...NUMBER_OPERATORS];
+        case 'date':
+        case 'datetime':
+        case 'timestamp':
+            return [...BASE_OPERATORS, ...DATE_OPERATORS];
+        case undefined:
+            return [];
+        default:
+            return BASE_OPERATORS;
+    }
+}
+
+/**
+ * Checks if a node of the condition tree is a group.
+ *
+ * @param {Object} node
+ * @return {Boolean}
+ */
+export function isConditionGroup(node) {
+    return isArray(node?.conditions);
+}
+
+/**
+ * Create an empty condition.
+ *
+ * @param {String} [logicalOperator='and']
+ * @return {Object}
+ */
+export function createCondition(logicalOperator = 'and') {
+    return { id: createId(), field: null, operator: null, value: null, logicalOperator };
+}
+
+/**
+ * Create a condition group holding a single empty condition.
+ *
+ * @param {String} [logicalOperator='and'] How the group joins its previous sibling
+ * @param {String} [operator='and'] How the conditions inside the group are joined
+ * @return {Object}
+ */
+export function createConditionGroup(logicalOperator = 'and', operator = 'and') {
+    return { id: createId(), operator, logicalOperator, conditions: [createCondition(operator)] };
+}
+
+/**
+ * Immutably update the list of conditions found at a path of group indexes, an empty path is the root list.
+ *
+ * @param {Array} conditions
+ * @param {Array<Number>} path
+ * @param {Function} update Receives a copy of the list and returns the new list
+ * @return {Array}
+ */
+export function updateConditionsAt(conditions = [], path = [], update) {
+    if (path.length === 0) {
+        return update([...conditions]);
+    }
+
+    const [index, ...rest] = path;
+    return conditions.map((node, i) => (i === index ? { ...node, conditions: updateConditionsAt(node.conditions, rest, update) } : node));
+}
+
+/**
+ * Get the list of conditions found at a path of group indexes.
+ *
+ * @param {Array} conditions
+ * @param {Array<Number>} path
+ * @return {Array}
+ */
+export function getConditionsAt(conditions = [], path = []) {
+    return path.reduce((list, index) => list?.[index]?.conditions ?? [], conditions);
+}
+
+/**
+ * Set how the conditions of a group are joined, the operator is written to each direct child
+ * so backends evaluating `logicalOperator` see the same semantics.
+ *
+ * @param {Array} conditions
+ * @param {Array<Number>} path Path of the group, an empty path is the root list
+ * @param {String} operator `and` or `or`
+ * @return {Array}
+ */
+export function setGroupOperator(conditions = [], path = [], operator = 'and') {
+    const withChildren = updateConditionsAt(conditions, path, (list) => list.map((node) => ({ ...node, logicalOperator: operator })));
+
+    if (path.length === 0) {
+        return withChildren;
+    }
+
+    return updateConditionsAt(withChildren, path.slice(0, -1), (list) => {
+        const index = path[path.length - 1];
+        list[index] = { ...list[index], operator };
+        return list;
+    });
+}
+
+/**
+ * Move a node within the list at a path.
+ *
+ * @param {Array} conditions
+ * @param {Array<Number>} path
+ * @param {Number} from
+ * @param {Number} to
+ * @return {Array}
+ */
+export function moveCondition(conditions = [], path = [], from, to) {
+    return updateConditionsAt(conditions, path, (list) => {
+        const [node] = list.splice(from, 1);
+        list.splice(to, 0, node);
+        return list;
+    });
+}
+
+/**
+ * Remove empty groups and conditions which are missing a field or operator.
+ *
+ * @param {Array} conditions
+ * @return {Array}
+ */
+export function compactConditions(conditions = []) {
+    return conditions.reduce((list, node) => {
+        if (isConditionGroup(node)) {
+            const children = compactConditions(node.conditions);
+            if (children.length) {
+                list.push({ ...node, conditions: children });
+            }
+        } else if (node?.field && node?.operator) {
+            list.push(node);
+        }
+
+        return list;
+    }, []);
+}
+
+export default {
+    getOperatorsForColumn,
+    isConditionGroup,
+    createCondition,
+    createConditionGroup,
+    updateConditionsAt,
+    getConditionsAt,
+    setGroupOperator,
+    moveCondition,
+    compactConditions,
+};
@@ -0,0 +1,324 @@
+/**
+ * Formats which can be assembled incrementally by the report export worker.
+ */
+export const STREAMING_EXPORT_FORMATS = ['csv', 'ndjson', 'xlsx'];
+
+/**
+ * Aliases of legacy export format names to their streaming equivalent.
+ */
+export const STREAMING_EXPORT_FORMAT_ALIASES = {
+    excel: 'xlsx',
+    json: 'ndjson',
+    jsonl: 'ndjson',
+};
+
+/**
+ * Resolve an export format to the streaming format which assembles it.
+ *
+ * @param {String} format
+ * @return {String|null}
+ */
+export function resolveStreamingFormat(format) {
+    const normalized = String(format ?? '').toLowerCase();
+    const resolved = STREAMING_EXPORT_FORMAT_ALIASES[normalized] ?? normalized;
+
+    return STREAMING_EXPORT_FORMATS.includes(resolved) ? resolved : null;
+}
+
+/**
+ * Worker body which assembles an export file from pages of report rows.
+ *
+ * The function is serialized into a Blob URL to boot the worker, so it must not reference
+ * anything outside of its own scope. It communicates with the following messages:
+ *
+ * - in: `{ type: 'start', format, columns }`, `{ type: 'rows', rows }`, `{ type: 'finish' }`, `{ type: 'reset' }`
+ * - out: `{ type: 'ready' }`, `{ type: 'progress', rowCount }`, `{ type: 'done', blob, rowCount }`, `{ type: 'error', message }`
+ *
+ * @export
+ * @param {Object} scope The worker global scope, or any object exposing `postMessage`
+ */
+export default function reportExportWorker(scope) {
+    const encoder = new TextEncoder();
+    const MIME_TYPES = {
+        csv: 'text/csv;charset=utf-8',
+        ndjson: 'application/x-ndjson',
+        xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    };
+
+    let CRC_TABLE;
+    function crc32(bytes, crc = 0) {
+        if (!CRC_TABLE) {
+            CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        crc = crc ^ 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function stringifyValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+
+        return String(value);
+    }
+
+    function escapeCsv(value) {
+        const string = stringifyValue(value);
+        return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+    }
+
+    function escapeXml(value) {
+        return (
+            stringifyValue(value)
+                // eslint-disable-next-line no-control-regex
+                .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+        );
+    }
+
+    function xlsxCell(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return `<c><v>${value}</v></c>`;
+        }
+
+        if (typeof value === 'boolean') {
+            return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+
+        if (value === null || value === undefined || value === '') {
+            return '<c/>';
+        }
+
+        return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    function xlsxRow(values) {
+        return `<row>${values.map(xlsxCell).join('')}</row>`;
+    }
+
+    const XLSX_STATIC_FILES = {
+        '[Content_Types].xml':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>',
+        '_rels/.rels':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+        'xl/workbook.xml':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Report" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels':
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    };
+
+    /**
+     * Build an uncompressed zip archive from a list of `{ name, chunks, size, crc }` entries.
+     */
+    function buildZip(entries) {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, 0x21, true);
+            header.setUint32(14, entry.crc, true);
+            header.setUint32(18, entry.size, true);
+            header.setUint32(22, entry.size, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            parts.push(header, name, ...entry.chunks);
+
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, 0, true);
+            record.setUint16(14, 0x21, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, name.length, true);
+            record.setUint32(42, offset, true);
+            central.push(record, name);
+
+            offset += 30 + name.length + entry.size;
+        }
+
+        const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return [...parts, ...central, end];
+    }
+
+    function createEntry(name) {
+        return { name, chunks: [], size: 0, crc: 0 };
+    }
+
+    function writeEntry(entry, string) {
+        const bytes = encoder.encode(string);
+        entry.chunks.push(bytes);
+        entry.size += bytes.length;
+        entry.crc = crc32(bytes, entry.crc);
+    }
+
+    let state = null;
+
+    const handlers = {
+        start({ format, columns = [] }) {
+            if (!MIME_TYPES[format]) {
+                throw new Error(`Unsupported export format '${format}'`);
+            }
+
+            state = { format, columns, rowCount: 0, chunks: [], sheet: null };
+            const labels = columns.map((column) => column.label ?? column.name);
+
+            if (format === 'csv') {
+                state.chunks.push(`\uFEFF${labels.map(escapeCsv).join(',')}\r\n`);
+            }
+
+            if (format === 'xlsx') {
+                state.sheet = createEntry('xl/worksheets/sheet1.xml');
+                writeEntry(
+                    state.sheet,
+                    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${xlsxRow(labels)}`
+                );
+            }
+
+            scope.postMessage({ type: 'ready' });
+        },
+        rows({ rows = [] }) {
+            if (!state) {
+                throw new Error('Export has not been started');
+            }
+
+            const { format, columns } = state;
+            const values = (row) => columns.map((column) => row?.[column.name]);
+
+            if (format === 'csv') {
+                state.chunks.push(rows.map((row) => `${values(row).map(escapeCsv).join(',')}\r\n`).join(''));
+            } else if (format === 'ndjson') {
+                state.chunks.push(
+                    rows
+                        .map((row) => {
+                            const object = {};
+                            for (const column of columns) {
+                                object[column.name] = row?.[column.name] ?? null;
+                            }
+                            return `${JSON.stringify(object)}\n`;
+                        })
+                        .join('')
+                );
+            } else {
+                writeEntry(state.sheet, rows.map((row) => xlsxRow(values(row))).join(''));
+            }
+
+            state.rowCount += rows.length;
+            scope.postMessage({ type: 'progress', rowCount: state.rowCount });
+        },
+        finish() {
+            if (!state) {
+                throw new Error('Export has not been started');
+            }
+
+            let parts = state.chunks;
+            if (state.format === 'xlsx') {
+                writeEntry(state.sheet, '</sheetData></worksheet>');
+                const entries = Object.keys(XLSX_STATIC_FILES).map((name) => {
+                    const entry = createEntry(name);
+                    writeEntry(entry, XLSX_STATIC_FILES[name]);
+                    return entry;
+                });
+                parts = buildZip([...entries, state.sheet]);
+            }
+
+            const blob = new Blob(parts, { type: MIME_TYPES[state.format] });
+            scope.postMessage({ type: 'done', blob, rowCount: state.rowCount });
+            state = null;
+        },
+        reset() {
+            state = null;
+        },
+    };
+
+    scope.onmessage = function ({ data = {} }) {
+        try {
+            if (typeof handlers[data.type] === 'function') {
+                handlers[data.type](data);
+            }
+        } catch (error) {
+            scope.postMessage({ type: 'error', message: error.message });
+        }
+    };
+}
+
+/**
+ * Boot the report export worker. When Web Workers are not available the worker body
+ * runs on the main thread behind the same message interface.
+ *
+ * @export
+ * @return {Worker|Object} An object exposing `postMessage`, `terminate` and an assignable `onmessage`
+ */
+export function createReportExportWorker() {
+    if (typeof Worker !== 'undefined' && typeof URL?.createObjectURL === 'function') {
+        try {
+            const url = URL.createObjectURL(new Blob([`(${reportExportWorker.toString()})(self);`], { type: 'text/javascript' }));
+            const worker = new Worker(url);
+            const terminate = worker.terminate.bind(worker);
+            worker.terminate = () => {
+                terminate();
+                URL.revokeObjectURL(url);
+            };
+
+            return worker;
+        } catch {
+            // content security policy may block blob workers, fall through to the main thread
+        }
+    }
+
+    const client = { onmessage: null, terminated: false };
+    const scope = {
+        onmessage: null,
+        postMessage: (data) => !client.terminated && typeof client.onmessage === 'function' && client.onmessage({ data }),
+    };
+    reportExportWorker(scope);
+
+    client.postMessage = (data) => {
+        if (!client.terminated) {
+            Promise.resolve().then(() => scope.onmessage({ data }));
+        }
+    };
+    client.terminate = () => {
+        client.terminated = true;
+    };
+
+    return client;
+}
@@ -0,0 +1,137 @@
+import { isArray } from '@ember/array';
+import { addDays, differenceInCalendarDays, format, parseISO, subYears } from 'date-fns';
+import { AGGREGATIONS, aggregateValues } from './report-visualization';
+import { DASHBOARD_FILTERS, normalizeDashboardFilters } from './dashboard-filters';
+
+/**
+ * Aggregations a KPI widget can compute over a result column.
+ */
+export const KPI_AGGREGATIONS = AGGREGATIONS;
+
+/**
+ * Periods a KPI can be compared with, relative to the date range it is computed over.
+ */
+export const KPI_COMPARISONS = ['previous_period', 'previous_year'];
+
+/**
+ * Dashboard filters a KPI widget can apply to the parameters of its report.
+ */
+export const KPI_FILTERS = ['date_range', 'org_unit', 'driver', 'vehicle'];
+
+const DATE_FORMAT = 'yyyy-MM-dd';
+
+/**
+ * Find the date range parameter a KPI is computed over.
+ *
+ * @param {Array} parameters Report parameter declarations
+ * @param {String} [name] The parameter to use, the first date range parameter otherwise
+ * @return {Object|null}
+ */
+export function findDateRangeParameter(parameters = [], name) {
+    const ranges = (parameters ?? []).filter((parameter) => parameter.type === 'daterange');
+    return (name ? ranges.find((parameter) => parameter.name === name) : ranges[0]) ?? null;
+}
+
+/**
+ * Apply dashboard filters on top of the saved parameter values of a KPI. The date range fills the date range parameter,
+ * model filters fill the first parameter selecting a record of the same model.
+ *
+ * @param {Array} parameters Report parameter declarations
+ * @param {Object} [values={}] Saved parameter values
+ * @param {Object} [filters={}] Dashboard filters
+ * @param {Object} [options={}] `{ dateParameter }`
+ * @return {Object} Parameter values
+ */
+export function getKpiParameterValues(parameters = [], values = {}, filters = {}, { dateParameter } = {}) {
+    const normalized = normalizeDashboardFilters(filters);
+    const resolved = { ...(values ?? {}) };
+
+    for (const [key, value] of Object.entries(normalized)) {
+        const filter = DASHBOARD_FILTERS[key];
+        let parameter = null;
+
+        if (filter.type === 'date-range') {
+            parameter = findDateRangeParameter(parameters, dateParameter);
+        } else if (filter.type === 'model') {
+            parameter = (parameters ?? []).find((declared) => declared.type === 'model' && declared.model === filter.modelName);
+        }
+
+        if (parameter) {
+            resolved[parameter.name] = value;
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Get the date range a KPI is compared with.
+ *
+ * @param {Array<String>} range Resolved `[start, end]` dates
+ * @param {String} comparison One of `KPI_COMPARISONS`
+ * @return {Array<String>|null}
+ */
+export function getComparisonRange(range, comparison) {
+    if (!isArray(range) || range.length < 2 || !KPI_COMPARISONS.includes(comparison)) {
+        return null;
+    }
+
+    const [start, end] = range.map((date) => (date instanceof Date ? date : parseISO(String(date))));
+    if (isNaN(start) || isNaN(end)) {
+        return null;
+    }
+
+    if (comparison === 'previous_year') {
+        return [format(subYears(start, 1), DATE_FORMAT), format(subYears(end, 1), DATE_FORMAT)];
+    }
+
+    const days = differenceInCalendarDays(end, start) + 1;
+    return [format(addDays(start, -days), DATE_FORMAT), format(addDays(end, -days), DATE_FORMAT)];
+}
+
+/**
+ * Compute a KPI from a report result, empty values are left out. Counting without a column counts every row of the
+ * result, not only the rows returned.
+ *
+ * @param {Object} result `{ data, meta }`
+ * @param {Object} kpi `{ column, aggregate }`
+ * @return {Number|null}
+ */
+export function computeKpi(result = {}, { column, aggregate = 'count' } = {}) {
+    const data = isArray(result?.data) ? result.data : [];
+
+    if (aggregate === 'count' && !column) {
+        return result?.meta?.total_rows ?? data.length;
+    }
+
+    const values = data.map((row) => row?.[column]).filter((value) => value !== null && value !== undefined && value !== '');
+    return aggregateValues(values, aggregate);
+}
+
+/**
+ * Validate the options of a KPI widget.
+ *
+ * @param {Object} kpi `{ report, column, aggregate, comparison }`
+ * @return {Object} `{ valid, errors }`, errors are keyed by option
+ */
+export function validateKpi(kpi = {}) {
+    const errors = {};
+
+    if (!kpi.report) {
+        errors.report = 'required';
+    }
+
+    if (!KPI_AGGREGATIONS.includes(kpi.aggregate)) {
+        errors.aggregate = 'invalid';
+    } else if (kpi.aggregate !== 'count' && !kpi.column) {
+        errors.column = 'required';
+    }
+
+    if (kpi.comparison && !KPI_COMPARISONS.includes(kpi.comparison)) {
+        errors.comparison = 'invalid';
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+export default computeKpi;
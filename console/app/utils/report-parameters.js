@@ -0,0 +1,328 @@
+import { isArray } from '@ember/array';
+import {
+    addDays,
+    addMonths,
+    addWeeks,
+    endOfDay,
+    endOfMonth,
+    endOfQuarter,
+    endOfWeek,
+    endOfYear,
+    format,
+    isValid,
+    parseISO,
+    startOfDay,
+    startOfMonth,
+    startOfQuarter,
+    startOfWeek,
+    startOfYear,
+    subDays,
+    subMonths,
+    subQuarters,
+    subWeeks,
+    subYears,
+} from 'date-fns';
+
+/**
+ * Types a report parameter can be declared as.
+ */
+export const PARAMETER_TYPES = ['string', 'number', 'boolean', 'date', 'daterange', 'enum', 'model'];
+
+/**
+ * Models a `model` parameter can select a record of.
+ */
+export const PARAMETER_MODELS = ['driver', 'vehicle', 'fleet', 'vendor', 'contact', 'place', 'user'];
+
+/**
+ * Relative date expressions offered when binding date parameters, `period` resolves to the report period.
+ */
+export const RELATIVE_DATE_EXPRESSIONS = [
+    'today',
+    'yesterday',
+    'this_week',
+    'last_week',
+    'last_7_days',
+    'last_30_days',
+    'this_month',
+    'last_month',
+    'this_quarter',
+    'last_quarter',
+    'this_year',
+    'last_year',
+    'period',
+];
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+const DATE_FORMAT = 'yyyy-MM-dd';
+const DYNAMIC_EXPRESSION = /^(last|next)_(\d+)_(days|weeks|months)$/;
+
+/**
+ * Checks if a condition value references a report parameter.
+ *
+ * @param {*} value
+ * @return {Boolean}
+ */
+export function isParameterReference(value) {
+    return value !== null && typeof value === 'object' && !isArray(value) && typeof value.parameter === 'string';
+}
+
+/**
+ * Create a parameter declaration with a name not used by the existing parameters.
+ *
+ * @param {Array} [parameters=[]]
+ * @return {Object}
+ */
+export function createParameter(parameters = []) {
+    const names = parameters.map((parameter) => parameter.name);
+    let index = parameters.length + 1;
+    while (names.includes(`parameter_${index}`)) {
+        index++;
+    }
+
+    return { name: `parameter_${index}`, label: null, type: 'string', required: false, default: null };
+}
+
+/**
+ * Checks if a relative date expression can be resolved.
+ *
+ * @param {String} expression
+ * @return {Boolean}
+ */
+export function isRelativeDateExpression(expression) {
+    return RELATIVE_DATE_EXPRESSIONS.includes(expression) || DYNAMIC_EXPRESSION.test(expression ?? '');
+}
+
+function toDate(value) {
+    if (value instanceof Date) {
+        return isValid(value) ? value : null;
+    }
+
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const date = typeof value === 'string' ? parseISO(value) : new Date(value);
+    return isValid(date) ? date : null;
+}
+
+/**
+ * Resolve a relative date expression into a date range.
+ *
+ * @param {String} expression e.g. `yesterday`, `last_7_days`, `this_month` or `period`
+ * @param {Object} [context={}]
+ * @param {Date} [context.now=new Date()]
+ * @param {Date} [context.periodStart] Used by the `period` expression
+ * @param {Date} [context.periodEnd] Used by the `period` expression
+ * @return {Object|null} `{ start, end }`
+ */
+export function resolveRelativeDate(expression, { now = new Date(), periodStart, periodEnd } = {}) {
+    const today = startOfDay(now);
+    const dynamic = DYNAMIC_EXPRESSION.exec(expression ?? '');
+
+    if (dynamic) {
+        const [, direction, amount, unit] = dynamic;
+        const count = parseInt(amount, 10);
+
+        if (direction === 'last') {
+            const subtract = { days: subDays, weeks: subWeeks, months: subMonths }[unit];
+            return { start: addDays(subtract(today, count), unit === 'days' ? 1 : 0), end: endOfDay(now) };
+        }
+
+        const add = { days: addDays, weeks: addWeeks, months: addMonths }[unit];
+        return { start: today, end: endOfDay(subDays(add(today, count), unit === 'days' ? 1 : 0)) };
+    }
+
+    switch (expression) {
+        case 'today':
+            return { start: today, end: endOfDay(now) };
+        case 'yesterday':
+            return { start: subDays(today, 1), end: endOfDay(subDays(today, 1)) };
+        case 'this_week':
+            return { start: startOfWeek(now, WEEK_OPTIONS), end: endOfWeek(now, WEEK_OPTIONS) };
+        case 'last_week':
+            return { start: startOfWeek(subWeeks(now, 1), WEEK_OPTIONS), end: endOfWeek(subWeeks(now, 1), WEEK_OPTIONS) };
+        case 'this_month':
+            return { start: startOfMonth(now), end: endOfMonth(now) };
+        case 'last_month':
+            return { start: startOfMonth(subMonths(now, 1)), end: endOfMonth(subMonths(now, 1)) };
+        case 'this_quarter':
+            return { start: startOfQuarter(now), end: endOfQuarter(now) };
+        case 'last_quarter':
+            return { start: startOfQuarter(subQuarters(now, 1)), end: endOfQuarter(subQuarters(now, 1)) };
+        case 'this_year':
+            return { start: startOfYear(now), end: endOfYear(now) };
+        case 'last_year':
+            return { start: startOfYear(subYears(now, 1)), end: endOfYear(subYears(now, 1)) };
+        case 'period': {
+            const start = toDate(periodStart);
+            const end = toDate(periodEnd);
+            return start && end ? { start: startOfDay(start), end: endOfDay(end) } : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the raw value of a parameter, falling back to its default.
+ *
+ * @param {Object} parameter
+ * @param {Object} values
+ * @return {*}
+ */
+function rawValue(parameter, values = {}) {
+    const value = values[parameter.name];
+    return value === undefined || value === null || value === '' ? (parameter.default ?? null) : value;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (isArray(value) && value.every(isEmpty));
+}
+
+/**
+ * Validate values entered for report parameters.
+ *
+ * @param {Array} parameters Parameter declarations `{ name, label, type, required, options, min, max }`
+ * @param {Object} [values={}] Values keyed by parameter name
+ * @return {Object} `{ valid, errors }` where errors are keyed by parameter name
+ */
+export function validateParameterValues(parameters = [], values = {}) {
+    const errors = {};
+
+    for (const parameter of parameters) {
+        const value = rawValue(parameter, values);
+        const expression = value?.expression;
+
+        if (isEmpty(value)) {
+            if (parameter.required) {
+                errors[parameter.name] = 'required';
+            }
+            continue;
+        }
+
+        if (expression !== undefined) {
+            if (!['date', 'daterange'].includes(parameter.type) || !isRelativeDateExpression(expression)) {
+                errors[parameter.name] = 'invalid-expression';
+            }
+            continue;
+        }
+
+        switch (parameter.type) {
+            case 'number':
+                if (isNaN(Number(value))) {
+                    errors[parameter.name] = 'not-a-number';
+                } else if ((!isEmpty(parameter.min) && Number(value) < parameter.min) || (!isEmpty(parameter.max) && Number(value) > parameter.max)) {
+                    errors[parameter.name] = 'out-of-range';
+                }
+                break;
+            case 'date':
+                if (!toDate(value)) {
+                    errors[parameter.name] = 'invalid-date';
+                }
+                break;
+            case 'daterange': {
+                const [start, end] = isArray(value) ? value.map(toDate) : [];
+                if (!start || !end) {
+                    errors[parameter.name] = 'invalid-date';
+                } else if (start > end) {
+                    errors[parameter.name] = 'invalid-range';
+                }
+                break;
+            }
+            case 'enum':
+                if (!(parameter.options ?? []).includes(value)) {
+                    errors[parameter.name] = 'invalid-option';
+                }
+                break;
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Resolve parameter values for execution: defaults are applied, relative date expressions are resolved and dates are serialized.
+ *
+ * @param {Array} parameters
+ * @param {Object} [values={}]
+ * @param {Object} [context={}] Passed to `resolveRelativeDate`
+ * @return {Object} Values keyed by parameter name
+ */
+export function resolveParameterValues(parameters = [], values = {}, context = {}) {
+    const resolved = {};
+
+    for (const parameter of parameters) {
+        let value = rawValue(parameter, values);
+
+        if (value?.expression !== undefined) {
+            const range = resolveRelativeDate(value.expression, context);
+            value = range ? [range.start, range.end] : null;
+        }
+
+        switch (parameter.type) {
+            case 'number':
+                value = isEmpty(value) ? null : Number(value);
+                break;
+            case 'boolean':
+                value = isEmpty(value) ? null : value === true || value === 'true' || value === 1;
+                break;
+            case 'date': {
+                const date = toDate(isArray(value) ? value[0] : value);
+                value = date ? format(date, DATE_FORMAT) : null;
+                break;
+            }
+            case 'daterange':
+                value = isArray(value) ? value.map((date) => (toDate(date) ? format(toDate(date), DATE_FORMAT) : null)) : null;
+                break;
+            case 'model':
+                value = value?.id ?? value;
+                break;
+        }
+
+        resolved[parameter.name] = value;
+    }
+
+    return resolved;
+}
+
+/**
+ * Replace parameter references in conditions with resolved values.
+ *
+ * @param {Array} conditions
+ * @param {Object} values Resolved values keyed by parameter name
+ * @return {Array}
+ */
+export function bindParameters(conditions = [], values = {}) {
+    return conditions.map((node) => {
+        if (isArray(node?.conditions)) {
+            return { ...node, conditions: bindParameters(node.conditions, values) };
+        }
+
+        if (isParameterReference(node?.value)) {
+            return { ...node, value: values[node.value.parameter] ?? null };
+        }
+
+        return node;
+    });
+}
+
+/**
+ * Collect the names of parameters referenced by conditions.
+ *
+ * @param {Array} conditions
+ * @param {Set} [names=new Set()]
+ * @return {Array<String>}
+ */
+export function findParameterReferences(conditions = [], names = new Set()) {
+    for (const node of conditions) {
+        if (isArray(node?.conditions)) {
+            findParameterReferences(node.conditions, names);
+        } else if (isParameterReference(node?.value)) {
+            names.add(node.value.parameter);
+        }
+    }
+
+    return [...names];
+}
+
+export default resolveParameterValues;
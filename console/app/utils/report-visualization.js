@@ -0,0 +1,199 @@
+import { isArray } from '@ember/array';
+
+/**
+ * Visualizations a report result can be rendered as.
+ */
+export const VISUALIZATION_TYPES = ['table', 'line', 'bar', 'area', 'pie', 'pivot'];
+
+/**
+ * Aggregations supported when measures are combined.
+ */
+export const AGGREGATIONS = ['sum', 'count', 'avg', 'min', 'max'];
+
+/**
+ * Colors used for chart datasets, in order.
+ */
+export const CHART_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#6366f1'];
+
+const NUMERIC_TYPES = ['number', 'integer', 'decimal', 'float', 'double', 'bigint', 'money'];
+
+/**
+ * Checks if a result column holds numbers, using its schema type or the values in the data.
+ *
+ * @param {Object} column
+ * @param {Array} [data=[]]
+ * @return {Boolean}
+ */
+export function isNumericColumn(column, data = []) {
+    if (NUMERIC_TYPES.includes(column?.type)) {
+        return true;
+    }
+
+    const values = data.map((row) => row?.[column?.name]).filter((value) => value !== null && value !== undefined && value !== '');
+    return values.length > 0 && values.every((value) => !isNaN(Number(value)));
+}
+
+/**
+ * Pick a sensible visualization for a result: the first non numeric column as dimension and numeric columns as measures.
+ *
+ * @param {Array} columns
+ * @param {Array} [data=[]]
+ * @return {Object}
+ */
+export function getDefaultVisualization(columns = [], data = []) {
+    const numeric = columns.filter((column) => isNumericColumn(column, data));
+    const dimension = columns.find((column) => !numeric.includes(column)) ?? columns[0];
+    const measures = numeric.filter((column) => column !== dimension).map((column) => column.name);
+
+    return {
+        type: measures.length && dimension ? 'bar' : 'table',
+        dimension: dimension?.name ?? null,
+        measures,
+        aggregate: 'sum',
+        stacked: false,
+        pivot: { rows: dimension?.name ?? null, columns: null, value: measures[0] ?? null, aggregate: 'sum' },
+    };
+}
+
+/**
+ * Aggregate a list of values.
+ *
+ * @param {Array} values
+ * @param {String} [aggregate='sum']
+ * @return {Number|null}
+ */
+export function aggregateValues(values = [], aggregate = 'sum') {
+    if (aggregate === 'count') {
+        return values.length;
+    }
+
+    const numbers = values.map(Number).filter((value) => !isNaN(value));
+    if (numbers.length === 0) {
+        return null;
+    }
+
+    switch (aggregate) {
+        case 'avg':
+            return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+        case 'min':
+            return Math.min(...numbers);
+        case 'max':
+            return Math.max(...numbers);
+        default:
+            return numbers.reduce((total, value) => total + value, 0);
+    }
+}
+
+/**
+ * Group rows by the value of a column, keeping the order in which the values first appear.
+ *
+ * @param {Array} data
+ * @param {String} column
+ * @return {Map}
+ */
+function groupRows(data = [], column) {
+    const groups = new Map();
+
+    for (const row of data) {
+        const key = String(row?.[column] ?? '');
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(row);
+    }
+
+    return groups;
+}
+
+/**
+ * Build Chart.js `labels` and `datasets` for a visualization of a report result.
+ *
+ * @param {Array} columns Result columns `{ name, label }`
+ * @param {Array} data Result rows
+ * @param {Object} visualization `{ type, dimension, measures, aggregate, stacked }`
+ * @return {Object} `{ type, labels, datasets, options }`
+ */
+export function buildChartData(columns = [], data = [], { type = 'bar', dimension, measures = [], aggregate = 'sum', stacked = false } = {}) {
+    const groups = groupRows(data, dimension);
+    const labels = [...groups.keys()];
+    const labelOf = (name) => columns.find((column) => column.name === name)?.label ?? name;
+    const selectedMeasures = type === 'pie' ? measures.slice(0, 1) : measures;
+
+    const datasets = selectedMeasures.map((measure, index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        const values = labels.map((label) => {
+            const measureValues = groups.get(label).map((row) => row?.[measure]);
+            return aggregateValues(measureValues, aggregate);
+        });
+
+        if (type === 'pie') {
+            return {
+                label: labelOf(measure),
+                data: values,
+                backgroundColor: labels.map((_, i) => CHART_COLORS[i % CHART_COLORS.length]),
+            };
+        }
+
+        return {
+            label: labelOf(measure),
+            data: values,
+            borderColor: color,
+            backgroundColor: type === 'area' ? `${color}33` : color,
+            fill: type === 'area',
+            tension: type === 'bar' ? 0 : 0.3,
+        };
+    });
+
+    const options = { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: datasets.length > 1 || type === 'pie' } } };
+    if (type !== 'pie') {
+        options.scales = { x: { stacked }, y: { stacked, beginAtZero: true } };
+    }
+
+    return { type: type === 'area' ? 'line' : type, labels, datasets, options };
+}
+
+/**
+ * Build a pivot table from report rows.
+ *
+ * @param {Array} data Result rows
+ * @param {Object} pivot `{ rows, columns, value, aggregate }` where rows and columns are column names
+ * @return {Object} `{ rowKeys, columnKeys, cells, rowTotals, columnTotals, grandTotal }`
+ */
+export function buildPivotTable(data = [], { rows, columns, value, aggregate = 'sum' } = {}) {
+    const rowGroups = groupRows(data, rows);
+    const columnKeys = columns ? [...groupRows(data, columns).keys()] : [''];
+    const valueOf = (list) => {
+        const values = list.map((row) => (value ? row?.[value] : 1));
+        return aggregateValues(values, value ? aggregate : 'count');
+    };
+
+    const cells = {};
+    const rowTotals = {};
+    for (const [rowKey, rowList] of rowGroups) {
+        const columnGroups = columns ? groupRows(rowList, columns) : new Map([['', rowList]]);
+        cells[rowKey] = {};
+
+        for (const columnKey of columnKeys) {
+            cells[rowKey][columnKey] = columnGroups.has(columnKey) ? valueOf(columnGroups.get(columnKey)) : null;
+        }
+
+        rowTotals[rowKey] = valueOf(rowList);
+    }
+
+    const columnTotals = {};
+    const byColumn = columns ? groupRows(data, columns) : new Map([['', data]]);
+    for (const columnKey of columnKeys) {
+        columnTotals[columnKey] = valueOf(byColumn.get(columnKey) ?? []);
+    }
+
+    return {
+        rowKeys: [...rowGroups.keys()],
+        columnKeys,
+        cells,
+        rowTotals,
+        columnTotals,
+        grandTotal: valueOf(isArray(data) ? data : []),
+    };
+}
+
+export default buildChartData;
@@ -0,0 +1,434 @@
+import { isArray } from '@ember/array';
+import { addCalendarDays, daysInMonth, getZonedParts, zonedTimeToDate } from './timezone';
+import { parseDateKey, toDateKey } from './schedule-calendar';
+
+export const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Weekday codes from Monday, as used by `BYDAY`.
+ */
+export const RRULE_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+export const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+export const WEEKEND_CODES = ['SA', 'SU'];
+
+/**
+ * Most days walked when expanding a rule, rules are expanded from their start so this bounds rules started long ago.
+ */
+const MAX_EXPANSION_DAYS = 366 * 20;
+
+const JS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/;
+
+const RRULE_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/;
+
+function parseList(value, parser) {
+    return (value ?? '')
+        .split(',')
+        .map((entry) => parser(entry.trim()))
+        .filter((entry) => entry !== null);
+}
+
+function parseInteger(value) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number !== 0 ? number : null;
+}
+
+/**
+ * Parse a date of an RRULE, `yyyyMMdd` or `yyyyMMddTHHmmss(Z)`. Only the date is kept.
+ *
+ * @param {String} value
+ * @return {String|null} `yyyy-MM-dd`
+ */
+export function parseRRuleDate(value) {
+    const match = RRULE_DATE_PATTERN.exec(value ?? '');
+    if (!match) {
+        return null;
+    }
+
+    const key = `${match[1]}-${match[2]}-${match[3]}`;
+    return parseDateKey(key) ? key : null;
+}
+
+function formatRRuleDate(key) {
+    return key.replace(/-/g, '');
+}
+
+/**
+ * Parse a recurrence rule. Accepts a bare RRULE or the RFC 5545 lines `DTSTART`, `RRULE` and `EXDATE`, where only the
+ * date of `DTSTART`, `UNTIL` and `EXDATE` is kept: the time of an occurrence comes from what recurs.
+ *
+ * @param {String} value
+ * @return {Object|null} `{ freq, interval, byDay, byMonthDay, byMonth, count, until, start, exdates }`, dates as
+ *                       `yyyy-MM-dd` and `byDay` entries as `{ day, ordinal }`; null when the rule is invalid
+ */
+export function parseRRule(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null, start: null, exdates: [] };
+
+    for (const line of value.trim().split(/\r?\n/)) {
+        const [name, content = ''] = line.includes(':') ? [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)] : ['RRULE', line];
+        const property = name.split(';')[0].trim().toUpperCase();
+
+        if (property === 'DTSTART') {
+            rule.start = parseRRuleDate(content.trim());
+        } else if (property === 'EXDATE') {
+            rule.exdates.push(...parseList(content, parseRRuleDate));
+        } else if (property === 'RRULE') {
+            for (const part of content.split(';')) {
+                const [key, partValue = ''] = part.split('=').map((entry) => entry.trim());
+
+                switch (key.toUpperCase()) {
+                    case 'FREQ':
+                        rule.freq = partValue.toUpperCase();
+                        break;
+                    case 'INTERVAL':
+                        rule.interval = Math.max(1, parseInteger(partValue) ?? 1);
+                        break;
+                    case 'COUNT':
+                        rule.count = Math.max(1, parseInteger(partValue) ?? 1);
+                        break;
+                    case 'UNTIL':
+                        rule.until = parseRRuleDate(partValue);
+                        break;
+                    case 'BYDAY':
+                        rule.byDay = parseList(partValue.toUpperCase(), (entry) => {
+                            const match = BYDAY_PATTERN.exec(entry);
+                            return match ? { day: match[2], ordinal: match[1] ? parseInteger(match[1]) : null } : null;
+                        });
+                        break;
+                    case 'BYMONTHDAY':
+                        rule.byMonthDay = parseList(partValue, (entry) => {
+                            const day = parseInteger(entry);
+                            return day && Math.abs(day) <= 31 ? day : null;
+                        });
+                        break;
+                    case 'BYMONTH':
+                        rule.byMonth = parseList(partValue, (entry) => {
+                            const month = parseInteger(entry);
+                            return month >= 1 && month <= 12 ? month : null;
+                        });
+                        break;
+                }
+            }
+        }
+    }
+
+    rule.exdates = [...new Set(rule.exdates)].sort();
+    return RRULE_FREQUENCIES.includes(rule.freq) ? rule : null;
+}
+
+/**
+ * Write a rule back to the lines `DTSTART`, `RRULE` and `EXDATE`.
+ *
+ * @param {Object} rule See `parseRRule`
+ * @return {String}
+ */
+export function serializeRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+
+    if (rule.byDay?.length) {
+        parts.push(`BYDAY=${rule.byDay.map(({ day, ordinal }) => `${ordinal ?? ''}${day}`).join(',')}`);
+    }
+
+    if (rule.byMonthDay?.length) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    }
+
+    if (rule.byMonth?.length) {
+        parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    }
+
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    } else if (rule.until) {
+        parts.push(`UNTIL=${formatRRuleDate(rule.until)}`);
+    }
+
+    const lines = [`RRULE:${parts.join(';')}`];
+
+    if (rule.start) {
+        lines.unshift(`DTSTART;VALUE=DATE:${formatRRuleDate(rule.start)}`);
+    }
+
+    if (rule.exdates?.length) {
+        lines.push(`EXDATE;VALUE=DATE:${rule.exdates.map(formatRRuleDate).join(',')}`);
+    }
+
+    return lines.join('\n');
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / 86400000);
+}
+
+function monthsBetween(from, to) {
+    return (to.year - from.year) * 12 + (to.month - from.month);
+}
+
+function weekdayCode(date) {
+    return JS_WEEKDAYS[date.weekday];
+}
+
+function matchesMonthDay(date, monthDays) {
+    const length = daysInMonth(date.year, date.month);
+    return monthDays.some((day) => (day > 0 ? day : length + day + 1) === date.day);
+}
+
+function matchesWeekdayInMonth(date, byDay) {
+    const length = daysInMonth(date.year, date.month);
+
+    return byDay.some(({ day, ordinal }) => {
+        if (day !== weekdayCode(date)) {
+            return false;
+        }
+
+        if (!ordinal) {
+            return true;
+        }
+
+        return ordinal > 0 ? Math.ceil(date.day / 7) === ordinal : Math.ceil((length - date.day + 1) / 7) === -ordinal;
+    });
+}
+
+/**
+ * Whether a rule recurs on a date.
+ *
+ * @param {Object} rule
+ * @param {Object} start First date of the rule, `{ year, month, day, weekday }`
+ * @param {Object} date `{ year, month, day, weekday }`
+ * @return {Boolean}
+ */
+function occursOn(rule, start, date) {
+    if (rule.byMonth.length && !rule.byMonth.includes(date.month)) {
+        return false;
+    }
+
+    switch (rule.freq) {
+        case 'DAILY':
+            return (
+                daysBetween(start, date) % rule.interval === 0 &&
+                (!rule.byDay.length || rule.byDay.some(({ day }) => day === weekdayCode(date))) &&
+                (!rule.byMonthDay.length || matchesMonthDay(date, rule.byMonthDay))
+            );
+
+        case 'WEEKLY': {
+            // Weeks start on Monday
+            const weekOf = (value) => addCalendarDays(value, -((value.weekday + 6) % 7));
+            const days = rule.byDay.length ? rule.byDay.map(({ day }) => day) : [weekdayCode(start)];
+
+            return (daysBetween(weekOf(start), weekOf(date)) / 7) % rule.interval === 0 && days.includes(weekdayCode(date));
+        }
+
+        case 'MONTHLY':
+        case 'YEARLY': {
+            const isPeriod = rule.freq === 'MONTHLY' ? monthsBetween(start, date) % rule.interval === 0 : (date.year - start.year) % rule.interval === 0;
+            if (!isPeriod) {
+                return false;
+            }
+
+            if (rule.freq === 'YEARLY' && !rule.byMonth.length && date.month !== start.month) {
+                return false;
+            }
+
+            if (rule.byMonthDay.length) {
+                return matchesMonthDay(date, rule.byMonthDay) && (!rule.byDay.length || matchesWeekdayInMonth(date, rule.byDay));
+            }
+
+            return rule.byDay.length ? matchesWeekdayInMonth(date, rule.byDay) : date.day === start.day;
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * The dates a rule recurs on within a range. `COUNT` counts from the start of the rule and exception dates are left
+ * out after counting, as in RFC 5545.
+ *
+ * @param {Object|String} rule See `parseRRule`
+ * @param {Object} options `{ from, to, start }` as `yyyy-MM-dd`, both ends of the range are included; `start` is used
+ *                         when the rule has no `DTSTART` and defaults to `from`
+ * @return {Array<String>} `yyyy-MM-dd`
+ */
+export function expandRRule(rule, { from, to, start } = {}) {
+    const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+    const first = parseDateKey(parsed?.start ?? start ?? from);
+    if (!parsed || !first || !parseDateKey(to)) {
+        return [];
+    }
+
+    const firstDate = addCalendarDays(first, 0);
+    const last = parsed.until && parsed.until < to ? parsed.until : to;
+    const exdates = new Set(parsed.exdates);
+    const dates = [];
+    let count = 0;
+
+    for (let offset = 0; offset < MAX_EXPANSION_DAYS; offset++) {
+        const date = addCalendarDays(firstDate, offset);
+        const key = toDateKey(date);
+
+        if (key > last || (parsed.count && count >= parsed.count)) {
+            break;
+        }
+
+        if (!occursOn(parsed, firstDate, date)) {
+            continue;
+        }
+
+        count++;
+        if (key >= from && !exdates.has(key)) {
+            dates.push(key);
+        }
+    }
+
+    return dates;
+}
+
+/**
+ * Parse a `HH:mm` time.
+ *
+ * @param {String} value
+ * @return {Object|null} `{ hour, minute }`
+ */
+export function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(value ?? '');
+    if (!match) {
+        return null;
+    }
+
+    const [hour, minute] = [Number(match[1]), Number(match[2])];
+    return hour < 24 && minute < 60 ? { hour, minute } : null;
+}
+
+/**
+ * Length of a shift between two `HH:mm` times, shifts ending at or before they start end the next day.
+ *
+ * @param {String} startTime
+ * @param {String} endTime
+ * @return {Number|null} Minutes
+ */
+export function getShiftMinutes(startTime, endTime) {
+    const [start, end] = [parseTime(startTime), parseTime(endTime)];
+    if (!start || !end) {
+        return null;
+    }
+
+    const minutes = end.hour * 60 + end.minute - (start.hour * 60 + start.minute);
+    return minutes > 0 ? minutes : minutes + 1440;
+}
+
+/**
+ * Expand a schedule template into the attributes of schedule items within a range. Shifts start at the wall clock
+ * `start_time` of each date in the timezone, so they keep their local hours across DST changes; a template without an
+ * `end_time` lasts `duration` minutes. The break of `break_duration` minutes is placed in the middle of the shift.
+ *
+ * @param {Object} template `{ id, rrule, start_time, end_time, duration, break_duration }`
+ * @param {Object} options `{ from, to, timeZone }`, `from` and `to` as `yyyy-MM-dd` and both included
+ * @return {Array<Object>} `{ start_at, end_at, duration, break_start_at, break_end_at, meta }`
+ */
+export function expandScheduleTemplate(template, { from, to, timeZone = 'UTC' } = {}) {
+    const start = parseTime(template?.start_time);
+    const minutes = getShiftMinutes(template?.start_time, template?.end_time) ?? template?.duration;
+    if (!start || !minutes) {
+        return [];
+    }
+
+    return expandRRule(template.rrule, { from, to }).map((key) => {
+        const date = parseDateKey(key);
+        const startAt = zonedTimeToDate({ ...date, ...start }, timeZone);
+
+        // The end is wall clock time as well, a shift over a DST change is an hour shorter or longer
+        const endMinute = start.hour * 60 + start.minute + minutes;
+        const endDate = addCalendarDays(date, Math.floor(endMinute / 1440));
+        const endAt = zonedTimeToDate({ ...endDate, hour: Math.floor((endMinute % 1440) / 60), minute: endMinute % 60 }, timeZone);
+        const duration = Math.round((endAt - startAt) / 60000);
+
+        const breakMinutes = Math.min(template.break_duration ?? 0, duration);
+        const breakStartAt = breakMinutes ? new Date(startAt.getTime() + Math.round((duration - breakMinutes) / 2) * 60000) : null;
+
+        return {
+            start_at: startAt,
+            end_at: endAt,
+            duration,
+            break_start_at: breakStartAt,
+            break_end_at: breakStartAt ? new Date(breakStartAt.getTime() + breakMinutes * 60000) : null,
+            meta: { template_uuid: template.id ?? null },
+        };
+    });
+}
+
+/**
+ * Expand an availability window into its occurrences within a range. The window from `start_at` to `end_at` repeats
+ * at the same wall clock times on every date of its rule, a window without a rule happens once.
+ *
+ * @param {Object} availability `{ start_at, end_at, rrule }`
+ * @param {Object} options `{ from, to, timeZone }`, `from` and `to` as `yyyy-MM-dd` and both included
+ * @return {Array<Object>} `{ start, end }`
+ */
+export function expandAvailability(availability, { from, to, timeZone = 'UTC' } = {}) {
+    if (!availability?.start_at || !availability?.end_at) {
+        return [];
+    }
+
+    const startParts = getZonedParts(new Date(availability.start_at), timeZone);
+    const endParts = getZonedParts(new Date(availability.end_at), timeZone);
+
+    if (!parseRRule(availability.rrule)) {
+        const key = toDateKey(startParts);
+        return toDateKey(endParts) >= from && key <= to ? [{ start: new Date(availability.start_at), end: new Date(availability.end_at) }] : [];
+    }
+
+    // Start earlier by the length of the window to catch windows running overnight into the range
+    const days = daysBetween(startParts, endParts);
+    const expandFrom = toDateKey(addCalendarDays(parseDateKey(from), -days));
+
+    return expandRRule(availability.rrule, { from: expandFrom, to, start: toDateKey(startParts) }).map((key) => {
+        const date = parseDateKey(key);
+        const endDate = addCalendarDays(date, days);
+
+        return {
+            start: zonedTimeToDate({ ...date, hour: startParts.hour, minute: startParts.minute }, timeZone),
+            end: zonedTimeToDate({ ...endDate, hour: endParts.hour, minute: endParts.minute }, timeZone),
+        };
+    });
+}
+
+/**
+ * Leave out occurrences already on the schedule: an item with the same times and the same assignment.
+ *
+ * @param {Array} occurrences See `expandScheduleTemplate`
+ * @param {Array} [items=[]] Items of the schedule
+ * @param {Object} [assignment={}] Attributes the occurrences are assigned with, e.g. `{ assignee_uuid }`
+ * @return {Array}
+ */
+export function withoutExistingOccurrences(occurrences = [], items = [], assignment = {}) {
+    const keyOf = (start, end, values) => [new Date(start).getTime(), new Date(end).getTime(), ...Object.keys(assignment).map((key) => values[key] ?? null)].join('|');
+    const existing = new Set(items.filter((item) => !item.isDeleted).map((item) => keyOf(item.start_at, item.end_at, item)));
+
+    return occurrences.filter((occurrence) => !existing.has(keyOf(occurrence.start_at, occurrence.end_at, assignment)));
+}
+
+/**
+ * Whether the days of a weekly rule are exactly the given ones.
+ *
+ * @param {Array} byDay
+ * @param {Array<String>} days
+ * @return {Boolean}
+ */
+export function isDaySet(byDay = [], days = []) {
+    const codes = (isArray(byDay) ? byDay : []).map((entry) => entry.day ?? entry);
+    return codes.length === days.length && days.every((day) => codes.includes(day));
+}
+
+export default parseRRule;
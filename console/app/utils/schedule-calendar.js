@@ -0,0 +1,411 @@
+import { isArray } from '@ember/array';
+import { addCalendarDays, daysInMonth, getZonedParts, isValidTimezone, zonedTimeToDate } from './timezone';
+
+export const CALENDAR_VIEWS = ['day', 'week', 'month'];
+
+export const DEFAULT_CALENDAR_VIEW = 'week';
+
+/**
+ * What the rows of the calendar are, and which attributes of a schedule item point at the row.
+ */
+export const SCHEDULE_RESOURCE_TYPES = {
+    driver: { key: 'assignee_uuid', typeKey: 'assignee_type', modelName: 'driver' },
+    vehicle: { key: 'resource_uuid', typeKey: 'resource_type', modelName: 'vehicle' },
+};
+
+export const DEFAULT_RESOURCE_TYPE = 'driver';
+
+export const SCHEDULE_ITEM_STATUSES = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled'];
+
+/**
+ * Steps items snap to when they are created, moved or resized in each view, in minutes.
+ */
+export const SNAP_MINUTES = { day: 15, week: 60, month: 1440 };
+
+/**
+ * Attributes of an item compared against the last publish.
+ */
+export const PUBLISHED_ITEM_KEYS = ['assignee_uuid', 'resource_uuid', 'start_at', 'end_at', 'break_start_at', 'break_end_at', 'status'];
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * The timezone the calendar of a schedule is shown in, the timezone of the browser when the schedule has none.
+ *
+ * @param {ScheduleModel} schedule
+ * @return {String}
+ */
+export function getScheduleTimezone(schedule) {
+    if (isValidTimezone(schedule?.timezone)) {
+        return schedule.timezone;
+    }
+
+    return Intl.DateTimeFormat().resolvedOptions().timeZone ?? 'UTC';
+}
+
+/**
+ * Format a `{ year, month, day }` date as `yyyy-MM-dd`.
+ *
+ * @param {Object} date { year, month (1-12), day }
+ * @return {String}
+ */
+export function toDateKey({ year, month, day }) {
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parse a `yyyy-MM-dd` date.
+ *
+ * @param {String} key
+ * @return {Object|null} { year, month (1-12), day }
+ */
+export function parseDateKey(key) {
+    const match = DATE_KEY_PATTERN.exec(key ?? '');
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day] = match.map(Number);
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month) ? { year, month, day } : null;
+}
+
+/**
+ * The date it is right now in a timezone, as `yyyy-MM-dd`.
+ *
+ * @param {String} [timeZone='UTC']
+ * @param {Date} [now=new Date()]
+ * @return {String}
+ */
+export function getTodayKey(timeZone = 'UTC', now = new Date()) {
+    return toDateKey(getZonedParts(now, timeZone));
+}
+
+/**
+ * The days shown by a calendar view, each day starts at midnight in the timezone so days around a DST change are
+ * 23 or 25 hours long.
+ *
+ * @param {String} view day, week or month
+ * @param {String} dateKey Any date in the range, `yyyy-MM-dd`
+ * @param {String} [timeZone='UTC']
+ * @param {Object} [options={}] `{ weekStartsOn }` 0 for Sunday, 1 for Monday
+ * @return {Object} `{ view, start, end, days }` where each day is `{ key, year, month, day, weekday, start, end }`
+ */
+export function getCalendarRange(view, dateKey, timeZone = 'UTC', { weekStartsOn = 1 } = {}) {
+    const date = parseDateKey(dateKey) ?? parseDateKey(getTodayKey(timeZone));
+    let first = addCalendarDays(date, 0);
+    let count = 1;
+
+    if (view === 'week') {
+        first = addCalendarDays(date, -((first.weekday - weekStartsOn + 7) % 7));
+        count = 7;
+    } else if (view === 'month') {
+        first = addCalendarDays({ ...date, day: 1 }, 0);
+        count = daysInMonth(date.year, date.month);
+    }
+
+    const starts = Array.from({ length: count + 1 }, (_, index) => addCalendarDays(first, index));
+    const days = starts.slice(0, count).map((day, index) => ({
+        key: toDateKey(day),
+        ...day,
+        start: zonedTimeToDate(day, timeZone),
+        end: zonedTimeToDate(starts[index + 1], timeZone),
+    }));
+
+    return { view: CALENDAR_VIEWS.includes(view) ? view : DEFAULT_CALENDAR_VIEW, start: days[0].start, end: days[days.length - 1].end, days };
+}
+
+/**
+ * Move the date of a view one range back or forward.
+ *
+ * @param {String} view
+ * @param {String} dateKey
+ * @param {Number} direction -1 or 1
+ * @return {String}
+ */
+export function shiftCalendarDate(view, dateKey, direction) {
+    const date = parseDateKey(dateKey);
+    if (!date) {
+        return dateKey;
+    }
+
+    if (view === 'month') {
+        const month = date.month + direction;
+        const year = date.year + Math.floor((month - 1) / 12);
+        const normalized = ((((month - 1) % 12) + 12) % 12) + 1;
+
+        return toDateKey({ year, month: normalized, day: Math.min(date.day, daysInMonth(year, normalized)) });
+    }
+
+    return toDateKey(addCalendarDays(date, direction * (view === 'week' ? 7 : 1)));
+}
+
+/**
+ * Position of a period within a range, as percentages.
+ *
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Object} range `{ start, end }`
+ * @return {Object|null} `{ left, width, clippedStart, clippedEnd }`, null when the period is outside of the range
+ */
+export function getPlacement(start, end, range) {
+    const from = new Date(start).getTime();
+    const to = new Date(end).getTime();
+    const rangeStart = range.start.getTime();
+    const rangeEnd = range.end.getTime();
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || to <= rangeStart || from >= rangeEnd || to <= from) {
+        return null;
+    }
+
+    const length = rangeEnd - rangeStart;
+    const left = Math.max(from, rangeStart);
+    const right = Math.min(to, rangeEnd);
+
+    return {
+        left: ((left - rangeStart) / length) * 100,
+        width: ((right - left) / length) * 100,
+        clippedStart: from < rangeStart,
+        clippedEnd: to > rangeEnd,
+    };
+}
+
+/**
+ * The columns of a view, hours for the day view and days for the others.
+ *
+ * @param {Object} range See `getCalendarRange`
+ * @param {String} [timeZone='UTC']
+ * @return {Array<Object>} `{ key, start, end, left, width }`
+ */
+export function getCalendarColumns(range, timeZone = 'UTC') {
+    if (range.view !== 'day') {
+        return range.days.map((day) => ({ ...day, ...getPlacement(day.start, day.end, range) }));
+    }
+
+    const [day] = range.days;
+    const starts = Array.from({ length: 24 }, (_, hour) => zonedTimeToDate({ ...day, hour }, timeZone));
+
+    // Hours skipped by a DST change start at the same instant as the next hour and are dropped
+    return starts
+        .map((start, hour) => ({ key: `${day.key}T${pad(hour)}`, hour, start, end: starts[hour + 1] ?? day.end }))
+        .map((column) => ({ ...column, ...getPlacement(column.start, column.end, range) }))
+        .filter((column) => column.width > 0);
+}
+
+/**
+ * The instant at a fraction of a range.
+ *
+ * @param {Object} range `{ start, end }`
+ * @param {Number} fraction 0 to 1
+ * @return {Date}
+ */
+export function getTimeAt(range, fraction) {
+    const length = range.end.getTime() - range.start.getTime();
+    return new Date(range.start.getTime() + Math.min(1, Math.max(0, fraction)) * length);
+}
+
+/**
+ * Round an instant to the nearest step of wall clock time in a timezone, steps of a day snap to midnight.
+ *
+ * @param {Date} date
+ * @param {Number} minutes
+ * @param {String} [timeZone='UTC']
+ * @return {Date}
+ */
+export function snapToGrid(date, minutes, timeZone = 'UTC') {
+    const parts = getZonedParts(new Date(date), timeZone);
+    const snapped = Math.round((parts.hour * 60 + parts.minute + parts.second / 60) / minutes) * minutes;
+    const day = addCalendarDays(parts, Math.floor(snapped / 1440));
+    const minuteOfDay = snapped % 1440;
+
+    return zonedTimeToDate({ ...day, hour: Math.floor(minuteOfDay / 60), minute: minuteOfDay % 60 }, timeZone);
+}
+
+/**
+ * Length of an item in minutes.
+ *
+ * @param {Object} item `{ start_at, end_at }`
+ * @return {Number}
+ */
+export function getItemDuration({ start_at, end_at }) {
+    return Math.max(0, Math.round((new Date(end_at) - new Date(start_at)) / 60000));
+}
+
+/**
+ * The times of an item moved to a new start, the break moves along with the item.
+ *
+ * @param {Object} item `{ start_at, end_at, break_start_at, break_end_at }`
+ * @param {Date} start
+ * @return {Object} `{ start_at, end_at, break_start_at, break_end_at }`
+ */
+export function moveItemTimes(item, start) {
+    const delta = new Date(start).getTime() - new Date(item.start_at).getTime();
+    const shift = (date) => (date ? new Date(new Date(date).getTime() + delta) : null);
+
+    return {
+        start_at: shift(item.start_at),
+        end_at: shift(item.end_at),
+        break_start_at: shift(item.break_start_at),
+        break_end_at: shift(item.break_end_at),
+    };
+}
+
+/**
+ * The times of an item with a new end, a break which no longer fits is dropped.
+ *
+ * @param {Object} item `{ start_at, break_end_at }`
+ * @param {Date} end
+ * @param {Number} [minMinutes=15] Shortest length of the item
+ * @return {Object} `{ end_at, duration }` and `{ break_start_at, break_end_at }` when the break was dropped
+ */
+export function resizeItemTimes(item, end, minMinutes = 15) {
+    const start = new Date(item.start_at).getTime();
+    const endAt = new Date(Math.max(new Date(end).getTime(), start + minMinutes * 60000));
+    const changes = { end_at: endAt, duration: getItemDuration({ start_at: item.start_at, end_at: endAt }) };
+
+    if (item.break_end_at && new Date(item.break_end_at) > endAt) {
+        return { ...changes, break_start_at: null, break_end_at: null };
+    }
+
+    return changes;
+}
+
+/**
+ * Group items by the resource of their row, items without one are kept under `null`.
+ *
+ * @param {Array} items
+ * @param {String} [resourceType=DEFAULT_RESOURCE_TYPE]
+ * @return {Map<String|null, Array>}
+ */
+export function groupItemsByResource(items = [], resourceType = DEFAULT_RESOURCE_TYPE) {
+    const { key } = SCHEDULE_RESOURCE_TYPES[resourceType] ?? SCHEDULE_RESOURCE_TYPES[DEFAULT_RESOURCE_TYPE];
+    const groups = new Map();
+
+    for (const item of isArray(items) ? items : (items?.toArray?.() ?? [])) {
+        const id = item[key] ?? null;
+        groups.set(id, [...(groups.get(id) ?? []), item]);
+    }
+
+    return groups;
+}
+
+/**
+ * Check the times of an item, the break has to fall within the item.
+ *
+ * @param {Object} item `{ start_at, end_at, break_start_at, break_end_at }`
+ * @return {Array<String>} Problems found: `times-required`, `end-before-start`, `break-incomplete` or `break-outside-item`
+ */
+export function validateScheduleItem({ start_at, end_at, break_start_at, break_end_at }) {
+    const errors = [];
+
+    if (!start_at || !end_at) {
+        errors.push('times-required');
+    } else if (new Date(end_at) <= new Date(start_at)) {
+        errors.push('end-before-start');
+    }
+
+    if (Boolean(break_start_at) !== Boolean(break_end_at)) {
+        errors.push('break-incomplete');
+    } else if (break_start_at && start_at && end_at) {
+        const [breakStart, breakEnd] = [new Date(break_start_at), new Date(break_end_at)];
+        if (breakEnd <= breakStart || breakStart < new Date(start_at) || breakEnd > new Date(end_at)) {
+            errors.push('break-outside-item');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check the times of an availability window.
+ *
+ * @param {ScheduleAvailabilityModel} availability
+ * @return {Array<String>} Error codes: `times-required` or `end-before-start`
+ */
+export function validateScheduleAvailability({ start_at, end_at }) {
+    if (!start_at || !end_at) {
+        return ['times-required'];
+    }
+
+    return new Date(end_at) <= new Date(start_at) ? ['end-before-start'] : [];
+}
+
+function serializeValue(value) {
+    return value instanceof Date ? value.toISOString() : (value ?? null);
+}
+
+/**
+ * Snapshot of items as they are published, kept in the schedule meta so later changes can be compared.
+ *
+ * @param {Array} items Saved items
+ * @return {Array<Object>} `{ id, ...PUBLISHED_ITEM_KEYS }`
+ */
+export function snapshotScheduleItems(items = []) {
+    return items.filter((item) => item.id).map((item) => PUBLISHED_ITEM_KEYS.reduce((snapshot, key) => ({ ...snapshot, [key]: serializeValue(item[key]) }), { id: item.id }));
+}
+
+/**
+ * What changed in the items of a schedule since its last publish.
+ *
+ * @param {Array} [snapshot=[]] See `snapshotScheduleItems`
+ * @param {Array} [items=[]] Current items, items without an id are new
+ * @return {Object} `{ added, removed, changed, count }`, changed entries are `{ item, before, keys }`
+ */
+export function diffScheduleItems(snapshot = [], items = []) {
+    const published = new Map((snapshot ?? []).map((entry) => [entry.id, entry]));
+    const current = snapshotScheduleItems(items);
+    const added = items.filter((item) => !item.id || !published.has(item.id));
+    const changed = [];
+
+    for (const entry of current) {
+        const before = published.get(entry.id);
+        const keys = before ? PUBLISHED_ITEM_KEYS.filter((key) => serializeValue(before[key]) !== entry[key]) : [];
+
+        if (keys.length) {
+            changed.push({ item: items.find((item) => item.id === entry.id), before, keys });
+        }
+    }
+
+    const ids = new Set(current.map((entry) => entry.id));
+    const removed = [...published.values()].filter((entry) => !ids.has(entry.id));
+
+    return { added, removed, changed, count: added.length + removed.length + changed.length };
+}
+
+/**
+ * Format a date as the value of a `datetime-local` input showing wall clock time in a timezone.
+ *
+ * @param {Date} date
+ * @param {String} [timeZone='UTC']
+ * @return {String}
+ */
+export function toZonedInputValue(date, timeZone = 'UTC') {
+    if (!date) {
+        return '';
+    }
+
+    const parts = getZonedParts(new Date(date), timeZone);
+    return `${toDateKey(parts)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+/**
+ * Read the value of a `datetime-local` input as wall clock time in a timezone.
+ *
+ * @param {String} value `yyyy-MM-ddTHH:mm`
+ * @param {String} [timeZone='UTC']
+ * @return {Date|null}
+ */
+export function fromZonedInputValue(value, timeZone = 'UTC') {
+    const [dateKey, time = ''] = (value ?? '').split('T');
+    const date = parseDateKey(dateKey);
+    const [hour, minute] = time.split(':').map(Number);
+
+    if (!date || !Number.isInteger(hour) || !Number.isInteger(minute)) {
+        return null;
+    }
+
+    return zonedTimeToDate({ ...date, hour, minute }, timeZone);
+}
+
+export default getCalendarRange;
@@ -0,0 +1,302 @@
+import { isArray } from '@ember/array';
+import { addCalendarDays, getZonedParts, zonedTimeToDate } from './timezone';
+import { parseDateKey, toDateKey } from './schedule-calendar';
+import { expandAvailability } from './rrule';
+
+/**
+ * The rules a constraint can impose, by its `constraint_key`. The `constraint_value` of each is a number:
+ *
+ * - `max_hours_per_day` hours worked within a calendar day of the schedule timezone
+ * - `max_hours_per_week` hours worked within a week starting on Monday
+ * - `min_rest_hours` hours off between the end of a shift and the start of the next one
+ * - `min_break_minutes` minutes of break in shifts longer than `meta.after_hours`, 6 by default
+ * - `availability` no shifts while the driver is unavailable, the value is ignored
+ */
+export const SCHEDULE_CONSTRAINT_KEYS = ['max_hours_per_day', 'max_hours_per_week', 'min_rest_hours', 'min_break_minutes', 'availability'];
+
+/**
+ * Constraints are hard unless their `type` is `soft`: breaking a hard constraint is an error, a soft one a warning.
+ */
+export const SCHEDULE_CONSTRAINT_TYPES = ['hard', 'soft'];
+
+export const VIOLATION_SEVERITIES = ['warning', 'error'];
+
+export const DEFAULT_BREAK_AFTER_HOURS = 6;
+
+const MINUTE = 60000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+function getOverlapMinutes(start, end, from, to) {
+    return Math.max(0, (Math.min(end, to) - Math.max(start, from)) / MINUTE);
+}
+
+/**
+ * The severity of breaking a constraint.
+ *
+ * @param {ScheduleConstraintModel} constraint
+ * @return {String} `error` or `warning`
+ */
+export function getConstraintSeverity(constraint) {
+    return constraint?.type === 'soft' ? 'warning' : 'error';
+}
+
+/**
+ * The active constraints with a known rule and a usable value, highest priority first.
+ *
+ * @param {Array<ScheduleConstraintModel>} constraints
+ * @return {Array<ScheduleConstraintModel>}
+ */
+export function getActiveConstraints(constraints = []) {
+    return (isArray(constraints) ? constraints : Array.from(constraints ?? []))
+        .filter((constraint) => constraint.is_active !== false && !constraint.isDeleted && SCHEDULE_CONSTRAINT_KEYS.includes(constraint.constraint_key))
+        .filter((constraint) => constraint.constraint_key === 'availability' || Number.isFinite(parseFloat(constraint.constraint_value)))
+        .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+}
+
+/**
+ * Whether a constraint covers an item: constraints without a subject cover every item, others only the items of the
+ * driver or the schedule they are for.
+ *
+ * @param {ScheduleConstraintModel} constraint
+ * @param {ScheduleItemModel} item
+ * @return {Boolean}
+ */
+export function constraintAppliesTo(constraint, item) {
+    return !constraint.subject_uuid || constraint.subject_uuid === item.assignee_uuid || constraint.subject_uuid === item.schedule_uuid;
+}
+
+/**
+ * Minutes worked in an item within a period, leaving out its break.
+ *
+ * @param {ScheduleItemModel} item
+ * @param {Date} [from] Start of the period, the start of the item by default
+ * @param {Date} [to] End of the period, the end of the item by default
+ * @return {Number}
+ */
+export function getWorkedMinutes(item, from = null, to = null) {
+    const [start, end] = [toDate(item.start_at), toDate(item.end_at)];
+    if (!start || !end || end <= start) {
+        return 0;
+    }
+
+    const [periodStart, periodEnd] = [from ?? start, to ?? end];
+    const worked = getOverlapMinutes(start, end, periodStart, periodEnd);
+    const [breakStart, breakEnd] = [toDate(item.break_start_at), toDate(item.break_end_at)];
+
+    return breakStart && breakEnd ? worked - getOverlapMinutes(breakStart, breakEnd, Math.max(start, periodStart), Math.min(end, periodEnd)) : worked;
+}
+
+/**
+ * Split the worked minutes of items over the calendar days of a timezone, shifts running past midnight count towards
+ * both days.
+ *
+ * @param {Array<ScheduleItemModel>} items
+ * @param {String} [timeZone='UTC']
+ * @return {Map<String, Object>} `yyyy-MM-dd` to `{ minutes, items }`
+ */
+export function getDailyMinutes(items = [], timeZone = 'UTC') {
+    const days = new Map();
+
+    for (const item of items) {
+        const [start, end] = [toDate(item.start_at), toDate(item.end_at)];
+        if (!start || !end || end <= start) {
+            continue;
+        }
+
+        let date = getZonedParts(start, timeZone);
+        let dayStart = zonedTimeToDate({ ...date, hour: 0, minute: 0 }, timeZone);
+
+        while (dayStart < end) {
+            const next = addCalendarDays(date, 1);
+            const dayEnd = zonedTimeToDate({ ...next, hour: 0, minute: 0 }, timeZone);
+            const minutes = getWorkedMinutes(item, dayStart, dayEnd);
+
+            if (minutes > 0) {
+                const key = toDateKey(date);
+                const day = days.get(key) ?? { minutes: 0, items: [] };
+                days.set(key, { minutes: day.minutes + minutes, items: [...day.items, item] });
+            }
+
+            [date, dayStart] = [next, dayEnd];
+        }
+    }
+
+    return days;
+}
+
+/**
+ * The Monday starting the week of a date.
+ *
+ * @param {String} dateKey `yyyy-MM-dd`
+ * @return {String} `yyyy-MM-dd`
+ */
+export function getWeekKey(dateKey) {
+    const date = addCalendarDays(parseDateKey(dateKey), 0);
+    return toDateKey(addCalendarDays(date, -((date.weekday + 6) % 7)));
+}
+
+function createViolation(constraint, assigneeId, items, params) {
+    return {
+        key: constraint.constraint_key,
+        constraint,
+        severity: getConstraintSeverity(constraint),
+        jurisdiction: constraint.jurisdiction ?? null,
+        priority: constraint.priority ?? 0,
+        assignee_uuid: assigneeId,
+        items,
+        params,
+    };
+}
+
+function checkHours(constraint, assigneeId, days) {
+    const limit = parseFloat(constraint.constraint_value);
+    let periods = days;
+
+    if (constraint.constraint_key === 'max_hours_per_week') {
+        periods = new Map();
+        for (const [key, { minutes, items }] of days) {
+            const week = periods.get(getWeekKey(key)) ?? { minutes: 0, items: [] };
+            periods.set(getWeekKey(key), { minutes: week.minutes + minutes, items: [...new Set([...week.items, ...items])] });
+        }
+    }
+
+    return [...periods.entries()]
+        .filter(([, { minutes }]) => minutes > limit * 60)
+        .map(([date, { minutes, items }]) => createViolation(constraint, assigneeId, items, { date, hours: round(minutes / 60), limit }));
+}
+
+function checkRest(constraint, assigneeId, items) {
+    const limit = parseFloat(constraint.constraint_value);
+    const sorted = [...items].sort((a, b) => new Date(a.start_at) - new Date(b.start_at));
+    const violations = [];
+
+    for (let index = 1; index < sorted.length; index++) {
+        const [previous, item] = [sorted[index - 1], sorted[index]];
+        const rest = (new Date(item.start_at) - new Date(previous.end_at)) / MINUTE;
+
+        if (rest < limit * 60) {
+            violations.push(createViolation(constraint, assigneeId, [previous, item], { hours: round(Math.max(0, rest) / 60), limit }));
+        }
+    }
+
+    return violations;
+}
+
+function checkBreaks(constraint, assigneeId, items) {
+    const limit = parseFloat(constraint.constraint_value);
+    const after = parseFloat(constraint.meta?.after_hours ?? DEFAULT_BREAK_AFTER_HOURS);
+
+    return items
+        .map((item) => ({
+            item,
+            worked: getWorkedMinutes(item),
+            minutes: item.break_start_at && item.break_end_at ? (new Date(item.break_end_at) - new Date(item.break_start_at)) / MINUTE : 0,
+        }))
+        .filter(({ worked, minutes }) => worked > after * 60 && minutes < limit)
+        .map(({ item, minutes }) => createViolation(constraint, assigneeId, [item], { minutes: Math.round(minutes), limit, after }));
+}
+
+function checkAvailability(constraint, assigneeId, items, availabilities, timeZone) {
+    const unavailable = availabilities.filter((availability) => availability.subject_uuid === assigneeId && availability.is_available === false);
+    const violations = [];
+
+    for (const item of items) {
+        const [start, end] = [new Date(item.start_at), new Date(item.end_at)];
+        const [from, to] = [toDateKey(getZonedParts(start, timeZone)), toDateKey(getZonedParts(end, timeZone))];
+
+        for (const availability of unavailable) {
+            const conflict = expandAvailability(availability, { from, to, timeZone }).find((window) => window.start < end && window.end > start);
+            if (conflict) {
+                violations.push(createViolation(constraint, assigneeId, [item], { date: toDateKey(getZonedParts(conflict.start, timeZone)), reason: availability.reason ?? null }));
+            }
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Check the items of a schedule against its constraints. Items are checked per driver, unassigned items and items
+ * without valid times are not checked.
+ *
+ * @param {Object} options
+ * @param {Array<ScheduleItemModel>} options.items
+ * @param {Array<ScheduleConstraintModel>} options.constraints Inactive constraints are ignored
+ * @param {Array<ScheduleAvailabilityModel>} [options.availabilities=[]]
+ * @param {String} [options.timeZone='UTC'] Timezone days and weeks are counted in
+ * @return {Array<Object>} Violations as `{ key, constraint, severity, jurisdiction, priority, assigneeId, items, params }`,
+ *                         errors first and then by priority
+ */
+export function validateSchedule({ items = [], constraints = [], availabilities = [], timeZone = 'UTC' } = {}) {
+    const active = getActiveConstraints(constraints);
+    const byAssignee = new Map();
+
+    for (const item of items) {
+        if (item.isDeleted || item.status === 'cancelled' || !item.assignee_uuid || !item.start_at || !item.end_at || new Date(item.end_at) <= new Date(item.start_at)) {
+            continue;
+        }
+
+        byAssignee.set(item.assignee_uuid, [...(byAssignee.get(item.assignee_uuid) ?? []), item]);
+    }
+
+    const violations = [];
+    for (const [assigneeId, assigneeItems] of byAssignee) {
+        for (const constraint of active) {
+            const covered = assigneeItems.filter((item) => constraintAppliesTo(constraint, item));
+            if (!covered.length) {
+                continue;
+            }
+
+            switch (constraint.constraint_key) {
+                case 'max_hours_per_day':
+                case 'max_hours_per_week':
+                    violations.push(...checkHours(constraint, assigneeId, getDailyMinutes(covered, timeZone)));
+                    break;
+                case 'min_rest_hours':
+                    violations.push(...checkRest(constraint, assigneeId, covered));
+                    break;
+                case 'min_break_minutes':
+                    violations.push(...checkBreaks(constraint, assigneeId, covered));
+                    break;
+                case 'availability':
+                    violations.push(...checkAvailability(constraint, assigneeId, covered, Array.from(availabilities ?? []), timeZone));
+                    break;
+            }
+        }
+    }
+
+    return violations.sort((a, b) => VIOLATION_SEVERITIES.indexOf(b.severity) - VIOLATION_SEVERITIES.indexOf(a.severity) || b.priority - a.priority);
+}
+
+/**
+ * The violations each item is part of.
+ *
+ * @param {Array<Object>} violations See `validateSchedule`
+ * @return {Map<ScheduleItemModel, Array<Object>>}
+ */
+export function groupViolationsByItem(violations = []) {
+    const groups = new Map();
+
+    for (const violation of violations) {
+        for (const item of violation.items) {
+            groups.set(item, [...(groups.get(item) ?? []), violation]);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * The most severe of some violations.
+ *
+ * @param {Array<Object>} violations
+ * @return {String|null}
+ */
+export function getHighestSeverity(violations = []) {
+    return violations.reduce((highest, { severity }) => (VIOLATION_SEVERITIES.indexOf(severity) > VIOLATION_SEVERITIES.indexOf(highest) ? severity : highest), null);
+}
+
+export default validateSchedule;
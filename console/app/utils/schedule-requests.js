@@ -0,0 +1,120 @@
+import { debug } from '@ember/debug';
+
+/**
+ * A driver can ask to swap a shift with a colleague, who takes it over or exchanges it for one of theirs, or to drop it
+ * so it becomes an open shift.
+ */
+export const SCHEDULE_REQUEST_TYPES = ['swap', 'drop'];
+
+export const SCHEDULE_REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+/**
+ * Check a request before it is submitted.
+ *
+ * @param {ScheduleRequestModel} request
+ * @param {ScheduleItemModel} item The shift the request is for
+ * @param {Object} [options]
+ * @param {ScheduleItemModel} [options.targetItem] The shift offered in exchange
+ * @param {Date} [options.now=new Date()]
+ * @return {Array<String>} Error codes, empty when the request can be submitted
+ */
+export function validateScheduleRequest(request, item, { targetItem = null, now = new Date() } = {}) {
+    const errors = [];
+
+    if (!SCHEDULE_REQUEST_TYPES.includes(request.type)) {
+        errors.push('type-required');
+    }
+
+    if (!item) {
+        return [...errors, 'item-required'];
+    }
+
+    if (item.assignee_uuid !== request.requester_uuid) {
+        errors.push('not-assigned');
+    }
+
+    if (new Date(item.start_at) <= now) {
+        errors.push('already-started');
+    }
+
+    if (request.type === 'swap') {
+        if (!request.target_uuid) {
+            errors.push('target-required');
+        } else if (request.target_uuid === request.requester_uuid) {
+            errors.push('target-is-requester');
+        } else if (targetItem && (targetItem.assignee_uuid !== request.target_uuid || new Date(targetItem.start_at) <= now)) {
+            errors.push('target-item-unavailable');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * The changes approving a request makes to the schedule: a dropped shift is left unassigned, a swapped shift is
+ * assigned to the colleague and, for an exchange, the shift of the colleague to the requester.
+ *
+ * @param {ScheduleRequestModel} request
+ * @param {ScheduleItemModel} item
+ * @param {ScheduleItemModel} [targetItem]
+ * @return {Array<Object>} `{ record, changes }`
+ */
+export function getScheduleRequestChanges(request, item, targetItem = null) {
+    if (request.type === 'drop') {
+        return [{ record: item, changes: { assignee_uuid: null, assignee_type: null } }];
+    }
+
+    const changes = [{ record: item, changes: { assignee_uuid: request.target_uuid, assignee_type: request.target_type ?? 'driver' } }];
+    if (targetItem) {
+        changes.push({ record: targetItem, changes: { assignee_uuid: request.requester_uuid, assignee_type: request.requester_type ?? 'driver' } });
+    }
+
+    return changes;
+}
+
+/**
+ * Save the changes approving a request makes one record at a time. When a save fails, the records already saved are
+ * put back the way they were, so the schedule is never left half changed.
+ *
+ * @param {Array<Object>} changes See `getScheduleRequestChanges`
+ * @return {Promise<Function>} Resolves with a function undoing the saved changes, for when a later step fails
+ */
+export async function applyScheduleRequestChanges(changes = []) {
+    const saved = [];
+    const undo = async () => {
+        for (const { record, previous } of [...saved].reverse()) {
+            record.setProperties(previous);
+            await record.save();
+        }
+    };
+
+    for (const { record, changes: properties } of changes) {
+        const previous = Object.keys(properties).reduce((previous, key) => ({ ...previous, [key]: record[key] ?? null }), {});
+
+        try {
+            record.setProperties(properties);
+            await record.save();
+            saved.push({ record, previous });
+        } catch (error) {
+            record.rollbackAttributes();
+            await undo().catch((undoError) => debug(`Unable to undo schedule request changes : ${undoError.message}`));
+            throw error;
+        }
+    }
+
+    return undo;
+}
+
+/**
+ * Whether a request can still be decided: it is pending and its shift is still the requester's and has not started.
+ *
+ * @param {ScheduleRequestModel} request
+ * @param {ScheduleItemModel} item
+ * @param {Date} [now=new Date()]
+ * @return {Boolean}
+ */
+export function canReviewScheduleRequest(request, item, now = new Date()) {
+    return request.status === 'pending' && Boolean(item) && item.assignee_uuid === request.requester_uuid && new Date(item.start_at) > now;
+}
+
+export default validateScheduleRequest;
@@ -0,0 +1,320 @@
+import { getActiveConstraints, getConstraintSeverity, getDailyMinutes, getWeekKey } from './schedule-constraints';
+import { expandAvailability } from './rrule';
+import { toDateKey } from './schedule-calendar';
+import { applyScheduleRequestChanges } from './schedule-requests';
+import { addCalendarDays, getZonedParts } from './timezone';
+
+/**
+ * Constraint keys the solver enforces. Breaks are part of the shift and do not depend on who works it.
+ */
+export const SOLVER_CONSTRAINT_KEYS = ['max_hours_per_day', 'max_hours_per_week', 'min_rest_hours'];
+
+/**
+ * How assignments are scored: each level of preference a driver has for a shift adds `preference`, each hour a driver
+ * already works takes off `fairness` and each soft constraint broken takes off `softConstraint`.
+ */
+export const DEFAULT_SOLVER_WEIGHTS = { preference: 10, fairness: 1, softConstraint: 25 };
+
+/**
+ * Describe a shift by plain values the worker can compare without timezones.
+ *
+ * @param {ScheduleItemModel} item
+ * @param {String} timeZone
+ * @return {Object} `{ start, end, minutes, days, weeks }`, times in milliseconds and minutes worked per `yyyy-MM-dd`
+ */
+export function toSolverShift(item, timeZone = 'UTC') {
+    const days = {};
+    const weeks = {};
+
+    for (const [key, { minutes }] of getDailyMinutes([item], timeZone)) {
+        const week = getWeekKey(key);
+        days[key] = minutes;
+        weeks[week] = (weeks[week] ?? 0) + minutes;
+    }
+
+    return {
+        start: new Date(item.start_at).getTime(),
+        end: new Date(item.end_at).getTime(),
+        minutes: Object.values(days).reduce((total, minutes) => total + minutes, 0),
+        days,
+        weeks,
+    };
+}
+
+/**
+ * Gather what the solver needs to propose assignees for open items: the shifts each driver already works, when they
+ * are unavailable or prefer to work, and the constraints covering them.
+ *
+ * @param {Object} options
+ * @param {Array<ScheduleItemModel>} options.openItems Items to assign, referred to by their index in the proposal
+ * @param {Array<ScheduleItemModel>} options.items All items of the schedule
+ * @param {Array<DriverModel>} options.drivers
+ * @param {Array<ScheduleConstraintModel>} [options.constraints=[]]
+ * @param {Array<ScheduleAvailabilityModel>} [options.availabilities=[]]
+ * @param {ScheduleModel} [options.schedule]
+ * @param {String} [options.timeZone='UTC']
+ * @return {Object} `{ shifts, drivers }`
+ */
+export function prepareSolverInput({ openItems = [], items = [], drivers = [], constraints = [], availabilities = [], schedule = null, timeZone = 'UTC' }) {
+    const shifts = openItems.map((item) => toSolverShift(item, timeZone));
+    const active = getActiveConstraints(constraints).filter((constraint) => SOLVER_CONSTRAINT_KEYS.includes(constraint.constraint_key));
+
+    // Availability windows are expanded over the open items, with a day either side for windows running overnight
+    const starts = shifts.map(({ start }) => start);
+    const ends = shifts.map(({ end }) => end);
+    const from = starts.length ? toDateKey(addCalendarDays(getZonedParts(new Date(Math.min(...starts)), timeZone), -1)) : null;
+    const to = ends.length ? toDateKey(addCalendarDays(getZonedParts(new Date(Math.max(...ends)), timeZone), 1)) : null;
+
+    return {
+        shifts,
+        drivers: drivers.map((driver) => {
+            const windows = Array.from(availabilities ?? []).filter((availability) => availability.subject_uuid === driver.id);
+            const expand = (availability) =>
+                from
+                    ? expandAvailability(availability, { from, to, timeZone }).map(({ start, end }) => ({
+                          start: start.getTime(),
+                          end: end.getTime(),
+                          level: availability.preference_level ?? 0,
+                      }))
+                    : [];
+
+            return {
+                id: driver.id,
+                shifts: items
+                    .filter((item) => item.assignee_uuid === driver.id && !item.isDeleted && item.status !== 'cancelled' && item.start_at && item.end_at)
+                    .map((item) => toSolverShift(item, timeZone)),
+                unavailable: windows.filter((availability) => availability.is_available === false).flatMap(expand),
+                preferred: windows.filter((availability) => availability.is_available !== false).flatMap(expand),
+                rules: active
+                    .filter((constraint) => !constraint.subject_uuid || constraint.subject_uuid === driver.id || constraint.subject_uuid === schedule?.id)
+                    .map((constraint) => ({ key: constraint.constraint_key, limit: parseFloat(constraint.constraint_value), hard: getConstraintSeverity(constraint) === 'error' })),
+            };
+        }),
+    };
+}
+
+/**
+ * Worker body which proposes a driver for each open shift.
+ *
+ * Shifts are assigned most constrained first, the one with the fewest drivers able to work it, to the driver with the
+ * best score. Drivers are never proposed for shifts overlapping their other shifts or their unavailability, nor when
+ * that breaks a hard constraint.
+ *
+ * The function is serialized into a Blob URL to boot the worker, so it must not reference anything outside of its own
+ * scope. It communicates with the following messages:
+ *
+ * - in: `{ type: 'solve', shifts, drivers, weights }` as prepared by `prepareSolverInput`
+ * - out: `{ type: 'progress', done, total }`, `{ type: 'done', assignments, unassigned }`, `{ type: 'error', message }`
+ *
+ * Assignments are `{ shift, driver, preference, softViolations, score }` and unassigned shifts `{ shift, reason }`, where
+ * `shift` is the index of the shift and `reason` what kept most drivers from working it.
+ *
+ * @export
+ * @param {Object} scope The worker global scope, or any object exposing `postMessage`
+ */
+export default function scheduleSolverWorker(scope) {
+    const HOUR = 3600000;
+
+    function overlaps(a, b) {
+        return a.start < b.end && b.start < a.end;
+    }
+
+    function sumBy(shifts, period, key) {
+        return shifts.reduce((total, shift) => total + (shift[period][key] ?? 0), 0);
+    }
+
+    function getBrokenRules(driver, shift) {
+        return driver.rules.filter(({ key, limit }) => {
+            if (key === 'max_hours_per_day') {
+                return Object.keys(shift.days).some((day) => sumBy(driver.shifts, 'days', day) + shift.days[day] > limit * 60);
+            }
+
+            if (key === 'max_hours_per_week') {
+                return Object.keys(shift.weeks).some((week) => sumBy(driver.shifts, 'weeks', week) + shift.weeks[week] > limit * 60);
+            }
+
+            return driver.shifts.some((other) => (shift.start >= other.end ? shift.start - other.end : other.start - shift.end) < limit * HOUR);
+        });
+    }
+
+    function evaluate(driver, shift, weights) {
+        if (driver.shifts.some((other) => overlaps(other, shift))) {
+            return { feasible: false, reason: 'overlap' };
+        }
+
+        if (driver.unavailable.some((window) => overlaps(window, shift))) {
+            return { feasible: false, reason: 'unavailable' };
+        }
+
+        const broken = getBrokenRules(driver, shift);
+        const hard = broken.find((rule) => rule.hard);
+        if (hard) {
+            return { feasible: false, reason: hard.key };
+        }
+
+        const preference = driver.preferred.filter((window) => window.start <= shift.start && window.end >= shift.end).reduce((level, window) => Math.max(level, window.level), 0);
+        const workedHours = driver.shifts.reduce((total, other) => total + other.minutes, 0) / 60;
+
+        return {
+            feasible: true,
+            preference,
+            softViolations: broken.length,
+            score: preference * weights.preference - workedHours * weights.fairness - broken.length * weights.softConstraint,
+        };
+    }
+
+    function mostCommon(values) {
+        const counts = values.reduce((counts, value) => ({ ...counts, [value]: (counts[value] ?? 0) + 1 }), {});
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] ?? 'no-drivers';
+    }
+
+    function solve({ shifts = [], drivers = [], weights = {} }) {
+        weights = { preference: 10, fairness: 1, softConstraint: 25, ...weights };
+        drivers = drivers.map((driver) => ({ ...driver, shifts: [...driver.shifts] }));
+
+        const evaluations = shifts.map((shift) => drivers.map((driver) => evaluate(driver, shift, weights)));
+        const remaining = new Set(shifts.map((shift, index) => index));
+        const assignments = [];
+        const unassigned = [];
+        const reportProgress = () => scope.postMessage({ type: 'progress', done: assignments.length + unassigned.length, total: shifts.length });
+
+        while (remaining.size) {
+            let index = null;
+            let fewest = Infinity;
+            for (const candidate of remaining) {
+                const feasible = evaluations[candidate].filter((evaluation) => evaluation.feasible).length;
+                if (feasible < fewest || (feasible === fewest && shifts[candidate].start < shifts[index].start)) {
+                    [index, fewest] = [candidate, feasible];
+                }
+            }
+
+            remaining.delete(index);
+
+            if (fewest === 0) {
+                unassigned.push({ shift: index, reason: mostCommon(evaluations[index].map(({ reason }) => reason)) });
+                reportProgress();
+                continue;
+            }
+
+            let best = null;
+            evaluations[index].forEach((evaluation, position) => {
+                if (evaluation.feasible && (!best || evaluation.score > best.evaluation.score)) {
+                    best = { evaluation, position };
+                }
+            });
+
+            const driver = drivers[best.position];
+            const { preference, softViolations, score } = best.evaluation;
+            driver.shifts.push(shifts[index]);
+            assignments.push({ shift: index, driver: driver.id, preference, softViolations, score });
+
+            // Only the driver who got the shift can have changed for the other shifts
+            for (const other of remaining) {
+                evaluations[other][best.position] = evaluate(driver, shifts[other], weights);
+            }
+
+            reportProgress();
+        }
+
+        scope.postMessage({ type: 'done', assignments, unassigned });
+    }
+
+    scope.onmessage = function ({ data = {} }) {
+        try {
+            if (data.type === 'solve') {
+                solve(data);
+            }
+        } catch (error) {
+            scope.postMessage({ type: 'error', message: error.message });
+        }
+    };
+}
+
+/**
+ * Boot the schedule solver worker. When Web Workers are not available the worker body runs on the main thread behind
+ * the same message interface.
+ *
+ * @export
+ * @return {Worker|Object} An object exposing `postMessage`, `terminate` and an assignable `onmessage`
+ */
+export function createScheduleSolverWorker() {
+    if (typeof Worker !== 'undefined' && typeof URL?.createObjectURL === 'function') {
+        try {
+            const url = URL.createObjectURL(new Blob([`(${scheduleSolverWorker.toString()})(self);`], { type: 'text/javascript' }));
+            const worker = new Worker(url);
+            const terminate = worker.terminate.bind(worker);
+            worker.terminate = () => {
+                terminate();
+                URL.revokeObjectURL(url);
+            };
+
+            return worker;
+        } catch {
+            // content security policy may block blob workers, fall through to the main thread
+        }
+    }
+
+    const client = { onmessage: null, terminated: false };
+    const scope = {
+        onmessage: null,
+        postMessage: (data) => !client.terminated && typeof client.onmessage === 'function' && client.onmessage({ data }),
+    };
+    scheduleSolverWorker(scope);
+
+    client.postMessage = (data) => {
+        if (!client.terminated) {
+            Promise.resolve().then(() => scope.onmessage({ data }));
+        }
+    };
+    client.terminate = () => {
+        client.terminated = true;
+    };
+
+    return client;
+}
+
+/**
+ * Run the solver on a worker until it is done or fails. The worker is left running, terminate it when done with it.
+ *
+ * @export
+ * @param {Worker|Object} worker See `createScheduleSolverWorker`
+ * @param {Object} input See `prepareSolverInput`
+ * @param {Object} [options]
+ * @param {Object} [options.weights] See `DEFAULT_SOLVER_WEIGHTS`
+ * @param {Function} [options.onProgress] Called with `{ done, total }`
+ * @return {Promise<Object>} `{ assignments, unassigned }`
+ */
+export function solveSchedule(worker, input, { weights = DEFAULT_SOLVER_WEIGHTS, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        worker.onmessage = ({ data = {} }) => {
+            if (data.type === 'progress' && typeof onProgress === 'function') {
+                onProgress(data);
+            }
+
+            if (data.type === 'done') {
+                resolve(data);
+            }
+
+            if (data.type === 'error') {
+                reject(new Error(data.message));
+            }
+        };
+
+        // The worker failed to boot or threw outside of a message
+        worker.onerror = (event) => reject(event.error ?? new Error(event.message));
+
+        worker.postMessage({ type: 'solve', ...input, weights });
+    });
+}
+
+/**
+ * Assign the accepted drivers one shift at a time. When a save fails, the shifts already assigned are opened again so
+ * the calendar and the server agree on which shifts were filled.
+ *
+ * @export
+ * @param {Array<Object>} selected `{ item, driver }` of the accepted assignments
+ * @return {Promise}
+ */
+export async function applySolverAssignments(selected = []) {
+    await applyScheduleRequestChanges(selected.map(({ item, driver }) => ({ record: item, changes: { assignee_uuid: driver.id, assignee_type: 'driver' } })));
+}
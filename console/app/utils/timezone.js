@@ -0,0 +1,170 @@
+const formatterCache = new Map();
+
+/**
+ * Get a cached `Intl.DateTimeFormat` which formats dates as wall clock parts in a timezone.
+ *
+ * @param {String} timeZone
+ * @return {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(
+            timeZone,
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+                weekday: 'short',
+            })
+        );
+    }
+
+    return formatterCache.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Checks if a timezone identifier is supported by the runtime.
+ *
+ * @param {String} timeZone
+ * @return {Boolean}
+ */
+export function isValidTimezone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the wall clock parts of a date in a timezone.
+ *
+ * @param {Date} date
+ * @param {String} [timeZone='UTC']
+ * @return {Object} { year, month (1-12), day, hour, minute, second, weekday (0-6) }
+ */
+export function getZonedParts(date, timeZone = 'UTC') {
+    const parts = {};
+
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type === 'weekday') {
+            parts.weekday = WEEKDAYS[value];
+        } else if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Get the offset in minutes of a timezone from UTC at the given instant.
+ *
+ * @param {Date} date
+ * @param {String} [timeZone='UTC']
+ * @return {Number}
+ */
+export function getTimezoneOffset(date, timeZone = 'UTC') {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall clock time in a timezone to the matching instant.
+ *
+ * Wall times which do not exist because of a DST gap are moved forward by the size of the gap,
+ * ambiguous wall times in a DST overlap resolve to the earlier instant.
+ *
+ * @param {Object} wallTime { year, month (1-12), day, hour, minute, second }
+ * @param {String} [timeZone='UTC']
+ * @return {Date}
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = 'UTC') {
+    const localTs = Date.UTC(year, month - 1, day, hour, minute, second);
+    const initialOffset = getTimezoneOffset(new Date(localTs), timeZone);
+    let guess = localTs - initialOffset * 60000;
+    const guessOffset = getTimezoneOffset(new Date(guess), timeZone);
+
+    if (guessOffset !== initialOffset) {
+        guess = localTs - guessOffset * 60000;
+        const correctedOffset = getTimezoneOffset(new Date(guess), timeZone);
+
+        // wall time falls inside a DST gap, shift forward by the size of the gap
+        if (correctedOffset !== guessOffset) {
+            return new Date(localTs - Math.min(guessOffset, correctedOffset) * 60000);
+        }
+    }
+
+    // prefer the earlier instant when the wall time is ambiguous
+    const earlier = getZonedParts(new Date(guess - 3600000), timeZone);
+    if (earlier.day === day && earlier.hour === hour && earlier.minute === minute) {
+        return new Date(guess - 3600000);
+    }
+
+    return new Date(guess);
+}
+
+/**
+ * Add a number of calendar days to a `{ year, month, day }` date, ignoring time.
+ *
+ * @param {Object} date { year, month (1-12), day }
+ * @param {Number} days
+ * @return {Object} { year, month, day, weekday }
+ */
+export function addCalendarDays({ year, month, day }, days) {
+    const next = new Date(Date.UTC(year, month - 1, day + days));
+
+    return {
+        year: next.getUTCFullYear(),
+        month: next.getUTCMonth() + 1,
+        day: next.getUTCDate(),
+        weekday: next.getUTCDay(),
+    };
+}
+
+/**
+ * Number of days in a month.
+ *
+ * @param {Number} year
+ * @param {Number} month 1-12
+ * @return {Number}
+ */
+export function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Format a date as wall clock time in a timezone.
+ *
+ * @param {Date} date
+ * @param {String} [timeZone='UTC']
+ * @param {Object} [options={ dateStyle: 'medium', timeStyle: 'short' }] `Intl.DateTimeFormat` options
+ * @return {String}
+ */
+export function formatInTimezone(date, timeZone = 'UTC', options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    return new Intl.DateTimeFormat(undefined, { ...options, timeZone }).format(date);
+}
+
+export default {
+    isValidTimezone,
+    formatInTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToDate,
+    addCalendarDays,
+    daysInMonth,
+};
@@ -0,0 +1,144 @@
+/**
+ * Grid densities a user can pick, compact fits more widgets on screen.
+ */
+export const DASHBOARD_DENSITIES = {
+    comfortable: { cellHeight: 30, margin: 10 },
+    compact: { cellHeight: 24, margin: 4 },
+};
+
+export const DEFAULT_DENSITY = 'comfortable';
+
+/**
+ * Breakpoints with their own layout profile, from the smallest up. The widest breakpoint uses the layout saved at the
+ * top level of `grid_options`, the others keep theirs under `grid_options.breakpoints`.
+ */
+export const LAYOUT_BREAKPOINTS = [
+    { name: 'sm', minWidth: 0 },
+    { name: 'md', minWidth: 768 },
+    { name: 'lg', minWidth: 1280 },
+];
+
+export const DEFAULT_BREAKPOINT = 'lg';
+
+/**
+ * Layout properties kept per breakpoint.
+ */
+const LAYOUT_KEYS = ['x', 'y', 'w', 'h'];
+
+/**
+ * Get the breakpoint of a viewport width.
+ *
+ * @param {Number} width
+ * @return {String}
+ */
+export function getBreakpoint(width) {
+    return LAYOUT_BREAKPOINTS.reduce((current, breakpoint) => (width >= breakpoint.minWidth ? breakpoint.name : current), LAYOUT_BREAKPOINTS[0].name);
+}
+
+function pickLayout(layout = {}) {
+    return LAYOUT_KEYS.reduce((picked, key) => (Number.isFinite(layout?.[key]) ? { ...picked, [key]: layout[key] } : picked), {});
+}
+
+/**
+ * Get the grid options of a widget at a breakpoint, breakpoints without a profile use the default layout.
+ *
+ * @param {Object} [gridOptions={}]
+ * @param {String} [breakpoint=DEFAULT_BREAKPOINT]
+ * @return {Object} Grid options without the breakpoint profiles
+ */
+export function getWidgetLayout(gridOptions = {}, breakpoint = DEFAULT_BREAKPOINT) {
+    const { breakpoints = {}, ...layout } = gridOptions ?? {};
+    return breakpoint === DEFAULT_BREAKPOINT ? layout : { ...layout, ...pickLayout(breakpoints?.[breakpoint]) };
+}
+
+/**
+ * Save a layout change to the profile of a breakpoint.
+ *
+ * @param {Object} [gridOptions={}]
+ * @param {String} breakpoint
+ * @param {Object} layout `{ x, y, w, h }`
+ * @return {Object} The new grid options
+ */
+export function setWidgetLayout(gridOptions = {}, breakpoint, layout = {}) {
+    const current = gridOptions ?? {};
+
+    if (breakpoint === DEFAULT_BREAKPOINT) {
+        return { ...current, ...pickLayout(layout) };
+    }
+
+    const breakpoints = current.breakpoints ?? {};
+    return { ...current, breakpoints: { ...breakpoints, [breakpoint]: { ...breakpoints[breakpoint], ...pickLayout(layout) } } };
+}
+
+/**
+ * Drop the breakpoint profiles of a widget, every breakpoint goes back to the default layout.
+ *
+ * @param {Object} [gridOptions={}]
+ * @return {Object}
+ */
+export function resetWidgetLayouts(gridOptions = {}) {
+    // eslint-disable-next-line no-unused-vars
+    const { breakpoints, ...layout } = gridOptions ?? {};
+    return layout;
+}
+
+/**
+ * Normalize the preference of a user for a widget.
+ *
+ * @param {Object} [preference={}]
+ * @return {Object} `{ collapsed, hidden, title, options, updated_at }`
+ */
+export function normalizeWidgetPreference(preference = {}) {
+    return {
+        collapsed: preference?.collapsed === true,
+        hidden: preference?.hidden === true,
+        title: typeof preference?.title === 'string' && preference.title.trim() ? preference.title.trim() : null,
+        options: preference?.options && typeof preference.options === 'object' ? preference.options : {},
+        updated_at: preference?.updated_at ?? null,
+    };
+}
+
+/**
+ * Whether a preference changes nothing about the widget.
+ *
+ * @param {Object} preference
+ * @return {Boolean}
+ */
+export function isDefaultPreference(preference) {
+    const { collapsed, hidden, title, options } = normalizeWidgetPreference(preference);
+    return !collapsed && !hidden && !title && Object.keys(options).length === 0;
+}
+
+/**
+ * Get the options a widget renders with, the preference of the user is applied on top of the widget options.
+ *
+ * @param {Object} widget `{ name, options }`
+ * @param {Object} [preference={}]
+ * @return {Object}
+ */
+export function getPreferredWidgetOptions(widget = {}, preference = {}) {
+    const { title, options } = normalizeWidgetPreference(preference);
+    return { ...(widget?.options ?? {}), ...options, ...(title ? { title } : {}) };
+}
+
+/**
+ * Merge the preferences kept on this device with the ones saved on the server, the latest change to a widget wins.
+ *
+ * @param {Object} [local={}] Preferences keyed by widget id
+ * @param {Object} [remote={}] Preferences keyed by widget id
+ * @return {Object}
+ */
+export function mergeWidgetPreferences(local = {}, remote = {}) {
+    const merged = { ...(remote ?? {}) };
+
+    for (const [id, preference] of Object.entries(local ?? {})) {
+        const saved = merged[id];
+        if (!saved || new Date(preference?.updated_at ?? 0) > new Date(saved?.updated_at ?? 0)) {
+            merged[id] = preference;
+        }
+    }
+
+    return merged;
+}
+
+export default normalizeWidgetPreference;
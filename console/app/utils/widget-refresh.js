@@ -0,0 +1,109 @@
+import { isArray } from '@ember/array';
+
+/**
+ * Refresh intervals offered for dashboards and widgets, in seconds. `0` turns auto-refresh off.
+ */
+export const REFRESH_INTERVALS = [0, 30, 60, 300, 900];
+
+/**
+ * Shortest refresh interval allowed, in seconds.
+ */
+export const MIN_REFRESH_INTERVAL = 10;
+
+/**
+ * Read a refresh interval, `null` when it is not set.
+ *
+ * @param {*} value
+ * @return {Number|null}
+ */
+function toInterval(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const interval = parseInt(value, 10);
+    if (isNaN(interval) || interval <= 0) {
+        return 0;
+    }
+
+    return Math.max(MIN_REFRESH_INTERVAL, interval);
+}
+
+/**
+ * Get the refresh interval of a widget in seconds, the widget setting overrides the dashboard setting.
+ *
+ * @param {Object} [widgetOptions={}] `{ refresh_interval }`
+ * @param {Object} [dashboardOptions={}] `{ refresh_interval }`
+ * @return {Number} `0` when the widget does not refresh
+ */
+export function getRefreshInterval(widgetOptions = {}, dashboardOptions = {}) {
+    return toInterval(widgetOptions?.refresh_interval) ?? toInterval(dashboardOptions?.refresh_interval) ?? 0;
+}
+
+/**
+ * Checks if a widget is live, only widgets declaring the socket events they refresh on can be live.
+ * The widget setting overrides the dashboard setting.
+ *
+ * @param {Object} [widgetOptions={}] `{ live, live_events }`
+ * @param {Object} [dashboardOptions={}] `{ live }`
+ * @return {Boolean}
+ */
+export function isLiveWidget(widgetOptions = {}, dashboardOptions = {}) {
+    if (!isArray(widgetOptions?.live_events) || widgetOptions.live_events.length === 0) {
+        return false;
+    }
+
+    return Boolean(widgetOptions.live ?? dashboardOptions?.live ?? false);
+}
+
+/**
+ * Checks if a socket event is one of the events a widget refreshes on, an event ending with a dot matches every
+ * event starting with it.
+ *
+ * @param {Array<String>} events
+ * @param {String} event
+ * @return {Boolean}
+ */
+export function matchesLiveEvent(events = [], event) {
+    if (typeof event !== 'string') {
+        return false;
+    }
+
+    return (events ?? []).some((pattern) => (pattern.endsWith('.') ? event.startsWith(pattern) : event === pattern));
+}
+
+/**
+ * Checks if a widget is due for a refresh, counted from its last refresh whether it succeeded or not.
+ *
+ * @param {Date|null} lastRefreshAt `null` until the widget first loads
+ * @param {Number} interval Seconds, `0` never refreshes
+ * @param {Date} [now=new Date()]
+ * @return {Boolean}
+ */
+export function isRefreshDue(lastRefreshAt, interval, now = new Date()) {
+    if (!interval || !lastRefreshAt) {
+        return false;
+    }
+
+    return now.getTime() - new Date(lastRefreshAt).getTime() >= interval * 1000;
+}
+
+/**
+ * Describe a refresh interval for display.
+ *
+ * @param {Number|null} interval Seconds, `null` inherits the dashboard interval
+ * @return {Object} `{ unit, count }`, unit is one of `default`, `off`, `seconds` or `minutes`
+ */
+export function describeRefreshInterval(interval) {
+    if (interval === null || interval === undefined) {
+        return { unit: 'default', count: null };
+    }
+
+    if (!interval) {
+        return { unit: 'off', count: 0 };
+    }
+
+    return interval < 60 || interval % 60 !== 0 ? { unit: 'seconds', count: interval } : { unit: 'minutes', count: interval / 60 };
+}
+
+export default getRefreshInterval;
@@ -19,6 +19,7 @@ Router.map(function () {
         this.route('verification');
         this.route('portal-login', { path: '/portal' });
     });
+    this.route('kiosk');
     this.route('invite', { path: 'join' }, function () {
         this.route('for-driver', { path: '/fleet/:public_id' });
         this.route('for-user', { path: '/org/:public_id' });
@@ -26,6 +27,26 @@ Router.map(function () {
     this.route('console', { path: '/' }, function () {
         this.route('home', { path: '/' });
         this.route('notifications');
+        this.route('alerts', function () {
+            this.route('rules', function () {
+                this.route('new');
+                this.route('edit', { path: '/:id' });
+            });
+            this.route('escalation-policies', function () {
+                this.route('new');
+                this.route('edit', { path: '/:id' });
+            });
+            this.route('on-call', function () {
+                this.route('new');
+                this.route('edit', { path: '/:id' });
+            });
+        });
+        this.route('schedules', function () {
+            this.route('templates');
+            this.route('mine');
+            this.route('requests');
+        });
+        this.route('reports');
         this.route('account', function () {
             this.route('virtual', { path: '/:slug' });
             this.route('auth');
@@ -35,6 +56,7 @@ Router.map(function () {
             this.route('virtual', { path: '/:slug' });
             this.route('two-fa');
             this.route('notifications');
+            this.route('announcements');
         });
         this.route('virtual', { path: '/:slug' });
         this.route('admin', function () {
@@ -59,6 +81,7 @@ Router.map(function () {
             this.route('schedule-monitor', function () {
                 this.route('logs', { path: '/:id/logs' });
             });
+            this.route('widget-diagnostics');
         });
     });
     this.route('catch', { path: '/*' });
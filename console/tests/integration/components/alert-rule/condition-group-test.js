@@ -0,0 +1,20 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | alert-rule/condition-group', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders nested groups', async function (assert) {
+        this.set('conditions', [
+            { id: 'a', metric: 'speed', operator: '>', threshold: 100, logicalOperator: 'and' },
+            { id: 'b', operator: 'or', logicalOperator: 'and', conditions: [{ id: 'c', metric: 'fuel_level', operator: 'between', threshold: [5, 10], logicalOperator: 'or' }] },
+        ]);
+
+        await render(hbs`<AlertRule::ConditionGroup @conditions={{this.conditions}} @metrics={{array "speed" "fuel_level"}} />`);
+
+        assert.dom('.alert-rule-condition-group').exists({ count: 2 });
+        assert.dom('.alert-rule-condition').exists({ count: 2 });
+    });
+});
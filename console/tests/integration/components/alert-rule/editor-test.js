@@ -0,0 +1,17 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | alert-rule/editor', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('rule', store.createRecord('alert-rule', { conditions: [], window: { minutes: 5, aggregate: 'avg' }, subject_scope: {} }));
+
+        await render(hbs`<AlertRule::Editor @rule={{this.rule}} />`);
+
+        assert.dom('.alert-rule-editor').exists();
+    });
+});
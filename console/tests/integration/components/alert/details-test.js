@@ -0,0 +1,19 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | alert/details', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('alert', store.createRecord('alert', { type: 'fuel', severity: 'high', message: 'Fuel level low', context: { value: 8 }, rule: { operator: '<', threshold: 10 } }));
+        this.set('noop', () => {});
+
+        await render(hbs`<Alert::Details @alert={{this.alert}} @onAcknowledge={{this.noop}} @onResolve={{this.noop}} @onSnooze={{this.noop}} @onAssign={{this.noop}} />`);
+
+        assert.dom('.alert-details').exists();
+        assert.dom('.alert-details h3').hasText('Fuel level low');
+    });
+});
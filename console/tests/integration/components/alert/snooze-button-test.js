@@ -0,0 +1,14 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | alert/snooze-button', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        await render(hbs`<Alert::SnoozeButton />`);
+
+        assert.dom('.alert-snooze-button').exists();
+    });
+});
@@ -0,0 +1,15 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | announcement/editor', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('announcement', this.owner.lookup('service:store').createRecord('announcement', { title: 'Depot closed on Friday' }));
+        await render(hbs`<Announcement::Editor @announcement={{this.announcement}} />`);
+
+        assert.dom('.announcement-editor').exists();
+    });
+});
@@ -0,0 +1,14 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | dashboard/announcements', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        await render(hbs`<Dashboard::Announcements />`);
+
+        assert.dom('.dashboard-announcements').exists();
+    });
+});
@@ -23,4 +23,23 @@ module('Integration | Component | dashboard/count', function (hooks) {
 
         assert.dom(this.element).hasText('template block text');
     });
+
+    test('it renders a formatted value with trend, sparkline and threshold', async function (assert) {
+        this.set('options', {
+            title: 'Completed orders',
+            value: 1500,
+            format: 'compact',
+            previousValue: 1200,
+            history: [900, 1200, 1500],
+            thresholds: [{ value: 1000, status: 'success' }],
+        });
+
+        await render(hbs`<Dashboard::Count @options={{this.options}} />`);
+
+        assert.dom('.dashboard-component-count h3').hasText('Completed orders');
+        assert.dom('.dashboard-component-count h1').hasText('1.5K');
+        assert.dom('.dashboard-component-count h1').hasAttribute('data-status', 'success');
+        assert.dom('.dashboard-component-count-trend').includesText('25%');
+        assert.dom('.dashboard-component-count-sparkline path').exists();
+    });
 });
@@ -0,0 +1,15 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | dashboard/create', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('dashboard', { widgets: [] });
+        await render(hbs`<Dashboard::Create @dashboard={{this.dashboard}} />`);
+
+        assert.dom('.fleetbase-dashboard-grid').exists();
+    });
+});
@@ -0,0 +1,15 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | dashboard/kiosk', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('playlist', []);
+        await render(hbs`<Dashboard::Kiosk @playlist={{this.playlist}} />`);
+
+        assert.dom('.dashboard-kiosk').exists();
+    });
+});
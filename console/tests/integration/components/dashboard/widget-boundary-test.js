@@ -0,0 +1,56 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+import Component from '@glimmer/component';
+import { setComponentTemplate } from '@ember/component';
+import { task } from 'ember-concurrency';
+
+class FailingWidgetComponent extends Component {
+    constructor() {
+        super(...arguments);
+        this.load.perform();
+    }
+
+    @task *load() {
+        try {
+            yield Promise.reject(new Error('Boom'));
+        } catch (error) {
+            this.args.onError(error);
+        }
+    }
+}
+
+module('Integration | Component | dashboard/widget-boundary', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('widget', { id: 'widget-1', name: 'Count', component: 'dashboard/count', options: { title: 'Orders', value: 12 } });
+        await render(hbs`<Dashboard::WidgetBoundary @widget={{this.widget}} />`);
+
+        assert.dom('.dashboard-widget-boundary').exists();
+    });
+
+    test('it shows a failure card for missing components', async function (assert) {
+        this.set('widget', { id: 'widget-2', name: 'Missing', component: 'dashboard/does-not-exist' });
+        await render(hbs`<Dashboard::WidgetBoundary @widget={{this.widget}} />`);
+
+        assert.dom('.dashboard-widget-boundary').includesText('dashboard/does-not-exist');
+        assert.dom('.dashboard-widget-boundary button').exists();
+    });
+
+    test('it shows a failure card for widgets which fail to load without breaking the others', async function (assert) {
+        this.owner.register('component:test-widget/failing', setComponentTemplate(hbs`<div class="failing-widget"></div>`, FailingWidgetComponent));
+        this.set('failing', { id: 'widget-3', name: 'Failing', component: 'test-widget/failing' });
+        this.set('sibling', { id: 'widget-4', name: 'Count', component: 'dashboard/count', options: { title: 'Orders', value: 12 } });
+
+        await render(hbs`
+            <Dashboard::WidgetBoundary class="failing" @widget={{this.failing}} />
+            <Dashboard::WidgetBoundary class="sibling" @widget={{this.sibling}} />
+        `);
+
+        assert.dom('.failing').includesText('Boom');
+        assert.dom('.failing .failing-widget').doesNotExist();
+        assert.dom('.sibling').includesText('Orders');
+    });
+});
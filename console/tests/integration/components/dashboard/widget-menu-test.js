@@ -0,0 +1,15 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | dashboard/widget-menu', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('widget', { id: 'widget-1', name: 'Orders' });
+        await render(hbs`<Dashboard::WidgetMenu @widget={{this.widget}} @preference={{hash collapsed=false}} />`);
+
+        assert.dom('.dashboard-widget-menu').exists();
+    });
+});
@@ -0,0 +1,17 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | escalation-policy/editor', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('policy', store.createRecord('escalation-policy', { severities: [], urgency_levels: [], tiers: [] }));
+
+        await render(hbs`<EscalationPolicy::Editor @policy={{this.policy}} />`);
+
+        assert.dom('.escalation-policy-editor').exists();
+    });
+});
@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | escalation-policy/tier', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('tier', { id: 'tier', wait_minutes: 15, targets: [], transports: ['email'] });
+
+        await render(hbs`<EscalationPolicy::Tier @tier={{this.tier}} @index={{0}} />`);
+
+        assert.dom('.escalation-policy-tier').exists();
+    });
+});
@@ -0,0 +1,17 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | escalation-policy/timeline', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders a step for every tier and round', async function (assert) {
+        this.set('policy', { repeat_count: 1, tiers: [{ wait_minutes: 5, targets: [], transports: ['email'] }] });
+
+        await render(hbs`<EscalationPolicy::Timeline @policy={{this.policy}} />`);
+
+        assert.dom('.escalation-policy-timeline').exists();
+        assert.dom('.escalation-policy-timeline li').exists({ count: 2 });
+    });
+});
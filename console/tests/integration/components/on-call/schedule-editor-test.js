@@ -0,0 +1,17 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | on-call/schedule-editor', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('schedule', store.createRecord('schedule', { subject_type: 'on-call' }));
+
+        await render(hbs`<OnCall::ScheduleEditor @schedule={{this.schedule}} />`);
+
+        assert.dom('.on-call-schedule-editor').exists();
+    });
+});
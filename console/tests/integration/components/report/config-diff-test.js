@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | report/config-diff', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('changes', [{ path: 'limit', type: 'changed', before: 100, after: 50 }]);
+
+        await render(hbs`<Report::ConfigDiff @changes={{this.changes}} />`);
+
+        assert.dom('.report-config-diff').includesText('limit');
+    });
+});
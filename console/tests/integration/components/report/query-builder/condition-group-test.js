@@ -0,0 +1,20 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | report/query-builder/condition-group', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders nested groups', async function (assert) {
+        this.set('conditions', [
+            { id: 'a', field: null, operator: null, value: null, logicalOperator: 'and' },
+            { id: 'b', operator: 'or', logicalOperator: 'and', conditions: [{ id: 'c', field: null, operator: null, value: null, logicalOperator: 'or' }] },
+        ]);
+
+        await render(hbs`<Report::QueryBuilder::ConditionGroup @conditions={{this.conditions}} @columns={{array}} />`);
+
+        assert.dom('.report-query-builder-condition-group').exists({ count: 2 });
+        assert.dom('.report-query-builder-condition').exists({ count: 2 });
+    });
+});
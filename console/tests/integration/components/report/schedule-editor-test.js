@@ -0,0 +1,28 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | report/schedule-editor', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('report', store.createRecord('report', { is_scheduled: true, schedule_frequency: '0 8 * * 1' }));
+
+        await render(hbs`<Report::ScheduleEditor @report={{this.report}} />`);
+
+        assert.dom('.report-schedule-editor').exists();
+        assert.dom('.report-schedule-editor li').exists({ count: 5 });
+    });
+
+    test('it leaves unscheduled reports unchanged until edited', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('report', store.createRecord('report', { is_scheduled: false }));
+
+        await render(hbs`<Report::ScheduleEditor @report={{this.report}} />`);
+
+        assert.notOk(this.report.schedule_frequency);
+        assert.dom('.report-schedule-editor .text-red-500').doesNotExist();
+    });
+});
@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/auto-fill-proposal', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('proposal', { assignments: [], unassigned: [] });
+
+        await render(hbs`<Schedule::AutoFillProposal @proposal={{this.proposal}} />`);
+
+        assert.dom('.schedule-auto-fill-proposal').exists();
+    });
+});
@@ -0,0 +1,25 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/availability-form', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set(
+            'availability',
+            this.owner.lookup('service:store').createRecord('schedule-availability', {
+                is_available: false,
+                start_at: new Date('2026-10-19T08:00:00Z'),
+                end_at: new Date('2026-10-19T16:00:00Z'),
+                rrule: 'FREQ=WEEKLY;BYDAY=MO',
+            })
+        );
+
+        await render(hbs`<Schedule::AvailabilityForm @availability={{this.availability}} @timeZone="UTC" />`);
+
+        assert.dom('.schedule-availability-form').exists();
+        assert.dom('.schedule-rrule-editor').exists();
+    });
+});
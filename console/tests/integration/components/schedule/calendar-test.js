@@ -0,0 +1,19 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/calendar', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('schedule', store.createRecord('schedule', { timezone: 'UTC' }));
+        this.set('items', [store.createRecord('schedule-item', { start_at: new Date('2026-05-04T08:00:00Z'), end_at: new Date('2026-05-04T16:00:00Z') })]);
+
+        await render(hbs`<Schedule::Calendar @schedule={{this.schedule}} @items={{this.items}} @resources={{array}} @view="week" @date="2026-05-04" />`);
+
+        assert.dom('.schedule-calendar').exists();
+        assert.dom('.schedule-calendar-item').exists({ count: 1 }, 'renders unassigned items in their own row');
+    });
+});
@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/constraint-violations', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('violations', []);
+
+        await render(hbs`<Schedule::ConstraintViolations @violations={{this.violations}} />`);
+
+        assert.dom('.schedule-constraint-violations').exists();
+    });
+});
@@ -0,0 +1,18 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/item-form', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('schedule', store.createRecord('schedule', { timezone: 'UTC' }));
+        this.set('item', store.createRecord('schedule-item', { start_at: new Date('2026-05-04T08:00:00Z'), end_at: new Date('2026-05-04T16:00:00Z') }));
+
+        await render(hbs`<Schedule::ItemForm @item={{this.item}} @schedule={{this.schedule}} />`);
+
+        assert.dom('.schedule-item-form').exists();
+    });
+});
@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/publish-diff', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('diff', { added: [], removed: [], changed: [], count: 0 });
+
+        await render(hbs`<Schedule::PublishDiff @diff={{this.diff}} />`);
+
+        assert.dom('.schedule-publish-diff').exists();
+    });
+});
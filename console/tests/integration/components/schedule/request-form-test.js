@@ -0,0 +1,20 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/request-form', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        const store = this.owner.lookup('service:store');
+        this.set('item', store.createRecord('schedule-item', { assignee_uuid: 'driver-1', start_at: new Date('2026-10-19T08:00:00Z'), end_at: new Date('2026-10-19T16:00:00Z') }));
+        this.set('request', store.createRecord('schedule-request', { type: 'drop', requester_uuid: 'driver-1' }));
+        this.set('errors', ['already-started']);
+
+        await render(hbs`<Schedule::RequestForm @request={{this.request}} @item={{this.item}} @timeZone="UTC" @errors={{this.errors}} />`);
+
+        assert.dom('.schedule-request-form').exists();
+        assert.dom('.schedule-request-form .text-red-600').exists({ count: 1 });
+    });
+});
@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/rrule-editor', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('rrule', 'DTSTART;VALUE=DATE:20261019\nRRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+
+        await render(hbs`<Schedule::RruleEditor @value={{this.rrule}} @startTime="08:00" @endTime="16:00" @timeZone="UTC" />`);
+
+        assert.dom('.schedule-rrule-editor').exists();
+    });
+});
@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/template-form', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('template', this.owner.lookup('service:store').createRecord('schedule-template', { start_time: '08:00', end_time: '16:00', rrule: 'FREQ=DAILY' }));
+
+        await render(hbs`<Schedule::TemplateForm @template={{this.template}} @timeZone="UTC" />`);
+
+        assert.dom('.schedule-template-form').exists();
+    });
+});
@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Component | schedule/template-generator', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it renders', async function (assert) {
+        this.set('templates', []);
+
+        await render(hbs`<Schedule::TemplateGenerator @templates={{this.templates}} @items={{array}} @from="2026-10-01" @to="2026-10-31" />`);
+
+        assert.dom('.schedule-template-generator').exists();
+    });
+});
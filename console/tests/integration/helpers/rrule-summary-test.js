@@ -0,0 +1,17 @@
+import { module, test } from 'qunit';
+import { setupRenderingTest } from '@fleetbase/console/tests/helpers';
+import { render } from '@ember/test-helpers';
+import { hbs } from 'ember-cli-htmlbars';
+
+module('Integration | Helper | rrule-summary', function (hooks) {
+    setupRenderingTest(hooks);
+
+    test('it describes a rule', async function (assert) {
+        this.owner.lookup('service:intl').setLocale(['en-us']);
+        this.set('rrule', 'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+
+        await render(hbs`{{rrule-summary this.rrule start="08:00" end="16:00"}}`);
+
+        assert.dom(this.element).hasText('Every weekday 08:00–16:00');
+    });
+});
@@ -0,0 +1,18 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Controller | console/admin/widget-diagnostics', function (hooks) {
+    setupTest(hooks);
+
+    test('it lists and clears the widget failures', function (assert) {
+        let controller = this.owner.lookup('controller:console/admin/widget-diagnostics');
+        let diagnostics = this.owner.lookup('service:widget-diagnostics');
+        diagnostics.clear();
+
+        const entry = diagnostics.report(new Error('Boom'), { widget: { id: 'widget-1', name: 'Count', component: 'dashboard/count' } });
+        assert.deepEqual(controller.entries, [entry]);
+
+        controller.clear();
+        assert.deepEqual(controller.entries, []);
+    });
+});
@@ -0,0 +1,11 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Controller | console/alerts/escalation-policies/edit', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let controller = this.owner.lookup('controller:console/alerts/escalation-policies/edit');
+        assert.ok(controller);
+    });
+});
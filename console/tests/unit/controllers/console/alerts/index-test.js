@@ -0,0 +1,24 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Controller | console/alerts/index', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let controller = this.owner.lookup('controller:console/alerts/index');
+        assert.ok(controller);
+    });
+
+    test('it tracks filters', function (assert) {
+        let controller = this.owner.lookup('controller:console/alerts/index');
+
+        controller.setFilter('severity', 'critical');
+        controller.filterBySubject({ subject_type: 'vehicle', subject_uuid: 'vehicle-1' });
+
+        assert.true(controller.hasFilters);
+        assert.deepEqual(controller.filters, { severity: 'critical', type: null, status: null, subject_type: 'vehicle', subject_uuid: 'vehicle-1' });
+
+        controller.clearFilters();
+        assert.false(controller.hasFilters);
+    });
+});
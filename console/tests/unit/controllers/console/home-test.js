@@ -1,5 +1,6 @@
 import { module, test } from 'qunit';
 import { setupTest } from '@fleetbase/console/tests/helpers';
+import Service from '@ember/service';
 
 module('Unit | Controller | console/home', function (hooks) {
     setupTest(hooks);
@@ -9,4 +10,32 @@ module('Unit | Controller | console/home', function (hooks) {
         let controller = this.owner.lookup('controller:console/home');
         assert.ok(controller);
     });
+
+    test('it reads dashboard filters from query params', function (assert) {
+        let controller = this.owner.lookup('controller:console/home');
+        controller.setProperties({ date_range: '2024-05-01,2024-05-31', driver: 'driver_1', tags: 'a,b' });
+
+        assert.deepEqual(controller.filterParams, { date_range: ['2024-05-01', '2024-05-31'], driver: 'driver_1', tags: ['a', 'b'] });
+    });
+
+    test('it follows the filters in the URL back to the saved filters', function (assert) {
+        let applied = [];
+        this.owner.register(
+            'service:dashboard',
+            class extends Service {
+                currentDashboard = { options: { filters: { driver: 'driver_2' } } };
+                applyFilters = { perform: (filters) => applied.push(filters) };
+            }
+        );
+        let controller = this.owner.lookup('controller:console/home');
+
+        controller.applyFilterParams();
+        assert.deepEqual(applied, [], 'the saved filters are kept without URL filters');
+
+        controller.set('driver', 'driver_1');
+        controller.applyFilterParams();
+        controller.set('driver', null);
+        controller.applyFilterParams();
+        assert.deepEqual(applied, [{ driver: 'driver_1' }, { driver: 'driver_2' }]);
+    });
 });
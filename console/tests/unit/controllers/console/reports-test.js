@@ -0,0 +1,101 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+import Service from '@ember/service';
+
+module('Unit | Controller | console/reports', function (hooks) {
+    setupTest(hooks);
+
+    hooks.beforeEach(function () {
+        this.shown = [];
+        const shown = this.shown;
+        this.owner.register(
+            'service:modals-manager',
+            class extends Service {
+                show(name, options) {
+                    shown.push({ name, options });
+                }
+            }
+        );
+    });
+
+    test('it exists', function (assert) {
+        let controller = this.owner.lookup('controller:console/reports');
+        assert.ok(controller);
+    });
+
+    test('it opens the schedule editor of a report', function (assert) {
+        let controller = this.owner.lookup('controller:console/reports');
+        const report = { title: 'Daily orders' };
+
+        controller.scheduleReport(report);
+
+        assert.strictEqual(this.shown.length, 1);
+        assert.strictEqual(this.shown[0].name, 'modals/report-schedule');
+        assert.strictEqual(this.shown[0].options.report, report);
+    });
+
+    test('it opens the history of a report', function (assert) {
+        let controller = this.owner.lookup('controller:console/reports');
+        const report = { title: 'Daily orders' };
+
+        controller.showHistory(report);
+
+        assert.strictEqual(this.shown[0].name, 'modals/report-history');
+        assert.strictEqual(this.shown[0].options.report, report);
+    });
+
+    test('it opens the streaming export of a report', function (assert) {
+        let controller = this.owner.lookup('controller:console/reports');
+        const report = { title: 'Daily orders' };
+
+        controller.exportReport(report);
+
+        assert.strictEqual(this.shown[0].name, 'modals/report-export');
+        assert.strictEqual(this.shown[0].options.report, report);
+    });
+
+    test('it opens the query builder of a report', function (assert) {
+        let controller = this.owner.lookup('controller:console/reports');
+        const report = { title: 'Daily orders' };
+
+        controller.configureQuery(report);
+
+        assert.strictEqual(this.shown[0].name, 'modals/report-query-builder');
+        assert.strictEqual(this.shown[0].options.report, report);
+    });
+
+    test('it opens the visualization editor of a report', function (assert) {
+        let controller = this.owner.lookup('controller:console/reports');
+        const report = { title: 'Daily orders' };
+
+        controller.visualizeReport(report);
+
+        assert.strictEqual(this.shown[0].name, 'modals/report-visualization');
+        assert.strictEqual(this.shown[0].options.report, report);
+    });
+
+    test('it prompts for the parameters of a report before running it', function (assert) {
+        let controller = this.owner.lookup('controller:console/reports');
+        const report = { title: 'Daily orders', hasParameters: true, parameterValues: { status: 'completed' } };
+
+        controller.runReport(report);
+
+        assert.strictEqual(this.shown[0].name, 'modals/report-parameters');
+        assert.deepEqual(this.shown[0].options.values, { status: 'completed' });
+    });
+
+    test('it runs reports without parameters right away', async function (assert) {
+        let controller = this.owner.lookup('controller:console/reports');
+        const report = {
+            title: 'Daily orders',
+            hasParameters: false,
+            execute: async () => ({ data: [{ id: 1 }] }),
+            fillResult: (result) => (report.result = result),
+        };
+
+        await controller.runReport(report);
+
+        assert.strictEqual(this.shown.length, 0);
+        assert.deepEqual(report.result, { data: [{ id: 1 }] });
+    });
+});
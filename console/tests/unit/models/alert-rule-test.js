@@ -0,0 +1,33 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Model | alert rule', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('alert-rule', {});
+        assert.ok(model);
+    });
+
+    test('it evaluates samples with its definition', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('alert-rule', {
+            conditions: [{ metric: 'fuel_level', operator: '<', threshold: 10 }],
+            window: { minutes: 0, aggregate: 'last' },
+            cooldown_minutes: 0,
+            severity: 'high',
+        });
+
+        const { triggers } = model.evaluate([
+            { subject_uuid: 'a', timestamp: '2026-10-19T08:00:00Z', fuel_level: 12 },
+            { subject_uuid: 'a', timestamp: '2026-10-19T08:05:00Z', fuel_level: 8 },
+        ]);
+
+        assert.deepEqual(model.metrics, ['fuel_level']);
+        assert.true(model.hasConditions);
+        assert.strictEqual(triggers.length, 1);
+        assert.strictEqual(triggers[0].severity, 'high');
+    });
+});
@@ -11,4 +11,32 @@ module('Unit | Model | alert', function (hooks) {
         let model = store.createRecord('alert', {});
         assert.ok(model);
     });
+
+    test('it evaluates compound rule conditions', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('alert', {
+            rule: {
+                conditions: [
+                    { metric: 'speed', operator: '>', threshold: 100 },
+                    { metric: 'fuel_level', operator: '<', threshold: 10, logicalOperator: 'and' },
+                ],
+            },
+            context: { values: { speed: 120, fuel_level: 5 } },
+        });
+
+        assert.true(model.thresholdExceeded);
+    });
+
+    test('it resolves the inbox status and location', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('alert', {
+            acknowledged_at: new Date(Date.now() - 60000),
+            snoozed_until: new Date(Date.now() + 60000),
+            context: { location: { type: 'Point', coordinates: [103.8, 1.3] } },
+        });
+
+        assert.strictEqual(model.inboxStatus, 'snoozed');
+        assert.true(model.isSnoozed);
+        assert.deepEqual(model.coordinates, [1.3, 103.8]);
+    });
 });
@@ -0,0 +1,23 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Model | announcement', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('announcement', {});
+        assert.ok(model);
+    });
+
+    test('it has a publishing status', function (assert) {
+        let store = this.owner.lookup('service:store');
+        const now = Date.now();
+
+        assert.strictEqual(store.createRecord('announcement', {}).status, 'draft');
+        assert.strictEqual(store.createRecord('announcement', { published_at: new Date(now - 60000) }).status, 'published');
+        assert.strictEqual(store.createRecord('announcement', { published_at: new Date(now + 60000) }).status, 'scheduled');
+        assert.strictEqual(store.createRecord('announcement', { published_at: new Date(now - 120000), expires_at: new Date(now - 60000) }).status, 'expired');
+    });
+});
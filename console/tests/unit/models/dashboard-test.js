@@ -11,4 +11,50 @@ module('Unit | Model | dashboard', function (hooks) {
         let model = store.createRecord('dashboard', {});
         assert.ok(model);
     });
+
+    test('it resolves permissions from its shares', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('dashboard', {
+            user_uuid: 'owner',
+            shares: [
+                { type: 'user', id: 'viewer', permission: 'view' },
+                { type: 'group', id: 'ops', permission: 'edit' },
+            ],
+        });
+
+        assert.true(model.isShared);
+        assert.strictEqual(model.permissionFor({ id: 'owner' }), 'owner');
+        assert.strictEqual(model.permissionFor({ id: 'viewer' }), 'view');
+        assert.false(model.canEdit({ id: 'viewer' }));
+        assert.true(model.canEdit({ id: 'viewer' }, ['ops']));
+        assert.strictEqual(model.permissionFor({ id: 'stranger' }), null);
+    });
+
+    test('it copies its widgets into a template', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('dashboard', { name: 'Operations', options: { filters: {} } });
+        store.createRecord('dashboard-widget', { dashboard: model, name: 'Count', component: 'dashboard/count', grid_options: { x: 0, y: 0, w: 4, h: 4 }, options: { format: 'number' } });
+
+        const template = model.toTemplate();
+
+        assert.strictEqual(template.widgets.length, 1);
+        assert.deepEqual(template.widgets[0], { name: 'Count', component: 'dashboard/count', grid_options: { x: 0, y: 0, w: 4, h: 4 }, options: { format: 'number' } });
+        assert.notStrictEqual(template.widgets[0].options, model.widgets.firstObject.options);
+    });
+
+    test('it exports a portable document', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('dashboard', { name: 'Operations' });
+        store.createRecord('dashboard-widget', { dashboard: model, name: 'Count', component: 'dashboard/count', grid_options: { w: 4, h: 4 }, options: {} });
+
+        const document = model.exportDocument();
+
+        assert.strictEqual(document.format, 'fleetbase/dashboard');
+        assert.strictEqual(document.version, 1);
+        assert.strictEqual(document.dashboard.name, 'Operations');
+        assert.deepEqual(
+            document.dashboard.widgets.map(({ component }) => component),
+            ['dashboard/count']
+        );
+    });
 });
@@ -0,0 +1,27 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Model | escalation policy', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('escalation-policy', {});
+        assert.ok(model);
+    });
+
+    test('it summarizes its tiers', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('escalation-policy', {
+            severities: ['high', 'critical'],
+            repeat_count: 1,
+            tiers: [{ wait_minutes: 10 }, { wait_minutes: 20 }],
+        });
+
+        assert.strictEqual(model.tierCount, 2);
+        assert.strictEqual(model.totalEscalationMinutes, 40);
+        assert.true(model.appliesTo({ severity: 'critical' }));
+        assert.false(model.appliesTo({ severity: 'low' }));
+    });
+});
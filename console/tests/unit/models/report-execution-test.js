@@ -0,0 +1,23 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Model | report-execution', function (hooks) {
+    setupTest(hooks);
+
+    // Replace this with your real tests.
+    test('it exists', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('report-execution', {});
+        assert.ok(model);
+    });
+
+    test('it formats execution time and row count', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('report-execution', { execution_time: 1530, row_count: 120000, status: 'completed' });
+
+        assert.strictEqual(model.executionTimeDisplay, '1.53s');
+        assert.strictEqual(model.rowCountDisplay, (120000).toLocaleString());
+        assert.true(model.isSuccessful);
+    });
+});
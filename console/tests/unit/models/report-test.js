@@ -11,4 +11,46 @@ module('Unit | Model | report', function (hooks) {
         let model = store.createRecord('report', {});
         assert.ok(model);
     });
+
+    test('it previews the next scheduled runs', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('report', { is_scheduled: true, schedule_frequency: '0 6 * * *', schedule_timezone: 'UTC' });
+        let runs = model.getNextScheduledRuns(3, new Date('2026-10-19T07:00:00Z'));
+
+        assert.true(model.hasValidSchedule);
+        assert.deepEqual(
+            runs.map((run) => run.toISOString()),
+            ['2026-10-20T06:00:00.000Z', '2026-10-21T06:00:00.000Z', '2026-10-22T06:00:00.000Z']
+        );
+    });
+
+    test('it persists the visualization in the report options', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('report', { options: { theme: 'dark' } });
+
+        model.setVisualization({ type: 'pie', dimension: 'status', measures: ['total'] });
+
+        assert.true(model.hasVisualization);
+        assert.strictEqual(model.visualization.type, 'pie');
+        assert.strictEqual(model.options.theme, 'dark');
+    });
+
+    test('it binds parameters into the execution payload', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('report', {
+            query_config: {
+                table: { name: 'orders' },
+                conditions: [{ field: { name: 'status' }, operator: { value: '=' }, value: { parameter: 'status' } }],
+                parameters: [{ name: 'status', type: 'enum', options: ['created', 'completed'], default: 'created' }],
+            },
+        });
+
+        let payload = model.getExecutionPayload({ status: 'completed' });
+
+        assert.true(model.hasParameters);
+        assert.deepEqual(model.missingParameters, []);
+        assert.deepEqual(payload.parameters, { status: 'completed' });
+        assert.strictEqual(payload.query_config.conditions[0].value, 'completed');
+        assert.strictEqual(model.getExecutionPayload().query_config.conditions[0].value, 'created');
+    });
 });
@@ -0,0 +1,20 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Model | schedule constraint', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('schedule-constraint', {});
+        assert.ok(model);
+    });
+
+    test('it is an error to break unless soft', function (assert) {
+        let store = this.owner.lookup('service:store');
+
+        assert.strictEqual(store.createRecord('schedule-constraint', { type: 'hard' }).severity, 'error');
+        assert.strictEqual(store.createRecord('schedule-constraint', { type: 'soft' }).severity, 'warning');
+    });
+});
@@ -0,0 +1,21 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Model | schedule request', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('schedule-request', {});
+        assert.ok(model);
+        assert.true(model.isPending);
+    });
+
+    test('it is an exchange when a shift is offered in return', function (assert) {
+        let store = this.owner.lookup('service:store');
+
+        assert.false(store.createRecord('schedule-request', { type: 'swap', target_uuid: 'driver-2' }).isExchange);
+        assert.true(store.createRecord('schedule-request', { type: 'swap', target_uuid: 'driver-2', target_item_uuid: 'item-2' }).isExchange);
+    });
+});
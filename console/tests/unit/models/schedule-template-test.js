@@ -0,0 +1,30 @@
+import { module, test } from 'qunit';
+
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Model | schedule template', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('schedule-template', {});
+        assert.ok(model);
+    });
+
+    test('it expands its shifts', function (assert) {
+        let store = this.owner.lookup('service:store');
+        let model = store.createRecord('schedule-template', {
+            start_time: '08:00',
+            end_time: '16:00',
+            break_duration: 30,
+            rrule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+        });
+
+        const shifts = model.expand({ from: '2026-10-19', to: '2026-10-25', timeZone: 'UTC' });
+
+        assert.strictEqual(model.shiftMinutes, 480);
+        assert.strictEqual(shifts.length, 5);
+        assert.strictEqual(shifts[0].start_at.toISOString(), '2026-10-19T08:00:00.000Z');
+        assert.strictEqual(shifts[0].break_start_at.toISOString(), '2026-10-19T11:45:00.000Z');
+    });
+});
@@ -8,4 +8,10 @@ module('Unit | Route | console/home', function (hooks) {
         let route = this.owner.lookup('route:console/home');
         assert.ok(route);
     });
+
+    test('it refreshes when the filters in the URL change', function (assert) {
+        let route = this.owner.lookup('route:console/home');
+        assert.true(route.queryParams.date_range.refreshModel);
+        assert.true(route.queryParams.driver.refreshModel);
+    });
 });
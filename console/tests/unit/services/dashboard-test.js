@@ -0,0 +1,26 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Service | dashboard', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let service = this.owner.lookup('service:dashboard');
+        assert.ok(service);
+        assert.ok(service.duplicateDashboard);
+        assert.ok(service.createFromTemplate);
+        assert.ok(service.publishTemplate);
+        assert.ok(service.saveShares);
+        assert.true(Array.isArray(service.getGalleryTemplates()));
+    });
+
+    test('it applies filters to the widgets that support them', async function (assert) {
+        let service = this.owner.lookup('service:dashboard');
+
+        await service.applyFilters.perform({ driver: 'driver_1', tags: ['a'] }, { persist: false });
+
+        assert.deepEqual(service.filters, { driver: 'driver_1', tags: ['a'] });
+        assert.deepEqual(service.getWidgetFilters({ options: { filters: ['driver', 'vehicle'] } }), { driver: 'driver_1' });
+        assert.deepEqual(service.getWidgetFilters({ options: {} }), {});
+    });
+});
@@ -0,0 +1,11 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Service | news-feed', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let service = this.owner.lookup('service:news-feed');
+        assert.ok(service);
+    });
+});
@@ -0,0 +1,17 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Service | report-actions', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let service = this.owner.lookup('service:report-actions');
+        assert.ok(service);
+        assert.strictEqual(typeof service.modal.schedule, 'function');
+        assert.strictEqual(typeof service.modal.export, 'function');
+        assert.strictEqual(typeof service.modal.query, 'function');
+        assert.strictEqual(typeof service.modal.visualize, 'function');
+        assert.strictEqual(typeof service.modal.run, 'function');
+        assert.strictEqual(typeof service.run, 'function');
+    });
+});
@@ -0,0 +1,16 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Service | report-export', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let service = this.owner.lookup('service:report-export');
+        assert.ok(service);
+    });
+
+    test('it rejects formats which cannot be streamed', function (assert) {
+        let service = this.owner.lookup('service:report-export');
+        assert.throws(() => service.start({ title: 'Orders' }, 'pdf'), /cannot be streamed/);
+    });
+});
@@ -0,0 +1,26 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Service | widget-diagnostics', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let service = this.owner.lookup('service:widget-diagnostics');
+        assert.ok(service);
+    });
+
+    test('it logs widget failures', function (assert) {
+        let service = this.owner.lookup('service:widget-diagnostics');
+        service.clear();
+
+        const entry = service.report(new Error('Boom'), { widget: { id: 'widget-1', name: 'Count', component: 'dashboard/count' }, dashboard: { id: 'dashboard-1' } });
+        assert.strictEqual(entry.message, 'Boom');
+        assert.strictEqual(entry.component, 'dashboard/count');
+        assert.strictEqual(entry.phase, 'load');
+        assert.strictEqual(entry.dashboard_id, 'dashboard-1');
+        assert.strictEqual(service.entries[0], entry);
+
+        service.clear();
+        assert.deepEqual(service.entries, []);
+    });
+});
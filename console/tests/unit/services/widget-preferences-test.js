@@ -0,0 +1,29 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Service | widget-preferences', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let service = this.owner.lookup('service:widget-preferences');
+        assert.ok(service);
+    });
+
+    test('it updates and resets widget preferences', function (assert) {
+        let service = this.owner.lookup('service:widget-preferences');
+        const widget = { id: 'widget-1', name: 'Orders', options: { refresh_interval: 60 } };
+
+        service.update(widget, { collapsed: true, options: { refresh_interval: 300 } });
+        assert.true(service.getPreference(widget).collapsed);
+        assert.strictEqual(service.getOptions(widget).refresh_interval, 300);
+
+        service.update(widget, { hidden: true });
+        assert.deepEqual(service.getHiddenWidgets([widget]), [widget]);
+        assert.strictEqual(service.getOptions(widget).refresh_interval, 300, 'keeps earlier changes');
+
+        service.reset([widget]);
+        assert.false(service.getPreference(widget).hidden);
+        assert.deepEqual(service.getOptions(widget), widget.options);
+        service.save.cancelAll();
+    });
+});
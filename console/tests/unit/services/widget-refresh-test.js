@@ -0,0 +1,90 @@
+import { module, test } from 'qunit';
+import { setupTest } from '@fleetbase/console/tests/helpers';
+
+module('Unit | Service | widget-refresh', function (hooks) {
+    setupTest(hooks);
+
+    test('it exists', function (assert) {
+        let service = this.owner.lookup('service:widget-refresh');
+        assert.ok(service);
+    });
+
+    test('it refreshes due and live widgets', async function (assert) {
+        let service = this.owner.lookup('service:widget-refresh');
+        let reloads = 0;
+        const subscription = service.register({ options: { refresh_interval: 60, live_events: ['alert.'], live: true }, reload: async () => reloads++ });
+
+        await subscription.refresh();
+        assert.strictEqual(reloads, 1);
+        assert.ok(subscription.lastUpdatedAt);
+
+        service.refreshDue(new Date(Date.now() + 30000));
+        assert.strictEqual(reloads, 1, 'not due yet');
+
+        service.receiveEvent('alert.created');
+        service.refreshDue(new Date(Date.now() + 30000));
+        assert.strictEqual(reloads, 2, 'live widgets refresh on events');
+
+        service.isHidden = true;
+        service.refreshDue(new Date(Date.now() + 120000));
+        assert.strictEqual(reloads, 2, 'paused while the tab is hidden');
+
+        service.unregister(subscription);
+        assert.deepEqual(service.subscriptions, []);
+    });
+
+    test('it keeps the last data when a refresh fails', async function (assert) {
+        let service = this.owner.lookup('service:widget-refresh');
+        let fail = false;
+        const subscription = service.register({
+            reload: async () => {
+                if (fail) {
+                    throw new Error('Network request failed');
+                }
+            },
+        });
+
+        await subscription.refresh();
+        const { lastUpdatedAt } = subscription;
+        assert.strictEqual(service.staleSince, null);
+
+        fail = true;
+        await subscription.refresh();
+        assert.true(subscription.isStale);
+        assert.strictEqual(subscription.lastUpdatedAt, lastUpdatedAt);
+        assert.strictEqual(service.staleSince.getTime(), lastUpdatedAt.getTime());
+
+        fail = false;
+        service.onConnectivityChange({ type: 'online' });
+        await subscription.refresh();
+        assert.false(subscription.isStale);
+        assert.strictEqual(service.staleSince, null);
+
+        service.unregister(subscription);
+    });
+
+    test('it reports widgets which fail to load anything', async function (assert) {
+        let service = this.owner.lookup('service:widget-refresh');
+        let errors = [];
+        let fail = true;
+        const subscription = service.register({
+            reload: async () => {
+                if (fail) {
+                    throw new Error('Network request failed');
+                }
+            },
+            onError: (error) => errors.push(error.message),
+        });
+
+        await subscription.refresh();
+        assert.deepEqual(errors, ['Network request failed']);
+
+        fail = false;
+        await subscription.refresh();
+        fail = true;
+        await subscription.refresh();
+        assert.strictEqual(errors.length, 1, 'widgets with data keep showing it');
+
+        service.unregister(subscription);
+    });
+});
@@ -0,0 +1,108 @@
+import {
+    createEscalationTier,
+    findCoverageGaps,
+    generateRotation,
+    getEscalationStep,
+    getEscalationTimeline,
+    getOnCallItems,
+    policyAppliesTo,
+    resolveTierRecipients,
+} from '@fleetbase/console/utils/alert-escalation';
+import { module, test } from 'qunit';
+
+const at = (minutes) => new Date(Date.UTC(2026, 9, 19, 0, minutes));
+const policy = {
+    repeat_count: 1,
+    tiers: [
+        { wait_minutes: 10, targets: [{ type: 'user', id: 'u1' }], transports: ['email'] },
+        { wait_minutes: 20, targets: [{ type: 'schedule', id: 's1' }], transports: ['sms'] },
+    ],
+};
+
+module('Unit | Utility | alert-escalation', function () {
+    test('it creates tiers paging over every transport', function (assert) {
+        const tier = createEscalationTier({ wait_minutes: 5 });
+
+        assert.ok(tier.id);
+        assert.strictEqual(tier.wait_minutes, 5);
+        assert.deepEqual(tier.targets, []);
+        assert.deepEqual(tier.transports, ['email', 'sms']);
+    });
+
+    test('it matches alerts by severity and urgency', function (assert) {
+        assert.true(policyAppliesTo({}, { severity: 'low' }));
+        assert.true(policyAppliesTo({ severities: ['high', 'critical'] }, { severity: 'high' }));
+        assert.false(policyAppliesTo({ severities: ['high'] }, { severity: 'low' }));
+        assert.false(policyAppliesTo({ urgency_levels: ['urgent'] }, { severity: 'high', urgencyLevel: 'low' }));
+        assert.false(policyAppliesTo({ is_enabled: false }, { severity: 'high' }));
+    });
+
+    test('it lays out the escalation timeline with repeats', function (assert) {
+        const timeline = getEscalationTimeline(policy, at(0));
+
+        assert.deepEqual(
+            timeline.map((step) => [step.tier, step.round, step.notify_at.getTime()]),
+            [
+                [0, 0, at(0).getTime()],
+                [1, 0, at(10).getTime()],
+                [0, 1, at(30).getTime()],
+                [1, 1, at(40).getTime()],
+            ]
+        );
+        assert.deepEqual(getEscalationTimeline(policy, 'invalid'), []);
+    });
+
+    test('it stops escalating once an alert is acknowledged', function (assert) {
+        assert.strictEqual(getEscalationStep(policy, { triggered_at: at(0) }, at(15)).tier, 1);
+        assert.strictEqual(getEscalationStep(policy, { triggered_at: at(0) }, at(35)).round, 1);
+        assert.strictEqual(getEscalationStep(policy, { triggered_at: at(0), acknowledged_at: at(5) }, at(35)).tier, 0);
+        assert.strictEqual(getEscalationStep(policy, { triggered_at: at(10) }, at(5)), null);
+    });
+
+    test('it resolves who is on call', function (assert) {
+        const items = [
+            { assignee_uuid: 'u2', start_at: at(0), end_at: at(60), status: 'confirmed' },
+            { assignee_uuid: 'u3', start_at: at(60), end_at: at(120), status: 'confirmed' },
+            { assignee_uuid: 'u4', start_at: at(0), end_at: at(120), status: 'cancelled' },
+        ];
+
+        assert.deepEqual(
+            getOnCallItems(items, at(60)).map((item) => item.assignee_uuid),
+            ['u3']
+        );
+        assert.deepEqual(resolveTierRecipients(policy.tiers[1], { scheduleItems: { s1: items }, at: at(30) }), [{ type: 'user', id: 'u2' }]);
+        assert.deepEqual(
+            resolveTierRecipients({
+                targets: [
+                    { type: 'user', id: 'u1' },
+                    { type: 'user', id: 'u1' },
+                    { type: 'group', id: 'g1' },
+                ],
+            }),
+            [
+                { type: 'user', id: 'u1' },
+                { type: 'group', id: 'g1' },
+            ]
+        );
+    });
+
+    test('it generates rotations and finds coverage gaps', function (assert) {
+        const rotation = generateRotation({ assignees: ['u1', 'u2'], start: at(0), shiftHours: 1, shifts: 3 });
+
+        assert.deepEqual(
+            rotation.map((item) => item.assignee_uuid),
+            ['u1', 'u2', 'u1']
+        );
+        assert.strictEqual(rotation[2].end_at.getTime(), at(180).getTime());
+        assert.deepEqual(generateRotation({ assignees: [], start: at(0) }), []);
+
+        const gaps = findCoverageGaps([rotation[0], rotation[2]], at(0), at(240));
+        assert.deepEqual(
+            gaps.map(({ start, end }) => [start.getTime(), end.getTime()]),
+            [
+                [at(60).getTime(), at(120).getTime()],
+                [at(180).getTime(), at(240).getTime()],
+            ]
+        );
+    });
+});
@@ -0,0 +1,34 @@
+import { getAlertCoordinates, getAlertStatus, isSnoozed, matchesAlertFilters } from '@fleetbase/console/utils/alert-inbox';
+import { module, test } from 'qunit';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+module('Unit | Utility | alert-inbox', function () {
+    test('it resolves the inbox status of alerts', function (assert) {
+        assert.strictEqual(getAlertStatus({}, now), 'pending');
+        assert.strictEqual(getAlertStatus({ acknowledged_at: '2026-10-19T11:00:00Z' }, now), 'acknowledged');
+        assert.strictEqual(getAlertStatus({ acknowledged_at: '2026-10-19T11:00:00Z', snoozed_until: '2026-10-19T13:00:00Z' }, now), 'snoozed');
+        assert.strictEqual(getAlertStatus({ snoozed_until: '2026-10-19T11:30:00Z' }, now), 'pending');
+        assert.strictEqual(getAlertStatus({ resolved_at: '2026-10-19T11:00:00Z', snoozed_until: '2026-10-19T13:00:00Z' }, now), 'resolved');
+        assert.false(isSnoozed({ resolved_at: '2026-10-19T11:00:00Z', snoozed_until: '2026-10-19T13:00:00Z' }, now));
+    });
+
+    test('it matches alerts against inbox filters', function (assert) {
+        const alert = { severity: 'high', type: 'fuel', subject_type: 'vehicle', subject_uuid: 'vehicle-1' };
+
+        assert.true(matchesAlertFilters(alert, {}, now));
+        assert.true(matchesAlertFilters(alert, { severity: 'high,critical', status: 'pending' }, now));
+        assert.true(matchesAlertFilters(alert, { type: ['fuel'], subject_uuid: 'vehicle-1' }, now));
+        assert.false(matchesAlertFilters(alert, { severity: 'critical' }, now));
+        assert.false(matchesAlertFilters(alert, { status: 'resolved' }, now));
+        assert.false(matchesAlertFilters(alert, { subject_type: 'driver' }, now));
+    });
+
+    test('it reads coordinates from the alert context', function (assert) {
+        assert.deepEqual(getAlertCoordinates({ location: { lat: 1.3, lng: 103.8 } }), [1.3, 103.8]);
+        assert.deepEqual(getAlertCoordinates({ location: { latitude: '1.3', longitude: '103.8' } }), [1.3, 103.8]);
+        assert.deepEqual(getAlertCoordinates({ location: { type: 'Point', coordinates: [103.8, 1.3] } }), [1.3, 103.8]);
+        assert.strictEqual(getAlertCoordinates({ location: { lat: null } }), null);
+        assert.strictEqual(getAlertCoordinates({}), null);
+    });
+});
@@ -0,0 +1,117 @@
+import {
+    aggregateWindow,
+    compareValue,
+    countTriggersByHour,
+    evaluateConditions,
+    evaluateRule,
+    getRuleMetrics,
+    isSubjectInScope,
+    resolveSeverity,
+} from '@fleetbase/console/utils/alert-rule-engine';
+import { module, test } from 'qunit';
+
+const at = (minutes) => new Date(Date.UTC(2026, 9, 19, 0, minutes)).toISOString();
+const sample = (subject, minutes, values = {}) => ({ subject_uuid: subject, timestamp: at(minutes), ...values });
+
+module('Unit | Utility | alert-rule-engine', function () {
+    test('it compares values with thresholds', function (assert) {
+        assert.true(compareValue(90, '>', 80));
+        assert.false(compareValue('80', '>', 80));
+        assert.true(compareValue(80, '>=', '80'));
+        assert.true(compareValue(5, '!=', 4));
+        assert.true(compareValue(5, 'between', [1, 10]));
+        assert.true(compareValue(12, 'outside', [1, 10]));
+        assert.strictEqual(compareValue(null, '>', 1), null);
+        assert.strictEqual(compareValue(5, 'between', [1]), null);
+        assert.strictEqual(compareValue(5, '>', ''), null);
+    });
+
+    test('it evaluates compound conditions from left to right', function (assert) {
+        const conditions = [
+            { metric: 'speed', operator: '>', threshold: 100 },
+            {
+                logicalOperator: 'or',
+                conditions: [
+                    { metric: 'fuel_level', operator: '<', threshold: 10 },
+                    { metric: 'engine_temperature', operator: '>', threshold: 110, logicalOperator: 'and' },
+                ],
+            },
+        ];
+
+        assert.true(evaluateConditions(conditions, { speed: 120 }));
+        assert.true(evaluateConditions(conditions, { speed: 50, fuel_level: 5, engine_temperature: 120 }));
+        assert.false(evaluateConditions(conditions, { speed: 50, fuel_level: 5, engine_temperature: 90 }));
+        assert.false(evaluateConditions([], { speed: 120 }));
+        assert.deepEqual(getRuleMetrics(conditions), ['speed', 'fuel_level', 'engine_temperature']);
+    });
+
+    test('it aggregates samples over a window', function (assert) {
+        const samples = [{ speed: 10 }, { speed: 30 }, { speed: null }, { speed: 20 }];
+
+        assert.strictEqual(aggregateWindow(samples, 'speed', 'last'), 20);
+        assert.strictEqual(aggregateWindow(samples, 'speed', 'avg'), 20);
+        assert.strictEqual(aggregateWindow(samples, 'speed', 'max'), 30);
+        assert.strictEqual(aggregateWindow([], 'speed', 'last'), null);
+    });
+
+    test('it resolves the most severe matching severity', function (assert) {
+        const rule = {
+            severity: 'low',
+            severity_mapping: [
+                { metric: 'speed', operator: '>', threshold: 120, severity: 'critical' },
+                { metric: 'speed', operator: '>', threshold: 100, severity: 'high' },
+            ],
+        };
+
+        assert.strictEqual(resolveSeverity(rule, { speed: 90 }), 'low');
+        assert.strictEqual(resolveSeverity(rule, { speed: 110 }), 'high');
+        assert.strictEqual(resolveSeverity(rule, { speed: 130 }), 'critical');
+    });
+
+    test('it scopes rules to subjects and fleets', function (assert) {
+        const rule = { subject_scope: { subjects: ['a', 'b'], fleets: ['fleet-1'] } };
+
+        assert.true(isSubjectInScope(rule, { subject_uuid: 'a', fleet_uuid: 'fleet-1' }));
+        assert.false(isSubjectInScope(rule, { subject_uuid: 'c', fleet_uuid: 'fleet-1' }));
+        assert.false(isSubjectInScope(rule, { subject_uuid: 'a', fleet_uuid: 'fleet-2' }));
+        assert.true(isSubjectInScope({}, { subject_uuid: 'c' }));
+    });
+
+    test('it replays a rule over a window with a cooldown', function (assert) {
+        const rule = {
+            conditions: [{ metric: 'speed', operator: '>', threshold: 100 }],
+            window: { minutes: 10, aggregate: 'avg' },
+            cooldown_minutes: 15,
+            severity: 'medium',
+        };
+        const samples = [
+            sample('a', 0, { speed: 90 }),
+            sample('a', 5, { speed: 130 }),
+            sample('a', 10, { speed: 120 }),
+            sample('a', 15, { speed: 120 }),
+            sample('a', 25, { speed: 120 }),
+            sample('b', 5, { speed: 80 }),
+        ];
+
+        const { triggers, evaluations, subjects } = evaluateRule(rule, samples);
+
+        assert.strictEqual(evaluations, 6);
+        assert.strictEqual(subjects, 2);
+        assert.deepEqual(
+            triggers.map((trigger) => trigger.triggered_at.toISOString()),
+            [at(5), at(25)]
+        );
+        assert.strictEqual(triggers[0].values.speed, 110);
+        assert.strictEqual(triggers[0].severity, 'medium');
+    });
+
+    test('it counts triggers by hour', function (assert) {
+        const from = at(0);
+        const buckets = countTriggersByHour([{ triggered_at: at(5) }, { triggered_at: at(50) }, { triggered_at: at(70) }, { triggered_at: at(-5) }], from, 3);
+
+        assert.deepEqual(
+            buckets.map(({ count }) => count),
+            [2, 1, 0]
+        );
+    });
+});
@@ -0,0 +1,106 @@
+import {
+    averageMinutes,
+    countOpenAlertsBySeverity,
+    formatDurationMinutes,
+    getAlertFilterParams,
+    getNoisySubjects,
+    getSlaPeriod,
+    getSlaSummary,
+    getSlaTrend,
+} from '@fleetbase/console/utils/alert-sla';
+import { module, test } from 'qunit';
+
+const day = (date, hours = 12) => new Date(Date.UTC(2026, 9, date, hours));
+
+module('Unit | Utility | alert-sla', function () {
+    test('it averages durations', function (assert) {
+        assert.strictEqual(averageMinutes([10, 20, null, undefined]), 15);
+        assert.strictEqual(averageMinutes([1, 2]), 1.5);
+        assert.strictEqual(averageMinutes([null]), null);
+    });
+
+    test('it formats durations', function (assert) {
+        assert.strictEqual(formatDurationMinutes(45), '45m');
+        assert.strictEqual(formatDurationMinutes(125), '2h 5m');
+        assert.strictEqual(formatDurationMinutes(1620), '1d 3h');
+        assert.strictEqual(formatDurationMinutes(null), null);
+    });
+
+    test('it buckets mtta and mttr per day', function (assert) {
+        const alerts = [
+            { triggered_at: day(19), acknowledgmentDurationMinutes: 10, resolutionDurationMinutes: 60 },
+            { triggered_at: day(19, 1), acknowledgmentDurationMinutes: 20, resolutionDurationMinutes: null },
+            { triggered_at: day(17), acknowledgmentDurationMinutes: null, resolutionDurationMinutes: 30 },
+            { triggered_at: day(1), acknowledgmentDurationMinutes: 5, resolutionDurationMinutes: 5 },
+        ];
+        const trend = getSlaTrend(alerts, { to: day(19, 23), days: 3 });
+
+        assert.deepEqual(
+            trend.map(({ date, count, mtta, mttr }) => [date.getTime(), count, mtta, mttr]),
+            [
+                [Date.UTC(2026, 9, 17), 1, null, 30],
+                [Date.UTC(2026, 9, 18), 0, null, null],
+                [Date.UTC(2026, 9, 19), 2, 15, 60],
+            ]
+        );
+        assert.deepEqual(getSlaSummary(alerts), { count: 4, mtta: 11.7, mttr: 31.7 });
+    });
+
+    test('it counts open alerts by severity and urgency', function (assert) {
+        const counts = countOpenAlertsBySeverity([
+            { severity: 'critical', urgencyLevel: 'urgent' },
+            { severity: 'critical', urgencyLevel: 'high' },
+            { severity: 'critical', urgencyLevel: 'urgent', resolved_at: day(19) },
+            { severity: 'low', urgencyLevel: 'low' },
+            { severity: 'unknown', urgencyLevel: 'low' },
+        ]);
+
+        assert.deepEqual(
+            counts.map(({ severity }) => severity),
+            ['critical', 'high', 'medium', 'low', 'info']
+        );
+        assert.strictEqual(counts[0].count, 2);
+        assert.deepEqual(counts[0].urgency, { urgent: 1, high: 1, medium: 0, low: 0 });
+        assert.strictEqual(counts[3].count, 1);
+    });
+
+    test('it ranks the noisiest subjects', function (assert) {
+        const alert = (subject_uuid, date, attributes = {}) => ({ subject_type: 'vehicle', subject_uuid, triggered_at: day(date), ...attributes });
+        const subjects = getNoisySubjects(
+            [alert('a', 17), alert('a', 18, { resolved_at: day(18) }), alert('b', 19, { context: { subject_name: 'Truck B' } }), alert('c', 16), alert(null, 19)],
+            2
+        );
+
+        assert.deepEqual(
+            subjects.map(({ subject_uuid, count, open }) => [subject_uuid, count, open]),
+            [
+                ['a', 2, 1],
+                ['b', 1, 1],
+            ]
+        );
+        assert.strictEqual(subjects[0].last_triggered_at.getTime(), day(18).getTime());
+        assert.strictEqual(subjects[1].subject_name, 'Truck B');
+    });
+
+    test('it resolves the period from the dashboard date range', function (assert) {
+        const now = new Date('2024-05-10T15:00:00Z');
+
+        const period = getSlaPeriod({}, 7, now);
+        assert.deepEqual([period.from.toISOString(), period.to.toISOString(), period.days, period.isRange], ['2024-05-04T00:00:00.000Z', '2024-05-10T00:00:00.000Z', 7, false]);
+
+        const range = getSlaPeriod({ date_range: ['2024-04-01', '2024-04-30'] }, 7, now);
+        assert.deepEqual([range.from.toISOString(), range.to.toISOString(), range.days, range.isRange], ['2024-04-01T00:00:00.000Z', '2024-04-30T00:00:00.000Z', 30, true]);
+    });
+
+    test('it converts dashboard filters to alert query params', function (assert) {
+        const filters = { date_range: ['2024-04-01', '2024-04-30'], driver: 'driver_1', vehicle: 'vehicle_1' };
+
+        assert.deepEqual(getAlertFilterParams(filters, getSlaPeriod(filters)), {
+            triggered_after: '2024-04-01T00:00:00.000Z',
+            triggered_before: '2024-04-30T23:59:59.999Z',
+            subject_uuid: 'driver_1,vehicle_1',
+        });
+        assert.deepEqual(getAlertFilterParams({ vehicle: 'vehicle_1' }), { subject_uuid: 'vehicle_1' });
+        assert.deepEqual(getAlertFilterParams({}), {});
+    });
+});
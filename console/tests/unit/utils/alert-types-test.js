@@ -0,0 +1,16 @@
+import { compareSeverity, getAlertTypeBadgeClass, getAlertTypeIcon } from '@fleetbase/console/utils/alert-types';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | alert-types', function () {
+    test('it resolves alert type styling', function (assert) {
+        assert.strictEqual(getAlertTypeIcon('fuel'), 'fas fa-gas-pump');
+        assert.strictEqual(getAlertTypeIcon('unknown'), 'fas fa-bell');
+        assert.strictEqual(getAlertTypeBadgeClass('unknown'), getAlertTypeBadgeClass('system'));
+    });
+
+    test('it compares severities', function (assert) {
+        assert.ok(compareSeverity('critical', 'high') > 0);
+        assert.ok(compareSeverity('info', 'medium') < 0);
+        assert.strictEqual(compareSeverity('low', 'low'), 0);
+    });
+});
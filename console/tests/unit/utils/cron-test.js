@@ -0,0 +1,49 @@
+import { parseCronExpression, isValidCronExpression, getNextCronRuns, buildCronExpression, describeCronExpression } from '@fleetbase/console/utils/cron';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | cron', function () {
+    test('it parses expressions and macros', function (assert) {
+        const parsed = parseCronExpression('*/15 8-10 * jan-mar mon,fri');
+
+        assert.deepEqual(parsed.minute.values, [0, 15, 30, 45]);
+        assert.deepEqual(parsed.hour.values, [8, 9, 10]);
+        assert.deepEqual(parsed.month.values, [1, 2, 3]);
+        assert.deepEqual(parsed.dayOfWeek.values, [1, 5]);
+        assert.deepEqual(parseCronExpression('@daily').hour.values, [0]);
+    });
+
+    test('it validates expressions', function (assert) {
+        assert.true(isValidCronExpression('0 8 * * 1-5'));
+        assert.false(isValidCronExpression('61 * * * *'));
+        assert.false(isValidCronExpression('* * *'));
+        assert.false(isValidCronExpression(null));
+    });
+
+    test('it calculates the next runs in a timezone', function (assert) {
+        const from = new Date('2026-10-19T10:00:00Z');
+        const runs = getNextCronRuns('0 9 * * *', { from, count: 2, timezone: 'America/New_York' });
+
+        assert.deepEqual(
+            runs.map((run) => run.toISOString()),
+            ['2026-10-19T13:00:00.000Z', '2026-10-20T13:00:00.000Z']
+        );
+    });
+
+    test('it skips weekends for weekday schedules', function (assert) {
+        const from = new Date('2026-10-23T12:00:00Z');
+        const runs = getNextCronRuns('30 8 * * mon-fri', { from, count: 2 });
+
+        assert.deepEqual(
+            runs.map((run) => run.toISOString()),
+            ['2026-10-26T08:30:00.000Z', '2026-10-27T08:30:00.000Z']
+        );
+    });
+
+    test('it builds and describes preset frequencies', function (assert) {
+        assert.strictEqual(buildCronExpression({ frequency: 'weekly', time: '08:30', dayOfWeek: 5 }), '30 8 * * 5');
+        assert.strictEqual(buildCronExpression({ frequency: 'monthly', time: '06:00', dayOfMonth: 1 }), '0 6 1 * *');
+        assert.strictEqual(buildCronExpression({ frequency: 'custom', expression: '0 */2 * * *' }), '0 */2 * * *');
+        assert.deepEqual(describeCronExpression('30 8 * * 5'), { frequency: 'weekly', time: '08:30', dayOfWeek: 5, expression: '30 8 * * 5' });
+        assert.strictEqual(describeCronExpression('0 */2 * * *').frequency, 'custom');
+    });
+});
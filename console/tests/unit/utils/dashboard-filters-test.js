@@ -0,0 +1,51 @@
+import {
+    getDateRangeBounds,
+    getFilterQueryParams,
+    getWidgetFilters,
+    isSameFilters,
+    normalizeDashboardFilters,
+    parseFilterParams,
+    serializeFilterParams,
+} from '@fleetbase/console/utils/dashboard-filters';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | dashboard-filters', function () {
+    test('it normalizes filters', function (assert) {
+        assert.deepEqual(normalizeDashboardFilters({ date_range: ['2024-05-31', '2024-05-01'], driver: { id: 'driver_1' }, vehicle: '', tags: ['a', 'b', 'a', ' '], unknown: 1 }), {
+            date_range: ['2024-05-01', '2024-05-31'],
+            driver: 'driver_1',
+            tags: ['a', 'b'],
+        });
+        assert.deepEqual(normalizeDashboardFilters({ date_range: 'last week' }), {});
+        assert.deepEqual(normalizeDashboardFilters({ date_range: '2024-05-01' }), { date_range: ['2024-05-01', '2024-05-01'] });
+    });
+
+    test('it round trips query params', function (assert) {
+        const params = serializeFilterParams({ date_range: ['2024-05-01', '2024-05-31'], org_unit: 'group_1', tags: ['a', 'b'] });
+
+        assert.deepEqual(params, { date_range: '2024-05-01,2024-05-31', org_unit: 'group_1', driver: null, vehicle: null, tags: 'a,b' });
+        assert.deepEqual(parseFilterParams(params), { date_range: ['2024-05-01', '2024-05-31'], org_unit: 'group_1', tags: ['a', 'b'] });
+        assert.true(isSameFilters(parseFilterParams(params), { tags: 'a,b', org_unit: 'group_1', date_range: '2024-05-01,2024-05-31' }));
+        assert.false(isSameFilters(params, {}));
+    });
+
+    test('it picks the filters a widget supports', function (assert) {
+        const filters = { date_range: ['2024-05-01', '2024-05-31'], driver: 'driver_1', tags: ['a'] };
+
+        assert.deepEqual(getWidgetFilters(filters, ['driver', 'vehicle']), { driver: 'driver_1' });
+        assert.deepEqual(getWidgetFilters(filters, true), normalizeDashboardFilters(filters));
+        assert.deepEqual(getWidgetFilters(filters), {});
+    });
+
+    test('it converts filters to query params', function (assert) {
+        assert.deepEqual(getDateRangeBounds(['2024-05-01', '2024-05-07']).days, 7);
+        assert.strictEqual(getDateRangeBounds(null), null);
+        assert.deepEqual(getFilterQueryParams({ date_range: ['2024-05-01', '2024-05-02'], vehicle: 'vehicle_1', tags: ['a', 'b'] }), {
+            created_after: '2024-05-01T00:00:00.000Z',
+            created_before: '2024-05-02T23:59:59.999Z',
+            vehicle_uuid: 'vehicle_1',
+            tags: 'a,b',
+        });
+        assert.deepEqual(Object.keys(getFilterQueryParams({ date_range: ['2024-05-01', '2024-05-02'] }, { after: 'from', before: 'to' })), ['from', 'to']);
+    });
+});
@@ -0,0 +1,34 @@
+import { createDashboardShare, getDashboardPermission, removeDashboardShare, upsertDashboardShare } from '@fleetbase/console/utils/dashboard-sharing';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | dashboard-sharing', function () {
+    test('it adds, updates and removes shares', function (assert) {
+        let shares = upsertDashboardShare([], createDashboardShare('user', { id: 'u1', name: 'Ada' }));
+        shares = upsertDashboardShare(shares, createDashboardShare('role', { id: 'r1', name: 'Dispatcher' }, 'edit'));
+        shares = upsertDashboardShare(shares, { type: 'user', id: 'u1', permission: 'edit' });
+
+        assert.deepEqual(shares, [
+            { type: 'user', id: 'u1', name: 'Ada', permission: 'edit' },
+            { type: 'role', id: 'r1', name: 'Dispatcher', permission: 'edit' },
+        ]);
+        assert.deepEqual(removeDashboardShare(shares, { type: 'role', id: 'r1' }), [shares[0]]);
+    });
+
+    test('it resolves the broadest permission', function (assert) {
+        const dashboard = {
+            user_uuid: 'owner',
+            shares: [
+                { type: 'user', id: 'u1', permission: 'view' },
+                { type: 'role', id: 'r1', permission: 'edit' },
+                { type: 'group', id: 'g1', permission: 'view' },
+            ],
+        };
+
+        assert.strictEqual(getDashboardPermission(dashboard, { id: 'owner' }), 'owner');
+        assert.strictEqual(getDashboardPermission(dashboard, { id: 'u1' }), 'view');
+        assert.strictEqual(getDashboardPermission(dashboard, { id: 'u1', role_uuid: 'r1' }), 'edit');
+        assert.strictEqual(getDashboardPermission(dashboard, { id: 'u2', group_uuids: ['g1'] }), 'view');
+        assert.strictEqual(getDashboardPermission(dashboard, { id: 'u2' }), null);
+        assert.strictEqual(getDashboardPermission({ shares: [] }, {}), null);
+    });
+});
@@ -0,0 +1,64 @@
+import { arrangeWidgets, buildTemplateGallery, copyWidgetAttributes, getDashboardTemplate, getWidgetComponentName } from '@fleetbase/console/utils/dashboard-templates';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | dashboard-templates', function () {
+    test('it deep copies widget attributes', function (assert) {
+        const widget = { id: 'w1', name: 'Count', component: 'dashboard/count', grid_options: { w: 4, h: 4 }, options: { thresholds: [{ value: 10 }] } };
+        const copy = copyWidgetAttributes(widget);
+
+        assert.deepEqual(copy, { name: 'Count', component: 'dashboard/count', grid_options: { w: 4, h: 4 }, options: { thresholds: [{ value: 10 }] } });
+        copy.options.thresholds[0].value = 20;
+        assert.strictEqual(widget.options.thresholds[0].value, 10);
+    });
+
+    test('it resolves component names', function (assert) {
+        class GithubCard {}
+
+        assert.strictEqual(getWidgetComponentName('github-card'), 'github-card');
+        assert.strictEqual(getWidgetComponentName(GithubCard), 'GithubCard');
+        assert.strictEqual(getWidgetComponentName({ toString: () => 'engine:widget' }), 'engine:widget');
+        assert.strictEqual(getWidgetComponentName(undefined), null);
+    });
+
+    test('it arranges widgets without a position', function (assert) {
+        const widgets = arrangeWidgets([{ grid_options: { x: 0, y: 0, w: 12, h: 2 } }, { grid_options: { w: 8, h: 4 } }, { grid_options: { w: 6, h: 3 } }, { grid_options: {} }]);
+
+        assert.deepEqual(
+            widgets.map(({ grid_options }) => [grid_options.x, grid_options.y, grid_options.w, grid_options.h]),
+            [
+                [0, 0, 12, 2],
+                [0, 2, 8, 4],
+                [0, 6, 6, 3],
+                [6, 6, 4, 4],
+            ]
+        );
+    });
+
+    test('it builds templates from dashboards and registered widgets', function (assert) {
+        const template = getDashboardTemplate({
+            name: 'Ops',
+            extension: 'core',
+            widgets: [
+                { name: 'A', component: 'a', isDeleted: true },
+                { name: 'B', component: 'b' },
+            ],
+        });
+        assert.deepEqual(
+            template.widgets.map(({ name }) => name),
+            ['B']
+        );
+
+        const widgets = [
+            { name: 'Blog', component: 'fleetbase-blog', category: 'default', grid_options: { w: 8, h: 9 } },
+            { name: 'Orders', component: 'fleet-ops:orders', category: 'fleet-ops', grid_options: { w: 4, h: 8 } },
+        ];
+        const gallery = buildTemplateGallery(widgets, [widgets[0]]);
+
+        assert.deepEqual(
+            gallery.map(({ id }) => id),
+            ['default', 'category:default', 'category:fleet-ops', 'all']
+        );
+        assert.deepEqual(gallery[3].widgets[1].grid_options, { w: 4, h: 8, x: 8, y: 0 });
+        assert.deepEqual(buildTemplateGallery([], []), []);
+    });
+});
@@ -0,0 +1,78 @@
+import { DASHBOARD_EXPORT_FORMAT, exportDashboard, matchImportedWidgets, parseDashboardExport, resolveImportedWidgets } from '@fleetbase/console/utils/dashboard-transfer';
+import { module, test } from 'qunit';
+
+const dashboard = {
+    id: 'dashboard_1',
+    name: 'Operations',
+    extension: 'core',
+    tags: ['ops'],
+    options: {},
+    widgets: [
+        { id: 'w1', name: 'Count', component: 'dashboard/count', grid_options: { x: 0, y: 0, w: 4, h: 4 }, options: { format: 'number' } },
+        { id: 'w2', name: 'Fleet map', component: 'fleet-ops/map', grid_options: { x: 4, y: 0, w: 8, h: 6 }, options: { zoom: 10 } },
+    ],
+};
+
+module('Unit | Utility | dashboard-transfer', function () {
+    test('it exports dashboards without ids', function (assert) {
+        const document = exportDashboard(dashboard, new Date('2024-05-01T00:00:00Z'));
+
+        assert.strictEqual(document.format, DASHBOARD_EXPORT_FORMAT);
+        assert.strictEqual(document.version, 1);
+        assert.strictEqual(document.exported_at, '2024-05-01T00:00:00.000Z');
+        assert.strictEqual(document.dashboard.name, 'Operations');
+        assert.notOk('id' in document.dashboard);
+        assert.deepEqual(document.dashboard.widgets[0], { name: 'Count', component: 'dashboard/count', grid_options: { x: 0, y: 0, w: 4, h: 4 }, options: { format: 'number' } });
+    });
+
+    test('it parses exports', function (assert) {
+        const parsed = parseDashboardExport(JSON.stringify(exportDashboard(dashboard)));
+
+        assert.true(parsed.valid);
+        assert.deepEqual(parsed.errors, []);
+        assert.strictEqual(parsed.dashboard.widgets.length, 2);
+    });
+
+    test('it rejects invalid exports', function (assert) {
+        const document = exportDashboard(dashboard);
+
+        assert.deepEqual(parseDashboardExport('{').errors, [{ code: 'invalid-json' }]);
+        assert.deepEqual(parseDashboardExport({ ...document, format: 'other' }).errors, [{ code: 'invalid-format' }]);
+        assert.deepEqual(parseDashboardExport({ ...document, version: 2 }).errors, [{ code: 'unsupported-version' }]);
+        assert.deepEqual(parseDashboardExport({ ...document, dashboard: { name: 'Empty' } }).errors, [{ code: 'missing-widgets' }]);
+
+        const parsed = parseDashboardExport({ ...document, dashboard: { ...document.dashboard, widgets: [document.dashboard.widgets[0], { name: 'Broken' }] } });
+        assert.false(parsed.valid);
+        assert.deepEqual(parsed.errors, [{ code: 'invalid-widget', index: 1 }]);
+    });
+
+    test('it matches widgets against the registry', function (assert) {
+        const matches = matchImportedWidgets(dashboard.widgets, [{ component: 'dashboard/count' }]);
+
+        assert.deepEqual(
+            matches.map(({ index, missing }) => [index, missing]),
+            [
+                [0, false],
+                [1, true],
+            ]
+        );
+    });
+
+    test('it resolves missing widgets', function (assert) {
+        const { widgets } = parseDashboardExport(exportDashboard(dashboard)).dashboard;
+        const matches = matchImportedWidgets(widgets, [{ name: 'Count', component: 'dashboard/count' }]);
+
+        assert.deepEqual(resolveImportedWidgets(matches).unresolved, [1]);
+
+        const skipped = resolveImportedWidgets(matches, { 1: { action: 'skip' } });
+        assert.deepEqual(skipped.unresolved, []);
+        assert.deepEqual(
+            skipped.widgets.map(({ component }) => component),
+            ['dashboard/count']
+        );
+
+        const remapped = resolveImportedWidgets(matches, { 1: { action: 'remap', widget: { name: 'Count', component: 'dashboard/count', options: { format: 'compact' } } } });
+        assert.deepEqual(remapped.unresolved, []);
+        assert.deepEqual(remapped.widgets[1], { name: 'Count', component: 'dashboard/count', grid_options: { x: 4, y: 0, w: 8, h: 6 }, options: { format: 'compact', zoom: 10 } });
+    });
+});
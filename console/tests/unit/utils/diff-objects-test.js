@@ -0,0 +1,23 @@
+import diffObjects from '@fleetbase/console/utils/diff-objects';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | diff-objects', function () {
+    test('it returns no changes for equal values', function (assert) {
+        assert.deepEqual(diffObjects({ table: { name: 'orders' } }, { table: { name: 'orders' } }), []);
+    });
+
+    test('it lists nested changes with paths', function (assert) {
+        const before = { table: { name: 'orders' }, columns: ['id', 'status'], limit: 100 };
+        const after = { table: { name: 'orders' }, columns: ['id', 'status', 'created_at'], limit: 50, groupBy: ['status'] };
+
+        assert.deepEqual(diffObjects(before, after), [
+            { path: 'columns[2]', type: 'added', before: undefined, after: 'created_at' },
+            { path: 'limit', type: 'changed', before: 100, after: 50 },
+            { path: 'groupBy', type: 'added', before: undefined, after: ['status'] },
+        ]);
+    });
+
+    test('it reports removed keys', function (assert) {
+        assert.deepEqual(diffObjects({ limit: 10, sortBy: [] }, { limit: 10 }), [{ path: 'sortBy', type: 'removed', before: [], after: undefined }]);
+    });
+});
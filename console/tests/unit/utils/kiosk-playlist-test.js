@@ -0,0 +1,50 @@
+import { buildPlaylist, getPlaylistPosition, parsePlaylistParam } from '@fleetbase/console/utils/kiosk-playlist';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | kiosk-playlist', function () {
+    const dashboards = [
+        { id: 'a', name: 'Operations', options: {} },
+        { id: 'b', name: 'Alerts', options: { kiosk_duration: 30 } },
+        { id: 'c', name: 'Fleet', options: null },
+    ];
+
+    test('it parses the playlist param', function (assert) {
+        assert.deepEqual(parsePlaylistParam('a, b,,a'), ['a', 'b']);
+        assert.deepEqual(parsePlaylistParam(['c', 'a']), ['c', 'a']);
+        assert.deepEqual(parsePlaylistParam(null), []);
+    });
+
+    test('it builds a playlist', function (assert) {
+        const all = buildPlaylist(dashboards);
+        assert.deepEqual(
+            all.map(({ dashboard, duration }) => [dashboard.id, duration]),
+            [
+                ['a', 60],
+                ['b', 30],
+                ['c', 60],
+            ]
+        );
+
+        const picked = buildPlaylist(dashboards, { ids: ['c', 'missing', 'a'], duration: '5' });
+        assert.deepEqual(
+            picked.map(({ dashboard, duration }) => [dashboard.id, duration]),
+            [
+                ['c', 10],
+                ['a', 10],
+            ],
+            'follows the ids and keeps the minimum duration'
+        );
+    });
+
+    test('it finds the playlist position', function (assert) {
+        const playlist = buildPlaylist(dashboards);
+        const startedAt = new Date('2024-05-01T12:00:00Z');
+        const at = (seconds) => new Date(startedAt.getTime() + seconds * 1000);
+
+        assert.deepEqual(getPlaylistPosition(playlist, startedAt, at(0)), { index: 0, remaining: 60 });
+        assert.deepEqual(getPlaylistPosition(playlist, startedAt, at(75)), { index: 1, remaining: 15 });
+        assert.deepEqual(getPlaylistPosition(playlist, startedAt, at(90)), { index: 2, remaining: 60 });
+        assert.deepEqual(getPlaylistPosition(playlist, startedAt, at(150)), { index: 0, remaining: 60 }, 'loops');
+        assert.strictEqual(getPlaylistPosition([], startedAt, at(10)), null);
+    });
+});
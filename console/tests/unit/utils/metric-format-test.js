@@ -0,0 +1,73 @@
+import { buildSparklinePath, formatMetricValue, getMetricTrend, getThresholdStatus } from '@fleetbase/console/utils/metric-format';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | metric-format', function () {
+    test('it formats numbers with the locale', function (assert) {
+        assert.strictEqual(formatMetricValue(1234567.891, { format: 'number', locale: 'en-US' }), '1,234,567.89');
+        assert.strictEqual(formatMetricValue(1234567.891, { format: 'number', locale: 'de-DE' }), '1.234.567,89');
+        assert.strictEqual(formatMetricValue('12.4', { format: 'number', locale: 'en-US', precision: 0 }), '12');
+        assert.strictEqual(formatMetricValue('n/a', { format: 'number', locale: 'en-US' }), 'n/a');
+    });
+
+    test('it formats percentages from ratios', function (assert) {
+        assert.strictEqual(formatMetricValue(0.256, { format: 'percent', locale: 'en-US' }), '25.6%');
+        assert.strictEqual(formatMetricValue(1, { format: 'percent', locale: 'en-US' }), '100%');
+        assert.strictEqual(formatMetricValue(0.256, { format: 'percent', locale: 'en-US', precision: 0 }), '26%');
+    });
+
+    test('it formats compact numbers', function (assert) {
+        assert.strictEqual(formatMetricValue(1250000, { format: 'compact', locale: 'en-US' }), '1.3M');
+        assert.strictEqual(formatMetricValue(1500, { format: 'compact', locale: 'en-US' }), '1.5K');
+        assert.strictEqual(formatMetricValue(999, { format: 'compact', locale: 'en-US' }), '999');
+    });
+
+    test('it formats money, distances, bytes, durations and dates', function (assert) {
+        assert.strictEqual(formatMetricValue(123456, { format: 'money', currency: 'USD' }), '$1,234.56');
+        assert.strictEqual(formatMetricValue(12345, { format: 'meters' }), '12km');
+        assert.strictEqual(formatMetricValue(2048, { format: 'bytes' }), '2 KB');
+        assert.strictEqual(formatMetricValue(3725, { format: 'duration' }), '1h 2m');
+        assert.strictEqual(formatMetricValue('2024-05-01T12:00:00', { format: 'date', dateFormat: 'yyyy-MM-dd' }), '2024-05-01');
+    });
+
+    test('it leaves unformatted and missing values', function (assert) {
+        assert.strictEqual(formatMetricValue(42), '42');
+        assert.strictEqual(formatMetricValue('n/a', { format: 'number' }), 'n/a');
+        assert.strictEqual(formatMetricValue('not a date', { format: 'date', dateFormat: 'yyyy-MM-dd' }), 'not a date');
+        assert.strictEqual(formatMetricValue(null, { format: 'number' }), null);
+        assert.strictEqual(formatMetricValue('', { format: 'money' }), null);
+    });
+
+    test('it compares with the previous period', function (assert) {
+        assert.deepEqual(getMetricTrend(120, 100), { delta: 20, percent: 0.2, direction: 'up', isPositive: true });
+        assert.deepEqual(getMetricTrend(80, 100, { higherIsBetter: false }), { delta: -20, percent: -0.2, direction: 'down', isPositive: true });
+        assert.deepEqual(getMetricTrend(5, 0), { delta: 5, percent: null, direction: 'up', isPositive: true });
+        assert.strictEqual(getMetricTrend(5, 5).isPositive, null);
+        assert.strictEqual(getMetricTrend(5, null), null);
+    });
+
+    test('it resolves threshold statuses', function (assert) {
+        const thresholds = [
+            { value: 80, status: 'warning' },
+            { value: 95, status: 'danger' },
+        ];
+
+        assert.strictEqual(getThresholdStatus(50, thresholds), null);
+        assert.strictEqual(getThresholdStatus(85, thresholds), 'warning');
+        assert.strictEqual(getThresholdStatus(99, thresholds), 'danger');
+        assert.strictEqual(getThresholdStatus('n/a', thresholds), null);
+
+        const below = [
+            { value: 10, status: 'warning' },
+            { value: 3, status: 'danger' },
+        ];
+        assert.strictEqual(getThresholdStatus(5, below, 'below'), 'warning');
+        assert.strictEqual(getThresholdStatus(2, below, 'below'), 'danger');
+    });
+
+    test('it builds sparkline paths', function (assert) {
+        assert.strictEqual(buildSparklinePath([1, 3, 2], { width: 100, height: 20 }), 'M0,20 L50,0 L100,10');
+        assert.strictEqual(buildSparklinePath([4, 4]), 'M0,12 L100,12');
+        assert.strictEqual(buildSparklinePath([1, 'n/a', 2]), 'M0,24 L100,0');
+        assert.strictEqual(buildSparklinePath([1]), null);
+    });
+});
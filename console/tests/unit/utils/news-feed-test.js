@@ -0,0 +1,68 @@
+import { getNewsSource, isAnnouncementActive, normalizeNewsItems, parseNewsXml } from '@fleetbase/console/utils/news-feed';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | news-feed', function () {
+    test('it resolves the news source', function (assert) {
+        assert.strictEqual(getNewsSource(), 'fleetbase');
+        assert.strictEqual(getNewsSource({}, { news_source: 'announcements' }), 'announcements');
+        assert.strictEqual(getNewsSource({ source: 'disabled' }, { news_source: 'announcements' }), 'disabled', 'the widget option wins');
+        assert.strictEqual(getNewsSource({ source: 'unknown' }, {}), 'fleetbase');
+        assert.strictEqual(getNewsSource({}, { news_source: 'feed' }), 'disabled', 'a feed needs a url');
+        assert.strictEqual(getNewsSource({}, { news_source: 'feed', news_feed_url: 'https://intranet.local/releases.json' }), 'feed');
+    });
+
+    test('it normalizes lists and JSON feeds', function (assert) {
+        const list = normalizeNewsItems([
+            { title: 'Older', link: 'https://example.com/1', pubDate: '2024-01-01' },
+            { title: 'Newer', link: 'https://example.com/2', pubDate: '2024-02-01' },
+            { title: '' },
+        ]);
+
+        assert.deepEqual(
+            list.map((item) => item.title),
+            ['Newer', 'Older']
+        );
+        assert.strictEqual(list[0].link, 'https://example.com/2');
+
+        const feed = normalizeNewsItems({ items: [{ id: 'a', title: 'v1.2.0', url: 'https://example.com/v1.2.0', date_published: '2024-03-01T00:00:00Z', content_text: 'Fixes' }] });
+        assert.strictEqual(feed[0].id, 'a');
+        assert.strictEqual(feed[0].link, 'https://example.com/v1.2.0');
+        assert.strictEqual(feed[0].summary, 'Fixes');
+
+        const pinned = normalizeNewsItems(
+            [
+                { title: 'Latest', published_at: '2024-02-01' },
+                { title: 'Pinned', published_at: '2023-01-01', is_pinned: true },
+                { title: 'Oldest', published_at: '2022-01-01' },
+            ],
+            { limit: 2 }
+        );
+        assert.deepEqual(
+            pinned.map((item) => item.title),
+            ['Pinned', 'Latest']
+        );
+    });
+
+    test('it reads RSS and Atom feeds', function (assert) {
+        const rss = parseNewsXml('<rss><channel><item><title>v2.0.0</title><link>https://example.com/rss</link><pubDate>Fri, 01 Mar 2024 00:00:00 GMT</pubDate></item></channel></rss>');
+        assert.strictEqual(rss[0].title, 'v2.0.0');
+        assert.strictEqual(rss[0].link, 'https://example.com/rss');
+
+        const atom = normalizeNewsItems(
+            '<feed xmlns="http://www.w3.org/2005/Atom"><entry><id>1</id><title>v2.1.0</title><link href="https://example.com/atom" /><updated>2024-04-01T00:00:00Z</updated></entry></feed>'
+        );
+        assert.strictEqual(atom[0].title, 'v2.1.0');
+        assert.strictEqual(atom[0].link, 'https://example.com/atom');
+
+        assert.deepEqual(normalizeNewsItems('<not xml'), []);
+    });
+
+    test('it checks whether an announcement is live', function (assert) {
+        const now = new Date('2024-05-10T12:00:00Z');
+
+        assert.true(isAnnouncementActive({ published_at: '2024-05-01T00:00:00Z' }, now));
+        assert.false(isAnnouncementActive({ published_at: null }, now), 'drafts are not live');
+        assert.false(isAnnouncementActive({ published_at: '2024-05-11T00:00:00Z' }, now), 'scheduled');
+        assert.false(isAnnouncementActive({ published_at: '2024-05-01T00:00:00Z', expires_at: '2024-05-09T00:00:00Z' }, now), 'expired');
+    });
+});
@@ -0,0 +1,72 @@
+import {
+    getOperatorsForColumn,
+    createCondition,
+    createConditionGroup,
+    updateConditionsAt,
+    getConditionsAt,
+    setGroupOperator,
+    moveCondition,
+    compactConditions,
+} from '@fleetbase/console/utils/query-conditions';
+import { module, test } from 'qunit';
+
+const field = { name: 'status', type: 'string' };
+const operator = { value: '=', key: 'equals' };
+
+module('Unit | Utility | query-conditions', function () {
+    test('it returns operators for a column type', function (assert) {
+        assert.deepEqual(getOperatorsForColumn(undefined), []);
+        assert.true(getOperatorsForColumn({ type: 'string' }).some(({ value }) => value === 'like'));
+        assert.true(getOperatorsForColumn({ type: 'integer' }).some(({ value }) => value === 'between'));
+        assert.false(getOperatorsForColumn({ type: 'boolean' }).some(({ value }) => value === '>'));
+    });
+
+    test('it names operators by their label key', function (assert) {
+        assert.deepEqual(
+            getOperatorsForColumn({ type: 'date' }).map(({ key }) => key),
+            ['equals', 'not-equals', 'is-empty', 'is-not-empty', 'after', 'before', 'on-or-after', 'on-or-before', 'between-dates', 'not-between-dates']
+        );
+        assert.true(getOperatorsForColumn({ type: 'integer' }).some(({ value, key }) => value === '>' && key === 'greater-than'));
+    });
+
+    test('it updates nested groups immutably', function (assert) {
+        const group = createConditionGroup('and', 'or');
+        const conditions = [createCondition(), group];
+        const updated = updateConditionsAt(conditions, [1], (list) => [...list, createCondition('or')]);
+
+        assert.strictEqual(getConditionsAt(updated, [1]).length, 2);
+        assert.strictEqual(getConditionsAt(conditions, [1]).length, 1);
+        assert.strictEqual(updated[0], conditions[0]);
+    });
+
+    test('it sets group operators on the group and its children', function (assert) {
+        const conditions = [createCondition(), createConditionGroup()];
+        const nested = setGroupOperator(conditions, [1], 'or');
+        const root = setGroupOperator(conditions, [], 'or');
+
+        assert.strictEqual(nested[1].operator, 'or');
+        assert.strictEqual(nested[1].conditions[0].logicalOperator, 'or');
+        assert.strictEqual(nested[0].logicalOperator, 'and');
+        assert.deepEqual(
+            root.map(({ logicalOperator }) => logicalOperator),
+            ['or', 'or']
+        );
+    });
+
+    test('it moves conditions within a group', function (assert) {
+        const [first, second] = [createCondition(), createCondition()];
+        const moved = moveCondition([first, second], [], 0, 1);
+
+        assert.deepEqual(moved, [second, first]);
+    });
+
+    test('it compacts incomplete conditions and empty groups', function (assert) {
+        const complete = { ...createCondition(), field, operator, value: 'active' };
+        const conditions = [complete, createCondition(), createConditionGroup(), { ...createConditionGroup(), conditions: [complete] }];
+        const compacted = compactConditions(conditions);
+
+        assert.strictEqual(compacted.length, 2);
+        assert.strictEqual(compacted[0], complete);
+        assert.deepEqual(compacted[1].conditions, [complete]);
+    });
+});
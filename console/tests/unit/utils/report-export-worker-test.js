@@ -0,0 +1,78 @@
+import reportExportWorker, { resolveStreamingFormat } from '@fleetbase/console/utils/report-export-worker';
+import { module, test } from 'qunit';
+
+function createScope() {
+    const scope = { messages: [] };
+    scope.postMessage = (message) => scope.messages.push(message);
+    reportExportWorker(scope);
+    scope.send = (data) => scope.onmessage({ data });
+    return scope;
+}
+
+const columns = [
+    { name: 'id', label: 'ID' },
+    { name: 'name', label: 'Name' },
+];
+
+module('Unit | Utility | report-export-worker', function () {
+    test('it resolves streaming formats', function (assert) {
+        assert.strictEqual(resolveStreamingFormat('csv'), 'csv');
+        assert.strictEqual(resolveStreamingFormat('excel'), 'xlsx');
+        assert.strictEqual(resolveStreamingFormat('JSON'), 'ndjson');
+        assert.strictEqual(resolveStreamingFormat('pdf'), null);
+    });
+
+    test('it assembles csv incrementally', async function (assert) {
+        const scope = createScope();
+        scope.send({ type: 'start', format: 'csv', columns });
+        scope.send({ type: 'rows', rows: [{ id: 1, name: 'Acme, "Inc"' }] });
+        scope.send({ type: 'rows', rows: [{ id: 2, name: null }] });
+        scope.send({ type: 'finish' });
+
+        assert.deepEqual(
+            scope.messages.map(({ type }) => type),
+            ['ready', 'progress', 'progress', 'done']
+        );
+
+        const { blob, rowCount } = scope.messages[3];
+        assert.strictEqual(rowCount, 2);
+        assert.deepEqual([...new Uint8Array(await blob.arrayBuffer()).slice(0, 3)], [0xef, 0xbb, 0xbf], 'starts with a UTF-8 byte order mark');
+        assert.strictEqual(await blob.text(), 'ID,Name\r\n1,"Acme, ""Inc"""\r\n2,\r\n', 'the byte order mark is dropped when decoding');
+    });
+
+    test('it assembles ndjson', async function (assert) {
+        const scope = createScope();
+        scope.send({ type: 'start', format: 'ndjson', columns });
+        scope.send({ type: 'rows', rows: [{ id: 1, name: 'Acme', ignored: true }] });
+        scope.send({ type: 'finish' });
+
+        const { blob } = scope.messages.find(({ type }) => type === 'done');
+        assert.strictEqual(await blob.text(), '{"id":1,"name":"Acme"}\n');
+    });
+
+    test('it assembles xlsx as a zip archive', async function (assert) {
+        const scope = createScope();
+        scope.send({ type: 'start', format: 'xlsx', columns });
+        scope.send({ type: 'rows', rows: [{ id: 1, name: '<Acme>' }] });
+        scope.send({ type: 'finish' });
+
+        const { blob } = scope.messages.find(({ type }) => type === 'done');
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const text = new TextDecoder().decode(bytes);
+
+        assert.deepEqual([...bytes.slice(0, 4)], [0x50, 0x4b, 0x03, 0x04]);
+        assert.true(text.includes('xl/worksheets/sheet1.xml'));
+        assert.true(text.includes('<t xml:space="preserve">&lt;Acme&gt;</t>'));
+    });
+
+    test('it reports errors', function (assert) {
+        const scope = createScope();
+        scope.send({ type: 'rows', rows: [] });
+        scope.send({ type: 'start', format: 'pdf', columns });
+
+        assert.deepEqual(
+            scope.messages.map(({ type }) => type),
+            ['error', 'error']
+        );
+    });
+});
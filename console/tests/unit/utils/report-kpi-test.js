@@ -0,0 +1,52 @@
+import { computeKpi, findDateRangeParameter, getComparisonRange, getKpiParameterValues, validateKpi } from '@fleetbase/console/utils/report-kpi';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | report-kpi', function () {
+    const parameters = [
+        { name: 'period', type: 'daterange' },
+        { name: 'courier', type: 'model', model: 'driver' },
+        { name: 'status', type: 'enum', options: ['completed', 'cancelled'] },
+    ];
+
+    test('it finds the date range parameter', function (assert) {
+        assert.strictEqual(findDateRangeParameter(parameters).name, 'period');
+        assert.strictEqual(findDateRangeParameter(parameters, 'missing'), null);
+        assert.strictEqual(findDateRangeParameter([]), null);
+    });
+
+    test('it applies dashboard filters to the report parameters', function (assert) {
+        const values = getKpiParameterValues(
+            parameters,
+            { status: 'completed', period: { expression: 'last_30_days' } },
+            { date_range: ['2024-05-01', '2024-05-07'], driver: 'driver_1', vehicle: 'vehicle_1' }
+        );
+
+        assert.deepEqual(values, { status: 'completed', period: ['2024-05-01', '2024-05-07'], courier: 'driver_1' });
+        assert.deepEqual(getKpiParameterValues(parameters, { status: 'completed' }, {}), { status: 'completed' });
+    });
+
+    test('it resolves comparison ranges', function (assert) {
+        assert.deepEqual(getComparisonRange(['2024-05-08', '2024-05-14'], 'previous_period'), ['2024-05-01', '2024-05-07']);
+        assert.deepEqual(getComparisonRange(['2024-03-01', '2024-03-31'], 'previous_period'), ['2024-01-30', '2024-02-29']);
+        assert.deepEqual(getComparisonRange(['2024-05-01', '2024-05-31'], 'previous_year'), ['2023-05-01', '2023-05-31']);
+        assert.strictEqual(getComparisonRange(['2024-05-01', '2024-05-31'], 'previous_decade'), null);
+        assert.strictEqual(getComparisonRange(null, 'previous_period'), null);
+    });
+
+    test('it computes KPIs from a result', function (assert) {
+        const result = { data: [{ amount: 10 }, { amount: '30' }, { amount: null }], meta: { total_rows: 120 } };
+
+        assert.strictEqual(computeKpi(result, { aggregate: 'count' }), 120);
+        assert.strictEqual(computeKpi({ data: result.data }, { aggregate: 'count' }), 3);
+        assert.strictEqual(computeKpi(result, { aggregate: 'count', column: 'amount' }), 2);
+        assert.strictEqual(computeKpi(result, { aggregate: 'sum', column: 'amount' }), 40);
+        assert.strictEqual(computeKpi(result, { aggregate: 'max', column: 'amount' }), 30);
+        assert.strictEqual(computeKpi({ data: [] }, { aggregate: 'avg', column: 'amount' }), null);
+    });
+
+    test('it validates KPI options', function (assert) {
+        assert.true(validateKpi({ report: 'report_1', aggregate: 'count' }).valid);
+        assert.deepEqual(validateKpi({ aggregate: 'sum' }).errors, { report: 'required', column: 'required' });
+        assert.deepEqual(validateKpi({ report: 'report_1', aggregate: 'median', comparison: 'previous_decade' }).errors, { aggregate: 'invalid', comparison: 'invalid' });
+    });
+});
@@ -0,0 +1,77 @@
+import {
+    bindParameters,
+    createParameter,
+    findParameterReferences,
+    isRelativeDateExpression,
+    resolveParameterValues,
+    resolveRelativeDate,
+    validateParameterValues,
+} from '@fleetbase/console/utils/report-parameters';
+import { format } from 'date-fns';
+import { module, test } from 'qunit';
+
+const now = new Date(2026, 9, 21, 10, 30);
+const day = (date) => format(date, 'yyyy-MM-dd');
+const range = (expression, context = {}) => {
+    const { start, end } = resolveRelativeDate(expression, { now, ...context });
+    return [day(start), day(end)];
+};
+
+const parameters = [
+    { name: 'period', type: 'daterange', required: true },
+    { name: 'status', type: 'enum', options: ['created', 'completed'], default: 'completed' },
+    { name: 'min_total', type: 'number', min: 0 },
+    { name: 'driver', type: 'model', model: 'driver' },
+];
+
+module('Unit | Utility | report-parameters', function () {
+    test('it resolves relative date expressions', function (assert) {
+        assert.deepEqual(range('today'), ['2026-10-21', '2026-10-21']);
+        assert.deepEqual(range('yesterday'), ['2026-10-20', '2026-10-20']);
+        assert.deepEqual(range('last_7_days'), ['2026-10-15', '2026-10-21']);
+        assert.deepEqual(range('this_week'), ['2026-10-19', '2026-10-25']);
+        assert.deepEqual(range('last_month'), ['2026-09-01', '2026-09-30']);
+        assert.deepEqual(range('last_quarter'), ['2026-07-01', '2026-09-30']);
+        assert.deepEqual(range('next_3_days'), ['2026-10-21', '2026-10-23']);
+        assert.deepEqual(range('period', { periodStart: '2026-01-01', periodEnd: '2026-01-31' }), ['2026-01-01', '2026-01-31']);
+        assert.strictEqual(resolveRelativeDate('period', { now }), null);
+        assert.strictEqual(resolveRelativeDate('someday', { now }), null);
+        assert.true(isRelativeDateExpression('last_14_days'));
+        assert.false(isRelativeDateExpression('last_days'));
+    });
+
+    test('it validates parameter values', function (assert) {
+        assert.deepEqual(validateParameterValues(parameters, {}).errors, { period: 'required' });
+        assert.deepEqual(validateParameterValues(parameters, { period: ['2026-10-10', '2026-10-01'], status: 'lost', min_total: -1 }).errors, {
+            period: 'invalid-range',
+            status: 'invalid-option',
+            min_total: 'out-of-range',
+        });
+        assert.true(validateParameterValues(parameters, { period: { expression: 'yesterday' } }).valid);
+        assert.strictEqual(validateParameterValues(parameters, { period: { expression: 'whenever' } }).errors.period, 'invalid-expression');
+    });
+
+    test('it resolves values with defaults and expressions', function (assert) {
+        const values = resolveParameterValues(parameters, { period: { expression: 'yesterday' }, min_total: '25', driver: { id: 'driver_1' } }, { now });
+
+        assert.deepEqual(values, { period: ['2026-10-20', '2026-10-20'], status: 'completed', min_total: 25, driver: 'driver_1' });
+    });
+
+    test('it binds parameter references in nested conditions', function (assert) {
+        const conditions = [
+            { field: { name: 'created_at' }, operator: { value: 'between' }, value: { parameter: 'period' } },
+            { operator: 'or', conditions: [{ field: { name: 'status' }, operator: { value: '=' }, value: { parameter: 'status' } }] },
+        ];
+        const bound = bindParameters(conditions, { period: ['2026-10-20', '2026-10-20'], status: 'completed' });
+
+        assert.deepEqual(findParameterReferences(conditions), ['period', 'status']);
+        assert.deepEqual(bound[0].value, ['2026-10-20', '2026-10-20']);
+        assert.strictEqual(bound[1].conditions[0].value, 'completed');
+        assert.deepEqual(conditions[0].value, { parameter: 'period' });
+    });
+
+    test('it creates parameters with unique names', function (assert) {
+        assert.strictEqual(createParameter([]).name, 'parameter_1');
+        assert.strictEqual(createParameter([{ name: 'parameter_2' }]).name, 'parameter_3');
+    });
+});
@@ -0,0 +1,75 @@
+import { getDefaultVisualization, aggregateValues, buildChartData, buildPivotTable, isNumericColumn } from '@fleetbase/console/utils/report-visualization';
+import { module, test } from 'qunit';
+
+const columns = [
+    { name: 'status', label: 'Status' },
+    { name: 'city', label: 'City' },
+    { name: 'total', label: 'Total' },
+];
+
+const data = [
+    { status: 'completed', city: 'Singapore', total: 10 },
+    { status: 'canceled', city: 'Singapore', total: '5' },
+    { status: 'completed', city: 'Jakarta', total: 20 },
+];
+
+module('Unit | Utility | report-visualization', function () {
+    test('it detects numeric columns from values', function (assert) {
+        assert.true(isNumericColumn(columns[2], data));
+        assert.false(isNumericColumn(columns[0], data));
+        assert.true(isNumericColumn({ name: 'count', type: 'integer' }, []));
+    });
+
+    test('it picks a default visualization', function (assert) {
+        const visualization = getDefaultVisualization(columns, data);
+
+        assert.strictEqual(visualization.type, 'bar');
+        assert.strictEqual(visualization.dimension, 'status');
+        assert.deepEqual(visualization.measures, ['total']);
+        assert.strictEqual(getDefaultVisualization([columns[0]], data).type, 'table');
+    });
+
+    test('it aggregates values', function (assert) {
+        assert.strictEqual(aggregateValues([1, '2', 3], 'sum'), 6);
+        assert.strictEqual(aggregateValues([1, 2, 3], 'avg'), 2);
+        assert.strictEqual(aggregateValues([1, 2, 3], 'min'), 1);
+        assert.strictEqual(aggregateValues([1, 2, 3], 'max'), 3);
+        assert.strictEqual(aggregateValues([null, 'a'], 'count'), 2);
+        assert.strictEqual(aggregateValues([], 'sum'), null);
+    });
+
+    test('it builds chart data grouped by the dimension', function (assert) {
+        const chart = buildChartData(columns, data, { type: 'bar', dimension: 'status', measures: ['total'] });
+
+        assert.strictEqual(chart.type, 'bar');
+        assert.deepEqual(chart.labels, ['completed', 'canceled']);
+        assert.deepEqual(chart.datasets[0].data, [30, 5]);
+        assert.strictEqual(chart.datasets[0].label, 'Total');
+    });
+
+    test('it renders area charts as filled line charts', function (assert) {
+        const chart = buildChartData(columns, data, { type: 'area', dimension: 'city', measures: ['total'] });
+
+        assert.strictEqual(chart.type, 'line');
+        assert.true(chart.datasets[0].fill);
+    });
+
+    test('it builds a pivot table with totals', function (assert) {
+        const pivot = buildPivotTable(data, { rows: 'status', columns: 'city', value: 'total', aggregate: 'sum' });
+
+        assert.deepEqual(pivot.rowKeys, ['completed', 'canceled']);
+        assert.deepEqual(pivot.columnKeys, ['Singapore', 'Jakarta']);
+        assert.deepEqual(pivot.cells.completed, { Singapore: 10, Jakarta: 20 });
+        assert.strictEqual(pivot.cells.canceled.Jakarta, null);
+        assert.strictEqual(pivot.rowTotals.completed, 30);
+        assert.strictEqual(pivot.columnTotals.Singapore, 15);
+        assert.strictEqual(pivot.grandTotal, 35);
+    });
+
+    test('it counts rows when a pivot has no value column', function (assert) {
+        const pivot = buildPivotTable(data, { rows: 'city' });
+
+        assert.deepEqual(pivot.cells.Singapore, { '': 2 });
+        assert.strictEqual(pivot.grandTotal, 3);
+    });
+});
@@ -0,0 +1,110 @@
+import {
+    expandAvailability,
+    expandRRule,
+    expandScheduleTemplate,
+    getShiftMinutes,
+    isDaySet,
+    parseRRule,
+    serializeRRule,
+    withoutExistingOccurrences,
+    WEEKDAY_CODES,
+} from '@fleetbase/console/utils/rrule';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | rrule', function () {
+    test('it parses rules with a start and exception dates', function (assert) {
+        const rule = parseRRule('DTSTART;VALUE=DATE:20261001\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,-1FR;UNTIL=20261231T235959Z\nEXDATE;VALUE=DATE:20261012,20261005');
+
+        assert.strictEqual(rule.freq, 'WEEKLY');
+        assert.strictEqual(rule.interval, 2);
+        assert.deepEqual(rule.byDay, [
+            { day: 'MO', ordinal: null },
+            { day: 'FR', ordinal: -1 },
+        ]);
+        assert.strictEqual(rule.start, '2026-10-01');
+        assert.strictEqual(rule.until, '2026-12-31');
+        assert.deepEqual(rule.exdates, ['2026-10-05', '2026-10-12']);
+
+        assert.strictEqual(parseRRule('FREQ=DAILY;COUNT=3').count, 3);
+        assert.strictEqual(parseRRule('FREQ=HOURLY'), null);
+        assert.strictEqual(parseRRule(''), null);
+    });
+
+    test('it writes rules back', function (assert) {
+        const value = 'DTSTART;VALUE=DATE:20261001\nRRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR\nEXDATE;VALUE=DATE:20261026';
+
+        assert.strictEqual(serializeRRule(parseRRule(value)), value);
+        assert.deepEqual(parseRRule(serializeRRule(parseRRule(value))), parseRRule(value));
+    });
+
+    test('it expands weekday rules without exception dates', function (assert) {
+        const dates = expandRRule('DTSTART;VALUE=DATE:20261019\nRRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR\nEXDATE;VALUE=DATE:20261021', { from: '2026-10-19', to: '2026-10-25' });
+
+        assert.deepEqual(dates, ['2026-10-19', '2026-10-20', '2026-10-22', '2026-10-23']);
+    });
+
+    test('it expands monthly and yearly rules', function (assert) {
+        assert.deepEqual(
+            expandRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', { from: '2026-10-01', to: '2027-12-31' }),
+            ['2026-10-30', '2026-11-27', '2026-12-25'],
+            'the last Friday of three months'
+        );
+        assert.deepEqual(
+            expandRRule('FREQ=MONTHLY;BYMONTHDAY=31', { from: '2026-01-01', to: '2026-05-31' }),
+            ['2026-01-31', '2026-03-31', '2026-05-31'],
+            'months without a 31st are skipped'
+        );
+        assert.deepEqual(expandRRule('DTSTART;VALUE=DATE:20240229\nRRULE:FREQ=YEARLY', { from: '2024-01-01', to: '2028-12-31' }), ['2024-02-29', '2028-02-29']);
+    });
+
+    test('it counts occurrences from the start of the rule', function (assert) {
+        const dates = expandRRule('DTSTART;VALUE=DATE:20261019\nRRULE:FREQ=DAILY;COUNT=5', { from: '2026-10-22', to: '2026-10-31' });
+
+        assert.deepEqual(dates, ['2026-10-22', '2026-10-23']);
+    });
+
+    test('it measures shifts running overnight', function (assert) {
+        assert.strictEqual(getShiftMinutes('08:00', '16:30'), 510);
+        assert.strictEqual(getShiftMinutes('22:00', '06:00'), 480);
+        assert.strictEqual(getShiftMinutes('08:00', null), null);
+    });
+
+    test('it expands templates at wall clock time across DST', function (assert) {
+        const template = { id: 'night', rrule: 'FREQ=DAILY', start_time: '22:00', end_time: '06:00', break_duration: 30 };
+        const [before, over] = expandScheduleTemplate(template, { from: '2026-10-24', to: '2026-10-25', timeZone: 'Europe/Berlin' });
+
+        assert.strictEqual(before.start_at.toISOString(), '2026-10-24T20:00:00.000Z');
+        assert.strictEqual(before.end_at.toISOString(), '2026-10-25T05:00:00.000Z', 'the clocks go back during the night');
+        assert.strictEqual(before.duration, 540);
+        assert.strictEqual(before.break_end_at - before.break_start_at, 30 * 60000);
+        assert.strictEqual(before.meta.template_uuid, 'night');
+        assert.strictEqual(over.duration, 480);
+    });
+
+    test('it expands recurring availability windows', function (assert) {
+        const windows = expandAvailability(
+            { start_at: '2026-10-19T22:00:00.000Z', end_at: '2026-10-20T06:00:00.000Z', rrule: 'FREQ=DAILY' },
+            { from: '2026-10-21', to: '2026-10-21', timeZone: 'UTC' }
+        );
+
+        assert.deepEqual(
+            windows.map(({ start, end }) => [start.toISOString(), end.toISOString()]),
+            [
+                ['2026-10-20T22:00:00.000Z', '2026-10-21T06:00:00.000Z'],
+                ['2026-10-21T22:00:00.000Z', '2026-10-22T06:00:00.000Z'],
+            ]
+        );
+    });
+
+    test('it leaves out occurrences already on the schedule', function (assert) {
+        const occurrences = [
+            { start_at: new Date('2026-10-19T08:00:00Z'), end_at: new Date('2026-10-19T16:00:00Z') },
+            { start_at: new Date('2026-10-20T08:00:00Z'), end_at: new Date('2026-10-20T16:00:00Z') },
+        ];
+        const items = [{ start_at: '2026-10-19T08:00:00.000Z', end_at: '2026-10-19T16:00:00.000Z', assignee_uuid: 'driver-1' }];
+
+        assert.strictEqual(withoutExistingOccurrences(occurrences, items, { assignee_uuid: 'driver-1' }).length, 1);
+        assert.strictEqual(withoutExistingOccurrences(occurrences, items, { assignee_uuid: 'driver-2' }).length, 2);
+        assert.true(isDaySet([{ day: 'FR' }, { day: 'MO' }, { day: 'TU' }, { day: 'WE' }, { day: 'TH' }], WEEKDAY_CODES));
+    });
+});
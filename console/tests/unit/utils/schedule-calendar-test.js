@@ -0,0 +1,132 @@
+import {
+    diffScheduleItems,
+    fromZonedInputValue,
+    getCalendarColumns,
+    getCalendarRange,
+    getPlacement,
+    moveItemTimes,
+    resizeItemTimes,
+    shiftCalendarDate,
+    snapToGrid,
+    snapshotScheduleItems,
+    toZonedInputValue,
+    validateScheduleAvailability,
+    validateScheduleItem,
+} from '@fleetbase/console/utils/schedule-calendar';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | schedule-calendar', function () {
+    test('it builds the days of a view in the schedule timezone', function (assert) {
+        const week = getCalendarRange('week', '2026-03-26', 'Europe/Berlin');
+
+        assert.deepEqual(
+            week.days.map((day) => day.key),
+            ['2026-03-23', '2026-03-24', '2026-03-25', '2026-03-26', '2026-03-27', '2026-03-28', '2026-03-29']
+        );
+        assert.strictEqual(week.start.toISOString(), '2026-03-22T23:00:00.000Z');
+        assert.strictEqual(week.days[6].end - week.days[6].start, 23 * 3600000, 'the spring forward day is 23 hours long');
+
+        const month = getCalendarRange('month', '2026-02-14', 'UTC');
+        assert.strictEqual(month.days.length, 28);
+        assert.strictEqual(month.end.toISOString(), '2026-03-01T00:00:00.000Z');
+    });
+
+    test('it drops the hour skipped by a DST change from the day view', function (assert) {
+        const range = getCalendarRange('day', '2026-03-29', 'Europe/Berlin');
+        assert.strictEqual(getCalendarColumns(range, 'Europe/Berlin').length, 23);
+    });
+
+    test('it moves between ranges', function (assert) {
+        assert.strictEqual(shiftCalendarDate('day', '2026-12-31', 1), '2027-01-01');
+        assert.strictEqual(shiftCalendarDate('week', '2026-01-02', -1), '2025-12-26');
+        assert.strictEqual(shiftCalendarDate('month', '2026-01-31', 1), '2026-02-28');
+    });
+
+    test('it places items within a range', function (assert) {
+        const range = { start: new Date('2026-05-04T00:00:00Z'), end: new Date('2026-05-05T00:00:00Z') };
+
+        assert.deepEqual(getPlacement('2026-05-04T06:00:00Z', '2026-05-04T12:00:00Z', range), { left: 25, width: 25, clippedStart: false, clippedEnd: false });
+        assert.deepEqual(getPlacement('2026-05-03T18:00:00Z', '2026-05-04T06:00:00Z', range), { left: 0, width: 25, clippedStart: true, clippedEnd: false });
+        assert.strictEqual(getPlacement('2026-05-05T06:00:00Z', '2026-05-05T12:00:00Z', range), null);
+    });
+
+    test('it snaps to wall clock time', function (assert) {
+        assert.strictEqual(snapToGrid(new Date('2026-05-04T07:52:00Z'), 15, 'Europe/Berlin').toISOString(), '2026-05-04T07:45:00.000Z');
+        assert.strictEqual(snapToGrid(new Date('2026-05-04T08:10:00Z'), 60, 'Asia/Kolkata').toISOString(), '2026-05-04T08:30:00.000Z');
+        assert.strictEqual(snapToGrid(new Date('2026-05-04T21:00:00Z'), 1440, 'Europe/Berlin').toISOString(), '2026-05-04T22:00:00.000Z');
+    });
+
+    test('it moves and resizes items', function (assert) {
+        const item = {
+            start_at: new Date('2026-05-04T08:00:00Z'),
+            end_at: new Date('2026-05-04T16:00:00Z'),
+            break_start_at: new Date('2026-05-04T12:00:00Z'),
+            break_end_at: new Date('2026-05-04T12:30:00Z'),
+        };
+
+        const moved = moveItemTimes(item, new Date('2026-05-05T09:00:00Z'));
+        assert.strictEqual(moved.end_at.toISOString(), '2026-05-05T17:00:00.000Z');
+        assert.strictEqual(moved.break_start_at.toISOString(), '2026-05-05T13:00:00.000Z', 'the break moves along');
+
+        assert.deepEqual(resizeItemTimes(item, new Date('2026-05-04T18:00:00Z')), { end_at: new Date('2026-05-04T18:00:00Z'), duration: 600 });
+        assert.strictEqual(resizeItemTimes(item, new Date('2026-05-04T11:00:00Z')).break_start_at, null, 'drops a break which no longer fits');
+        assert.strictEqual(resizeItemTimes(item, new Date('2026-05-04T07:00:00Z'), 60).duration, 60, 'keeps the shortest length');
+    });
+
+    test('it validates item times', function (assert) {
+        const start_at = new Date('2026-05-04T08:00:00Z');
+        const end_at = new Date('2026-05-04T16:00:00Z');
+
+        assert.deepEqual(validateScheduleItem({ start_at, end_at }), []);
+        assert.deepEqual(validateScheduleItem({ start_at: end_at, end_at: start_at }), ['end-before-start']);
+        assert.deepEqual(validateScheduleItem({ start_at, end_at, break_start_at: start_at }), ['break-incomplete']);
+        assert.deepEqual(validateScheduleItem({ start_at, end_at, break_start_at: new Date('2026-05-04T15:30:00Z'), break_end_at: new Date('2026-05-04T16:30:00Z') }), [
+            'break-outside-item',
+        ]);
+    });
+
+    test('it validates availability times', function (assert) {
+        const start_at = new Date('2026-05-04T08:00:00Z');
+        const end_at = new Date('2026-05-06T16:00:00Z');
+
+        assert.deepEqual(validateScheduleAvailability({ start_at, end_at }), [], 'windows may span days');
+        assert.deepEqual(validateScheduleAvailability({ start_at, end_at: null }), ['times-required']);
+        assert.deepEqual(validateScheduleAvailability({ start_at: end_at, end_at: start_at }), ['end-before-start']);
+    });
+
+    test('it diffs items against the last publish', function (assert) {
+        const items = [
+            { id: 'a', assignee_uuid: 'driver-1', start_at: new Date('2026-05-04T08:00:00Z'), end_at: new Date('2026-05-04T16:00:00Z'), status: 'pending' },
+            { id: 'b', assignee_uuid: 'driver-2', start_at: new Date('2026-05-04T08:00:00Z'), end_at: new Date('2026-05-04T16:00:00Z'), status: 'pending' },
+        ];
+        const snapshot = snapshotScheduleItems(items);
+
+        assert.strictEqual(snapshot[0].start_at, '2026-05-04T08:00:00.000Z');
+        assert.strictEqual(diffScheduleItems(snapshot, items).count, 0);
+
+        const diff = diffScheduleItems(snapshot, [
+            { ...items[0], status: 'confirmed', assignee_uuid: 'driver-3' },
+            { id: 'c', start_at: new Date(), end_at: new Date() },
+        ]);
+        assert.deepEqual(
+            diff.changed.map(({ keys }) => keys),
+            [['assignee_uuid', 'status']]
+        );
+        assert.deepEqual(
+            diff.added.map(({ id }) => id),
+            ['c']
+        );
+        assert.deepEqual(
+            diff.removed.map(({ id }) => id),
+            ['b']
+        );
+        assert.strictEqual(diff.count, 3);
+        assert.strictEqual(diffScheduleItems(undefined, items).added.length, 2, 'every item is new before the first publish');
+    });
+
+    test('it converts input values in the schedule timezone', function (assert) {
+        assert.strictEqual(toZonedInputValue(new Date('2026-07-01T01:00:00Z'), 'Asia/Singapore'), '2026-07-01T09:00');
+        assert.strictEqual(fromZonedInputValue('2026-07-01T09:00', 'Asia/Singapore').toISOString(), '2026-07-01T01:00:00.000Z');
+        assert.strictEqual(fromZonedInputValue('', 'UTC'), null);
+    });
+});
@@ -0,0 +1,68 @@
+import { getDailyMinutes, getHighestSeverity, getWeekKey, groupViolationsByItem, validateSchedule } from '@fleetbase/console/utils/schedule-constraints';
+import { module, test } from 'qunit';
+
+const shift = (id, start_at, end_at, attributes = {}) => ({ id, assignee_uuid: 'driver-1', start_at: new Date(start_at), end_at: new Date(end_at), ...attributes });
+
+module('Unit | Utility | schedule-constraints', function () {
+    test('it splits worked time over days without breaks', function (assert) {
+        const days = getDailyMinutes(
+            [
+                shift('night', '2026-10-19T20:00:00Z', '2026-10-20T04:00:00Z', { break_start_at: '2026-10-19T23:30:00Z', break_end_at: '2026-10-20T00:30:00Z' }),
+                shift('day', '2026-10-20T12:00:00Z', '2026-10-20T14:00:00Z'),
+            ],
+            'UTC'
+        );
+
+        assert.strictEqual(days.get('2026-10-19').minutes, 210);
+        assert.strictEqual(days.get('2026-10-20').minutes, 330);
+        assert.strictEqual(days.get('2026-10-20').items.length, 2);
+        assert.strictEqual(getWeekKey('2026-10-25'), '2026-10-19', 'weeks start on Monday');
+    });
+
+    test('it flags hours, rest and breaks', function (assert) {
+        const items = [
+            shift('long', '2026-10-19T06:00:00Z', '2026-10-19T17:00:00Z'),
+            shift('early', '2026-10-20T01:00:00Z', '2026-10-20T05:00:00Z'),
+            shift('other', '2026-10-19T06:00:00Z', '2026-10-19T17:00:00Z', { assignee_uuid: 'driver-2', break_start_at: '2026-10-19T11:00:00Z', break_end_at: '2026-10-19T11:30:00Z' }),
+        ];
+        const constraints = [
+            { constraint_key: 'max_hours_per_day', constraint_value: '10', type: 'hard', jurisdiction: 'EU', priority: 1, is_active: true },
+            { constraint_key: 'min_rest_hours', constraint_value: '11', type: 'soft', jurisdiction: 'EU', is_active: true },
+            { constraint_key: 'min_break_minutes', constraint_value: '30', type: 'hard', jurisdiction: 'DE', priority: 2, is_active: true },
+            { constraint_key: 'max_hours_per_week', constraint_value: '1', is_active: false },
+        ];
+
+        const violations = validateSchedule({ items, constraints, timeZone: 'UTC' });
+
+        assert.deepEqual(
+            violations.map(({ key, severity, jurisdiction, assignee_uuid }) => [key, severity, jurisdiction, assignee_uuid]),
+            [
+                ['min_break_minutes', 'error', 'DE', 'driver-1'],
+                ['max_hours_per_day', 'error', 'EU', 'driver-1'],
+                ['max_hours_per_day', 'error', 'EU', 'driver-2'],
+                ['min_rest_hours', 'warning', 'EU', 'driver-1'],
+            ]
+        );
+        assert.deepEqual(violations[1].params, { date: '2026-10-19', hours: 11, limit: 10 });
+        assert.deepEqual(violations[2].params, { date: '2026-10-19', hours: 10.5, limit: 10 });
+        assert.deepEqual(violations[3].params, { hours: 8, limit: 11 });
+
+        const byItem = groupViolationsByItem(violations);
+        assert.strictEqual(byItem.get(items[0]).length, 3);
+        assert.strictEqual(getHighestSeverity(byItem.get(items[1])), 'warning');
+    });
+
+    test('it flags shifts while a driver is unavailable', function (assert) {
+        const items = [shift('monday', '2026-10-19T06:00:00Z', '2026-10-19T10:00:00Z'), shift('tuesday', '2026-10-20T10:00:00Z', '2026-10-20T14:00:00Z')];
+        const availabilities = [
+            { subject_uuid: 'driver-1', is_available: false, start_at: '2026-10-05T07:00:00Z', end_at: '2026-10-05T09:00:00Z', rrule: 'FREQ=WEEKLY;BYDAY=MO', reason: 'School run' },
+            { subject_uuid: 'driver-2', is_available: false, start_at: '2026-10-20T00:00:00Z', end_at: '2026-10-21T00:00:00Z' },
+        ];
+
+        const violations = validateSchedule({ items, constraints: [{ constraint_key: 'availability', type: 'hard', is_active: true }], availabilities, timeZone: 'UTC' });
+
+        assert.strictEqual(violations.length, 1);
+        assert.strictEqual(violations[0].items[0].id, 'monday');
+        assert.deepEqual(violations[0].params, { date: '2026-10-19', reason: 'School run' });
+    });
+});
@@ -0,0 +1,98 @@
+import { applyScheduleRequestChanges, canReviewScheduleRequest, getScheduleRequestChanges, validateScheduleRequest } from '@fleetbase/console/utils/schedule-requests';
+import { module, test } from 'qunit';
+
+const now = new Date('2026-10-19T12:00:00Z');
+const item = { assignee_uuid: 'driver-1', start_at: '2026-10-20T08:00:00.000Z', end_at: '2026-10-20T16:00:00.000Z' };
+const targetItem = { assignee_uuid: 'driver-2', start_at: '2026-10-21T08:00:00.000Z', end_at: '2026-10-21T16:00:00.000Z' };
+
+module('Unit | Utility | schedule-requests', function () {
+    test('it validates drop and swap requests', function (assert) {
+        assert.deepEqual(validateScheduleRequest({ type: 'drop', requester_uuid: 'driver-1' }, item, { now }), []);
+        assert.deepEqual(validateScheduleRequest({ type: 'swap', requester_uuid: 'driver-1', target_uuid: 'driver-2' }, item, { targetItem, now }), []);
+        assert.deepEqual(validateScheduleRequest({ type: 'swap', requester_uuid: 'driver-1' }, item, { now }), ['target-required']);
+        assert.deepEqual(validateScheduleRequest({ type: 'swap', requester_uuid: 'driver-1', target_uuid: 'driver-1' }, item, { now }), ['target-is-requester']);
+        assert.deepEqual(validateScheduleRequest({ type: 'swap', requester_uuid: 'driver-1', target_uuid: 'driver-3' }, item, { targetItem, now }), ['target-item-unavailable']);
+        assert.deepEqual(validateScheduleRequest({ type: 'drop', requester_uuid: 'driver-1' }, null, { now }), ['item-required']);
+    });
+
+    test('it refuses shifts which are not the requester or have started', function (assert) {
+        assert.deepEqual(validateScheduleRequest({ type: 'drop', requester_uuid: 'driver-2' }, item, { now }), ['not-assigned']);
+        assert.deepEqual(validateScheduleRequest({ type: 'drop', requester_uuid: 'driver-1' }, item, { now: new Date('2026-10-20T09:00:00Z') }), ['already-started']);
+    });
+
+    test('it changes the assignees of the shifts', function (assert) {
+        const drop = getScheduleRequestChanges({ type: 'drop' }, item);
+        assert.deepEqual(
+            drop.map(({ record, changes }) => [record, changes.assignee_uuid]),
+            [[item, null]]
+        );
+
+        const handOver = getScheduleRequestChanges({ type: 'swap', requester_uuid: 'driver-1', target_uuid: 'driver-2' }, item);
+        assert.deepEqual(
+            handOver.map(({ record, changes }) => [record, changes.assignee_uuid]),
+            [[item, 'driver-2']]
+        );
+
+        const exchange = getScheduleRequestChanges({ type: 'swap', requester_uuid: 'driver-1', target_uuid: 'driver-2' }, item, targetItem);
+        assert.deepEqual(
+            exchange.map(({ record, changes }) => [record, changes.assignee_uuid]),
+            [
+                [item, 'driver-2'],
+                [targetItem, 'driver-1'],
+            ]
+        );
+    });
+
+    test('it only reviews pending requests for shifts which are still the requester', function (assert) {
+        assert.true(canReviewScheduleRequest({ status: 'pending', requester_uuid: 'driver-1' }, item, now));
+        assert.false(canReviewScheduleRequest({ status: 'cancelled', requester_uuid: 'driver-1' }, item, now));
+        assert.false(canReviewScheduleRequest({ status: 'pending', requester_uuid: 'driver-2' }, item, now));
+        assert.false(canReviewScheduleRequest({ status: 'pending', requester_uuid: 'driver-1' }, item, new Date('2026-10-20T09:00:00Z')));
+        assert.false(canReviewScheduleRequest({ status: 'pending', requester_uuid: 'driver-1' }, null, now));
+    });
+
+    test('it exchanges shifts with the shift offered in return', function (assert) {
+        const request = { type: 'swap', requester_uuid: 'driver-1', requester_type: 'driver', target_uuid: 'driver-2', target_type: 'driver', target_item_uuid: 'item-2' };
+
+        assert.deepEqual(getScheduleRequestChanges(request, item, targetItem), [
+            { record: item, changes: { assignee_uuid: 'driver-2', assignee_type: 'driver' } },
+            { record: targetItem, changes: { assignee_uuid: 'driver-1', assignee_type: 'driver' } },
+        ]);
+    });
+
+    test('it puts saved shifts back when a later save fails', async function (assert) {
+        const createRecord = (attributes, fail = false) => ({
+            ...attributes,
+            saves: [],
+            setProperties(properties) {
+                Object.assign(this, properties);
+            },
+            rollbackAttributes() {
+                Object.assign(this, attributes);
+            },
+            async save() {
+                if (fail) {
+                    throw new Error('Server error');
+                }
+
+                this.saves.push(this.assignee_uuid);
+            },
+        });
+        const first = createRecord({ assignee_uuid: 'driver-1', assignee_type: 'driver' });
+        const second = createRecord({ assignee_uuid: 'driver-2', assignee_type: 'driver' }, true);
+        const changes = getScheduleRequestChanges({ type: 'swap', requester_uuid: 'driver-1', target_uuid: 'driver-2' }, first, second);
+
+        await assert.rejects(applyScheduleRequestChanges(changes), /Server error/);
+        assert.deepEqual(first.saves, ['driver-2', 'driver-1'], 'the first shift is saved and then put back');
+        assert.strictEqual(first.assignee_uuid, 'driver-1');
+        assert.strictEqual(second.assignee_uuid, 'driver-2');
+
+        const third = createRecord({ assignee_uuid: 'driver-2', assignee_type: 'driver' });
+        const undo = await applyScheduleRequestChanges(getScheduleRequestChanges({ type: 'swap', requester_uuid: 'driver-1', target_uuid: 'driver-2' }, first, third));
+        assert.strictEqual(third.assignee_uuid, 'driver-1');
+
+        await undo();
+        assert.strictEqual(first.assignee_uuid, 'driver-1');
+        assert.strictEqual(third.assignee_uuid, 'driver-2');
+    });
+});
@@ -0,0 +1,113 @@
+import scheduleSolverWorker, { applySolverAssignments, prepareSolverInput, solveSchedule, toSolverShift } from '@fleetbase/console/utils/schedule-solver-worker';
+import { module, test } from 'qunit';
+
+function createScope() {
+    const scope = { messages: [] };
+    scope.postMessage = (message) => scope.messages.push(message);
+    scheduleSolverWorker(scope);
+    scope.send = (data) => scope.onmessage({ data });
+    return scope;
+}
+
+const shift = (id, start_at, end_at, assignee_uuid = null) => ({ id, assignee_uuid, start_at: new Date(start_at), end_at: new Date(end_at), status: 'pending' });
+
+module('Unit | Utility | schedule-solver-worker', function () {
+    test('it describes shifts by the minutes worked per day and week', function (assert) {
+        const { minutes, days, weeks } = toSolverShift(shift('night', '2026-10-25T22:00:00Z', '2026-10-26T06:00:00Z'), 'UTC');
+
+        assert.strictEqual(minutes, 480);
+        assert.deepEqual(days, { '2026-10-25': 120, '2026-10-26': 360 });
+        assert.deepEqual(weeks, { '2026-10-19': 120, '2026-10-26': 360 });
+    });
+
+    test('it proposes drivers within hard constraints and by preference', function (assert) {
+        const openItems = [
+            shift('morning', '2026-10-19T08:00:00Z', '2026-10-19T16:00:00Z'),
+            shift('late', '2026-10-19T10:00:00Z', '2026-10-19T18:00:00Z'),
+            shift('short', '2026-10-19T09:00:00Z', '2026-10-19T12:00:00Z'),
+            shift('night', '2026-10-20T02:00:00Z', '2026-10-20T10:00:00Z'),
+        ];
+        const input = prepareSolverInput({
+            openItems,
+            items: [...openItems, shift('worked', '2026-10-20T08:00:00Z', '2026-10-20T16:00:00Z', 'driver-2')],
+            drivers: [{ id: 'driver-1' }, { id: 'driver-2' }, { id: 'driver-3' }],
+            constraints: [{ constraint_key: 'min_rest_hours', constraint_value: '11', type: 'hard', is_active: true }],
+            availabilities: [
+                { subject_uuid: 'driver-3', is_available: false, start_at: '2026-10-19T00:00:00Z', end_at: '2026-10-20T00:00:00Z' },
+                { subject_uuid: 'driver-1', is_available: true, preference_level: 3, start_at: '2026-10-19T07:00:00Z', end_at: '2026-10-19T19:00:00Z', rrule: 'FREQ=DAILY' },
+            ],
+            timeZone: 'UTC',
+        });
+
+        const scope = createScope();
+        scope.send({ type: 'solve', ...input });
+        const { assignments, unassigned } = scope.messages.find(({ type }) => type === 'done');
+
+        assert.deepEqual(
+            assignments.map(({ shift, driver, preference }) => [openItems[shift].id, driver, preference]),
+            [
+                ['morning', 'driver-1', 3],
+                ['short', 'driver-2', 0],
+                ['night', 'driver-3', 0],
+            ]
+        );
+        assert.deepEqual(unassigned, [{ shift: 1, reason: 'overlap' }]);
+        assert.strictEqual(scope.messages.filter(({ type }) => type === 'progress').length, 4);
+    });
+
+    test('it spreads shifts fairly', function (assert) {
+        const openItems = ['19', '20', '21', '22'].map((day) => shift(day, `2026-10-${day}T08:00:00Z`, `2026-10-${day}T16:00:00Z`));
+        const input = prepareSolverInput({ openItems, items: openItems, drivers: [{ id: 'driver-1' }, { id: 'driver-2' }], timeZone: 'UTC' });
+
+        const scope = createScope();
+        scope.send({ type: 'solve', ...input });
+        const { assignments } = scope.messages.find(({ type }) => type === 'done');
+
+        assert.strictEqual(assignments.filter(({ driver }) => driver === 'driver-1').length, 2);
+        assert.strictEqual(assignments.filter(({ driver }) => driver === 'driver-2').length, 2);
+    });
+
+    test('it fails when the worker does', async function (assert) {
+        const worker = { postMessage: () => worker.onerror({ message: 'Uncaught SyntaxError' }) };
+
+        await assert.rejects(solveSchedule(worker, { shifts: [], drivers: [] }), /Uncaught SyntaxError/);
+    });
+
+    test('it opens assigned shifts again when a later save fails', async function (assert) {
+        const createItem = (id, fail = false) => ({
+            id,
+            assignee_uuid: null,
+            assignee_type: null,
+            saves: [],
+            setProperties(properties) {
+                Object.assign(this, properties);
+            },
+            rollbackAttributes() {
+                Object.assign(this, { assignee_uuid: null, assignee_type: null });
+            },
+            async save() {
+                if (fail) {
+                    throw new Error('Server error');
+                }
+
+                this.saves.push(this.assignee_uuid);
+            },
+        });
+        const first = createItem('morning');
+        const second = createItem('late', true);
+        const third = createItem('night');
+
+        await assert.rejects(
+            applySolverAssignments([
+                { item: first, driver: { id: 'driver-1' } },
+                { item: second, driver: { id: 'driver-2' } },
+                { item: third, driver: { id: 'driver-3' } },
+            ]),
+            /Server error/
+        );
+        assert.deepEqual(first.saves, ['driver-1', null], 'the first shift is saved and then opened again');
+        assert.strictEqual(second.assignee_uuid, null);
+        assert.deepEqual(third.saves, [], 'shifts after the failure are not saved');
+        assert.strictEqual(third.assignee_uuid, null);
+    });
+});
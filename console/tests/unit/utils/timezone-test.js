@@ -0,0 +1,24 @@
+import { zonedTimeToDate, getZonedParts, getTimezoneOffset, isValidTimezone } from '@fleetbase/console/utils/timezone';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | timezone', function () {
+    test('it converts wall clock time to an instant', function (assert) {
+        assert.strictEqual(zonedTimeToDate({ year: 2026, month: 7, day: 1, hour: 9 }, 'Asia/Singapore').toISOString(), '2026-07-01T01:00:00.000Z');
+    });
+
+    test('it handles daylight saving transitions', function (assert) {
+        // 02:30 does not exist on the spring forward day and moves to 03:30 EDT
+        assert.strictEqual(zonedTimeToDate({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+        // 01:30 happens twice on the fall back day, the earlier instant wins
+        assert.strictEqual(zonedTimeToDate({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+    });
+
+    test('it reads zoned parts and offsets', function (assert) {
+        const date = new Date('2026-07-01T00:00:00Z');
+
+        assert.strictEqual(getTimezoneOffset(date, 'Europe/London'), 60);
+        assert.strictEqual(getZonedParts(date, 'Asia/Tokyo').hour, 9);
+        assert.true(isValidTimezone('Asia/Tokyo'));
+        assert.false(isValidTimezone('Not/AZone'));
+    });
+});
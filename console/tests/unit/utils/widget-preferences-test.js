@@ -0,0 +1,55 @@
+import {
+    getBreakpoint,
+    getPreferredWidgetOptions,
+    getWidgetLayout,
+    isDefaultPreference,
+    mergeWidgetPreferences,
+    normalizeWidgetPreference,
+    resetWidgetLayouts,
+    setWidgetLayout,
+} from '@fleetbase/console/utils/widget-preferences';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | widget-preferences', function () {
+    test('it gets the breakpoint of a width', function (assert) {
+        assert.strictEqual(getBreakpoint(375), 'sm');
+        assert.strictEqual(getBreakpoint(1024), 'md');
+        assert.strictEqual(getBreakpoint(1920), 'lg');
+    });
+
+    test('it keeps a layout profile per breakpoint', function (assert) {
+        const gridOptions = { x: 0, y: 0, w: 8, h: 9, minW: 4 };
+
+        assert.deepEqual(getWidgetLayout(gridOptions, 'md'), gridOptions, 'falls back on the default layout');
+
+        const tablet = setWidgetLayout(gridOptions, 'md', { x: 0, y: 4, w: 12, h: 9, id: 'widget-1' });
+        assert.deepEqual(tablet.breakpoints, { md: { x: 0, y: 4, w: 12, h: 9 } });
+        assert.deepEqual(getWidgetLayout(tablet, 'md'), { x: 0, y: 4, w: 12, h: 9, minW: 4 });
+        assert.deepEqual(getWidgetLayout(tablet, 'lg'), gridOptions);
+
+        const desktop = setWidgetLayout(tablet, 'lg', { x: 4, y: 0, w: 6 });
+        assert.deepEqual(getWidgetLayout(desktop, 'lg'), { x: 4, y: 0, w: 6, h: 9, minW: 4 }, 'keeps the height when it is not given');
+        assert.deepEqual(desktop.breakpoints, tablet.breakpoints);
+
+        assert.deepEqual(resetWidgetLayouts(desktop), { x: 4, y: 0, w: 6, h: 9, minW: 4 });
+    });
+
+    test('it applies widget preferences', function (assert) {
+        assert.deepEqual(normalizeWidgetPreference({ collapsed: 'yes', title: '  ' }), { collapsed: false, hidden: false, title: null, options: {}, updated_at: null });
+        assert.true(isDefaultPreference({}));
+        assert.true(isDefaultPreference(undefined));
+        assert.false(isDefaultPreference({ hidden: true }));
+
+        const widget = { name: 'Orders', options: { title: 'Orders', refresh_interval: 60 } };
+        assert.deepEqual(getPreferredWidgetOptions(widget, { title: 'My orders', options: { refresh_interval: 300 } }), { title: 'My orders', refresh_interval: 300 });
+        assert.deepEqual(getPreferredWidgetOptions(widget), widget.options);
+    });
+
+    test('it merges preferences from other devices', function (assert) {
+        const local = { a: { hidden: true, updated_at: '2024-05-02T00:00:00Z' }, b: { collapsed: true, updated_at: '2024-05-01T00:00:00Z' } };
+        const remote = { b: { updated_at: '2024-05-03T00:00:00Z' }, c: { title: 'Fleet', updated_at: '2024-05-01T00:00:00Z' } };
+
+        assert.deepEqual(mergeWidgetPreferences(local, remote), { a: local.a, b: remote.b, c: remote.c });
+        assert.deepEqual(mergeWidgetPreferences(undefined, remote), remote);
+    });
+});
@@ -0,0 +1,43 @@
+import { describeRefreshInterval, getRefreshInterval, isLiveWidget, isRefreshDue, matchesLiveEvent } from '@fleetbase/console/utils/widget-refresh';
+import { module, test } from 'qunit';
+
+module('Unit | Utility | widget-refresh', function () {
+    test('it resolves the refresh interval', function (assert) {
+        assert.strictEqual(getRefreshInterval({}, {}), 0);
+        assert.strictEqual(getRefreshInterval({}, { refresh_interval: 60 }), 60);
+        assert.strictEqual(getRefreshInterval({ refresh_interval: 300 }, { refresh_interval: 60 }), 300);
+        assert.strictEqual(getRefreshInterval({ refresh_interval: 0 }, { refresh_interval: 60 }), 0);
+        assert.strictEqual(getRefreshInterval({ refresh_interval: null }, { refresh_interval: 60 }), 60);
+        assert.strictEqual(getRefreshInterval({ refresh_interval: 2 }), 10);
+    });
+
+    test('it resolves live mode', function (assert) {
+        assert.false(isLiveWidget({}, { live: true }));
+        assert.true(isLiveWidget({ live_events: ['alert.'] }, { live: true }));
+        assert.false(isLiveWidget({ live_events: ['alert.'], live: false }, { live: true }));
+        assert.true(isLiveWidget({ live_events: ['alert.'], live: true }, {}));
+    });
+
+    test('it matches live events', function (assert) {
+        assert.true(matchesLiveEvent(['alert.'], 'alert.created'));
+        assert.true(matchesLiveEvent(['order.completed'], 'order.completed'));
+        assert.false(matchesLiveEvent(['order.completed'], 'order.created'));
+        assert.false(matchesLiveEvent(['alert.'], undefined));
+    });
+
+    test('it checks if a refresh is due', function (assert) {
+        const now = new Date('2024-05-01T12:01:00Z');
+
+        assert.true(isRefreshDue(new Date('2024-05-01T12:00:00Z'), 60, now));
+        assert.false(isRefreshDue(new Date('2024-05-01T12:00:30Z'), 60, now));
+        assert.false(isRefreshDue(new Date('2024-05-01T12:00:00Z'), 0, now));
+        assert.false(isRefreshDue(null, 60, now));
+    });
+
+    test('it describes intervals', function (assert) {
+        assert.deepEqual(describeRefreshInterval(null), { unit: 'default', count: null });
+        assert.deepEqual(describeRefreshInterval(0), { unit: 'off', count: 0 });
+        assert.deepEqual(describeRefreshInterval(30), { unit: 'seconds', count: 30 });
+        assert.deepEqual(describeRefreshInterval(300), { unit: 'minutes', count: 5 });
+    });
+});